@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+* @file The wpapi command-line tool (run "wpapi --help" for usage).
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPCommandLine = require('../src/cli/WPCommandLine.js');
+
+new WPCommandLine().run(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
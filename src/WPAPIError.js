@@ -0,0 +1,159 @@
+/**
+* @file A structured WordPress REST API error.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class An error thrown when a WordPress REST API call returns a 4xx or 5xx
+* response. The WordPress error envelope (<code>code</code>, <code>message</code>
+* and <code>data</code>) is exposed along with the route and method of the call.
+* @extends Error
+*/
+module.exports = class WPAPIError extends Error {
+
+  /**
+  * Creates a new instance of WPAPIError
+  *
+  * @param {Object} details The error details.
+  * @param {String} details.route The API route that was called.
+  * @param {String} details.method The HTTP method of the call.
+  * @param {Number} details.statusCode The HTTP response status code.
+  * @param {Object|String} [details.body=null] The parsed (or raw) response body.
+  * @param {Object} [details.response=null] The server response object.
+  */
+   constructor(details) {
+     var body = details.body;
+     var envelope = new Object();
+     if ((body != null) && (body != undefined) && (typeof(body) == "object")) {
+       envelope = body;
+     }
+     var message = envelope.message;
+     if ((message == undefined) || (message == null) || (message == "")) {
+       message = `HTTP ${details.statusCode} response received.`;
+     }
+     super(message);
+     this.name = "WPAPIError";
+     this._code = envelope.code || "http_error";
+     this._data = envelope.data || null;
+     this._statusCode = details.statusCode;
+     this._route = details.route;
+     this._method = details.method;
+     this._body = (body == undefined) ? null : body;
+     this._response = details.response || null;
+   }
+
+   /**
+   * @property {String} code The WordPress error code (e.g. "rest_post_invalid_id"
+   * or "rest_forbidden"), or "http_error" if the response didn't include one.
+   * @readonly
+   */
+   get code() {
+     return (this._code);
+   }
+
+   /**
+   * @property {Object} data The <code>data</code> object of the WordPress error
+   * envelope, or <code>null</code> if none was included.
+   * @readonly
+   */
+   get data() {
+     return (this._data);
+   }
+
+   /**
+   * @property {Number} status The error status reported in the envelope
+   * (<code>data.status</code>), or the HTTP response status code if none
+   * was reported.
+   * @readonly
+   */
+   get status() {
+     if ((this._data != null) && (typeof(this._data.status) == "number")) {
+       return (this._data.status);
+     }
+     return (this._statusCode);
+   }
+
+   /**
+   * @property {Number} statusCode The HTTP response status code.
+   * @readonly
+   */
+   get statusCode() {
+     return (this._statusCode);
+   }
+
+   /**
+   * @property {Object} params The invalid parameters and their messages
+   * (<code>data.params</code>), reported for "rest_invalid_param" errors, or
+   * <code>null</code>.
+   * @readonly
+   */
+   get params() {
+     if ((this._data == null) || (this._data.params == undefined)) {
+       return (null);
+     }
+     return (this._data.params);
+   }
+
+   /**
+   * @property {String} route The API route that was called.
+   * @readonly
+   */
+   get route() {
+     return (this._route);
+   }
+
+   /**
+   * @property {String} method The HTTP method of the call.
+   * @readonly
+   */
+   get method() {
+     return (this._method);
+   }
+
+   /**
+   * @property {Object|String} body The parsed (or raw) response body.
+   * @readonly
+   */
+   get body() {
+     return (this._body);
+   }
+
+   /**
+   * @property {Object} response The server response object.
+   * @readonly
+   */
+   get response() {
+     return (this._response);
+   }
+
+   /**
+   * Creates a JSON-serializable summary of the error. This is used by
+   * <code>JSON.stringify</code>, for example when reports are saved.
+   *
+   * @return {Object} The <code>name</code>, <code>code</code>, <code>message</code>,
+   * <code>status</code>, <code>statusCode</code>, <code>method</code>,
+   * <code>route</code> and <code>data</code> of the error.
+   */
+   toJSON() {
+     var summary = new Object();
+     summary.name = this.name;
+     summary.code = this.code;
+     summary.message = this.message;
+     summary.status = this.status;
+     summary.statusCode = this.statusCode;
+     summary.method = this.method;
+     summary.route = this.route;
+     summary.data = this.data;
+     return (summary);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPAPIError [${this.code}] ${this.method} ${this.route} (${this.status}): ${this.message}`);
+   }
+}
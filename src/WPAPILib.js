@@ -8,7 +8,42 @@
 const http = require('http');
 const https = require('https');
 const http2 = require('http2');
-const querystring = require('querystring');
+const stream = require('stream');
+const zlib = require('zlib');
+const fs = require('fs');
+const AuthStrategy = require('./auth/AuthStrategy.js');
+const CookieNonceAuth = require('./auth/CookieNonceAuth.js');
+const ApplicationPasswordAuth = require('./auth/ApplicationPasswordAuth.js');
+const JWTAuth = require('./auth/JWTAuth.js');
+const OAuth1Auth = require('./auth/OAuth1Auth.js');
+const WPResource = require('./resources/WPResource.js');
+const WPUsersResource = require('./resources/WPUsersResource.js');
+const WPSettingsResource = require('./resources/WPSettingsResource.js');
+const WPMediaResource = require('./resources/WPMediaResource.js');
+const WPPostsResource = require('./resources/WPPostsResource.js');
+const WPAPIError = require('./WPAPIError.js');
+const WPPage = require('./WPPage.js');
+const WPEndpoint = require('./WPEndpoint.js');
+const WPSessionStore = require('./session/WPSessionStore.js');
+const WPFileSessionStore = require('./session/WPFileSessionStore.js');
+const WPCookieJar = require('./WPCookieJar.js');
+const WPConnectionPool = require('./WPConnectionPool.js');
+const WPProxy = require('./WPProxy.js');
+const WPRetryPolicy = require('./WPRetryPolicy.js');
+const WPBatch = require('./WPBatch.js');
+const WPBulkRunner = require('./WPBulkRunner.js');
+const WPWatcher = require('./WPWatcher.js');
+const WPExporter = require('./migration/WPExporter.js');
+const WPImporter = require('./migration/WPImporter.js');
+const WPCache = require('./cache/WPCache.js');
+const WPCacheStore = require('./cache/WPCacheStore.js');
+const WPFileCacheStore = require('./cache/WPFileCacheStore.js');
+const WPInterceptor = require('./interceptors/WPInterceptor.js');
+const WPDebugLogger = require('./interceptors/WPDebugLogger.js');
+const WPTracer = require('./interceptors/WPTracer.js');
+const WPBlockParser = require('./blocks/WPBlockParser.js');
+const WPBlockSerializer = require('./blocks/WPBlockSerializer.js');
+const WPMarkdownConverter = require('./blocks/WPMarkdownConverter.js');
 
 /**
 * @class WordPress API library.
@@ -19,9 +54,360 @@ module.exports = class WPAPILib {
   * Creates a new instance of WPAPILib
   *
   * @param {String} blogURL The full base URL to the blog (e.g. https://www.myblogsite.com)
+  * @param {Object} [options=null] Additional client options.
+  * @param {AuthStrategy} [options.auth=null] The authentication strategy to use
+  * for requests. If omitted, requests are anonymous until
+  * [login]{@link WPAPILib#login} or [authenticate]{@link WPAPILib#authenticate}
+  * is called.
+  * @param {Boolean} [options.json=false] If true, object parameters sent in
+  * API call bodies are JSON-encoded by default instead of URL-encoded.
+  * @param {WPSessionStore} [options.sessionStore=null] A store used by
+  * [saveSession]{@link WPAPILib#saveSession} and [restoreSession]{@link WPAPILib#restoreSession}.
+  * If set, the session is also saved after every successful
+  * [authenticate]{@link WPAPILib#authenticate}, [login]{@link WPAPILib#login}
+  * or authentication refresh.
+  * @param {String} [options.sessionKey] The key the session is stored under.
+  * Defaults to the blog URL.
+  * @param {WPCookieJar} [options.cookieJar=null] The cookie jar to use. If
+  * omitted, a new jar is created.
+  * @param {Array} [options.cookies=null] "Set-Cookie" style strings of cookies
+  * to add to the jar for the blog URL, such as anti-bot cookies required by
+  * some hosts (e.g. <code>["humans_21909=1"]</code>).
+  * @param {Boolean|String} [options.http2="auto"] The HTTP protocol choice.
+  * If "auto", HTTP/2 is used when the server selects it during TLS ALPN
+  * negotiation (or offers an HTTP/2 upgrade at login). If <code>true</code>,
+  * HTTP/2 is always used (including cleartext HTTP/2 for "http:" URLs), and if
+  * <code>false</code> HTTP/1.1 is always used.
+  * @param {WPConnectionPool} [options.connectionPool=null] The connection
+  * pool to use. Pools may be shared by clients. If omitted, a new pool is created.
+  * @param {Number} [options.idleTimeout=30000] The number of milliseconds an
+  * idle HTTP/2 session is kept open if a new pool is created.
+  * @param {Object} [options.tls=null] TLS options for the new pool, such as
+  * additional trusted certificate authorities, certificate pins and a client
+  * certificate (see [WPConnectionPool]{@link WPConnectionPool}).
+  * @param {String|WPProxy|Boolean} [options.proxy=null] The HTTP(S) or SOCKS
+  * proxy used by the new pool, or <code>false</code> to connect directly. If
+  * omitted, the proxy set by the <code>https_proxy</code>,
+  * <code>http_proxy</code> or <code>all_proxy</code> environment variable is used.
+  * @param {String|Array} [options.noProxy=null] The destinations the new pool
+  * connects to directly. If omitted, the <code>no_proxy</code> environment
+  * variable is used.
+  * @param {Number} [options.timeout=30000] The default number of milliseconds
+  * a request may wait for the server (while connecting, sending or receiving)
+  * before it fails with an "ETIMEDOUT" error. Use 0 to disable timeouts.
+  * @param {WPRetryPolicy|Object|Boolean} [options.retry] The default retry
+  * policy, or the options of a new [WPRetryPolicy]{@link WPRetryPolicy}. If
+  * <code>false</code>, failed requests aren't retried. By default, idempotent
+  * requests are retried twice.
+  * @param {Boolean} [options.compress=true] If true, compressed (gzip, deflate
+  * or brotli) responses are requested and decoded.
+  * @param {WPCache|Object|Boolean} [options.cache=false] The response cache,
+  * or the options of a new [WPCache]{@link WPCache}. If <code>true</code>, a
+  * cache with the default options is created. By default, responses aren't cached.
+  * @param {Array} [options.interceptors=null] Request interceptors to add (see
+  * [addInterceptor]{@link WPAPILib#addInterceptor}).
   */
-   constructor(blogURL) {
+   constructor(blogURL, options=null) {
      this._baseURL = new URL(blogURL);
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._auth = null;
+     if ((options.auth != undefined) && (options.auth != null)) {
+       this.setAuthStrategy(options.auth);
+     }
+     this._jsonRequests = false;
+     if (options.json == true) {
+       this._jsonRequests = true;
+     }
+     this._sessionStore = options.sessionStore || null;
+     this._sessionKey = options.sessionKey || this._baseURL.href;
+     this._cookieJar = options.cookieJar || new WPCookieJar();
+     if (Array.isArray(options.cookies) == true) {
+       for (var count = 0; count < options.cookies.length; count++) {
+         this._cookieJar.setCookie(options.cookies[count], this._baseURL);
+       }
+     }
+     this._HTTP2Mode = "auto";
+     if ((options.http2 == true) || (options.http2 == false)) {
+       this._HTTP2Mode = options.http2;
+     }
+     this._useHTTP2 = (this._HTTP2Mode == true);
+     this._connectionPool = options.connectionPool || null;
+     if (this._connectionPool == null) {
+       var poolOptions = new Object();
+       if (typeof(options.idleTimeout) == "number") {
+         poolOptions.idleTimeout = options.idleTimeout;
+       }
+       poolOptions.tls = options.tls;
+       poolOptions.proxy = options.proxy;
+       poolOptions.noProxy = options.noProxy;
+       this._connectionPool = new WPConnectionPool(poolOptions);
+     }
+     this._timeout = 30000;
+     if (typeof(options.timeout) == "number") {
+       this._timeout = options.timeout;
+     }
+     this._retryPolicy = this.getRetryPolicy(options.retry);
+     this._compress = (options.compress != false);
+     this._cache = this.getCache(options.cache);
+     this._authRefresh = null;
+     this._authGeneration = 0;
+     this._interceptors = new Array();
+     if (Array.isArray(options.interceptors) == true) {
+       for (count = 0; count < options.interceptors.length; count++) {
+         this.addInterceptor(options.interceptors[count]);
+       }
+     }
+   }
+
+   /**
+   * @property {Function} WPNetwork The multisite network client class.
+   * @static
+   * @readonly
+   */
+   static get WPNetwork() {
+     //required on demand since WPNetwork extends this class
+     return (require('./WPNetwork.js'));
+   }
+
+   /**
+   * @property {Function} WPWatcher The change watcher class.
+   * @static
+   * @readonly
+   */
+   static get WPWatcher() {
+     return (WPWatcher);
+   }
+
+   /**
+   * @property {Function} WPExporter The site content exporter class.
+   * @static
+   * @readonly
+   */
+   static get WPExporter() {
+     return (WPExporter);
+   }
+
+   /**
+   * @property {Function} WPImporter The site content importer class.
+   * @static
+   * @readonly
+   */
+   static get WPImporter() {
+     return (WPImporter);
+   }
+
+   /**
+   * @property {Function} WPCache The response cache class.
+   * @static
+   * @readonly
+   */
+   static get WPCache() {
+     return (WPCache);
+   }
+
+   /**
+   * @property {Function} WPCacheStore The in-memory (LRU) response cache store class.
+   * @static
+   * @readonly
+   */
+   static get WPCacheStore() {
+     return (WPCacheStore);
+   }
+
+   /**
+   * @property {Function} WPFileCacheStore The file-backed response cache store class.
+   * @static
+   * @readonly
+   */
+   static get WPFileCacheStore() {
+     return (WPFileCacheStore);
+   }
+
+   /**
+   * @property {Function} WPInterceptor The base request interceptor class.
+   * @static
+   * @readonly
+   */
+   static get WPInterceptor() {
+     return (WPInterceptor);
+   }
+
+   /**
+   * @property {Function} WPDebugLogger The redacting debug logger interceptor class.
+   * @static
+   * @readonly
+   */
+   static get WPDebugLogger() {
+     return (WPDebugLogger);
+   }
+
+   /**
+   * @property {Function} WPTracer The request tracing interceptor class.
+   * @static
+   * @readonly
+   */
+   static get WPTracer() {
+     return (WPTracer);
+   }
+
+   /**
+   * @property {Function} WPProxy The proxy server class.
+   * @static
+   * @readonly
+   */
+   static get WPProxy() {
+     return (WPProxy);
+   }
+
+   /**
+   * @property {Function} WPBatch The batch request builder class.
+   * @static
+   * @readonly
+   */
+   static get WPBatch() {
+     return (WPBatch);
+   }
+
+   /**
+   * @property {Function} WPBulkRunner The bulk operation runner class.
+   * @static
+   * @readonly
+   */
+   static get WPBulkRunner() {
+     return (WPBulkRunner);
+   }
+
+   /**
+   * @property {Function} WPBlockParser The block markup parser class.
+   * @static
+   * @readonly
+   */
+   static get WPBlockParser() {
+     return (WPBlockParser);
+   }
+
+   /**
+   * @property {Function} WPBlockSerializer The block markup serializer class.
+   * @static
+   * @readonly
+   */
+   static get WPBlockSerializer() {
+     return (WPBlockSerializer);
+   }
+
+   /**
+   * @property {Function} WPMarkdownConverter The Markdown to block converter class.
+   * @static
+   * @readonly
+   */
+   static get WPMarkdownConverter() {
+     return (WPMarkdownConverter);
+   }
+
+   /**
+   * @property {Function} WPRetryPolicy The request retry policy class.
+   * @static
+   * @readonly
+   */
+   static get WPRetryPolicy() {
+     return (WPRetryPolicy);
+   }
+
+   /**
+   * @property {Function} WPConnectionPool The connection pool class.
+   * @static
+   * @readonly
+   */
+   static get WPConnectionPool() {
+     return (WPConnectionPool);
+   }
+
+   /**
+   * @property {Function} WPCookieJar The cookie jar class.
+   * @static
+   * @readonly
+   */
+   static get WPCookieJar() {
+     return (WPCookieJar);
+   }
+
+   /**
+   * @property {Function} WPSessionStore The in-memory session store class.
+   * @static
+   * @readonly
+   */
+   static get WPSessionStore() {
+     return (WPSessionStore);
+   }
+
+   /**
+   * @property {Function} WPFileSessionStore The file-backed session store class.
+   * @static
+   * @readonly
+   */
+   static get WPFileSessionStore() {
+     return (WPFileSessionStore);
+   }
+
+   /**
+   * @property {Function} WPAPIError The structured API error class thrown
+   * for 4xx and 5xx API responses.
+   * @static
+   * @readonly
+   */
+   static get WPAPIError() {
+     return (WPAPIError);
+   }
+
+   /**
+   * @property {Function} AuthStrategy The base (anonymous) authentication
+   * strategy class.
+   * @static
+   * @readonly
+   */
+   static get AuthStrategy() {
+     return (AuthStrategy);
+   }
+
+   /**
+   * @property {Function} CookieNonceAuth The login cookie and REST nonce
+   * authentication strategy class.
+   * @static
+   * @readonly
+   */
+   static get CookieNonceAuth() {
+     return (CookieNonceAuth);
+   }
+
+   /**
+   * @property {Function} ApplicationPasswordAuth The Application Password
+   * (HTTP Basic) authentication strategy class.
+   * @static
+   * @readonly
+   */
+   static get ApplicationPasswordAuth() {
+     return (ApplicationPasswordAuth);
+   }
+
+   /**
+   * @property {Function} JWTAuth The JWT bearer token authentication strategy class.
+   * @static
+   * @readonly
+   */
+   static get JWTAuth() {
+     return (JWTAuth);
+   }
+
+   /**
+   * @property {Function} OAuth1Auth The OAuth 1.0a request signing authentication
+   * strategy class.
+   * @static
+   * @readonly
+   */
+   static get OAuth1Auth() {
+     return (OAuth1Auth);
    }
 
    /**
@@ -43,37 +429,76 @@ module.exports = class WPAPILib {
    }
 
    /**
-   * @property {Boolean} authenticated True if authentication cookies have
-   * been set from a successful [login]{@link WPAPILib#login}. This value
-   * does <b>not</b> indicate whether or not the [APINonce]{@link WPAPILib#APINonce}
-   * has been set.
+   * @property {AuthStrategy} auth The authentication strategy currently used
+   * to authorize requests. This is an anonymous [AuthStrategy]{@link AuthStrategy}
+   * if none has been set.
    * @readonly
    */
-   get authenticated() {
-     if ((this._authCookies == null) || (this._authCookies == undefined)) {
-       return (false);
+   get auth() {
+     if ((this._auth == null) || (this._auth == undefined)) {
+       this._auth = new AuthStrategy();
      }
-     if (this._authCookies.length == 0) {
-       return (false);
-     }
-     return (true);
+     return (this._auth);
+   }
+
+   /**
+   * @property {Boolean} authenticated True if the current [auth]{@link WPAPILib#auth}
+   * strategy holds usable credentials (for example, authentication cookies set
+   * from a successful [login]{@link WPAPILib#login}, or an application password).
+   * This value does <b>not</b> indicate whether or not the
+   * [APINonce]{@link WPAPILib#APINonce} has been set.
+   * @readonly
+   */
+   get authenticated() {
+     return (this.auth.authenticated);
    }
 
    /**
-   * @property {String} authHeader A single string that can be used as a "Cookie"
-   " HTTP header containing the authentication cookies set from a successful
-   * [login]{@link WPAPILib#login}, or <code>null</code> if they haven't been set.
+   * @property {String} authHeader The value of the main authentication header
+   * applied by the current [auth]{@link WPAPILib#auth} strategy (the "Cookie" header
+   * string for the blog URL for cookie authentication, or an "Authorization"
+   * header value for other strategies), or <code>null</code> if it hasn't been set.
    * @readonly
    */
    get authHeader() {
-     if ((this._authCookies == null) || (this._authCookies == undefined)) {
-       return (null);
-     }
-     if (this._authCookies.length == 0) {
-       return (null);
-     }
-     var headerString = this._authCookies.join("; ");
-     return (headerString);
+     return (this.auth.header);
+   }
+
+   /**
+   * @property {WPCookieJar} cookieJar The cookie jar used to send cookies with,
+   * and store cookies from, every request.
+   * @readonly
+   */
+   get cookieJar() {
+     return (this._cookieJar);
+   }
+
+   /**
+   * @property {WPSessionStore} sessionStore The store used to save and restore
+   * sessions, or <code>null</code> if none is configured.
+   * @readonly
+   */
+   get sessionStore() {
+     return (this._sessionStore);
+   }
+
+   /**
+   * @property {String} sessionKey The key the session is saved under in the
+   * [sessionStore]{@link WPAPILib#sessionStore}.
+   * @readonly
+   */
+   get sessionKey() {
+     return (this._sessionKey);
+   }
+
+   /**
+   * @property {Boolean} jsonRequests <code>true</code> if object parameters sent
+   * in API call bodies are JSON-encoded by default, <code>false</code> if they're
+   * URL-encoded.
+   * @readonly
+   */
+   get jsonRequests() {
+     return (this._jsonRequests);
    }
 
    /**
@@ -89,269 +514,1570 @@ module.exports = class WPAPILib {
    }
 
    /**
-   * @property {Object} APISettings Contains various API settings retrieved
-   * from the WordPress server.
+   * @property {Boolean|String} HTTP2Mode The HTTP protocol choice; "auto" if
+   * the protocol is negotiated, <code>true</code> if HTTP/2 is always used, or
+   * <code>false</code> if HTTP/1.1 is always used.
    * @readonly
    */
-   get APISettings() {
-     if ((this._APISettings == null) || (this._APISettings == undefined)) {
-       return (null);
-     }
-     return (this._APISettings);
+   get HTTP2Mode() {
+     return (this._HTTP2Mode);
    }
 
    /**
-   * @property {String} APIRootURL The root or base API URL retrieved
-   * from the WordPress server. This is the <code>root</code> value of
-   * the [APISettings]{@link WPAPILib#APISettings} object, or <code>null</code>
-   * if it doesn't exist.
+   * @property {WPConnectionPool} connectionPool The pool of reusable HTTP/2
+   * sessions and HTTP/1.1 keep-alive agents used by the client.
    * @readonly
    */
-   get APIRootURL() {
-     if (this.APISettings == null) {
-       return (null);
-     }
-     return (this.APISettings.root);
+   get connectionPool() {
+     return (this._connectionPool);
    }
 
    /**
-   * @property {String} APINonce The API nonce value (commonly used as "_wpnonce"),
-   * retrieved from the WordPress server. This is the <code>nonce</code> value of
-   * the [APISettings]{@link WPAPILib#APISettings} object, or <code>null</code>
-   * if it doesn't exist.
+   * @property {Number} timeout The default number of milliseconds a request
+   * may wait for the server before failing, or 0 if requests don't time out.
+   */
+   get timeout() {
+     return (this._timeout);
+   }
+
+   set timeout(timeout) {
+     this._timeout = timeout;
+   }
+
+   /**
+   * @property {WPRetryPolicy} retryPolicy The default policy used to retry
+   * failed API calls.
+   */
+   get retryPolicy() {
+     return (this._retryPolicy);
+   }
+
+   set retryPolicy(policy) {
+     this._retryPolicy = this.getRetryPolicy(policy);
+   }
+
+   /**
+   * @property {Boolean} compress <code>true</code> if compressed responses are
+   * requested by default.
+   */
+   get compress() {
+     return (this._compress);
+   }
+
+   set compress(compress) {
+     this._compress = compress;
+   }
+
+   /**
+   * @property {WPCache} cache The response cache used for "GET" API calls, or
+   * <code>null</code> if responses aren't cached. May be set to a
+   * [WPCache]{@link WPCache}, cache options, or a flag.
+   */
+   get cache() {
+     return (this._cache);
+   }
+
+   set cache(cache) {
+     this._cache = this.getCache(cache);
+   }
+
+   /**
+   * @property {Array} interceptors The request interceptors, in the order
+   * they're invoked.
    * @readonly
    */
-   get APINonce (){
-     if (this.APISettings == null) {
-       return (null);
-     }
-     return (this.APISettings.nonce);
+   get interceptors() {
+     return (this._interceptors.slice());
    }
 
    /**
-   * @property {String} APIVersionString The API version string typically appended
-   * to the main URL to form a base API path. This is the <code>versionString</code> value of
-   * the [APISettings]{@link WPAPILib#APISettings} object, or <code>null</code>
-   * if it doesn't exist.
+   * @property {WPPostsResource} posts A typed client for the "posts" collection,
+   * including block and Markdown content.
    * @readonly
    */
-   get APIVersionString (){
-     if (this.APISettings == null) {
-       return (null);
-     }
-     return (this.APISettings.versionString);
+   get posts() {
+     return (this.getResource("posts", WPPostsResource));
    }
 
    /**
-   * @property {String} [APIGateway="?rest_route/"] The API gateway or base
-   * route used to construct the API URL. This is the <code>gateway</code> value of the
-   * [APISettings]{@link WPAPILib#APISettings} object or the default value if
-   * it doesn't exist.
+   * @property {WPPostsResource} pages A typed client for the "pages" collection,
+   * including block and Markdown content.
    * @readonly
    */
-   get APIGateway (){
-     if (this.APISettings == null) {
-       //this may also be "wp-json" if available, but the following is more reliable:
-       return ("?rest_route/");
-     }
-     return (this.APISettings.gateway);
+   get pages() {
+     return (this.getResource("pages", WPPostsResource));
+   }
+
+   /**
+   * @property {WPMediaResource} media A typed client for the "media" collection,
+   * including file uploads.
+   * @readonly
+   */
+   get media() {
+     return (this.getResource("media", WPMediaResource));
+   }
+
+   /**
+   * @property {WPUsersResource} users A typed client for the "users" collection.
+   * @readonly
+   */
+   get users() {
+     return (this.getResource("users", WPUsersResource));
+   }
+
+   /**
+   * @property {WPResource} comments A typed client for the "comments" collection.
+   * @readonly
+   */
+   get comments() {
+     return (this.getResource("comments"));
+   }
+
+   /**
+   * @property {WPResource} categories A typed client for the "categories" collection.
+   * @readonly
+   */
+   get categories() {
+     return (this.getResource("categories"));
+   }
+
+   /**
+   * @property {WPResource} tags A typed client for the "tags" collection.
+   * @readonly
+   */
+   get tags() {
+     return (this.getResource("tags"));
+   }
+
+   /**
+   * @property {WPResource} taxonomies A typed client for the "taxonomies" collection.
+   * @readonly
+   */
+   get taxonomies() {
+     return (this.getResource("taxonomies"));
+   }
+
+   /**
+   * @property {WPSettingsResource} settings A typed client for the site settings.
+   * @readonly
+   */
+   get settings() {
+     return (this.getResource("settings", WPSettingsResource));
+   }
+
+   /**
+   * @property {Object} APIIndex The REST API index (namespaces, routes,
+   * methods and argument schemas) loaded by [loadIndex]{@link WPAPILib#loadIndex},
+   * or <code>null</code> if it hasn't been loaded.
+   * @readonly
+   */
+   get APIIndex() {
+     if ((this._APIIndex == null) || (this._APIIndex == undefined)) {
+       return (null);
+     }
+     return (this._APIIndex);
+   }
+
+   /**
+   * @property {Object} endpoints Dynamic [WPEndpoint]{@link WPEndpoint} proxies
+   * for every route in the [APIIndex]{@link WPAPILib#APIIndex}, grouped by
+   * namespace and named by their path relative to the namespace with path
+   * parameters written as <code>:name</code> (for example,
+   * <code>wp.endpoints["wp/v2"]["posts/:id"].get({id:1})</code> or
+   * <code>wp.endpoints["wc/v3"].products.get()</code>). This is <code>null</code>
+   * until the index is loaded.
+   * @readonly
+   */
+   get endpoints() {
+     if ((this._endpoints == null) || (this._endpoints == undefined)) {
+       return (null);
+     }
+     return (this._endpoints);
+   }
+
+   /**
+   * @property {Object} APISettings Contains various API settings retrieved
+   * from the WordPress server.
+   * @readonly
+   */
+   get APISettings() {
+     if ((this._APISettings == null) || (this._APISettings == undefined)) {
+       return (null);
+     }
+     return (this._APISettings);
+   }
+
+   /**
+   * @property {String} APIRootURL The root or base API URL retrieved
+   * from the WordPress server. This is the <code>root</code> value of
+   * the [APISettings]{@link WPAPILib#APISettings} object, or <code>null</code>
+   * if it doesn't exist.
+   * @readonly
+   */
+   get APIRootURL() {
+     if (this.APISettings == null) {
+       return (null);
+     }
+     return (this.APISettings.root);
+   }
+
+   /**
+   * @property {String} APINonce The API nonce value (commonly used as "_wpnonce"),
+   * retrieved from the WordPress server. This is the <code>nonce</code> value of
+   * the [APISettings]{@link WPAPILib#APISettings} object, or <code>null</code>
+   * if it doesn't exist.
+   * @readonly
+   */
+   get APINonce (){
+     if (this.APISettings == null) {
+       return (null);
+     }
+     return (this.APISettings.nonce);
+   }
+
+   /**
+   * @property {String} [APIVersionString="wp/v2/"] The API version string typically
+   * appended to the main URL to form a base API path. This is the <code>versionString</code>
+   * value of the [APISettings]{@link WPAPILib#APISettings} object or the default
+   * value if it doesn't exist.
+   * @readonly
+   */
+   get APIVersionString (){
+     if ((this.APISettings == null) || (this.APISettings.versionString == undefined)) {
+       return ("wp/v2/");
+     }
+     return (this.APISettings.versionString);
+   }
+
+   /**
+   * @property {String} [APIGateway="?rest_route=/"] The API gateway or base
+   * route used to construct the API URL, relative to the blog URL. This is the
+   * <code>gateway</code> value of the [APISettings]{@link WPAPILib#APISettings}
+   * object or the default value if it doesn't exist. Use
+   * [discover]{@link WPAPILib#discover} to detect the gateway.
+   * @readonly
+   */
+   get APIGateway (){
+     if (this.APISettings == null) {
+       //this may also be "wp-json" if available, but the following is more reliable:
+       return ("?rest_route=/");
+     }
+     return (this.APISettings.gateway);
+   }
+
+   /**
+   * Returns a (cached) typed resource client for a collection endpoint. This
+   * can be used for custom post types and taxonomies (e.g.
+   * <code>getResource("products")</code>).
+   *
+   * @param {String} endpoint The collection endpoint, relative to the
+   * API version string.
+   * @param {Function} [resourceClass=WPResource] The resource class to
+   * instantiate if the resource hasn't been created yet. It's constructed
+   * with the client and endpoint.
+   *
+   * @return {WPResource} The resource client for the endpoint.
+   */
+   getResource(endpoint, resourceClass=WPResource) {
+     if ((this._resources == null) || (this._resources == undefined)) {
+       this._resources = new Object();
+     }
+     if (this._resources[endpoint] == undefined) {
+       this._resources[endpoint] = new resourceClass(this, endpoint);
+     }
+     return (this._resources[endpoint]);
+   }
+
+   /**
+   * Sets the authentication strategy used to authorize subsequent requests.
+   * The strategy's [authenticate]{@link AuthStrategy#authenticate} function
+   * is not invoked (use [authenticate]{@link WPAPILib#authenticate} for this).
+   *
+   * @param {AuthStrategy} strategy The authentication strategy to use. If
+   * <code>null</code>, requests will be anonymous.
+   */
+   setAuthStrategy(strategy) {
+     if ((strategy != null) && ((typeof(strategy.authorize) != "function") ||
+         (typeof(strategy.authenticate) != "function"))) {
+       throw (new Error("Authentication strategy must implement authenticate and authorize."));
+     }
+     if ((strategy != null) && (typeof(strategy.bind) == "function")) {
+       strategy.bind(this);
+     }
+     this._auth = strategy;
+   }
+
+   /**
+   * Authenticates using the supplied or current authentication strategy.
+   * If no API settings are available, default settings are applied before
+   * the strategy authenticates.
+   *
+   * @param {AuthStrategy} [strategy=null] The authentication strategy to use.
+   * If omitted, the current [auth]{@link WPAPILib#auth} strategy is used.
+   *
+   * @return {Promise} The promise resolves with the result object of the
+   * strategy's [authenticate]{@link AuthStrategy#authenticate} function.
+   *
+   * @async
+   */
+   async authenticate(strategy=null) {
+     if (strategy != null) {
+       this.setAuthStrategy(strategy);
+     }
+     if (this.APISettings == null) {
+       this.setDefaultAPISettings();
+     }
+     await this.negotiateProtocol();
+     var authObj = await this.auth.authenticate(this);
+     if (this.sessionStore != null) {
+       await this.saveSession();
+     }
+     return (authObj);
+   }
+
+   /**
+   * Logs into the specified blog and, if successful, sets authentication
+   * cookies and nonce for subsequent API calls. This sets a
+   * [CookieNonceAuth]{@link CookieNonceAuth} strategy as the current
+   * [auth]{@link WPAPILib#auth} strategy.
+   *
+   * @param {String} loginName A blog administrator login name.
+   * @param {String} loginPassword The password for the administrator login name.
+   * @param {String} [loginPath="wp-login.php"] The WordPress login server script
+   * to use to log in.
+   *
+   * @return {Promise} The promise resolves with an object containing the login
+   * <code>request</code>, the server <code>response</code> and <code>status</code>
+   * code, the <code>authCookies</code> (authentication cookies), and an
+   * <code>APISettings</code> object containing post-login information about
+   * the API.
+   *
+   * @async
+   */
+   async login(loginName, loginPassword, loginPath="wp-login.php") {
+     var strategy = new CookieNonceAuth(loginName, loginPassword, loginPath);
+     this.setAuthStrategy(strategy);
+     await this.negotiateProtocol();
+     var loginObj = await strategy.authenticate(this);
+     if (this.sessionStore != null) {
+       await this.saveSession();
+     }
+     return (loginObj);
+   }
+
+   /**
+   * Checks a HTTP headers object for HTTP/2 upgrade requirements.
+   *
+   * @param {Object} headers A HTTP headers object received from a server.
+   *
+   * @return {Boolean} <code>true</code> if the headers contain HTTP/2 upgrade
+   * information, <code>false</code> otherwise.
+   *
+   * @see https://tools.ietf.org/html/rfc7540#section-3.2
+   */
+   isHTTP2Upgrade(headers) {
+     var connectionDesc = Object.getOwnPropertyDescriptor(headers, 'connection');
+     var upgradeDesc = Object.getOwnPropertyDescriptor(headers, 'upgrade');
+     if ((connectionDesc == undefined) || (upgradeDesc == undefined)) {
+       return (false);
+     }
+     if ((upgradeDesc.value == "") || (upgradeDesc.value == null)) {
+       //incorrect header format
+       return (false);
+     }
+     if ((connectionDesc.value == "") || (connectionDesc.value == null)) {
+       //incorrect header format
+       return (false);
+     }
+     if (connectionDesc.value.toLowerCase().includes("upgrade") == false) {
+       //not an upgrade connection header
+       return (false);
+     }
+     var upgradeTypes = upgradeDesc.value.split(",");
+     for (var count = 0; count < upgradeTypes.length; count++) {
+       var currentType = upgradeTypes[count].trim().toLowerCase();
+       if ((currentType == "h2") || (currentType == "h2c")) {
+         //HTTP/2 secure or HTTP/2 cleartext (non-secure) upgrade request
+         return (true);
+       }
+     }
+     //no recognized upgrade protocol type found
+     return (false);
+   }
+
+   /**
+   * Negotiates the HTTP protocol with the blog server using TLS ALPN, if the
+   * [HTTP2Mode]{@link WPAPILib#HTTP2Mode} is "auto". The result is cached by
+   * the [connectionPool]{@link WPAPILib#connectionPool} so the negotiation
+   * only happens once per origin. Cleartext ("http:") servers can't negotiate;
+   * they use HTTP/1.1 unless an HTTP/2 upgrade is offered at login.
+   *
+   * @return {Promise} The promise resolves with the new
+   * [useHTTP2]{@link WPAPILib#useHTTP2} value.
+   *
+   * @async
+   */
+   async negotiateProtocol() {
+     if (this.HTTP2Mode != "auto") {
+       return (this.useHTTP2);
+     }
+     var negotiateOptions = new Object();
+     negotiateOptions.timeout = this.timeout;
+     var protocol = await this.connectionPool.negotiate(this._baseURL.origin, negotiateOptions);
+     if (this._baseURL.protocol == "https:") {
+       this._useHTTP2 = (protocol == "h2");
+     }
+     return (this.useHTTP2);
+   }
+
+   /**
+   * Closes the client's pooled connections. Requests in progress are allowed
+   * to finish. If the [connectionPool]{@link WPAPILib#connectionPool} is
+   * shared, the connections of the other clients using it are closed too.
+   * The client may still be used afterwards, in which case new connections
+   * are opened.
+   *
+   * @return {Promise} The promise resolves when all connections have closed.
+   *
+   * @async
+   */
+   async close() {
+     return (await this.connectionPool.close());
+   }
+
+   /**
+   * Retrieves and parses the WordPress API settings.
+   *
+   * @param {Boolean} [updateURL=true] If true, the API root retrieved from the
+   * server is applied using [applyAPIRoot]{@link WPAPILib#applyAPIRoot}
+   * (the internal <code>_baseURL</code> is only updated if the root isn't
+   * located under it), otherwise the "?rest_route=/" gateway is used.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if the API
+   * settings could be succesfully retrieved and parsed, <code>false</code>
+   * otherwise. The promise rejects (throws) with an <code>Error</code> if
+   * authentication has not successfully completed (via [login]{@link WPAPILib#login}).
+   *
+   * @async
+   */
+   async getAPISettings(updateURL=true) {
+     if ((this.authenticated == false) || (this.auth.type != "cookie")) {
+       throw (new Error(`You must be authenticated (login) before getting API settings.`));
+     }
+     //thanks to: https://wordpress.org/support/topic/cant-connect-to-wordpress-rest-api-without-a-plugin/
+     var nonceContainerPath = "wp-admin/post-new.php";
+     var nonceSettingsDelimiter = "var wpApiSettings";
+     await this.negotiateProtocol();
+     var nonceReqRes=this.buildRequest(nonceContainerPath, null, "GET");
+     try {
+       nonceReqRes.request.end();
+     } catch (error) {
+       return (false);
+     }
+     await nonceReqRes.promise;
+     var settingsIndex = nonceReqRes.data.indexOf(nonceSettingsDelimiter);
+     var objStartIndex = nonceReqRes.data.indexOf("{",settingsIndex);
+     var objEndIndex = nonceReqRes.data.indexOf("};",settingsIndex) + 1;
+     var wpApiSettingsStr = nonceReqRes.data.substring(objStartIndex, objEndIndex);
+     this._APISettings = JSON.parse(wpApiSettingsStr);
+     if (updateURL == true) {
+       this.applyAPIRoot(this._APISettings.root);
+     } else {
+       this._APISettings.gateway = "?rest_route=/";
+     }
+     return (true);
+   }
+
+   /**
+   * Detects the REST API root without authentication and populates the
+   * [APISettings]{@link WPAPILib#APISettings}. The root advertised by the blog
+   * in its <code>Link: &lt;...&gt;; rel="https://api.w.org/"</code> header (or
+   * the equivalent HTML <code>&lt;link&gt;</code> tag) is tried first, followed
+   * by the "wp-json/" (pretty permalink) and "?rest_route=/" roots. The first
+   * root that answers with a REST index is used, and that index is stored as
+   * the [APIIndex]{@link WPAPILib#APIIndex}. Any existing API nonce is kept.
+   *
+   * @param {Number} [maxRedirects=5] The maximum number of redirects to follow
+   * when requesting the blog URL. Redirects update the blog URL.
+   *
+   * @return {Promise} The promise resolves with the populated
+   * [APISettings]{@link WPAPILib#APISettings} object. The promise rejects (throws)
+   * with an <code>Error</code> if no API root answers.
+   *
+   * @async
+   */
+   async discover(maxRedirects=5) {
+     var candidates = new Array();
+     for (var count = 0; count <= maxRedirects; count++) {
+       await this.negotiateProtocol();
+       var reqResObj = this.buildRequest("", null, "GET", false);
+       try {
+         reqResObj.request.end();
+       } catch (error) {
+       }
+       await reqResObj.promise;
+       var response = reqResObj.response;
+       var location = response.headers["location"];
+       if ((response.statusCode >= 300) && (response.statusCode < 400) && (location != undefined)) {
+         this._baseURL = new URL(location, this._baseURL);
+         continue;
+       }
+       var linkRoot = this.parseAPILink(response.headers["link"]);
+       if (linkRoot == null) {
+         linkRoot = this.parseAPILinkTag(reqResObj.data);
+       }
+       if (linkRoot != null) {
+         candidates.push(new URL(linkRoot, this._baseURL).href);
+       }
+       break;
+     }
+     var basePath = this._baseURL.pathname.endsWith("/") ? this._baseURL.pathname : this._baseURL.pathname + "/";
+     var baseHref = this._baseURL.origin + basePath;
+     candidates.push(baseHref + "wp-json/", baseHref + "?rest_route=/");
+     var previousURL = this._baseURL;
+     var previousSettings = this._APISettings;
+     for (count = 0; count < candidates.length; count++) {
+       this._baseURL = previousURL;
+       this.applyAPIRoot(candidates[count]);
+       try {
+         var result = await this.callRoute("/", null, "GET", false);
+       } catch (error) {
+         continue;
+       }
+       var index = result.data;
+       if ((index != null) && (typeof(index) == "object") && (typeof(index.routes) == "object")) {
+         this.setAPIIndex(index);
+         return (this.APISettings);
+       }
+     }
+     this._baseURL = previousURL;
+     this._APISettings = previousSettings;
+     throw (new Error(`No WordPress REST API root found at ${this._baseURL.href}`));
+   }
+
+   /**
+   * Parses a "Link" HTTP header for the REST API root (the link with the
+   * relation "https://api.w.org/").
+   *
+   * @param {String|Array} linkHeader The "Link" header value(s).
+   *
+   * @return {String} The API root URL, or <code>null</code> if not found.
+   */
+   parseAPILink(linkHeader) {
+     if ((linkHeader == undefined) || (linkHeader == null)) {
+       return (null);
+     }
+     linkHeader = [].concat(linkHeader).join(",");
+     var linkRegex = /<([^>]*)>([^<]*)/g;
+     var match = linkRegex.exec(linkHeader);
+     while (match != null) {
+       if (/rel\s*=\s*"?https:\/\/api\.w\.org\/"?/i.test(match[2]) == true) {
+         return (match[1]);
+       }
+       match = linkRegex.exec(linkHeader);
+     }
+     return (null);
+   }
+
+   /**
+   * Parses HTML for the REST API root <code>&lt;link&gt;</code> tag (the
+   * link with the relation "https://api.w.org/").
+   *
+   * @param {String} html The HTML to parse.
+   *
+   * @return {String} The API root URL, or <code>null</code> if not found.
+   */
+   parseAPILinkTag(html) {
+     if (typeof(html) != "string") {
+       return (null);
+     }
+     var tags = html.match(/<link\b[^>]*>/gi);
+     if (tags == null) {
+       return (null);
+     }
+     for (var count = 0; count < tags.length; count++) {
+       if (/rel\s*=\s*["']?https:\/\/api\.w\.org\/["']?/i.test(tags[count]) == false) {
+         continue;
+       }
+       var hrefMatch = tags[count].match(/href\s*=\s*["']([^"']*)["']/i);
+       if (hrefMatch != null) {
+         return (hrefMatch[1].replace(/&amp;/g, "&"));
+       }
+     }
+     return (null);
+   }
+
+   /**
+   * Sets the [APISettings]{@link WPAPILib#APISettings} root and gateway for
+   * an API root URL. If the root is located under the blog URL, the gateway
+   * is set relative to the blog URL, otherwise the internal <code>_baseURL</code>
+   * is updated to the root. Existing nonce and version string values are kept.
+   *
+   * @param {String} root The API root URL (e.g. "https://www.myblogsite.com/wp-json/").
+   */
+   applyAPIRoot(root) {
+     var rootURL = new URL(root, this._baseURL);
+     var settings = new Object();
+     settings.root = rootURL.href;
+     settings.nonce = null;
+     settings.versionString = "wp/v2/";
+     if (this.APISettings != null) {
+       settings.nonce = this.APISettings.nonce;
+       settings.versionString = this.APISettings.versionString || settings.versionString;
+     }
+     var basePath = this._baseURL.pathname.endsWith("/") ? this._baseURL.pathname : this._baseURL.pathname + "/";
+     if ((rootURL.origin == this._baseURL.origin) && (rootURL.pathname.startsWith(basePath) == true)) {
+       settings.gateway = rootURL.pathname.substring(basePath.length) + rootURL.search;
+     } else {
+       this._baseURL = new URL(rootURL.origin + rootURL.pathname);
+       settings.gateway = rootURL.search;
+     }
+     this._APISettings = settings;
+   }
+
+   /**
+   * Retrieves and caches the REST API index (the API root route), and builds
+   * the dynamic [endpoints]{@link WPAPILib#endpoints} for every route it lists,
+   * including those in plugin namespaces. The index is requested using the
+   * current authentication if available since authenticated requests may list
+   * additional routes.
+   *
+   * @param {Boolean} [reload=false] If true, the index is retrieved again even
+   * if it has already been loaded.
+   *
+   * @return {Promise} The promise resolves with the parsed
+   * [APIIndex]{@link WPAPILib#APIIndex} object.
+   *
+   * @async
+   */
+   async loadIndex(reload=false) {
+     if ((this.APIIndex != null) && (reload == false)) {
+       return (this.APIIndex);
+     }
+     var result = await this.callRoute("/", null, "GET", this.authenticated);
+     var index = result.data;
+     if (typeof(index) == "string") {
+       index = JSON.parse(index);
+     }
+     if ((index == null) || (typeof(index.routes) != "object")) {
+       throw (new Error("The API root did not return a REST index."));
+     }
+     this.setAPIIndex(index);
+     return (index);
+   }
+
+   /**
+   * Sets the [APIIndex]{@link WPAPILib#APIIndex} and builds the dynamic
+   * [endpoints]{@link WPAPILib#endpoints} for every route it lists.
+   *
+   * @param {Object} index The parsed REST API index.
+   */
+   setAPIIndex(index) {
+     var endpoints = new Object();
+     for (var route in index.routes) {
+       var endpoint = new WPEndpoint(this, route, index.routes[route]);
+       if (endpoints[endpoint.namespace] == undefined) {
+         endpoints[endpoint.namespace] = new Object();
+       }
+       endpoints[endpoint.namespace][endpoint.name] = endpoint;
+     }
+     this._APIIndex = index;
+     this._endpoints = endpoints;
+   }
+
+   /**
+   * Finds the [WPEndpoint]{@link WPEndpoint} for a route pattern as listed in the
+   * REST index (e.g. "/wp/v2/posts/(?P&lt;id&gt;[\d]+)"), or the endpoint whose
+   * pattern matches a concrete route (e.g. "/wp/v2/posts/123").
+   *
+   * @param {String} route The route pattern or concrete route.
+   *
+   * @return {WPEndpoint} The matching endpoint, or <code>null</code> if none
+   * matches or the index hasn't been loaded.
+   */
+   getEndpoint(route) {
+     if (this.endpoints == null) {
+       return (null);
+     }
+     var matched = null;
+     for (var namespace in this.endpoints) {
+       for (var name in this.endpoints[namespace]) {
+         var endpoint = this.endpoints[namespace][name];
+         if (endpoint.route == route) {
+           return (endpoint);
+         }
+         if ((matched == null) && (endpoint.pattern != null) &&
+             (endpoint.pattern.test(route) == true)) {
+           matched = endpoint;
+         }
+       }
+     }
+     return (matched);
+   }
+
+   /**
+   * Sets default API settings, using the <code>?rest_route=</code> gateway on the
+   * blog URL, without contacting the server. This is used when
+   * authenticating with strategies that can't retrieve the settings from the
+   * WordPress admin pages. Any API nonce is cleared.
+   */
+   setDefaultAPISettings() {
+     this._APISettings = new Object();
+     this._APISettings.root = this._baseURL.origin + this._baseURL.pathname + "?rest_route=/";
+     this._APISettings.nonce = null;
+     this._APISettings.versionString = "wp/v2/";
+     this._APISettings.gateway = "?rest_route=/";
+   }
+
+   /**
+   * Calls a WordPress API endpoint. This function should only be called
+   * after a successful [login]{@link WPAPILib#login} or
+   * [authenticate]{@link WPAPILib#authenticate} (although some API
+   * endpoints are available without authentication).
+   *
+   * @param {String} endpoint The API enpoint to invoke (e.g. "users/me"). This
+   * is appended to the [APIVersionString]{@link WPAPILib#APIVersionString}.
+   * @param {Object|String} [params=null] The parameters to include with the
+   * API call. If <code>null</code>, no parameters will be sent. If this
+   * is an object, it will be parsed into a URL query string. If this is
+   * a string, it must be a query string since it will be used as is.
+   * Parameters are appended to the URL for "GET", "HEAD" and "DELETE" calls,
+   * and sent as the request body otherwise.
+   * @param {String} [method="POST"] The HTTP method used for the API call
+   * ("GET", "POST", "PUT", "PATCH", "DELETE" or "HEAD").
+   * @param {Boolean} [useAuth=true] If true, the call requires and uses the
+   * current authentication.
+   * @param {Object} [options=null] Additional request options (see
+   * [callRoute]{@link WPAPILib#callRoute}).
+   *
+   * @return {Promise} The promise resolves with an object containing the
+   * <code>request</code>, <code>response</code>, response <code>headers</code>,
+   * <code>status</code> code, and returned <code>data</code> (parsed if the
+   * response is JSON). The promise rejects (throws) with a
+   * [WPAPIError]{@link WPAPIError} if the server responds with a 4xx or 5xx
+   * status, or with an <code>Error</code> if authentication is required but
+   * has not successfully completed.
+   *
+   * @async
+   */
+   async callAPI(endpoint, params=null, method="POST", useAuth=true, options=null) {
+     var responseObj = await this.callRoute(this.APIVersionString + endpoint, params, method, useAuth, options);
+     return (responseObj);
+   }
+
+   /**
+   * Calls a WordPress API route that includes its namespace (for example,
+   * "/wp/v2/posts" or "/jwt-auth/v1/token"). Unlike [callAPI]{@link WPAPILib#callAPI},
+   * the [APIVersionString]{@link WPAPILib#APIVersionString} is not prepended
+   * so routes from plugin namespaces can be reached.
+   *
+   * @param {String} route The namespaced API route to invoke.
+   * @param {Object|String} [params=null] The parameters to include with the
+   * API call (see [callAPI]{@link WPAPILib#callAPI}).
+   * @param {String} [method="POST"] The method used to send paramaters with
+   * the API call.
+   * @param {Boolean} [useAuth=true] If true, the call requires and uses the
+   * current authentication.
+   * @param {Object} [options=null] Additional request options. In addition to
+   * the options accepted by [buildRequest]{@link WPAPILib#buildRequest}, this
+   * may include a <code>query</code> object or string of parameters to always
+   * append to the URL (for example, metadata accompanying a binary body). If
+   * <code>options.json</code> is omitted, [jsonRequests]{@link WPAPILib#jsonRequests}
+   * is used.
+   *
+   * @return {Promise} The promise resolves with an object containing the
+   * <code>request</code>, <code>response</code>, response <code>headers</code>,
+   * <code>status</code> code, returned <code>data</code> (parsed if the
+   * response is JSON, a <code>Buffer</code> if it's binary) and the raw
+   * <code>body</code> <code>Buffer</code>. If <code>options.stream</code> is
+   * true, the promise resolves as soon as the response headers arrive and
+   * the object includes a readable (decoded) <code>stream</code> of the body
+   * instead of <code>data</code> and <code>body</code>. The promise rejects (throws) with a
+   * [WPAPIError]{@link WPAPIError} if the server responds with a 4xx or 5xx
+   * status, or with an <code>Error</code> if authentication is required but
+   * has not successfully completed.
+   *
+   * @async
+   */
+   async callRoute(route, params=null, method="POST", useAuth=true, options=null) {
+     if ((this.authenticated == false) && (useAuth == true)) {
+       //credentials such as JWT tokens may have expired but can be renewed
+       if ((await this.refreshAuth()) == false) {
+         throw (new Error(`API call "${route}" requires authentication.`));
+       }
+     }
+     var authGeneration = this._authGeneration;
+     try {
+       var responseObj = await this.retryRoute(route, params, method, useAuth, options);
+     } catch (error) {
+       if ((useAuth == false) || ((error instanceof WPAPIError) == false) ||
+           (error.statusCode == null) || (this.isStream(params) == true)) {
+         throw (error);
+       }
+       //an expired nonce or session; refresh it and retry once
+       if ((await this.refreshAuth(error, authGeneration)) == false) {
+         throw (error);
+       }
+       responseObj = await this.retryRoute(route, params, method, useAuth, options);
+     }
+     return (responseObj);
+   }
+
+   /**
+   * Sends a request to a namespaced API route, retrying it according to the
+   * retry policy if it fails with a transient error. Requests with stream
+   * bodies can't be repeated and are never retried, nor are aborted requests.
+   *
+   * @param {String} route The namespaced API route to invoke.
+   * @param {Object|String} [params=null] The parameters to include with the
+   * API call (see [callRoute]{@link WPAPILib#callRoute}).
+   * @param {String} [method="POST"] The HTTP method used for the API call.
+   * @param {Boolean} [useAuth=true] If true, the current authentication is used.
+   * @param {Object} [options=null] Additional request options (see
+   * [callRoute]{@link WPAPILib#callRoute}).
+   *
+   * @return {Promise} The promise resolves with the same result object as
+   * [callRoute]{@link WPAPILib#callRoute}, or rejects (throws) with the error
+   * of the last attempt.
+   *
+   * @async
+   */
+   async retryRoute(route, params=null, method="POST", useAuth=true, options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     var policy = this.retryPolicy;
+     if (options.retry != undefined) {
+       policy = this.getRetryPolicy(options.retry);
+     }
+     var attempt = 1;
+     while (true) {
+       try {
+         var responseObj = await this.sendRoute(route, params, method, useAuth, options);
+         return (responseObj);
+       } catch (error) {
+         if ((this.isStream(params) == true) || (policy.shouldRetry(error, method, attempt) == false)) {
+           throw (error);
+         }
+         var delay = policy.getDelay(error, attempt);
+         if (delay < 0) {
+           throw (error);
+         }
+         await this.wait(delay, options.signal);
+         attempt++;
+       }
+     }
+   }
+
+   /**
+   * Resolves a retry policy from a policy object, policy options, or a flag.
+   *
+   * @param {WPRetryPolicy|Object|Boolean} [retry=null] A policy, the options
+   * of a new [WPRetryPolicy]{@link WPRetryPolicy}, or <code>false</code> to
+   * disable retries. If omitted, a default policy is returned.
+   *
+   * @return {WPRetryPolicy} The retry policy.
+   */
+   getRetryPolicy(retry=null) {
+     if (retry == false) {
+       var policyOptions = new Object();
+       policyOptions.retries = 0;
+       return (new WPRetryPolicy(policyOptions));
+     }
+     if ((retry == null) || (retry == undefined) || (retry == true)) {
+       return (new WPRetryPolicy());
+     }
+     if ((typeof(retry.shouldRetry) == "function") && (typeof(retry.getDelay) == "function")) {
+       return (retry);
+     }
+     return (new WPRetryPolicy(retry));
+   }
+
+   /**
+   * Adds a request interceptor (see [WPInterceptor]{@link WPInterceptor}),
+   * such as a [WPDebugLogger]{@link WPDebugLogger} or [WPTracer]{@link WPTracer}.
+   * Interceptors are invoked in the order they're added.
+   *
+   * @param {WPInterceptor|Object} interceptor The interceptor, or an object
+   * implementing any of the <code>beforeRequest</code>, <code>afterResponse</code>
+   * and <code>onError</code> hooks.
+   *
+   * @return {WPInterceptor|Object} The interceptor.
+   */
+   addInterceptor(interceptor) {
+     if ((interceptor == null) || (typeof(interceptor) != "object")) {
+       throw (new TypeError("An interceptor must be an object."));
+     }
+     if (this._interceptors.includes(interceptor) == false) {
+       this._interceptors.push(interceptor);
+     }
+     return (interceptor);
+   }
+
+   /**
+   * Removes a request interceptor.
+   *
+   * @param {WPInterceptor|Object} interceptor The interceptor to remove.
+   *
+   * @return {Boolean} True if the interceptor was removed, false if it hadn't
+   * been added.
+   */
+   removeInterceptor(interceptor) {
+     var index = this._interceptors.indexOf(interceptor);
+     if (index < 0) {
+       return (false);
+     }
+     this._interceptors.splice(index, 1);
+     return (true);
+   }
+
+   /**
+   * Resolves a response cache from a cache object, cache options, or a flag.
+   *
+   * @param {WPCache|Object|Boolean} [cache=null] A cache, the options of a new
+   * [WPCache]{@link WPCache}, <code>true</code> for a new cache with the default
+   * options, or <code>false</code> to disable caching.
+   *
+   * @return {WPCache} The cache, or <code>null</code> if caching is disabled.
+   */
+   getCache(cache=null) {
+     if ((cache == null) || (cache == undefined) || (cache == false)) {
+       return (null);
+     }
+     if (cache == true) {
+       return (new WPCache());
+     }
+     if (cache instanceof WPCache) {
+       return (cache);
+     }
+     return (new WPCache(cache));
+   }
+
+   /**
+   * Removes the cached responses of the collection a route belongs to (see
+   * [WPCache.invalidate]{@link WPCache#invalidate}). This is done automatically
+   * after successful writes; applications only need it for changes made by
+   * other means.
+   *
+   * @param {String} route The namespaced API route (e.g. "/wp/v2/posts/12").
+   *
+   * @return {Promise} The promise resolves with the number of entries removed.
+   *
+   * @async
+   */
+   async invalidateCache(route) {
+     if (this.cache == null) {
+       return (0);
+     }
+     return (await this.cache.invalidate(route));
+   }
+
+   /**
+   * Waits for a number of milliseconds.
+   *
+   * @param {Number} delay The number of milliseconds to wait.
+   * @param {AbortSignal} [signal=null] A signal that ends the wait early by
+   * rejecting with an "AbortError".
+   *
+   * @return {Promise} The promise resolves after the delay.
+   *
+   * @async
+   */
+   wait(delay, signal=null) {
+     return (new Promise((resolve, reject) => {
+       if ((signal != null) && (signal != undefined) && (signal.aborted == true)) {
+         reject(this.createAbortError(signal));
+         return;
+       }
+       var onAbort = () => {
+         clearTimeout(timer);
+         reject(this.createAbortError(signal));
+       };
+       var timer = setTimeout(() => {
+         if ((signal != null) && (signal != undefined)) {
+           signal.removeEventListener("abort", onAbort);
+         }
+         resolve();
+       }, delay);
+       if ((signal != null) && (signal != undefined)) {
+         signal.addEventListener("abort", onAbort, {once: true});
+       }
+     }));
+   }
+
+   /**
+   * Sends a single request to a namespaced API route, without refreshing
+   * expired authentication. Most applications should use
+   * [callRoute]{@link WPAPILib#callRoute} instead.
+   *
+   * @param {String} route The namespaced API route to invoke.
+   * @param {Object|String} [params=null] The parameters to include with the
+   * API call (see [callRoute]{@link WPAPILib#callRoute}).
+   * @param {String} [method="POST"] The HTTP method used for the API call.
+   * @param {Boolean} [useAuth=true] If true, the current authentication is used.
+   * @param {Object} [options=null] Additional request options (see
+   * [callRoute]{@link WPAPILib#callRoute}).
+   *
+   * @return {Promise} The promise resolves with the same result object as
+   * [callRoute]{@link WPAPILib#callRoute}, or rejects (throws) with a
+   * [WPAPIError]{@link WPAPIError} if the server responds with a 4xx or 5xx status.
+   * If the [cache]{@link WPAPILib#cache} is enabled, "GET" results may come
+   * from it, in which case the object's <code>cached</code> property is
+   * <code>true</code>; set <code>options.cache</code> to <code>false</code> to
+   * bypass it. Successful writes invalidate the cached entries of the route's
+   * collection.
+   *
+   * @async
+   */
+   async sendRoute(route, params=null, method="POST", useAuth=true, options=null) {
+     await this.negotiateProtocol();
+     var fullRoute = this.APIGateway + route;
+     fullRoute = fullRoute.replace(/\/{2,}/g, "/");
+     method = method.toUpperCase();
+     options = Object.assign(new Object(), options);
+     if (options.json == undefined) {
+       options.json = this.jsonRequests;
+     }
+     if (options.query != undefined) {
+       fullRoute = this.addQueryParams(fullRoute, options.query);
+     }
+     if ((method == "GET") || (method == "HEAD") || (method == "DELETE")) {
+       fullRoute = this.addQueryParams(fullRoute, params);
+       params = null;
+     }
+     var cache = null;
+     if ((method == "GET") && (options.stream != true) && (options.cache != false)) {
+       cache = this.cache;
+     }
+     if (cache != null) {
+       var cacheKey = cache.getKey(this, route, fullRoute, useAuth);
+       var cacheEntry = await cache.load(cacheKey);
+       if ((cacheEntry != null) && (cache.isFresh(cacheEntry) == true)) {
+         return (cache.createResponse(this, cacheEntry));
+       }
+       if (cacheEntry != null) {
+         options.headers = Object.assign(cache.getValidators(cacheEntry), options.headers);
+       }
+     }
+     var reqResObj = this.buildRequest(fullRoute, params, method, useAuth, options);
+     if (reqResObj.streamBody == false) {
+       try {
+         reqResObj.request.end();
+       } catch (error) {
+       }
+     }
+     await reqResObj.promise;
+     var responseObj = new Object();
+     responseObj.request = reqResObj.request;
+     responseObj.response = reqResObj.response;
+     responseObj.headers = reqResObj.response.headers;
+     responseObj.status = reqResObj.response.statusCode;
+     if ((options.stream == true) && (responseObj.status < 400)) {
+       responseObj.stream = reqResObj.stream;
+       responseObj.data = null;
+       return (responseObj);
+     }
+     if (options.stream == true) {
+       reqResObj.body = await this.readStream(reqResObj.stream);
+     }
+     responseObj.body = reqResObj.body;
+     responseObj.data = this.parseResponseData(reqResObj.response, reqResObj.body);
+     if (responseObj.status >= 400) {
+       var errorDetails = new Object();
+       errorDetails.route = route;
+       errorDetails.method = method;
+       errorDetails.statusCode = responseObj.status;
+       errorDetails.body = responseObj.data;
+       errorDetails.response = reqResObj.response;
+       throw (await this.interceptError(reqResObj.context, new WPAPIError(errorDetails)));
+     }
+     if (cache != null) {
+       if ((responseObj.status == 304) && (cacheEntry != null)) {
+         cacheEntry = await cache.renew(cacheKey, cacheEntry, responseObj.headers);
+         return (cache.createResponse(this, cacheEntry, responseObj));
+       }
+       if (responseObj.status == 200) {
+         await cache.save(cacheKey, route, responseObj);
+       }
+     } else if ((this.cache != null) && (["POST", "PUT", "PATCH", "DELETE"].includes(method) == true)) {
+       await this.invalidateCache(route);
+       if ((params != null) && (Array.isArray(params.requests) == true)) {
+         //batch requests write to the routes of the individual requests
+         for (var count = 0; count < params.requests.length; count++) {
+           await this.invalidateCache(params.requests[count].path);
+         }
+       }
+     }
+     return (responseObj);
+   }
+
+   /**
+   * Downloads a file, such as the <code>source_url</code> of a media item,
+   * as a stream so that it's never held in memory. Redirects are followed.
+   * Files on other hosts (for example a CDN) are requested anonymously using
+   * the same connection pool and cookie jar; files on the blog host are
+   * requested with the current authentication.
+   *
+   * @param {String|URL} url The URL of the file, absolute or relative to the blog URL.
+   * @param {Object} [options=null] Download options.
+   * @param {String} [options.destination=null] A file path to write the
+   * download to. If omitted, the body <code>stream</code> is returned for
+   * the caller to consume.
+   * @param {Number} [options.maxRedirects=5] The maximum number of redirects to follow.
+   * @param {Number} [options.timeout] The inactivity timeout, in milliseconds
+   * (see [buildRequest]{@link WPAPILib#buildRequest}).
+   * @param {AbortSignal} [options.signal=null] A signal that cancels the download.
+   *
+   * @return {Promise} The promise resolves with an object containing the final
+   * <code>url</code>, the <code>request</code>, <code>response</code>, response
+   * <code>headers</code> and <code>status</code>, and either the readable body
+   * <code>stream</code> or, if a <code>destination</code> was given, the
+   * <code>path</code> and number of <code>bytes</code> written once the file
+   * is complete. The promise rejects (throws) with a [WPAPIError]{@link WPAPIError}
+   * if the server responds with a 4xx or 5xx status.
+   *
+   * @async
+   */
+   async download(url, options=null) {
+     options = Object.assign(new Object(), options);
+     url = new URL(url, this._baseURL);
+     var maxRedirects = 5;
+     if (typeof(options.maxRedirects) == "number") {
+       maxRedirects = options.maxRedirects;
+     }
+     var requestOptions = new Object();
+     requestOptions.stream = true;
+     requestOptions.timeout = options.timeout;
+     requestOptions.signal = options.signal;
+     for (var count = 0; count <= maxRedirects; count++) {
+       var client = this;
+       var useAuth = true;
+       if ((url.origin != this._baseURL.origin) || (url.pathname.startsWith(this._baseURL.pathname) == false)) {
+         var clientOptions = new Object();
+         clientOptions.connectionPool = this.connectionPool;
+         clientOptions.cookieJar = this.cookieJar;
+         clientOptions.http2 = this.HTTP2Mode;
+         clientOptions.timeout = this.timeout;
+         clientOptions.interceptors = this.interceptors;
+         client = new WPAPILib(url.origin, clientOptions);
+         useAuth = false;
+       }
+       await client.negotiateProtocol();
+       var path = url.pathname.substring(client._baseURL.pathname.length) + url.search;
+       var reqResObj = client.buildRequest(path, null, "GET", useAuth, requestOptions);
+       try {
+         reqResObj.request.end();
+       } catch (error) {
+       }
+       await reqResObj.promise;
+       var status = reqResObj.response.statusCode;
+       var location = reqResObj.response.headers["location"];
+       if ((status < 300) || (status >= 400) || (location == undefined)) {
+         break;
+       }
+       reqResObj.stream.resume();
+       url = new URL(location, url);
+     }
+     var responseObj = new Object();
+     responseObj.url = url.href;
+     responseObj.request = reqResObj.request;
+     responseObj.response = reqResObj.response;
+     responseObj.headers = reqResObj.response.headers;
+     responseObj.status = status;
+     if ((status >= 300) && (status < 400) && (location != undefined)) {
+       reqResObj.stream.resume();
+       throw (new Error(`Too many redirects downloading "${url.href}".`));
+     }
+     if (status >= 400) {
+       var errorDetails = new Object();
+       errorDetails.route = url.href;
+       errorDetails.method = "GET";
+       errorDetails.statusCode = status;
+       errorDetails.body = this.parseResponseData(reqResObj.response, await this.readStream(reqResObj.stream));
+       errorDetails.response = reqResObj.response;
+       throw (await client.interceptError(reqResObj.context, new WPAPIError(errorDetails)));
+     }
+     if ((options.destination == undefined) || (options.destination == null)) {
+       responseObj.stream = reqResObj.stream;
+       return (responseObj);
+     }
+     var fileStream = fs.createWriteStream(options.destination);
+     await new Promise((resolve, reject) => {
+       stream.pipeline(reqResObj.stream, fileStream, error => {
+         if (error) {
+           reject(error);
+         } else {
+           resolve();
+         }
+       });
+     });
+     responseObj.path = options.destination;
+     responseObj.bytes = fileStream.bytesWritten;
+     return (responseObj);
+   }
+
+   /**
+   * Asks the current [auth]{@link WPAPILib#auth} strategy to refresh expired
+   * authentication (for example, by retrieving a new nonce or logging in again
+   * with stored credentials). If successful and a session store is configured,
+   * the refreshed session is saved.
+   *
+   * @param {WPAPIError} [error=null] The error that indicated the authentication
+   * may have expired, or <code>null</code> if the strategy reports that it's no
+   * longer authenticated.
+   *
+   * @param {Number} [generation=null] The value of the refresh counter when the
+   * failed request was sent. If the authentication has been refreshed since
+   * then, the request is retried without refreshing again.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if the authentication
+   * was refreshed and the request should be retried, <code>false</code> otherwise.
+   * Concurrent requests that fail with an authentication error share a
+   * single refresh.
+   *
+   * @async
+   */
+   async refreshAuth(error=null, generation=null) {
+     var authError = (error == null) || (error.statusCode == 401) || (error.statusCode == 403);
+     if ((authError == true) && (this._authRefresh != null)) {
+       return (await this._authRefresh);
+     }
+     if ((authError == true) && (generation != null) && (generation != this._authGeneration)) {
+       return (true);
+     }
+     var refresh = (async () => {
+       var refreshed = await this.auth.refresh(this, error);
+       if (refreshed == true) {
+         this._authGeneration++;
+         if (this.sessionStore != null) {
+           await this.saveSession();
+         }
+       }
+       return (refreshed);
+     })();
+     if (authError == false) {
+       return (await refresh);
+     }
+     this._authRefresh = refresh;
+     try {
+       return (await refresh);
+     } finally {
+       this._authRefresh = null;
+     }
+   }
+
+   /**
+   * Exports the current session so that it can be restored later, or by
+   * another process, using [importSession]{@link WPAPILib#importSession}. The
+   * session includes the base URL, HTTP/2 choice, API settings (including the
+   * nonce), the contents of the [cookieJar]{@link WPAPILib#cookieJar}, and any
+   * authentication state such as tokens. Passwords are never included.
+   *
+   * @return {Object} A JSON-serializable session object.
+   */
+   exportSession() {
+     var session = new Object();
+     session.version = 2;
+     session.baseURL = this._baseURL.href;
+     session.useHTTP2 = this.useHTTP2;
+     session.APISettings = this.APISettings;
+     session.cookies = this.cookieJar.toJSON();
+     session.auth = new Object();
+     session.auth.type = this.auth.type;
+     session.auth.state = this.auth.exportState();
+     session.exported = Date.now();
+     return (session);
+   }
+
+   /**
+   * Restores a session created by [exportSession]{@link WPAPILib#exportSession}.
+   * The cookies in the [cookieJar]{@link WPAPILib#cookieJar} are replaced by
+   * the session cookies. If the current [auth]{@link WPAPILib#auth} strategy is of the same type as
+   * the exported one, its state is imported into it (keeping any stored
+   * credentials), otherwise a new cookie or JWT strategy is created.
+   *
+   * @param {Object|String} session The exported session object, or its JSON string.
+   */
+   importSession(session) {
+     if (typeof(session) == "string") {
+       session = JSON.parse(session);
+     }
+     if ((session == null) || ((session.version != 1) && (session.version != 2))) {
+       throw (new Error("Unsupported session format."));
+     }
+     this._baseURL = new URL(session.baseURL);
+     this._useHTTP2 = (session.useHTTP2 == true);
+     this._APISettings = session.APISettings || null;
+     this.cookieJar.clear();
+     if (Array.isArray(session.cookies) == true) {
+       this.cookieJar.load(session.cookies);
+     }
+     var authType = "none";
+     var authState = null;
+     if ((session.auth != undefined) && (session.auth != null)) {
+       authType = session.auth.type;
+       authState = session.auth.state;
+     }
+     if (this.auth.type != authType) {
+       switch (authType) {
+         case "cookie":
+           this.setAuthStrategy(new CookieNonceAuth());
+           break;
+         case "jwt":
+           this.setAuthStrategy(new JWTAuth());
+           break;
+         case "none":
+           this.setAuthStrategy(null);
+           break;
+         default:
+           throw (new Error(`Can't restore "${authType}" authentication without a matching strategy.`));
+       }
+     }
+     this.auth.importState(authState);
+   }
+
+   /**
+   * Saves the current session to the [sessionStore]{@link WPAPILib#sessionStore}
+   * under the [sessionKey]{@link WPAPILib#sessionKey}.
+   *
+   * @return {Promise} The promise resolves with the exported session object.
+   *
+   * @async
+   */
+   async saveSession() {
+     if (this.sessionStore == null) {
+       throw (new Error("No session store configured."));
+     }
+     var session = this.exportSession();
+     await this.sessionStore.save(this.sessionKey, session);
+     return (session);
+   }
+
+   /**
+   * Restores the session saved in the [sessionStore]{@link WPAPILib#sessionStore}
+   * under the [sessionKey]{@link WPAPILib#sessionKey}, if one exists.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if a session was
+   * restored, <code>false</code> if none was saved.
+   *
+   * @async
+   */
+   async restoreSession() {
+     if (this.sessionStore == null) {
+       throw (new Error("No session store configured."));
+     }
+     var session = await this.sessionStore.load(this.sessionKey);
+     if (session == null) {
+       return (false);
+     }
+     this.importSession(session);
+     return (true);
+   }
+
+   /**
+   * Retrieves a page of a collection endpoint.
+   *
+   * @param {String} endpoint The collection endpoint, relative to the
+   * [APIVersionString]{@link WPAPILib#APIVersionString} (e.g. "posts").
+   * @param {Object} [params=null] Query parameters to include. Use
+   * <code>page</code> and <code>per_page</code> to select the page, or
+   * <code>offset</code> and <code>per_page</code> for offset-based paging.
+   * @param {Boolean} [useAuth=true] If true, the call requires and uses the
+   * current authentication.
+   *
+   * @return {Promise} The promise resolves with a [WPPage]{@link WPPage}.
+   *
+   * @async
+   */
+   async paginate(endpoint, params=null, useAuth=true) {
+     var page = await this.paginateRoute(this.APIVersionString + endpoint, params, useAuth);
+     return (page);
+   }
+
+   /**
+   * Retrieves a page of a namespaced collection route (for example,
+   * "/wp/v2/posts" or a plugin collection).
+   *
+   * @param {String} route The namespaced collection route.
+   * @param {Object} [params=null] Query parameters to include (see
+   * [paginate]{@link WPAPILib#paginate}).
+   * @param {Boolean} [useAuth=true] If true, the call requires and uses the
+   * current authentication.
+   *
+   * @return {Promise} The promise resolves with a [WPPage]{@link WPPage}.
+   *
+   * @async
+   */
+   async paginateRoute(route, params=null, useAuth=true) {
+     var result = await this.callRoute(route, params, "GET", useAuth);
+     return (new WPPage(this, route, params, result, useAuth));
+   }
+
+   /**
+   * Asynchronously iterates over every item of a collection endpoint, retrieving
+   * pages as needed. For example:
+   * <code>for await (const post of wp.iterate("posts", {per_page:100})) {...}</code>
+   *
+   * @param {String} endpoint The collection endpoint, relative to the
+   * [APIVersionString]{@link WPAPILib#APIVersionString}.
+   * @param {Object} [params=null] Query parameters to include (see
+   * [paginate]{@link WPAPILib#paginate}).
+   * @param {Object} [options=null] Iteration options (see
+   * [WPPage.iterate]{@link WPPage#iterate}).
+   * @param {Boolean} [useAuth=true] If true, the calls require and use the
+   * current authentication.
+   *
+   * @return {AsyncGenerator} Yields each item.
+   */
+   async *iterate(endpoint, params=null, options=null, useAuth=true) {
+     var page = await this.paginate(endpoint, params, useAuth);
+     yield* page.iterate(options);
+   }
+
+   /**
+   * Creates a batch builder that queues create, update and delete calls and
+   * sends them through the "/batch/v1" route (WordPress 5.6+).
+   *
+   * @param {Object} [options=null] The batch options (see [WPBatch]{@link WPBatch}).
+   *
+   * @return {WPBatch} A new, empty batch.
+   */
+   batch(options=null) {
+     return (new WPBatch(this, options));
    }
 
    /**
-   * Logs into the specified blog and, if successful, sets authentication
-   * cookies and nonce for subsequent API calls.
-   *
-   * @param {String} loginName A blog administrator login name.
-   * @param {String} loginPassword The password for the administrator login name.
-   * @param {String} [loginPath="wp-login.php"] The WordPress login server script
-   * to use to log in.
+   * Creates a bulk runner that applies an operation to many items with a
+   * concurrency cap, rate limiting and a resumable checkpoint.
    *
-   * @return {Promise} The promise resolves with an object containing the login
-   * <code>request</code>, the server <code>response</code> and <code>status</code>
-   * code, the <code>authCookies</code> (authentication cookies), and an
-   * <code>APISettings</code> object containing post-login information about
-   * the API.
+   * @param {Object} [options=null] The runner options (see [WPBulkRunner]{@link WPBulkRunner}).
    *
-   * @async
+   * @return {WPBulkRunner} A new runner.
    */
-   async login(loginName, loginPassword, loginPath="wp-login.php") {
-     var loginParams = new Object();
-     loginParams.log = loginName;
-     loginParams.pwd = loginPassword;
-     var reqResObj=this.buildRequest(loginPath, loginParams, "POST");
-     try {
-       reqResObj.request.end();
-     } catch (error) {
-     }
-     await reqResObj.promise;
-     var request = reqResObj.request;
-     var response = reqResObj.response;
-     var status = response.statusCode;
-     var headers = response.headers;
-     if (this.isHTTP2Upgrade(response.headers) == true) {
-       this._useHTTP2 = true;
-       var reqResObj=this.buildRequest(loginPath, loginParams, "POST");
-       try {
-         reqResObj.request.end();
-       } catch (error) {
-       }
-       await reqResObj.promise;
-       request = reqResObj.request;
-       response = reqResObj.response;
-       status = response.statusCode;
-       headers = response.headers;
-     }
-     var cookiesDesc = Object.getOwnPropertyDescriptor(headers, 'set-cookie');
-     if (cookiesDesc == undefined) {
-       throw (new Error("No cookies received in server response."));
-     }
-     if ((cookiesDesc.value == "") || (cookiesDesc.value == null)) {
-       throw (new Error("Empty cookies received in server response."));
-     }
-     this._authCookies = new Array();
-     for (var count=0; count < cookiesDesc.value.length; count++) {
-       if (cookiesDesc.value[count].startsWith("wordpress_") ||
-           cookiesDesc.value[count].startsWith("wp_")) {
-         this._authCookies.push(cookiesDesc.value[count].split(";")[0]);
-       }
-     }
-     if (this._authCookies.length == 0) {
-       throw (new Error("Authentication cookies not received in server response."));
-     }
-     await this.getAPISettings();
-     var loginObj = new Object();
-     loginObj.request = request;
-     loginObj.response = response;
-     loginObj.status = status;
-     loginObj.authCookies = this._authCookies;
-     loginObj.APISettings = this.APISettings;
-     return (loginObj);
+   bulk(options=null) {
+     return (new WPBulkRunner(this, options));
    }
 
    /**
-   * Checks a HTTP headers object for HTTP/2 upgrade requirements.
-   *
-   * @param {Object} headers A HTTP headers object received from a server.
+   * Parses response data according to the response "Content-Type" header.
    *
-   * @return {Boolean} <code>true</code> if the headers contain HTTP/2 upgrade
-   * information, <code>false</code> otherwise.
+   * @param {Object} response The server response object.
+   * @param {String|Buffer} data The raw response data.
    *
-   * @see https://tools.ietf.org/html/rfc7540#section-3.2
+   * @return {*} The parsed object if the response is JSON (and valid), the
+   * <code>Buffer</code> if <code>data</code> is a <code>Buffer</code> of
+   * binary content (such as an image), otherwise the raw data as a string.
    */
-   isHTTP2Upgrade(headers) {
-     var connectionDesc = Object.getOwnPropertyDescriptor(headers, 'connection');
-     var upgradeDesc = Object.getOwnPropertyDescriptor(headers, 'upgrade');
-     if ((connectionDesc == undefined) || (upgradeDesc == undefined)) {
-       return (false);
-     }
-     if ((upgradeDesc.value == "") || (upgradeDesc.value == null)) {
-       //incorrect header format
-       return (false);
+   parseResponseData(response, data) {
+     var contentType = response.headers["content-type"];
+     if (Buffer.isBuffer(data) == true) {
+       if ((contentType != undefined) && (this.isTextContent(contentType) == false)) {
+         return (data);
+       }
+       data = data.toString("utf8");
      }
-     if ((connectionDesc.value == "") || (connectionDesc.value == null)) {
-       //incorrect header format
-       return (false);
+     if ((contentType == undefined) || (data == null) || (data == "")) {
+       return (data);
      }
-     if (connectionDesc.value.toLowerCase().includes("upgrade") == false) {
-       //not an upgrade connection header
-       return (false);
+     contentType = String(contentType).toLowerCase();
+     if ((contentType.includes("application/json") == false) &&
+         (contentType.includes("+json") == false)) {
+       return (data);
      }
-     var upgradeTypes = upgradeDesc.value.split(",");
-     for (var count = 0; count < upgradeTypes.length; count++) {
-       var currentType = upgradeTypes[count].trim().toLowerCase();
-       if ((currentType == "h2") || (currentType == "h2c")) {
-         //HTTP/2 secure or HTTP/2 cleartext (non-secure) upgrade request
-         return (true);
-       }
+     try {
+       return (JSON.parse(data));
+     } catch (error) {
+       //some plugins emit notices before the JSON output
+       return (data);
      }
-     //no recognized upgrade protocol type found
-     return (false);
    }
 
    /**
-   * Retrieves and parses the WordPress API settings.
-   *
-   * @param {Boolean} [updateURL=true] If true, the internal <code>_baseURL</code>
-   * instance is updated with the URL retrieved from the server, otherwise
-   * the internal URL set at instantiation is kept.
+   * Checks whether a content type is textual (text, JSON, XML, JavaScript or
+   * form data).
    *
-   * @return {Promise} The promise resolves <code>true</code> if the API
-   * settings could be succesfully retrieved and parsed, <code>false</code>
-   * otherwise. The promise rejects (throws) with an <code>Error</code> if
-   * authentication has not successfully completed (via [login]{@link WPAPILib#login}).
+   * @param {String} contentType The value of a "Content-Type" header.
    *
-   * @async
+   * @return {Boolean} <code>true</code> if the content is text, <code>false</code>
+   * if it's binary.
    */
-   async getAPISettings(updateURL=true) {
-     if (this.authenticated == false) {
-       throw (new Error(`You must be authenticated (login) before getting API settings.`));
-     }
-     //thanks to: https://wordpress.org/support/topic/cant-connect-to-wordpress-rest-api-without-a-plugin/
-     var nonceContainerPath = "wp-admin/post-new.php";
-     var nonceSettingsDelimiter = "var wpApiSettings";
-     var nonceReqRes=this.buildRequest(nonceContainerPath, null, "GET");
-     try {
-       nonceReqRes.request.end();
-     } catch (error) {
-       return (false);
-     }
-     await nonceReqRes.promise;
-     var settingsIndex = nonceReqRes.data.indexOf(nonceSettingsDelimiter);
-     var objStartIndex = nonceReqRes.data.indexOf("{",settingsIndex);
-     var objEndIndex = nonceReqRes.data.indexOf("};",settingsIndex) + 1;
-     var wpApiSettingsStr = nonceReqRes.data.substring(objStartIndex, objEndIndex);
-     this._APISettings = JSON.parse(wpApiSettingsStr);
-     if (updateURL == true) {
-       this._baseURL = new URL(this._APISettings.root);
-       this._APISettings.gateway = this._baseURL.search;
-     } else {
-       this._APISettings.gateway = "?rest_route/";
+   isTextContent(contentType) {
+     contentType = String(contentType).toLowerCase();
+     if (contentType.startsWith("text/") == true) {
+       return (true);
      }
-     return (true);
+     var textTypes = ["json", "xml", "javascript", "x-www-form-urlencoded"];
+     return (textTypes.some(textType => contentType.includes(textType)));
    }
 
    /**
-   * Calls a WordPress API endpoint. This function should only be called
-   * after a successful [login]{@link WPAPILib#login} (although some API
-   * endpoints are available without authentication).
+   * URL-encodes parameters the way PHP decodes them, so that arrays and
+   * objects reach WordPress intact: arrays are encoded as repeated
+   * <code>name[]</code> parameters and objects as <code>name[key]</code>
+   * parameters (e.g. <code>{include:[3, 4], meta:{color:"red"}}</code> becomes
+   * <code>include[]=3&include[]=4&meta[color]=red</code>). PHP keeps only the
+   * last of repeated parameters without brackets. <code>null</code> and
+   * <code>undefined</code> values are omitted.
    *
-   * @param {String} endpoint The API enpoint to invoke (e.g. "users/me")
-   * @param {Object|String} [params=null] The parameters to include with the
-   * API call. If <code>null</code>, no parameters will be sent. If this
-   * is an object, it will be parsed into a URL query string. If this is
-   * a string, it must be a query string since it will be used as is.
-   * @param {String} [method="POST"] The method used to send paramaters with
-   * the API call. Valid values include "POST" and "GET" ("PUT" may also work but
-   * it's currently not recommended).
-   * @param {String} [method="POST"] The method used to send paramaters with
-   * the API call. Valid values include "POST" and "GET" ("PUT" may also work but
-   * it's currently not recommended).
+   * @param {Object} params The parameters to encode.
+   * @param {String} [prefix=null] The name the parameters are nested in.
+   *
+   * @return {String} The URL-encoded parameters.
+   */
+   encodeParams(params, prefix=null) {
+     var pairs = new Array();
+     var isArray = Array.isArray(params);
+     for (var key in params) {
+       var value = params[key];
+       if ((value == null) || (value == undefined) || (typeof(value) == "function")) {
+         continue;
+       }
+       var name = key;
+       if (prefix != null) {
+         //objects in arrays keep their index so that their keys stay together
+         name = ((isArray == true) && (typeof(value) != "object")) ? prefix + "[]" : prefix + "[" + key + "]";
+       }
+       if ((typeof(value) == "object") && ((value instanceof Date) == false)) {
+         var nested = this.encodeParams(value, name);
+         if (nested != "") {
+           pairs.push(nested);
+         }
+       } else {
+         if (value instanceof Date) {
+           value = value.toISOString();
+         }
+         pairs.push(encodeURIComponent(name) + "=" + encodeURIComponent(String(value)));
+       }
+     }
+     return (pairs.join("&"));
+   }
 
-   * @return {Promise} The promise resolves <code>true</code> if the API
-   * settings could be succesfully retrieved and parsed, <code>false</code>
-   * otherwise. The promise rejects (throws) with an <code>Error</code> if
-   * authentication has not successfully completed (via [login]{@link WPAPILib#login}).
+   /**
+   * Appends parameters to the query string of a path. The path may already
+   * include a query string (for example when using the <code>?rest_route=</code>
+   * gateway).
    *
-   * @async
+   * @param {String} path The path to append parameters to.
+   * @param {Object|String} [params=null] The parameters to append. If this
+   * is an object, it will be encoded by [encodeParams]{@link WPAPILib#encodeParams}.
+   * If this is a string, it must be a query string since it will be used as is.
+   *
+   * @return {String} The path including the parameters.
    */
-   async callAPI(endpoint, params=null, method="POST", useAuth=true) {
-     if ((this.authenticated == false) && (useAuth == true)) {
-       throw (new Error(`API call "${route}" requires authentication.`));
+   addQueryParams(path, params=null) {
+     if ((params == null) || (params == undefined)) {
+       return (path);
      }
-     var route = this.APIGateway + this.APIVersionString + endpoint;
-     route = route.split("//").join("/");
-     var reqResObj = this.buildRequest(route, params, method, useAuth);
-     try {
-       reqResObj.request.end();
-     } catch (error) {
+     if (typeof(params) == "object") {
+       params = this.encodeParams(params);
      }
-     await reqResObj.promise;
-     var responseObj = new Object();
-     responseObj.request = reqResObj.request;
-     responseObj.response = reqResObj.response;
-     responseObj.status = reqResObj.response;
-     responseObj.data = reqResObj.data;
-     return (responseObj);
+     if (params == "") {
+       return (path);
+     }
+     if (path.includes("?")) {
+       return (path + "&" + params);
+     }
+     return (path + "?" + params);
    }
 
    /**
@@ -360,56 +2086,365 @@ module.exports = class WPAPILib {
    *
    * @param {String} path The server path to construct the call with. This is
    * appended to the base server path  (<code>this._baseURL.pathname</code>)
-   * @param {Object|String} [data=null] The data to include with the request.
-   * If this is an object, it is converted to URL-encoded parameters. If it's a
-   * string it's used as is. If <code>null</code>, it is not included in the request.
+   * @param {Object|String|Buffer|stream.Readable} [data=null] The data to include
+   * with the request. If this is a plain object, it is converted to URL-encoded
+   * parameters (see [encodeParams]{@link WPAPILib#encodeParams}). If it's a string or <code>Buffer</code> it's used as is. If it's
+   * a readable stream, it is piped into the request immediately and ends the
+   * request when the stream ends (<code>request.end()</code> must not be called).
+   * If <code>null</code>, it is not included in the request.
    * @param {String} [method="POST"] The method to be used to send the request.
    * Valid methods include "POST" and "GET" ("PUT" may also work but it is not
    * currently recommended).
    * @param {Boolean} [useAuth=true] If true and authentication is available it
-   * will be used, otherwise the request will be built without authentication
-   * information.
+   * will be applied by the current [auth]{@link WPAPILib#auth} strategy, otherwise
+   * the request will be built without authentication information. Matching
+   * cookies from the [cookieJar]{@link WPAPILib#cookieJar} are always included
+   * except for WordPress authentication cookies, which are only included if
+   * authentication is used.
+   * @param {Object} [options=null] Additional request options.
+   * @param {Boolean} [options.json=false] If true, an object <code>data</code>
+   * parameter is JSON-encoded and sent as "application/json".
+   * @param {String} [options.contentType="application/x-www-form-urlencoded"]
+   * The "Content-Type" header of the request body.
+   * @param {Number} [options.contentLength=null] The length of a stream body,
+   * in bytes. If omitted for a stream, the body is sent without a
+   * "Content-Length" header.
+   * @param {Object} [options.headers=null] Additional name-value pairs of
+   * headers to include with the request.
+   * @param {Function} [options.onProgress=null] A function invoked with an
+   * object containing the number of body bytes <code>loaded</code> (sent) and
+   * the <code>total</code> body length (or <code>null</code> if unknown) as
+   * the request body is sent.
+   * @param {Number} [options.timeout] The number of milliseconds the request may
+   * wait for the server before failing with an "ETIMEDOUT" error. Defaults to
+   * [timeout]{@link WPAPILib#timeout}; use 0 to disable the timeout.
+   * @param {AbortSignal} [options.signal=null] A signal that cancels the request,
+   * failing it with an "AbortError".
+   * @param {Boolean} [options.compress] If true, a compressed response is
+   * requested (and decoded). Defaults to [compress]{@link WPAPILib#compress}.
+   * @param {Boolean} [options.stream=false] If true, the <code>promise</code>
+   * resolves as soon as the response headers arrive, and the returned object's
+   * <code>stream</code> property is a readable stream of the decoded body.
    *
    * @return {Object} Contains the <code>request</code> and <code>response</code>
-   * objects, the returned raw <code>data</code> string, and the <code>promise</code>
-   * that resolves or rejects when the request has completed or failed. Note that
+   * objects, the returned <code>data</code> string and raw <code>body</code>
+   * <code>Buffer</code> (or the body <code>stream</code>), the <code>promise</code>
+   * that resolves or rejects when the request has completed or failed, and a
+   * <code>streamBody</code> flag that is <code>true</code> if the body is being
+   * piped into the request (in which case <code>request.end()</code> must not be
+   * called). Note that
    * <code>response</code> and <code>data</code> will be <code>null</code> until
    * the promise resolves or rejects. Additional properties such as <code>session</code>
    * and <code>socket</code> may be included if [useHTTP2]{@link WPAPILib#useHTTP2} is
    * <code>true</code>.
    */
-   buildRequest(path="", data=null, method="POST", useAuth=true) {
-     var headers = this.addHeader("Content-Type", "application/x-www-form-urlencoded", headers);
+   buildRequest(path="", data=null, method="POST", useAuth=true, options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     var contentType = options.contentType || "application/x-www-form-urlencoded";
+     if ((options.json == true) && (options.contentType == undefined)) {
+       contentType = "application/json";
+     }
+     var headers = this.addHeader("Content-Type", contentType, headers);
+     var contentLength = null;
      if (data == null) {
-       this.addHeader("Content-Length", "0", headers);
+       contentLength = 0;
+     } else if (this.isStream(data) == true) {
+       if ((options.contentLength != undefined) && (options.contentLength != null)) {
+         contentLength = options.contentLength;
+       }
      } else {
-       if (typeof(data) == "object") {
-         data = querystring.stringify(data);
+       if ((typeof(data) == "object") && (Buffer.isBuffer(data) == false)) {
+         if (options.json == true) {
+           data = JSON.stringify(data);
+         } else {
+           data = this.encodeParams(data);
+         }
        }
-       this.addHeader("Content-Length", String(Buffer.byteLength(data)), headers);
+       contentLength = Buffer.byteLength(data);
+     }
+     if (contentLength != null) {
+       this.addHeader("Content-Length", String(contentLength), headers);
      }
      this.addHeader("Accept", "application/json,text/javascript,text/html,application/xhtml+xml,application/xml, */*", headers);
-     this.addHeader("Accept-Encoding", "identity", headers);
+     var compress = this.compress;
+     if (options.compress != undefined) {
+       compress = (options.compress == true);
+     }
+     this.addHeader("Accept-Encoding", (compress == true) ? "gzip, deflate, br" : "identity", headers);
      this.addHeader("Accept-Language", "en-CA,en-US,en", headers);
      this.addHeader("User-Agent", this.userAgent, headers);
-     if ((this.authenticated == true) && (useAuth == true)) {
-       this.addHeader("Cookie", this.authHeader, headers);
-       if (this.APINonce != null) {
-         this.addHeader("X-WP-Nonce", this.APINonce, headers);
+     var fullPath = this._baseURL.pathname + "/" + path;
+     fullPath = fullPath.replace(/\/{2,}/g, "/");
+     var url = new URL(fullPath, this._baseURL.origin);
+     var useCredentials = ((this.authenticated == true) && (useAuth == true));
+     var cookieHeader = this.cookieJar.getCookieHeader(url, useCredentials);
+     if (cookieHeader != null) {
+       this.addHeader("Cookie", cookieHeader, headers);
+     }
+     if (useCredentials == true) {
+       var authRequest = new Object();
+       authRequest.method = method;
+       authRequest.url = url;
+       authRequest.headers = headers;
+       authRequest.body = data;
+       authRequest.contentType = contentType;
+       this.auth.authorize(this, authRequest);
+     }
+     if ((options.headers != undefined) && (options.headers != null)) {
+       for (var name in options.headers) {
+         this.addHeader(name, options.headers[name], headers);
        }
-     } else {
-       this.addHeader("Cookie", "humans_21909=1", headers);
      }
-     var fullPath = this._baseURL.pathname + "/" + path;
-     fullPath = fullPath.split("//").join("/");
+     var context = this.interceptRequest(method, fullPath, headers, data, useAuth);
+     fullPath = context.path;
+     headers = context.headers;
+     if ((context.body != data) && (this.isStream(context.body) == false)) {
+       if ((context.body != null) && (typeof(context.body) == "object") && (ArrayBuffer.isView(context.body) == false)
+         && ((context.body instanceof ArrayBuffer) == false)) {
+         context.body = this.encodeInterceptedBody(context.body, headers);
+       }
+       contentLength = (context.body == null) ? 0 : Buffer.byteLength(context.body);
+       this.addHeader("Content-Length", String(contentLength), headers);
+     }
+     data = context.body;
+     if ((typeof(options.onProgress) == "function") && (data != null)) {
+       data = this.trackProgress(data, contentLength, options.onProgress);
+     }
+     var streamResponse = (options.stream == true);
      if (this.useHTTP2 == true) {
-        var returnObj = this.buildHTTP2Request(fullPath, method, data, headers);
+        var returnObj = this.buildHTTP2Request(fullPath, method, data, headers, streamResponse);
      } else {
-        returnObj = this.buildHTTP1Request(fullPath, method, data, headers);
+        returnObj = this.buildHTTP1Request(fullPath, method, data, headers, streamResponse);
      }
+     returnObj.streamBody = this.isStream(data);
+     var timeout = this.timeout;
+     if (typeof(options.timeout) == "number") {
+       timeout = options.timeout;
+     }
+     this.limitRequest(returnObj, timeout, options.signal || null);
+     this.interceptResponse(returnObj, context);
      return (returnObj);
    }
 
+   /**
+   * Creates the context of an outgoing request and passes it to the
+   * [beforeRequest]{@link WPInterceptor#beforeRequest} hook of each interceptor.
+   *
+   * @param {String} method The request method.
+   * @param {String} path The request path, including the query string.
+   * @param {Object} headers The request headers.
+   * @param {String|Buffer|stream.Readable} data The encoded request body, or <code>null</code>.
+   * @param {Boolean} useAuth True if the request uses the current authentication.
+   *
+   * @return {Object} The request context (see [WPInterceptor]{@link WPInterceptor}).
+   * @private
+   */
+   interceptRequest(method, path, headers, data, useAuth) {
+     var context = new Object();
+     context.method = method;
+     context.path = path;
+     context.url = new URL(path, this._baseURL.origin).href;
+     context.headers = headers;
+     context.body = data;
+     context.useAuth = useAuth;
+     context.started = Date.now();
+     for (var count = 0; count < this._interceptors.length; count++) {
+       var interceptor = this._interceptors[count];
+       if (typeof(interceptor.beforeRequest) == "function") {
+         var result = interceptor.beforeRequest(this, context);
+         if ((result != null) && (result != undefined) && (typeof(result.then) == "function")) {
+           //the request is sent without waiting, so later changes would be silently lost
+           result.then(null, error => {});
+           throw (new Error(`The beforeRequest hook of interceptor "${interceptor.constructor.name}" returned a promise; requests must be changed synchronously.`));
+         }
+       }
+     }
+     if (context.path != path) {
+       context.url = new URL(context.path, this._baseURL.origin).href;
+     }
+     return (context);
+   }
+
+   /**
+   * Encodes a request body object set by an interceptor in the same way as
+   * [buildRequest]{@link WPAPILib#buildRequest}: as JSON if the request's
+   * "Content-Type" is JSON, otherwise as form parameters.
+   *
+   * @param {Object} body The body object.
+   * @param {Object} headers The request headers.
+   *
+   * @return {String} The encoded body.
+   * @private
+   */
+   encodeInterceptedBody(body, headers) {
+     var contentType = "";
+     for (var name in headers) {
+       if (name.toLowerCase() == "content-type") {
+         contentType = String(headers[name]);
+       }
+     }
+     if (/^[^;]*[\/+]json\s*(;|$)/i.test(contentType) == true) {
+       return (JSON.stringify(body));
+     }
+     return (this.encodeParams(body));
+   }
+
+   /**
+   * Passes the outcome of a request built by [buildRequest]{@link WPAPILib#buildRequest}
+   * to the [afterResponse]{@link WPInterceptor#afterResponse} or
+   * [onError]{@link WPInterceptor#onError} hook of each interceptor before
+   * its <code>promise</code> settles.
+   *
+   * @param {Object} reqResObj The request / response object.
+   * @param {Object} context The request context.
+   * @private
+   */
+   interceptResponse(reqResObj, context) {
+     reqResObj.context = context;
+     if (this._interceptors.length == 0) {
+       return;
+     }
+     var requestPromise = reqResObj.promise;
+     reqResObj.promise = requestPromise.then(async result => {
+       context.duration = Date.now() - context.started;
+       context.response = reqResObj.response;
+       context.status = reqResObj.response.statusCode;
+       context.responseHeaders = reqResObj.response.headers;
+       context.responseBody = (reqResObj.body == undefined) ? null : reqResObj.body;
+       var interceptors = this._interceptors.slice();
+       for (var count = 0; count < interceptors.length; count++) {
+         if (typeof(interceptors[count].afterResponse) == "function") {
+           await interceptors[count].afterResponse(this, context);
+         }
+       }
+       if ((context.responseBody != null) && (context.responseBody !== reqResObj.body)) {
+         reqResObj.body = Buffer.from(context.responseBody);
+         reqResObj.data = reqResObj.body.toString("utf8");
+       }
+       return (result);
+     }, async error => {
+       context.duration = Date.now() - context.started;
+       throw (await this.interceptError(context, error));
+     });
+   }
+
+   /**
+   * Passes a failed request to the [onError]{@link WPInterceptor#onError} hook
+   * of each interceptor.
+   *
+   * @param {Object} context The request context.
+   * @param {Error} error The error the request failed with.
+   *
+   * @return {Promise} The promise resolves with the error to throw, which
+   * interceptors may have replaced.
+   *
+   * @async
+   * @private
+   */
+   async interceptError(context, error) {
+     if ((context == undefined) || (context == null)) {
+       return (error);
+     }
+     context.error = error;
+     var interceptors = this._interceptors.slice();
+     for (var count = 0; count < interceptors.length; count++) {
+       if (typeof(interceptors[count].onError) == "function") {
+         await interceptors[count].onError(this, context);
+       }
+     }
+     return (context.error);
+   }
+
+   /**
+   * Applies a timeout and an abort signal to a request / response object
+   * created by [buildRequest]{@link WPAPILib#buildRequest}. If either one
+   * fires, the request is destroyed and its <code>promise</code> rejects.
+   *
+   * @param {Object} reqResObj The request / response object.
+   * @param {Number} timeout The number of milliseconds the request may be
+   * inactive, or 0 for no timeout.
+   * @param {AbortSignal} [signal=null] A signal that cancels the request.
+   * @private
+   */
+   limitRequest(reqResObj, timeout, signal=null) {
+     var request = reqResObj.request;
+     var requestPromise = reqResObj.promise;
+     if ((request == null) || ((timeout <= 0) && (signal == null))) {
+       return;
+     }
+     reqResObj.promise = new Promise((resolve, reject) => {
+       var done = false;
+       var responseStream = null;
+       var fail = error => {
+         if (done == false) {
+           done = true;
+           reject(error);
+           request.destroy(error);
+           if (responseStream != null) {
+             responseStream.destroy(error);
+           }
+         }
+       };
+       var onAbort = () => {
+         fail(this.createAbortError(signal));
+       };
+       var cleanup = () => {
+         done = true;
+         if (signal != null) {
+           signal.removeEventListener("abort", onAbort);
+         }
+       };
+       if (timeout > 0) {
+         request.setTimeout(timeout, () => {
+           var error = new Error(`Request timed out after ${timeout}ms without a server response.`);
+           error.code = "ETIMEDOUT";
+           fail(error);
+         });
+       }
+       if (signal != null) {
+         if (signal.aborted == true) {
+           //defer so that the caller can still end the request
+           process.nextTick(onAbort);
+         } else {
+           signal.addEventListener("abort", onAbort, {once: true});
+         }
+       }
+       requestPromise.then(result => {
+         if ((result.stream != undefined) && (result.stream != null)) {
+           //keep limiting the request until the streamed body is consumed
+           responseStream = result.stream;
+           responseStream.once("close", cleanup);
+         } else {
+           cleanup();
+         }
+         resolve(result);
+       }, error => {
+         cleanup();
+         reject(error);
+       });
+     });
+   }
+
+   /**
+   * Creates the error used to reject cancelled requests.
+   *
+   * @param {AbortSignal} [signal=null] The signal that cancelled the request.
+   *
+   * @return {Error} An error named "AbortError" with the code "ABORT_ERR".
+   * @private
+   */
+   createAbortError(signal=null) {
+     var error = new Error("The request was aborted.");
+     error.name = "AbortError";
+     error.code = "ABORT_ERR";
+     if ((signal != null) && (signal.reason != undefined)) {
+       error.cause = signal.reason;
+     }
+     return (error);
+   }
+
    /**
    * Builds a new HTTP/1.1 request / response object.
    *
@@ -417,10 +2452,14 @@ module.exports = class WPAPILib {
    * send the request to.
    * @param {String} method The method to use to send the data. Can be either
    * "POST" or "GET" ("PUT" may also work but is not currentlu recommended).
-   * @param {String} data The URL-encoded data string to include with the request.
-   * If <code>null</code>, no data is sent with the request.
+   * @param {String|Buffer|stream.Readable} data The encoded data to include with
+   * the request. Streams are piped into the request. If <code>null</code>, no data
+   * is sent with the request.
    * @param {Object} headers Name-value pairs of headers to send include with the
    * request. If included, the "Host" and "Connection" headers will be over-written
+   * @param {Boolean} [streamResponse=false] If true, the promise resolves when
+   * the response headers arrive and the body is available as a readable
+   * <code>stream</code> (see [readResponse]{@link WPAPILib#readResponse}).
    *
    * @return {Object} Contains the HTTP <code>request</code> and proxy
    * <code>response</code> object (contains properties similar to a standard HTTP response),
@@ -429,7 +2468,7 @@ module.exports = class WPAPILib {
    * <code>response</code> and <code>data</code> will be <code>null</code> until
    * the promise resolves or rejects.
    */
-   buildHTTP1Request(path, method, data, headers) {
+   buildHTTP1Request(path, method, data, headers, streamResponse=false) {
      this.addHeader("Host", this._baseURL.hostname, headers);
      this.addHeader("Connection","keep-alive", headers);
      var options = {
@@ -437,7 +2476,17 @@ module.exports = class WPAPILib {
        port: this._baseURL.port,
        path: path,
        method: method,
-       headers: headers
+       headers: headers,
+       agent: this.connectionPool.getAgent(this._baseURL.protocol)
+     }
+     if (this._baseURL.protocol == "http:") {
+       var proxy = this.connectionPool.getForwardingProxy(this._baseURL.hostname, this._baseURL.port);
+       if (proxy != null) {
+         options.path = this._baseURL.origin + path;
+         if (proxy.authorization != null) {
+           this.addHeader("Proxy-Authorization", proxy.authorization, headers);
+         }
+       }
      }
      var returnObj = new Object();
      returnObj.request = null;
@@ -447,41 +2496,30 @@ module.exports = class WPAPILib {
        switch (this._baseURL.protocol) {
           case "http:":
             returnObj.request = http.request(options, response => {
-              var chunkedData = new String();
-              response.on("data", chunk => {
-                 chunkedData += chunk.toString();
-               });
-               response.on("end", _ => {
-                 returnObj.response = response;
-                 returnObj.data = chunkedData;
-                 resolve(returnObj);
-              });
+              this.cookieJar.updateFromResponse(response.headers, new URL(path, this._baseURL.origin));
+              returnObj.response = response;
+              this.readResponse(returnObj, response, streamResponse, resolve, reject);
             });
             break;
           case "https:":
             returnObj.request = https.request(options, response => {
-              var chunkedData = new String();
-              response.on("data", chunk => {
-                 chunkedData += chunk.toString();
-               })
-               response.on("end", _ => {
-                 returnObj.response = response;
-                 returnObj.data = chunkedData;
-                 resolve(returnObj);
-              })
-            })
+              this.cookieJar.updateFromResponse(response.headers, new URL(path, this._baseURL.origin));
+              returnObj.response = response;
+              this.readResponse(returnObj, response, streamResponse, resolve, reject);
+            });
             break;
           default:
             reject (new Error(`Unsupported protocol ${this._baseURL.protocol}`));
-            break;
+            return;
           }
+          returnObj.request.on("error", error => {
+            reject(error);
+          })
        });
-       if (data != null) {
-         returnObj.request.write(data);
+       //the request isn't created if its options are invalid (e.g. a header value); the promise rejects instead
+       if ((data != null) && (returnObj.request != null)) {
+         this.writeRequestBody(returnObj.request, data);
        }
-       returnObj.request.on("error", error => {
-         reject(new Error(error));
-       })
        return (returnObj);
    }
 
@@ -492,11 +2530,15 @@ module.exports = class WPAPILib {
    * send the request to.
    * @param {String} method The method to use to send the data. Can be either
    * "POST" or "GET" ("PUT" may also work but is not currentlu recommended).
-   * @param {String} data The URL-encoded data string to include with the request.
-   * If <code>null</code>, no data is sent with the request.
+   * @param {String|Buffer|stream.Readable} data The encoded data to include with
+   * the request. Streams are piped into the request. If <code>null</code>, no data
+   * is sent with the request.
    * @param {Object} headers Name-value pairs of headers to send include with the
    * request. Note that any reserved headers such as "path" or "method" will cause
    * an exception to be thrown.
+   * @param {Boolean} [streamResponse=false] If true, the promise resolves when
+   * the response headers arrive and the body is available as a readable
+   * <code>stream</code> (see [readResponse]{@link WPAPILib#readResponse}).
    *
    * @return {Object} Contains the HTTP <code>request</code> and proxy
    * <code>response</code> object (contains properties similar to a standard HTTP response),
@@ -505,7 +2547,7 @@ module.exports = class WPAPILib {
    * <code>response</code> and <code>data</code> will be <code>null</code> until
    * the promise resolves or rejects. Additional HTTP/2 request properties may be included.
    */
-   buildHTTP2Request(path, method, data, headers) {
+   buildHTTP2Request(path, method, data, headers, streamResponse=false) {
      this.addHeader(":path", path, headers);
      this.addHeader(":method", method, headers);
      var returnObj = new Object();
@@ -515,37 +2557,203 @@ module.exports = class WPAPILib {
      returnObj.promise = new Promise((resolve, reject) => {
        if ((this._baseURL.protocol != "http:") && (this._baseURL.protocol != "https:")) {
          reject (new Error(`Unsupported protocol ${this._baseURL.protocol}`));
+         return;
        }
-       returnObj.client = http2.connect(this._baseURL.protocol + "//" + this._baseURL.hostname, {}, (h2Session, h2Socket) => {
-         //HTTP/2 connection established
-         returnObj.session = h2Session;
-         returnObj.socket = h2Socket;
-       });
+       //the origin includes any non-default port
+       var origin = this._baseURL.origin;
+       returnObj.client = this.connectionPool.getSession(origin);
+       returnObj.session = returnObj.client;
+       returnObj.socket = returnObj.client.socket;
        returnObj.request = returnObj.client.request(headers);
+       this.connectionPool.trackStream(origin, returnObj.request);
        returnObj.request.on("response", (headers, flags) => {
-          var chunkedData = new String();
+          this.cookieJar.updateFromResponse(headers, new URL(path, this._baseURL.origin));
           returnObj.response = new Object();
           returnObj.response.headers = headers;
           var statusDesc = Object.getOwnPropertyDescriptor(headers, ":status");
           returnObj.response.statusCode = statusDesc.value;
-          returnObj.request.on("data", chunk => {
-             chunkedData += chunk.toString();
-           });
-           returnObj.request.on("end", _ => {
-             returnObj.data = chunkedData;
-             resolve(returnObj);
-          });
+          this.readResponse(returnObj, returnObj.request, streamResponse, resolve, reject);
        });
        if (data != null) {
-         returnObj.request.write(data);
+         this.writeRequestBody(returnObj.request, data);
        }
        returnObj.request.on("error", error => {
-         reject(new Error(error));
+         reject(error);
        })
+       //streams of a destroyed session may close without an error
+       returnObj.request.on("close", () => {
+         if (returnObj.response == null) {
+           var error = new Error("The HTTP/2 stream closed before a response was received.");
+           error.code = "ECONNRESET";
+           reject(error);
+         }
+       });
      });
      return (returnObj);
    }
 
+   /**
+   * Reads the body of a response received by [buildHTTP1Request]{@link WPAPILib#buildHTTP1Request}
+   * or [buildHTTP2Request]{@link WPAPILib#buildHTTP2Request}, decoding it if
+   * it's compressed. The complete body is stored in the request / response
+   * object as a <code>body</code> <code>Buffer</code> and a UTF-8
+   * <code>data</code> string, or, if streaming, the decoded body is stored
+   * as a readable <code>stream</code> without being read.
+   *
+   * @param {Object} reqResObj The request / response object.
+   * @param {stream.Readable} source The response body stream.
+   * @param {Boolean} streamResponse If true, the body is exposed as a stream.
+   * @param {Function} resolve Resolves the request promise.
+   * @param {Function} reject Rejects the request promise.
+   * @private
+   */
+   readResponse(reqResObj, source, streamResponse, resolve, reject) {
+     var body = this.decodeResponse(source, reqResObj.response.headers);
+     if (streamResponse == true) {
+       reqResObj.stream = body;
+       resolve(reqResObj);
+       return;
+     }
+     this.readStream(body).then(buffer => {
+       reqResObj.body = buffer;
+       reqResObj.data = buffer.toString("utf8");
+       resolve(reqResObj);
+     }, reject);
+   }
+
+   /**
+   * Decodes a response body according to its "Content-Encoding" header.
+   *
+   * @param {stream.Readable} source The (possibly compressed) response body.
+   * @param {Object} headers The response headers.
+   *
+   * @return {stream.Readable} The decoded body. This is <code>source</code>
+   * itself if the body isn't compressed. Errors and destruction of
+   * <code>source</code> are forwarded to the decoded stream.
+   */
+   decodeResponse(source, headers) {
+     var encoding = String(headers["content-encoding"] || "").trim().toLowerCase();
+     //flushing tolerates the empty bodies of HEAD, 204 and 304 responses
+     var flushOptions = new Object();
+     flushOptions.flush = zlib.constants.Z_SYNC_FLUSH;
+     flushOptions.finishFlush = zlib.constants.Z_SYNC_FLUSH;
+     switch (encoding) {
+       case "gzip":
+       case "x-gzip":
+         var decoder = zlib.createGunzip(flushOptions);
+         break;
+       case "deflate":
+         decoder = zlib.createInflate(flushOptions);
+         break;
+       case "br":
+         var brotliOptions = new Object();
+         brotliOptions.flush = zlib.constants.BROTLI_OPERATION_FLUSH;
+         brotliOptions.finishFlush = zlib.constants.BROTLI_OPERATION_FLUSH;
+         decoder = zlib.createBrotliDecompress(brotliOptions);
+         break;
+       default:
+         return (source);
+     }
+     stream.pipeline(source, decoder, error => {
+       //errors are emitted by the decoder
+     });
+     return (decoder);
+   }
+
+   /**
+   * Reads a stream to the end.
+   *
+   * @param {stream.Readable} source The stream to read.
+   *
+   * @return {Promise} The promise resolves with the contents of the stream
+   * as a <code>Buffer</code>, or rejects if the stream fails.
+   *
+   * @async
+   */
+   readStream(source) {
+     return (new Promise((resolve, reject) => {
+       var chunks = new Array();
+       source.on("data", chunk => {
+         chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+       });
+       source.on("end", () => {
+         resolve(Buffer.concat(chunks));
+       });
+       source.on("error", reject);
+     }));
+   }
+
+   /**
+   * Writes a request body to an outgoing HTTP/1.1 request or HTTP/2 stream.
+   * Strings and <code>Buffer</code> objects are written directly, readable
+   * streams are piped (ending the request when the stream ends). Stream
+   * errors are forwarded to the request.
+   *
+   * @param {http.ClientRequest|http2.ClientHttp2Stream} request The outgoing
+   * request to write to.
+   * @param {String|Buffer|stream.Readable} data The body to write.
+   */
+   writeRequestBody(request, data) {
+     if (this.isStream(data) == true) {
+       data.on("error", error => {
+         request.destroy(error);
+       });
+       data.pipe(request);
+     } else {
+       request.write(data);
+     }
+   }
+
+   /**
+   * Wraps a request body so that upload progress can be reported.
+   *
+   * @param {String|Buffer|stream.Readable} data The request body to track.
+   * @param {Number} total The total body length in bytes, or <code>null</code>
+   * if unknown.
+   * @param {Function} onProgress The function to invoke with an object
+   * containing the number of bytes <code>loaded</code> and the <code>total</code>.
+   *
+   * @return {stream.Readable} A readable stream that passes through the body
+   * data, reporting progress as it's read.
+   */
+   trackProgress(data, total, onProgress) {
+     var loaded = 0;
+     var tracker = new stream.Transform({
+       transform: (chunk, encoding, callback) => {
+         loaded += chunk.length;
+         var progressObj = new Object();
+         progressObj.loaded = loaded;
+         progressObj.total = total;
+         onProgress(progressObj);
+         callback(null, chunk);
+       }
+     });
+     if (this.isStream(data) == true) {
+       data.on("error", error => {
+         tracker.destroy(error);
+       });
+       data.pipe(tracker);
+     } else {
+       tracker.end(data);
+     }
+     return (tracker);
+   }
+
+   /**
+   * Checks if an object is a readable stream.
+   *
+   * @param {*} obj The object to check.
+   *
+   * @return {Boolean} <code>true</code> if the object is a readable stream,
+   * <code>false</code> otherwise.
+   */
+   isStream(obj) {
+     if ((obj == null) || (obj == undefined) || (typeof(obj) != "object")) {
+       return (false);
+     }
+     return ((typeof(obj.pipe) == "function") && (typeof(obj.on) == "function"));
+   }
+
    /**
    * Adds a header name-value pair to a new or existing header object.
    *
@@ -0,0 +1,351 @@
+/**
+* @file A builder for WordPress REST API batch requests.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const querystring = require('querystring');
+const WPAPIError = require('./WPAPIError.js');
+
+/**
+* @class Queues create, update and delete calls and sends them through the
+* WordPress (5.6+) "/batch/v1" route, which runs several sub-requests in one
+* HTTP round trip. Queued calls are split into chunks no larger than the
+* server allows, and each sub-response is matched back to its call.
+* Instances are usually created using [batch]{@link WPAPILib#batch}.
+*/
+module.exports = class WPBatch {
+
+  /**
+  * Creates a new instance of WPBatch
+  *
+  * @param {WPAPILib} client The client instance used to send the batches.
+  * @param {Object} [options=null] Batch options.
+  * @param {String} [options.validation="require-all-validate"] The batch
+  * validation mode. If "require-all-validate", no request in a chunk is
+  * executed unless all of the requests in it are valid. If "normal", valid
+  * requests are executed even if others fail.
+  * @param {Number} [options.chunkSize] The maximum number of sub-requests sent
+  * in one batch. Defaults to the limit reported in the REST index, or 25.
+  */
+   constructor(client, options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._client = client;
+     this._validation = options.validation || "require-all-validate";
+     if ((this._validation != "require-all-validate") && (this._validation != "normal")) {
+       throw (new Error(`Unsupported batch validation mode "${this._validation}".`));
+     }
+     this._chunkSize = options.chunkSize || null;
+     this._calls = new Array();
+   }
+
+   /**
+   * @property {Number} maxChunkSize The default maximum number of sub-requests
+   * allowed by WordPress in a single batch.
+   * @static
+   * @readonly
+   */
+   static get maxChunkSize() {
+     return (25);
+   }
+
+   /**
+   * @property {WPAPILib} client The client instance used to send the batches.
+   * @readonly
+   */
+   get client() {
+     return (this._client);
+   }
+
+   /**
+   * @property {String} validation The batch validation mode, either
+   * "require-all-validate" or "normal".
+   * @readonly
+   */
+   get validation() {
+     return (this._validation);
+   }
+
+   /**
+   * @property {Number} chunkSize The maximum number of sub-requests sent in
+   * one batch; either the size set when the batch was created, the
+   * <code>maxItems</code> reported for the batch route in the
+   * [APIIndex]{@link WPAPILib#APIIndex}, or [maxChunkSize]{@link WPBatch.maxChunkSize}.
+   * @readonly
+   */
+   get chunkSize() {
+     if (this._chunkSize != null) {
+       return (this._chunkSize);
+     }
+     var index = this.client.APIIndex;
+     try {
+       var maxItems = index.routes["/batch/v1"].endpoints[0].args.requests.maxItems;
+       if ((typeof(maxItems) == "number") && (maxItems > 0)) {
+         return (maxItems);
+       }
+     } catch (error) {
+       //index not loaded or batch route not listed
+     }
+     return (WPBatch.maxChunkSize);
+   }
+
+   /**
+   * @property {Number} length The number of queued calls.
+   * @readonly
+   */
+   get length() {
+     return (this._calls.length);
+   }
+
+   /**
+   * Queues a call to an endpoint of the current API version, like
+   * [WPAPILib.callAPI]{@link WPAPILib#callAPI}.
+   *
+   * @param {String} endpoint The API endpoint to invoke (e.g. "posts/123").
+   * @param {Object|String} [params=null] The parameters of the call. These are
+   * sent in the sub-request body for POST, PUT and PATCH, and in the query
+   * string for DELETE.
+   * @param {String} [method="POST"] The HTTP method of the call. Batches
+   * support "POST", "PUT", "PATCH" and "DELETE".
+   *
+   * @return {Promise} The promise resolves with the call's result object (see
+   * [send]{@link WPBatch#send}) once its batch has been sent, or rejects with
+   * a [WPAPIError]{@link WPAPIError} if the sub-request failed.
+   */
+   callAPI(endpoint, params=null, method="POST") {
+     return (this.callRoute("/" + this.client.APIVersionString + endpoint, params, method));
+   }
+
+   /**
+   * Queues a call to a namespaced API route, like
+   * [WPAPILib.callRoute]{@link WPAPILib#callRoute}.
+   *
+   * @param {String} route The namespaced API route to invoke (e.g. "/wp/v2/posts/123").
+   * @param {Object|String} [params=null] The parameters of the call (see
+   * [callAPI]{@link WPBatch#callAPI}).
+   * @param {String} [method="POST"] The HTTP method of the call.
+   *
+   * @return {Promise} The promise resolves with the call's result object or
+   * rejects with a [WPAPIError]{@link WPAPIError} (see [callAPI]{@link WPBatch#callAPI}).
+   */
+   callRoute(route, params=null, method="POST") {
+     method = method.toUpperCase();
+     if (["POST", "PUT", "PATCH", "DELETE"].includes(method) == false) {
+       throw (new Error(`Batch requests can't use the ${method} method.`));
+     }
+     if (typeof(params) == "string") {
+       params = querystring.parse(params);
+     }
+     route = ("/" + route).replace(/\/{2,}/g, "/");
+     var call = new Object();
+     call.route = route;
+     call.method = method;
+     call.params = params;
+     call.promise = new Promise((resolve, reject) => {
+       call.resolve = resolve;
+       call.reject = reject;
+     });
+     //callers that only inspect the results of send() needn't handle each call
+     call.promise.catch(error => {});
+     this._calls.push(call);
+     return (call.promise);
+   }
+
+   /**
+   * Queues the creation of an item in a collection.
+   *
+   * @param {String} endpoint The collection endpoint (e.g. "posts").
+   * @param {Object} data The properties of the new item.
+   *
+   * @return {Promise} See [callAPI]{@link WPBatch#callAPI}.
+   */
+   create(endpoint, data) {
+     return (this.callAPI(endpoint, data, "POST"));
+   }
+
+   /**
+   * Queues an update of an item in a collection.
+   *
+   * @param {String} endpoint The collection endpoint (e.g. "posts").
+   * @param {Number|String} id The ID of the item.
+   * @param {Object} data The properties to update.
+   *
+   * @return {Promise} See [callAPI]{@link WPBatch#callAPI}.
+   */
+   update(endpoint, id, data) {
+     return (this.callAPI(`${endpoint}/${id}`, data, "PUT"));
+   }
+
+   /**
+   * Queues the deletion of an item in a collection.
+   *
+   * @param {String} endpoint The collection endpoint (e.g. "posts").
+   * @param {Number|String} id The ID of the item.
+   * @param {Boolean} [force=false] If true, the item is permanently deleted
+   * instead of being moved to the trash.
+   *
+   * @return {Promise} See [callAPI]{@link WPBatch#callAPI}.
+   */
+   delete(endpoint, id, force=false) {
+     var params = null;
+     if (force == true) {
+       params = new Object();
+       params.force = true;
+     }
+     return (this.callAPI(`${endpoint}/${id}`, params, "DELETE"));
+   }
+
+   /**
+   * Sends all queued calls, in order, in chunks of up to
+   * [chunkSize]{@link WPBatch#chunkSize} sub-requests, and empties the queue.
+   * Failed sub-requests don't reject the returned promise; they're reported
+   * in the results (and reject their own call promises).
+   *
+   * @return {Promise} The promise resolves with an array of result objects in
+   * the order the calls were queued. Each contains the call's <code>route</code>
+   * and <code>method</code>, the sub-response <code>status</code> (or
+   * <code>null</code> if the sub-request wasn't executed), <code>headers</code>,
+   * <code>data</code> (the response body), and an <code>error</code>
+   * ([WPAPIError]{@link WPAPIError}) or <code>null</code> if the call succeeded.
+   * The promise rejects if a batch request itself fails; calls in chunks that
+   * weren't sent remain queued.
+   *
+   * @async
+   */
+   async send() {
+     var results = new Array();
+     var chunkSize = this.chunkSize;
+     while (this._calls.length > 0) {
+       var chunk = this._calls.slice(0, chunkSize);
+       try {
+         var chunkResults = await this.sendChunk(chunk);
+       } catch (error) {
+         for (var count = 0; count < chunk.length; count++) {
+           chunk[count].reject(error);
+         }
+         this._calls.splice(0, chunk.length);
+         throw (error);
+       }
+       this._calls.splice(0, chunk.length);
+       results = results.concat(chunkResults);
+     }
+     return (results);
+   }
+
+   /**
+   * Removes all queued calls without sending them. Their promises are rejected.
+   */
+   clear() {
+     var calls = this._calls;
+     this._calls = new Array();
+     for (var count = 0; count < calls.length; count++) {
+       calls[count].reject(new Error("The batch was cleared before the call was sent."));
+     }
+   }
+
+   /**
+   * Sends one chunk of calls as a batch request and settles their promises.
+   *
+   * @param {Array} chunk The queued calls to send.
+   *
+   * @return {Promise} The promise resolves with the result objects of the calls.
+   * @private
+   *
+   * @async
+   */
+   async sendChunk(chunk) {
+     var payload = new Object();
+     payload.validation = this.validation;
+     payload.requests = chunk.map(call => this.buildSubRequest(call));
+     var requestOptions = new Object();
+     requestOptions.json = true;
+     var result = await this.client.callRoute("/batch/v1", payload, "POST", true, requestOptions);
+     var data = result.data;
+     if ((data == null) || (typeof(data) != "object") || (Array.isArray(data.responses) == false)) {
+       throw (new Error("The server returned an invalid batch response."));
+     }
+     var results = new Array();
+     for (var count = 0; count < chunk.length; count++) {
+       var callResult = this.parseSubResponse(chunk[count], data.responses[count], data.failed);
+       if (callResult.error == null) {
+         chunk[count].resolve(callResult);
+       } else {
+         chunk[count].reject(callResult.error);
+       }
+       results.push(callResult);
+     }
+     return (results);
+   }
+
+   /**
+   * Builds the batch payload entry of a call.
+   *
+   * @param {Object} call The queued call.
+   *
+   * @return {Object} The sub-request, containing the <code>method</code>,
+   * <code>path</code> and any <code>body</code>.
+   * @private
+   */
+   buildSubRequest(call) {
+     var request = new Object();
+     request.method = call.method;
+     request.path = call.route;
+     if ((call.params != null) && (call.params != undefined)) {
+       if (call.method == "DELETE") {
+         request.path = this.client.addQueryParams(request.path, call.params);
+       } else {
+         request.body = call.params;
+       }
+     }
+     return (request);
+   }
+
+   /**
+   * Creates the result object of a call from its batch sub-response.
+   *
+   * @param {Object} call The queued call.
+   * @param {Object} response The sub-response (containing the <code>body</code>,
+   * <code>status</code> and <code>headers</code>), or <code>null</code> if
+   * the sub-request wasn't executed.
+   * @param {String} [failed] The batch failure reason reported by the server,
+   * such as "validation".
+   *
+   * @return {Object} The result object (see [send]{@link WPBatch#send}).
+   * @private
+   */
+   parseSubResponse(call, response, failed) {
+     var result = new Object();
+     result.route = call.route;
+     result.method = call.method;
+     result.status = null;
+     result.headers = new Object();
+     result.data = null;
+     result.error = null;
+     var errorDetails = new Object();
+     errorDetails.route = call.route;
+     errorDetails.method = call.method;
+     if ((response == null) || (response == undefined)) {
+       //with require-all-validate, valid requests aren't run if any other is invalid
+       errorDetails.statusCode = null;
+       errorDetails.body = new Object();
+       errorDetails.body.code = "rest_batch_not_executed";
+       errorDetails.body.message = (failed == "validation") ?
+         "The request was not executed because another request in the batch failed validation." :
+         "The request was not executed.";
+       result.error = new WPAPIError(errorDetails);
+       return (result);
+     }
+     result.status = response.status;
+     result.headers = response.headers || new Object();
+     result.data = (response.body == undefined) ? null : response.body;
+     if ((failed == "validation") || (response.status >= 400)) {
+       errorDetails.statusCode = response.status;
+       errorDetails.body = result.data;
+       result.error = new WPAPIError(errorDetails);
+     }
+     return (result);
+   }
+}
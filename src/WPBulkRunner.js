@@ -0,0 +1,489 @@
+/**
+* @file Runs an operation over many items with limited concurrency and rate.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const EventEmitter = require('events');
+
+//marks the results of operations that skipped their item
+const SKIPPED = Symbol("skipped");
+
+/**
+* @class Runs an asynchronous operation (such as retagging a post) over a list
+* of items without overwhelming the site: at most <code>concurrency</code>
+* operations run at once and, optionally, no more than <code>rate</code>
+* operations start per second. A failed operation is recorded and the run
+* continues. If a store is configured, the IDs of the completed items are
+* saved as a checkpoint so that an interrupted run can be resumed without
+* repeating them. The checkpoint is removed once a run completes without
+* failures.
+* <p>
+* The runner emits these events:
+* </p>
+* <ul>
+* <li><code>progress</code> - an item was processed, with an object containing
+* the item <code>id</code>, <code>index</code> and <code>item</code>, its
+* <code>outcome</code> ("succeeded", "failed" or "skipped") with the
+* <code>result</code>, <code>error</code> or skip <code>reason</code>, and the
+* running totals (<code>completed</code>, <code>succeeded</code>,
+* <code>failed</code>, <code>skipped</code>, <code>total</code> if known,
+* <code>elapsed</code> milliseconds and the <code>rate</code> of items per second).</li>
+* <li><code>checkpoint</code> - the checkpoint was saved.</li>
+* <li><code>done</code> - the run ended, with the report.</li>
+* </ul>
+* @extends EventEmitter
+*/
+module.exports = class WPBulkRunner extends EventEmitter {
+
+  /**
+  * Creates a new instance of WPBulkRunner
+  *
+  * @param {WPAPILib} client The client passed to the operation.
+  * @param {Object} [options=null] Runner options.
+  * @param {Number} [options.concurrency=4] The maximum number of operations
+  * running at once.
+  * @param {Number} [options.rate=0] The maximum number of operations started
+  * per second, or 0 for no limit. Operations usually send one request each;
+  * lower the rate for operations that send several.
+  * @param {Function} [options.getId] A function that returns the ID of an item,
+  * invoked with the item and its index. By default, the <code>id</code> of
+  * object items, the value of number and string items, or the index is used.
+  * @param {WPSessionStore} [options.store=null] A store to keep the checkpoint
+  * in (for example a [WPFileSessionStore]{@link WPFileSessionStore}).
+  * @param {String} [options.key=null] The key the checkpoint is stored under,
+  * which identifies the job (for example "retag-2024"). Required if a
+  * <code>store</code> is included.
+  * @param {Number} [options.checkpointEvery=25] The number of processed items
+  * between checkpoint saves. The checkpoint is also saved when the run ends,
+  * unless the run completed without failures.
+  * @param {Boolean} [options.stopOnError=false] If true, the run stops after
+  * the first failure (operations already running complete).
+  * @param {Boolean} [options.keepResults=false] If true, the report includes
+  * the result of each successful operation, otherwise only the item IDs.
+  */
+   constructor(client, options=null) {
+     super();
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._client = client;
+     this._concurrency = 4;
+     if ((typeof(options.concurrency) == "number") && (options.concurrency >= 1)) {
+       this._concurrency = Math.floor(options.concurrency);
+     }
+     this._rate = 0;
+     if (typeof(options.rate) == "number") {
+       this._rate = options.rate;
+     }
+     this._getId = options.getId || null;
+     this._store = options.store || null;
+     this._key = options.key || null;
+     if ((this._store != null) && (this._key == null)) {
+       //a shared default key would let unrelated jobs skip each other's items
+       throw (new Error("A checkpoint key is required to use a checkpoint store."));
+     }
+     this._checkpointEvery = 25;
+     if (typeof(options.checkpointEvery) == "number") {
+       this._checkpointEvery = options.checkpointEvery;
+     }
+     this._stopOnError = (options.stopOnError == true);
+     this._keepResults = (options.keepResults == true);
+     this._checkpoint = null;
+     this._saving = Promise.resolve();
+     this._running = false;
+     this._stopping = false;
+     this._nextStart = 0;
+   }
+
+   /**
+   * Creates the result an operation returns to skip its item, for example
+   * because it doesn't need changing. Skipped items are listed in the report
+   * and aren't processed again when the run is resumed.
+   *
+   * @param {String} [reason="skipped"] The reason the item was skipped.
+   *
+   * @return {Object} The skip result.
+   * @static
+   */
+   static skip(reason="skipped") {
+     var result = new Object();
+     result[SKIPPED] = true;
+     result.reason = reason;
+     return (result);
+   }
+
+   /**
+   * @property {WPAPILib} client The client passed to the operation.
+   * @readonly
+   */
+   get client() {
+     return (this._client);
+   }
+
+   /**
+   * @property {Number} concurrency The maximum number of operations running at once.
+   * @readonly
+   */
+   get concurrency() {
+     return (this._concurrency);
+   }
+
+   /**
+   * @property {Number} rate The maximum number of operations started per
+   * second, or 0 for no limit. This may be changed during a run.
+   */
+   get rate() {
+     return (this._rate);
+   }
+
+   set rate(rate) {
+     this._rate = rate;
+   }
+
+   /**
+   * @property {Boolean} running True while a run is in progress.
+   * @readonly
+   */
+   get running() {
+     return (this._running);
+   }
+
+   /**
+   * @property {Object} checkpoint The current checkpoint, or <code>null</code>
+   * if it hasn't been loaded or was removed after a complete run. It maps the IDs of <code>completed</code> items
+   * to their outcome ("succeeded" or "skipped"), and the IDs of
+   * <code>failed</code> items to a summary of their error. Failed items are
+   * retried when a run is resumed.
+   * @readonly
+   */
+   get checkpoint() {
+     return (this._checkpoint);
+   }
+
+   /**
+   * Runs an operation for each item. Items completed in a previous run with
+   * the same checkpoint are skipped.
+   *
+   * @param {Array|Iterable|AsyncIterable} items The items to process, for
+   * example an array of post IDs or the items of [WPAPILib.iterate]{@link WPAPILib#iterate}.
+   * @param {Function} operation The asynchronous operation, invoked with an
+   * item, the client and the item's index. It may return
+   * [WPBulkRunner.skip]{@link WPBulkRunner.skip} to skip the item; if it throws
+   * (or rejects), the item has failed.
+   *
+   * @return {Promise} The promise resolves with a report containing the
+   * <code>succeeded</code> items (their <code>id</code>, <code>index</code> and,
+   * with <code>keepResults</code>, <code>result</code>), the <code>failed</code>
+   * items (their <code>id</code>, <code>index</code>, <code>item</code> and
+   * <code>error</code>, such as a [WPAPIError]{@link WPAPIError}), the
+   * <code>skipped</code> items (their <code>id</code>, <code>index</code> and
+   * <code>reason</code>, which is "checkpoint" for items completed by a previous run),
+   * the <code>total</code> number of items processed, whether the run was
+   * <code>stopped</code>, and its <code>started</code> and <code>finished</code>
+   * times and <code>duration</code>. The promise rejects (throws) if the
+   * items can't be read; the checkpoint is saved first. If every item was
+   * processed without failures, the checkpoint is removed instead.
+   *
+   * @async
+   */
+   async run(items, operation) {
+     if (this._running == true) {
+       throw (new Error("The bulk runner is already running."));
+     }
+     this._running = true;
+     this._stopping = false;
+     this._nextStart = 0;
+     var report = new Object();
+     report.started = new Date().toISOString();
+     report.finished = null;
+     report.duration = 0;
+     report.total = 0;
+     report.stopped = false;
+     report.succeeded = new Array();
+     report.failed = new Array();
+     report.skipped = new Array();
+     var started = Date.now();
+     var complete = false;
+     try {
+       await this.loadCheckpoint();
+       var state = new Object();
+       state.report = report;
+       state.started = started;
+       state.size = Array.isArray(items) ? items.length : null;
+       state.index = 0;
+       state.sinceSave = 0;
+       if (typeof(items[Symbol.asyncIterator]) == "function") {
+         state.iterator = items[Symbol.asyncIterator]();
+       } else {
+         state.iterator = items[Symbol.iterator]();
+       }
+       var workers = new Array();
+       for (var count = 0; count < this.concurrency; count++) {
+         workers.push(this.work(state, operation));
+       }
+       var outcomes = await Promise.allSettled(workers);
+       var rejected = outcomes.find(outcome => outcome.status == "rejected");
+       if (rejected != undefined) {
+         throw (rejected.reason);
+       }
+       complete = true;
+     } finally {
+       report.stopped = this._stopping;
+       report.finished = new Date().toISOString();
+       report.duration = Date.now() - started;
+       try {
+         if ((complete == true) && (report.stopped == false) && (report.failed.length == 0)) {
+           await this.reset();
+         } else {
+           await this.saveCheckpoint();
+         }
+       } finally {
+         this._running = false;
+       }
+     }
+     this.emit("done", report);
+     return (report);
+   }
+
+   /**
+   * Stops the run after the operations in progress complete. The run's
+   * report has <code>stopped</code> set, and it may be resumed later by
+   * running it again.
+   */
+   stop() {
+     this._stopping = true;
+   }
+
+   /**
+   * Loads the checkpoint from the store, or creates an empty one.
+   *
+   * @return {Promise} The promise resolves with the checkpoint.
+   *
+   * @async
+   */
+   async loadCheckpoint() {
+     var checkpoint = null;
+     if (this._store != null) {
+       checkpoint = await this._store.load(this._key);
+     }
+     if ((checkpoint == null) || (checkpoint.version != 1)) {
+       checkpoint = new Object();
+       checkpoint.version = 1;
+       checkpoint.completed = new Object();
+       checkpoint.failed = new Object();
+     }
+     this._checkpoint = checkpoint;
+     return (checkpoint);
+   }
+
+   /**
+   * Saves the checkpoint to the store, if one is configured. Saves are
+   * performed one at a time.
+   *
+   * @async
+   */
+   async saveCheckpoint() {
+     if ((this._store == null) || (this._checkpoint == null)) {
+       return;
+     }
+     this._saving = this._saving.catch(error => {}).then(async () => {
+       this._checkpoint.saved = new Date().toISOString();
+       await this._store.save(this._key, this._checkpoint);
+       this.emit("checkpoint", this._checkpoint);
+     });
+     await this._saving;
+   }
+
+   /**
+   * Forgets the checkpoint (and removes it from the store), so that the next
+   * run processes every item again.
+   *
+   * @async
+   */
+   async reset() {
+     await this._saving.catch(error => {});
+     this._checkpoint = null;
+     if (this._store != null) {
+       await this._store.remove(this._key);
+     }
+   }
+
+   /**
+   * Processes items until there are none left or the run is stopped.
+   *
+   * @param {Object} state The shared state of the run.
+   * @param {Function} operation The operation.
+   * @private
+   *
+   * @async
+   */
+   async work(state, operation) {
+     while (this._stopping == false) {
+       var step = await state.iterator.next();
+       if (step.done == true) {
+         return;
+       }
+       var index = state.index;
+       state.index++;
+       await this.process(state, step.value, index, operation);
+     }
+   }
+
+   /**
+   * Processes one item and records its outcome.
+   *
+   * @param {Object} state The shared state of the run.
+   * @param {*} item The item.
+   * @param {Number} index The index of the item.
+   * @param {Function} operation The operation.
+   * @private
+   *
+   * @async
+   */
+   async process(state, item, index, operation) {
+     var progress = new Object();
+     progress.id = this.getItemId(item, index);
+     progress.index = index;
+     progress.item = item;
+     if (this._checkpoint.completed[progress.id] != undefined) {
+       progress.outcome = "skipped";
+       progress.reason = "checkpoint";
+     } else {
+       await this.throttle();
+       if (this._stopping == true) {
+         //not started, so the item is processed when the run is resumed
+         return;
+       }
+       try {
+         var result = await operation(item, this.client, index);
+         if ((result != null) && (typeof(result) == "object") && (result[SKIPPED] == true)) {
+           progress.outcome = "skipped";
+           progress.reason = result.reason;
+         } else {
+           progress.outcome = "succeeded";
+           progress.result = result;
+         }
+         this._checkpoint.completed[progress.id] = progress.outcome;
+         delete this._checkpoint.failed[progress.id];
+       } catch (error) {
+         progress.outcome = "failed";
+         progress.error = error;
+         this._checkpoint.failed[progress.id] = this.describeError(error);
+         if (this._stopOnError == true) {
+           this._stopping = true;
+         }
+       }
+     }
+     this.record(state, progress);
+     if (progress.reason != "checkpoint") {
+       state.sinceSave++;
+       if ((this._checkpointEvery > 0) && (state.sinceSave >= this._checkpointEvery)) {
+         state.sinceSave = 0;
+         await this.saveCheckpoint();
+       }
+     }
+     this.emit("progress", progress);
+   }
+
+   /**
+   * Adds the outcome of an item to the report and the running totals of its
+   * progress object.
+   *
+   * @param {Object} state The shared state of the run.
+   * @param {Object} progress The progress object of the item.
+   * @private
+   */
+   record(state, progress) {
+     var report = state.report;
+     var entry = new Object();
+     entry.id = progress.id;
+     entry.index = progress.index;
+     if (progress.outcome == "succeeded") {
+       if (this._keepResults == true) {
+         entry.result = progress.result;
+       }
+       report.succeeded.push(entry);
+     } else if (progress.outcome == "failed") {
+       entry.item = progress.item;
+       entry.error = progress.error;
+       report.failed.push(entry);
+     } else {
+       entry.reason = progress.reason;
+       report.skipped.push(entry);
+     }
+     report.total++;
+     progress.completed = report.total;
+     progress.succeeded = report.succeeded.length;
+     progress.failed = report.failed.length;
+     progress.skipped = report.skipped.length;
+     progress.total = state.size;
+     progress.elapsed = Date.now() - state.started;
+     progress.rate = (progress.elapsed > 0) ? (report.total * 1000 / progress.elapsed) : 0;
+   }
+
+   /**
+   * Waits until the next operation may start according to the
+   * [rate]{@link WPBulkRunner#rate}. Start times are reserved in order so
+   * concurrent operations are spaced evenly.
+   *
+   * @private
+   *
+   * @async
+   */
+   async throttle() {
+     if (this.rate <= 0) {
+       return;
+     }
+     var now = Date.now();
+     var start = Math.max(now, this._nextStart);
+     this._nextStart = start + (1000 / this.rate);
+     if (start > now) {
+       await this.client.wait(start - now);
+     }
+   }
+
+   /**
+   * Determines the ID of an item.
+   *
+   * @param {*} item The item.
+   * @param {Number} index The index of the item.
+   *
+   * @return {String} The item ID.
+   * @private
+   */
+   getItemId(item, index) {
+     if (this._getId != null) {
+       return (String(this._getId(item, index)));
+     }
+     if ((item != null) && (typeof(item) == "object") && (item.id != undefined)) {
+       return (String(item.id));
+     }
+     if ((typeof(item) == "number") || (typeof(item) == "string")) {
+       return (String(item));
+     }
+     return (String(index));
+   }
+
+   /**
+   * Creates a JSON-serializable summary of an error for the checkpoint.
+   *
+   * @param {Error} error The error.
+   *
+   * @return {Object} The error summary.
+   * @private
+   */
+   describeError(error) {
+     if ((error != null) && (typeof(error.toJSON) == "function")) {
+       return (error.toJSON());
+     }
+     var summary = new Object();
+     summary.name = (error == null) ? "Error" : error.name;
+     summary.message = (error == null) ? String(error) : String(error.message);
+     if ((error != null) && (error.code != undefined)) {
+       summary.code = error.code;
+     }
+     return (summary);
+   }
+}
@@ -0,0 +1,711 @@
+/**
+* @file Connection pool for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const tls = require('tls');
+const net = require('net');
+const crypto = require('crypto');
+const WPProxy = require('./WPProxy.js');
+
+/**
+* @class Maintains reusable server connections: one HTTP/2 session per origin
+* (closed after a period of inactivity and replaced when the server sends
+* GOAWAY or the connection drops), keep-alive HTTP/1.1 agents, and the
+* protocol negotiated with each origin via TLS ALPN. A pool may be shared by
+* several clients. The pool's TLS and proxy options apply to all of its
+* connections, whether HTTP/1.1 or HTTP/2.
+*/
+module.exports = class WPConnectionPool {
+
+  /**
+  * Creates a new instance of WPConnectionPool
+  *
+  * @param {Object} [options=null] Pool options.
+  * @param {Number} [options.idleTimeout=30000] The number of milliseconds an
+  * HTTP/2 session may remain without open streams before it's closed.
+  * @param {Number} [options.maxSockets=Infinity] The maximum number of
+  * HTTP/1.1 sockets per origin.
+  * @param {Number} [options.maxFreeSockets=256] The maximum number of idle
+  * HTTP/1.1 sockets kept open per origin.
+  * @param {Object} [options.tls=null] TLS options for "https:" connections.
+  * @param {String|Buffer|Array} [options.tls.ca=null] PEM-encoded certificates
+  * of certificate authorities to trust in addition to the default ones, such
+  * as an internal CA or a site's self-signed certificate.
+  * @param {String|Buffer} [options.tls.cert=null] A PEM-encoded client
+  * certificate (chain) to present to servers that require one.
+  * @param {String|Buffer} [options.tls.key=null] The PEM-encoded private key
+  * of the client certificate.
+  * @param {String|Buffer} [options.tls.pfx=null] A PKCS#12 client certificate
+  * and key, as an alternative to <code>cert</code> and <code>key</code>.
+  * @param {String} [options.tls.passphrase=null] The passphrase of the
+  * private key or PKCS#12 data.
+  * @param {Boolean} [options.tls.rejectUnauthorized=true] If false, servers
+  * with certificates that can't be verified are accepted. This should only
+  * be used for testing.
+  * @param {Array} [options.tls.pins=null] Certificate pins. Servers are
+  * only accepted if one of the certificates in their chain matches a pin,
+  * given either as "sha256/" followed by the base64 SHA-256 hash of the
+  * certificate's public key (as used by HPKP and curl's
+  * <code>--pinnedpubkey</code>), or as the hexadecimal SHA-256 fingerprint of
+  * the certificate. Pins are checked after the certificate has been verified,
+  * so a pinned self-signed certificate must also be trusted with
+  * <code>ca</code>.
+  * @param {String|WPProxy|Boolean} [options.proxy=null] The proxy URL (see
+  * [WPProxy]{@link WPProxy}) or instance to connect through, or
+  * <code>false</code> to connect directly. If omitted, the proxies set by the
+  * environment (<code>https_proxy</code>, <code>http_proxy</code> and
+  * <code>all_proxy</code>) are used.
+  * @param {String|Array} [options.noProxy=null] The destinations that are
+  * connected to directly (see [WPProxy]{@link WPProxy}). If omitted, the
+  * <code>no_proxy</code> environment variable is used.
+  */
+   constructor(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._idleTimeout = 30000;
+     if (typeof(options.idleTimeout) == "number") {
+       this._idleTimeout = options.idleTimeout;
+     }
+     var agentOptions = new Object();
+     agentOptions.keepAlive = true;
+     agentOptions.maxSockets = options.maxSockets || Infinity;
+     agentOptions.maxFreeSockets = options.maxFreeSockets || 256;
+     this._tlsOptions = this.createTLSOptions(options.tls);
+     this._proxies = this.createProxies(options.proxy, options.noProxy);
+     this._httpAgent = new http.Agent(agentOptions);
+     this._httpsAgent = new https.Agent(Object.assign(new Object(), agentOptions, this._tlsOptions));
+     this.proxyAgent(this._httpAgent, "http:");
+     this.proxyAgent(this._httpsAgent, "https:");
+     this._closingSockets = new WeakSet();
+     this.closeAfterUse(this._httpAgent);
+     this.closeAfterUse(this._httpsAgent);
+     this._sessions = new Object();
+     this._protocols = new Object();
+     this._negotiations = new Object();
+     this._closed = false;
+   }
+
+   /**
+   * @property {Number} idleTimeout The number of milliseconds an HTTP/2
+   * session may remain without open streams before it's closed.
+   */
+   get idleTimeout() {
+     return (this._idleTimeout);
+   }
+
+   set idleTimeout(timeout) {
+     this._idleTimeout = timeout;
+   }
+
+   /**
+   * @property {Array} origins The origins that currently have an open HTTP/2
+   * session in the pool.
+   * @readonly
+   */
+   get origins() {
+     return (Object.keys(this._sessions));
+   }
+
+   /**
+   * @property {Boolean} closed <code>true</code> if the pool has been
+   * [closed]{@link WPConnectionPool#close}. A closed pool reopens connections
+   * if used again.
+   * @readonly
+   */
+   get closed() {
+     return (this._closed);
+   }
+
+   /**
+   * @property {Object} tlsOptions The <code>tls.connect</code> options used for
+   * "https:" connections.
+   * @readonly
+   */
+   get tlsOptions() {
+     return (Object.assign(new Object(), this._tlsOptions));
+   }
+
+   /**
+   * Returns the proxy that connections to a destination go through.
+   *
+   * @param {String} protocol The destination protocol, either "http:" or "https:".
+   * @param {String} hostname The destination host name or IP address.
+   * @param {Number|String} [port=null] The destination port. If omitted, the
+   * protocol's default port is used.
+   *
+   * @return {WPProxy} The proxy, or <code>null</code> if the destination is
+   * connected to directly.
+   */
+   getProxy(protocol, hostname, port=null) {
+     var proxy = this._proxies[protocol];
+     if ((proxy == undefined) || (proxy == null)) {
+       return (null);
+     }
+     if ((port == null) || (port == "")) {
+       port = (protocol == "https:") ? 443 : 80;
+     }
+     if (proxy.appliesTo(hostname, port) == false) {
+       return (null);
+     }
+     return (proxy);
+   }
+
+   /**
+   * Returns the proxy that cleartext HTTP/1.1 requests to a destination are
+   * forwarded to. Such requests must use the absolute URL as their path and
+   * include the proxy's "Proxy-Authorization" header; the pool's "http:"
+   * agent connects them to the proxy.
+   *
+   * @param {String} hostname The destination host name or IP address.
+   * @param {Number|String} [port=null] The destination port. If omitted, port
+   * 80 is used.
+   *
+   * @return {WPProxy} The proxy, or <code>null</code> if requests to the
+   * destination are sent directly or through a SOCKS tunnel.
+   */
+   getForwardingProxy(hostname, port=null) {
+     var proxy = this.getProxy("http:", hostname, port);
+     if ((proxy == null) || (proxy.forwards == false)) {
+       return (null);
+     }
+     return (proxy);
+   }
+
+   /**
+   * Opens a TLS connection to an "https:" origin, through a proxy if one
+   * applies, using the pool's TLS options.
+   *
+   * @param {String} origin The origin (e.g. "https://www.myblogsite.com").
+   * @param {Object} [options=null] Additional <code>tls.connect</code> options.
+   *
+   * @return {tls.TLSSocket} The connection.
+   */
+   connectTLS(origin, options=null) {
+     var url = new URL(origin);
+     var hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+     var connectOptions = Object.assign(new Object(), this._tlsOptions, options);
+     connectOptions.host = hostname;
+     connectOptions.port = Number(url.port || 443);
+     if (net.isIP(hostname) == 0) {
+       connectOptions.servername = hostname;
+     }
+     var proxy = this.getProxy("https:", hostname, connectOptions.port);
+     if (proxy == null) {
+       return (tls.connect(connectOptions));
+     }
+     var tunnel = proxy.connect(hostname, connectOptions.port);
+     connectOptions.socket = tunnel;
+     var socket = tls.connect(connectOptions);
+     socket.once("close", () => {
+       tunnel.destroy();
+     });
+     return (socket);
+   }
+
+   /**
+   * Returns the keep-alive HTTP/1.1 agent for a protocol.
+   *
+   * @param {String} protocol The URL protocol, either "http:" or "https:".
+   *
+   * @return {http.Agent|https.Agent} The agent to use for requests.
+   */
+   getAgent(protocol) {
+     this._closed = false;
+     if (protocol == "https:") {
+       return (this._httpsAgent);
+     }
+     return (this._httpAgent);
+   }
+
+   /**
+   * Returns the protocol previously negotiated with an origin.
+   *
+   * @param {String} origin The origin (e.g. "https://www.myblogsite.com:8443").
+   *
+   * @return {String} Either "h2" or "http/1.1", or <code>null</code> if the
+   * protocol hasn't been negotiated yet.
+   */
+   getProtocol(origin) {
+     if (this._protocols[origin] == undefined) {
+       return (null);
+     }
+     return (this._protocols[origin]);
+   }
+
+   /**
+   * Negotiates the protocol to use with an origin using TLS ALPN. Cleartext
+   * ("http:") origins can't negotiate and always report "http/1.1". If the
+   * server selects HTTP/2, the negotiated connection becomes the origin's
+   * pooled session so that no handshake is wasted. Results are cached per
+   * origin and concurrent negotiations with the same origin are merged.
+   *
+   * @param {String} origin The origin (e.g. "https://www.myblogsite.com").
+   * @param {Object} [options=null] Additional <code>tls.connect</code> options.
+   * If <code>options.timeout</code> is set, the negotiation fails with an
+   * "ETIMEDOUT" error if the server doesn't respond within that many milliseconds.
+   *
+   * @return {Promise} The promise resolves with the negotiated protocol,
+   * either "h2" or "http/1.1", or rejects if the connection fails.
+   *
+   * @async
+   */
+   negotiate(origin, options=null) {
+     if (this._protocols[origin] != undefined) {
+       return (Promise.resolve(this._protocols[origin]));
+     }
+     if (this._negotiations[origin] != undefined) {
+       return (this._negotiations[origin]);
+     }
+     var url = new URL(origin);
+     if (url.protocol != "https:") {
+       this._protocols[origin] = "http/1.1";
+       return (Promise.resolve(this._protocols[origin]));
+     }
+     var promise = new Promise((resolve, reject) => {
+       var connectOptions = Object.assign(new Object(), options);
+       connectOptions.ALPNProtocols = ["h2", "http/1.1"];
+       var timeout = connectOptions.timeout || 0;
+       delete connectOptions.timeout;
+       var socket = this.connectTLS(origin, connectOptions);
+       if (timeout > 0) {
+         socket.setTimeout(timeout, () => {
+           var error = new Error(`Protocol negotiation with ${origin} timed out after ${timeout}ms.`);
+           error.code = "ETIMEDOUT";
+           socket.destroy(error);
+         });
+       }
+       socket.once("secureConnect", () => {
+         socket.removeListener("error", reject);
+         socket.setTimeout(0);
+         var protocol = "http/1.1";
+         if (socket.alpnProtocol == "h2") {
+           protocol = "h2";
+           this.addSession(origin, http2.connect(origin, {createConnection: () => socket}));
+         } else {
+           socket.destroy();
+         }
+         this._protocols[origin] = protocol;
+         resolve(protocol);
+       });
+       socket.once("error", reject);
+     });
+     this._negotiations[origin] = promise;
+     var cleanup = () => {
+       delete this._negotiations[origin];
+     };
+     promise.then(cleanup, cleanup);
+     return (promise);
+   }
+
+   /**
+   * Returns an open HTTP/2 session for an origin, connecting a new one (with
+   * the pool's TLS and proxy options) if the origin has no usable session.
+   *
+   * @param {String} origin The origin (e.g. "https://www.myblogsite.com:8443").
+   * @param {Object} [options=null] Additional <code>http2.connect</code> options.
+   *
+   * @return {ClientHttp2Session} The session to create request streams on.
+   */
+   getSession(origin, options=null) {
+     var entry = this._sessions[origin];
+     if ((entry != undefined) && (this.isUsable(entry.session) == true)) {
+       return (entry.session);
+     }
+     var connectOptions = Object.assign(new Object(), this._tlsOptions, options);
+     var url = new URL(origin);
+     var session = null;
+     var connection = null;
+     if (this.getProxy(url.protocol, url.hostname, url.port) != null) {
+       connectOptions.createConnection = () => {
+         if (url.protocol == "https:") {
+           connection = this.connectTLS(origin, {ALPNProtocols:["h2"]});
+         } else {
+           connection = this.getProxy(url.protocol, url.hostname, url.port).connect(url.hostname, url.port || 80);
+         }
+         //a failed tunnel must not leave the session waiting to connect
+         connection.once("error", error => {
+           if ((session != null) && (session.destroyed == false)) {
+             session.destroy(error);
+           }
+         });
+         return (connection);
+       };
+     }
+     session = http2.connect(origin, connectOptions);
+     return (this.addSession(origin, session, connection));
+   }
+
+   /**
+   * Creates the <code>tls.connect</code> options for "https:" connections.
+   *
+   * @param {Object} options The TLS options passed to the constructor.
+   *
+   * @return {Object} The connection options.
+   * @private
+   */
+   createTLSOptions(options) {
+     var tlsOptions = new Object();
+     if ((options == null) || (options == undefined)) {
+       return (tlsOptions);
+     }
+     ["cert", "key", "pfx", "passphrase"].forEach(name => {
+       if ((options[name] != undefined) && (options[name] != null)) {
+         tlsOptions[name] = options[name];
+       }
+     });
+     if ((options.ca != undefined) && (options.ca != null)) {
+       tlsOptions.ca = tls.rootCertificates.concat(options.ca);
+     }
+     if (options.rejectUnauthorized == false) {
+       tlsOptions.rejectUnauthorized = false;
+     }
+     if ((Array.isArray(options.pins) == true) && (options.pins.length > 0)) {
+       if (options.rejectUnauthorized == false) {
+         throw (new Error("Certificate pins can't be checked if rejectUnauthorized is false; trust the certificate with the \"ca\" option instead."));
+       }
+       var pins = options.pins.map(pin => this.normalizePin(pin));
+       tlsOptions.checkServerIdentity = (hostname, cert) => this.checkPins(hostname, cert, pins);
+     }
+     return (tlsOptions);
+   }
+
+   /**
+   * Normalizes a certificate pin for comparison.
+   *
+   * @param {String} pin The pin, either "sha256/" followed by a base64
+   * public key hash, or a hexadecimal certificate fingerprint.
+   *
+   * @return {String} The pin as a public key hash, or as an upper-case
+   * colon-separated fingerprint.
+   * @private
+   */
+   normalizePin(pin) {
+     pin = String(pin).trim();
+     if (pin.startsWith("sha256/") == true) {
+       return (pin);
+     }
+     var hex = pin.replace(/:/g, "").toUpperCase();
+     if (/^[0-9A-F]{64}$/.test(hex) == false) {
+       throw (new Error(`Invalid certificate pin "${pin}"; use "sha256/<base64 public key hash>" or a SHA-256 certificate fingerprint.`));
+     }
+     return (hex.match(/../g).join(":"));
+   }
+
+   /**
+   * Verifies a server's host name and checks that a certificate in its chain
+   * matches one of the pins.
+   *
+   * @param {String} hostname The server's host name.
+   * @param {Object} cert The server's certificate, including its issuer chain.
+   * @param {Array} pins The normalized pins.
+   *
+   * @return {Error} An error if the server isn't accepted, otherwise <code>undefined</code>.
+   * @private
+   */
+   checkPins(hostname, cert, pins) {
+     var error = tls.checkServerIdentity(hostname, cert);
+     if (error != undefined) {
+       return (error);
+     }
+     var current = cert;
+     while ((current != undefined) && (current != null) && (current.fingerprint256 != undefined)) {
+       if (pins.includes(current.fingerprint256) == true) {
+         return (undefined);
+       }
+       if (Buffer.isBuffer(current.raw) == true) {
+         //"pubkey" is only the key itself for EC keys, pins hash the whole SubjectPublicKeyInfo
+         var publicKey = new crypto.X509Certificate(current.raw).publicKey.export({type:"spki", format:"der"});
+         var keyPin = "sha256/" + crypto.createHash("sha256").update(publicKey).digest("base64");
+         if (pins.includes(keyPin) == true) {
+           return (undefined);
+         }
+       }
+       if (current.issuerCertificate === current) {
+         break;
+       }
+       current = current.issuerCertificate;
+     }
+     error = new Error(`The certificate of ${hostname} doesn't match any of the pinned certificates.`);
+     error.code = "ERR_TLS_CERT_PIN_MISMATCH";
+     error.host = hostname;
+     error.cert = cert;
+     return (error);
+   }
+
+   /**
+   * Creates the proxies used for "http:" and "https:" destinations.
+   *
+   * @param {String|WPProxy|Boolean} proxy The proxy option passed to the constructor.
+   * @param {String|Array} noProxy The "no proxy" option passed to the constructor.
+   *
+   * @return {Object} The proxies (or <code>null</code>) keyed by destination protocol.
+   * @private
+   */
+   createProxies(proxy, noProxy) {
+     var proxies = new Object();
+     proxies["http:"] = null;
+     proxies["https:"] = null;
+     if (proxy == false) {
+       return (proxies);
+     }
+     var proxyOptions = new Object();
+     proxyOptions.noProxy = noProxy;
+     //"https:" proxies are trusted like sites, but their own certificates aren't pinned
+     proxyOptions.tls = Object.assign(new Object(), this._tlsOptions);
+     delete proxyOptions.tls.checkServerIdentity;
+     if (proxy instanceof WPProxy) {
+       proxies["http:"] = proxy;
+       proxies["https:"] = proxy;
+     } else if ((typeof(proxy) == "string") && (proxy != "")) {
+       if ((noProxy == undefined) || (noProxy == null)) {
+         proxyOptions.noProxy = process.env.no_proxy || process.env.NO_PROXY || null;
+       }
+       proxies["http:"] = new WPProxy(proxy, proxyOptions);
+       proxies["https:"] = proxies["http:"];
+     } else {
+       proxies["http:"] = WPProxy.fromEnvironment("http:", proxyOptions);
+       proxies["https:"] = WPProxy.fromEnvironment("https:", proxyOptions);
+     }
+     return (proxies);
+   }
+
+   /**
+   * Makes an HTTP/1.1 agent open its connections through the proxy that
+   * applies to each destination.
+   *
+   * @param {http.Agent|https.Agent} agent The agent.
+   * @param {String} protocol The protocol of the agent's destinations,
+   * either "http:" or "https:".
+   * @private
+   */
+   proxyAgent(agent, protocol) {
+     var pool = this;
+     var createConnection = agent.createConnection;
+     agent.createConnection = function(options, callback) {
+       var proxy = pool.getProxy(protocol, options.host, options.port);
+       if (proxy == null) {
+         return (createConnection.call(this, options, callback));
+       }
+       if ((protocol == "http:") && (proxy.forwards == true)) {
+         //the request is sent to the proxy in absolute form (see getForwardingProxy)
+         return (proxy.connectProxy());
+       }
+       var tunnel = proxy.connect(options.host, options.port || ((protocol == "https:") ? 443 : 80));
+       if (protocol == "http:") {
+         return (tunnel);
+       }
+       var socket = createConnection.call(this, Object.assign(new Object(), options, {socket:tunnel}), callback);
+       socket.once("close", () => {
+         tunnel.destroy();
+       });
+       return (socket);
+     };
+   }
+
+   /**
+   * Makes an HTTP/1.1 agent close the sockets marked by
+   * [closeAgent]{@link WPConnectionPool#closeAgent} when their requests
+   * end, instead of keeping them alive.
+   *
+   * @param {http.Agent|https.Agent} agent The agent.
+   * @private
+   */
+   closeAfterUse(agent) {
+     var pool = this;
+     var keepSocketAlive = agent.keepSocketAlive;
+     agent.keepSocketAlive = function(socket) {
+       if (pool._closingSockets.has(socket) == true) {
+         pool._closingSockets.delete(socket);
+         return (false);
+       }
+       return (keepSocketAlive.call(this, socket));
+     };
+   }
+
+   /**
+   * Destroys the idle sockets of an HTTP/1.1 agent and marks the sockets in
+   * use to be closed when their requests end.
+   *
+   * @param {http.Agent|https.Agent} agent The agent.
+   *
+   * @return {Array} Promises that resolve when the sockets in use have closed.
+   * @private
+   */
+   closeAgent(agent) {
+     for (var name in agent.freeSockets) {
+       agent.freeSockets[name].slice().forEach(socket => {
+         socket.destroy();
+       });
+     }
+     var promises = new Array();
+     for (name in agent.sockets) {
+       agent.sockets[name].forEach(socket => {
+         this._closingSockets.add(socket);
+         promises.push(new Promise(resolve => {
+           socket.once("close", resolve);
+         }));
+       });
+     }
+     return (promises);
+   }
+
+   /**
+   * Adds an HTTP/2 session to the pool, replacing any existing session for the
+   * origin. The session is removed from the pool when it's closed, fails, or
+   * receives GOAWAY (streams already open on it are allowed to finish). The
+   * session counts as connected once the server's settings are received.
+   *
+   * @param {String} origin The origin the session is connected to.
+   * @param {ClientHttp2Session} session The session to add.
+   * @param {stream.Duplex} [connection=null] The connection created for the
+   * session, if it's connected through a proxy.
+   *
+   * @return {ClientHttp2Session} The added session.
+   * @private
+   */
+   addSession(origin, session, connection=null) {
+     this._closed = false;
+     var entry = new Object();
+     entry.session = session;
+     entry.streams = 0;
+     entry.timer = null;
+     entry.connected = false;
+     entry.connection = connection;
+     this._sessions[origin] = entry;
+     session.once("remoteSettings", () => {
+       entry.connected = true;
+     });
+     var remove = () => {
+       this.clearIdleTimer(entry);
+       if (this._sessions[origin] === entry) {
+         delete this._sessions[origin];
+       }
+     };
+     session.on("goaway", remove);
+     session.on("close", remove);
+     session.on("error", error => {
+       //errors are reported by the individual request streams
+       remove();
+     });
+     this.startIdleTimer(entry);
+     return (session);
+   }
+
+   /**
+   * Registers a request stream opened on a pooled HTTP/2 session, keeping the
+   * session open until the stream closes.
+   *
+   * @param {String} origin The origin the session is connected to.
+   * @param {ClientHttp2Stream} stream The request stream.
+   */
+   trackStream(origin, stream) {
+     var entry = this._sessions[origin];
+     if (entry == undefined) {
+       return;
+     }
+     entry.streams++;
+     this.clearIdleTimer(entry);
+     entry.session.ref();
+     stream.once("close", () => {
+       entry.streams--;
+       if (entry.streams <= 0) {
+         entry.streams = 0;
+         this.startIdleTimer(entry);
+       }
+     });
+   }
+
+   /**
+   * Checks whether an HTTP/2 session can accept new streams.
+   *
+   * @param {ClientHttp2Session} session The session to check.
+   *
+   * @return {Boolean} <code>true</code> if new requests may be sent on the session.
+   */
+   isUsable(session) {
+     if ((session.closed == true) || (session.destroyed == true)) {
+       return (false);
+     }
+     return (true);
+   }
+
+   /**
+   * Starts the idle timer of a session with no open streams. Idle sessions
+   * don't keep the Node.js process alive.
+   *
+   * @param {Object} entry The pool entry of the session.
+   * @private
+   */
+   startIdleTimer(entry) {
+     this.clearIdleTimer(entry);
+     if (this.isUsable(entry.session) == false) {
+       return;
+     }
+     entry.session.unref();
+     entry.timer = setTimeout(() => {
+       entry.timer = null;
+       entry.session.close();
+     }, this.idleTimeout);
+     entry.timer.unref();
+   }
+
+   /**
+   * Clears the idle timer of a session.
+   *
+   * @param {Object} entry The pool entry of the session.
+   * @private
+   */
+   clearIdleTimer(entry) {
+     if (entry.timer != null) {
+       clearTimeout(entry.timer);
+       entry.timer = null;
+     }
+   }
+
+   /**
+   * Closes all pooled HTTP/2 sessions (allowing open streams to finish) and
+   * all idle HTTP/1.1 sockets, and forgets negotiated protocols. HTTP/1.1
+   * sockets in use are closed when their requests end, and sessions that
+   * haven't connected yet are destroyed.
+   *
+   * @return {Promise} The promise resolves when all HTTP/2 sessions have closed.
+   *
+   * @async
+   */
+   close() {
+     var promises = new Array();
+     for (var origin in this._sessions) {
+       var entry = this._sessions[origin];
+       this.clearIdleTimer(entry);
+       if (entry.session.destroyed == true) {
+         continue;
+       }
+       promises.push(new Promise(resolve => {
+         entry.session.once("close", resolve);
+       }));
+       if (entry.connected == false) {
+         entry.session.destroy();
+         //the session waits for writes held by a tunnel that hasn't opened
+         if (entry.connection != null) {
+           entry.connection.destroy();
+         }
+       } else if (entry.session.closed == false) {
+         entry.session.close();
+       }
+     }
+     this._sessions = new Object();
+     this._protocols = new Object();
+     promises = promises.concat(this.closeAgent(this._httpAgent), this.closeAgent(this._httpsAgent));
+     this._closed = true;
+     return (Promise.all(promises).then(() => {
+       return (true);
+     }));
+   }
+}
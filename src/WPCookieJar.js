@@ -0,0 +1,444 @@
+/**
+* @file An RFC 6265 cookie jar for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Stores cookies received in "Set-Cookie" response headers and supplies
+* matching cookies for outgoing requests, following the RFC 6265 rules for
+* domain and path scoping, the "Secure" attribute, and expiry
+* ("Expires" and "Max-Age"). Cookies can't be set for public suffixes such as
+* "com" or "co.uk"; a minimal list of public suffixes is used rather than the
+* full Public Suffix List. Cookies may also be added manually (for example,
+* the anti-bot cookies some hosts require), inspected, and serialized.
+*
+* @see https://tools.ietf.org/html/rfc6265
+*/
+module.exports = class WPCookieJar {
+
+  /**
+  * Creates a new instance of WPCookieJar
+  *
+  * @param {Array} [cookies=null] Serialized cookies, as returned by
+  * [toJSON]{@link WPCookieJar#toJSON}, to load into the jar.
+  */
+   constructor(cookies=null) {
+     this._cookies = new Array();
+     if (cookies != null) {
+       this.load(cookies);
+     }
+   }
+
+   /**
+   * @property {Array} publicSuffixes Multi-label public suffixes, besides the
+   * generic second-level domains of country codes, that cookies can't be set
+   * for (see [isPublicSuffix]{@link WPCookieJar#isPublicSuffix}).
+   * @static
+   * @readonly
+   */
+   static get publicSuffixes() {
+     return (["blogspot.com", "github.io", "gitlab.io", "herokuapp.com", "netlify.app", "pages.dev", "vercel.app",
+       "azurewebsites.net", "cloudfront.net", "appspot.com", "web.app", "firebaseapp.com", "police.uk", "nhs.uk"]);
+   }
+
+   /**
+   * @property {Array} cookies Copies of all unexpired cookie objects in the
+   * jar. Each includes the <code>name</code>, <code>value</code>, <code>domain</code>,
+   * <code>hostOnly</code>, <code>path</code>, <code>secure</code>, <code>httpOnly</code>,
+   * <code>sameSite</code>, <code>expires</code> (milliseconds since the epoch, or
+   * <code>null</code> for session cookies) and <code>created</code> values.
+   * @readonly
+   */
+   get cookies() {
+     this.removeExpired();
+     return (this._cookies.map(cookie => Object.assign(new Object(), cookie)));
+   }
+
+   /**
+   * Checks if a cookie is a WordPress authentication cookie (the
+   * "wordpress_[hash]", "wordpress_sec_[hash]" and "wordpress_logged_in_[hash]"
+   * cookies set on login).
+   *
+   * @param {Object|String} cookie The cookie object or cookie name.
+   *
+   * @return {Boolean} <code>true</code> if the cookie is an authentication cookie.
+   */
+   isAuthCookie(cookie) {
+     var name = (typeof(cookie) == "string") ? cookie : cookie.name;
+     return ((name.startsWith("wordpress_") == true) && (name != "wordpress_test_cookie"));
+   }
+
+   /**
+   * Parses a "Set-Cookie" header value and stores the resulting cookie. Cookies
+   * with a past expiry remove any matching stored cookie. Cookies with a
+   * "Domain" attribute that doesn't domain-match the request host, or that is
+   * a [public suffix]{@link WPCookieJar#isPublicSuffix} other than the request
+   * host itself, are ignored.
+   *
+   * @param {String} setCookie The "Set-Cookie" header value (e.g.
+   * "name=value; Path=/; Secure"). A plain "name=value" string may also be
+   * used to add a cookie manually.
+   * @param {String|URL} url The URL of the request the cookie was received for.
+   *
+   * @return {Object} A copy of the stored cookie object, or <code>null</code>
+   * if the cookie was rejected or removed.
+   */
+   setCookie(setCookie, url) {
+     url = new URL(url);
+     var parts = String(setCookie).split(";");
+     var pair = parts.shift();
+     var separator = pair.indexOf("=");
+     if (separator < 0) {
+       return (null);
+     }
+     var cookie = new Object();
+     cookie.name = pair.substring(0, separator).trim();
+     cookie.value = pair.substring(separator + 1).trim();
+     if (cookie.name == "") {
+       return (null);
+     }
+     var host = url.hostname.toLowerCase();
+     cookie.domain = host;
+     cookie.hostOnly = true;
+     cookie.path = this.getDefaultPath(url);
+     cookie.secure = false;
+     cookie.httpOnly = false;
+     cookie.sameSite = null;
+     cookie.expires = null;
+     cookie.created = Date.now();
+     var maxAge = null;
+     for (var count = 0; count < parts.length; count++) {
+       var attribute = parts[count];
+       separator = attribute.indexOf("=");
+       var attrName = (separator < 0) ? attribute : attribute.substring(0, separator);
+       var attrValue = (separator < 0) ? "" : attribute.substring(separator + 1).trim();
+       switch (attrName.trim().toLowerCase()) {
+         case "expires":
+           var expires = Date.parse(attrValue);
+           if (isNaN(expires) == false) {
+             cookie.expires = expires;
+           }
+           break;
+         case "max-age":
+           if (/^-?\d+$/.test(attrValue) == true) {
+             maxAge = parseInt(attrValue, 10);
+           }
+           break;
+         case "domain":
+           var domain = attrValue.replace(/^\./, "").toLowerCase();
+           if (domain != "") {
+             if (this.domainMatch(host, domain) == false) {
+               return (null);
+             }
+             if (this.isPublicSuffix(domain) == true) {
+               //a host that is itself a public suffix may only set host-only cookies
+               if (domain != host) {
+                 return (null);
+               }
+               break;
+             }
+             cookie.domain = domain;
+             cookie.hostOnly = false;
+           }
+           break;
+         case "path":
+           if (attrValue.startsWith("/") == true) {
+             cookie.path = attrValue;
+           }
+           break;
+         case "secure":
+           cookie.secure = true;
+           break;
+         case "httponly":
+           cookie.httpOnly = true;
+           break;
+         case "samesite":
+           cookie.sameSite = attrValue;
+           break;
+         default:
+           break;
+       }
+     }
+     if (maxAge != null) {
+       cookie.expires = (maxAge <= 0) ? 0 : cookie.created + (maxAge * 1000);
+     }
+     var existingIndex = this.findIndex(cookie.name, cookie.domain, cookie.path);
+     if ((cookie.expires != null) && (cookie.expires <= Date.now())) {
+       if (existingIndex > -1) {
+         this._cookies.splice(existingIndex, 1);
+       }
+       return (null);
+     }
+     if (existingIndex > -1) {
+       //keep the original creation time for ordering
+       cookie.created = this._cookies[existingIndex].created;
+       this._cookies[existingIndex] = cookie;
+     } else {
+       this._cookies.push(cookie);
+     }
+     return (Object.assign(new Object(), cookie));
+   }
+
+   /**
+   * Stores all cookies set in a response's headers.
+   *
+   * @param {Object} headers The response headers object.
+   * @param {String|URL} url The URL of the request the response was received for.
+   */
+   updateFromResponse(headers, url) {
+     if ((headers == null) || (headers == undefined)) {
+       return;
+     }
+     var setCookies = headers["set-cookie"];
+     if ((setCookies == undefined) || (setCookies == null)) {
+       return;
+     }
+     setCookies = [].concat(setCookies);
+     for (var count = 0; count < setCookies.length; count++) {
+       this.setCookie(setCookies[count], url);
+     }
+   }
+
+   /**
+   * Returns the unexpired cookies that should be sent with a request, in the
+   * RFC 6265 order (longer paths first, then earlier creation times first).
+   *
+   * @param {String|URL} url The request URL.
+   * @param {Boolean} [includeAuth=true] If false, WordPress authentication cookies
+   * (see [isAuthCookie]{@link WPCookieJar#isAuthCookie}) are excluded.
+   *
+   * @return {Array} Copies of the matching cookie objects.
+   */
+   getCookies(url, includeAuth=true) {
+     url = new URL(url);
+     this.removeExpired();
+     var host = url.hostname.toLowerCase();
+     var secure = (url.protocol == "https:");
+     var matches = this._cookies.filter(cookie => {
+       if (cookie.hostOnly == true) {
+         if (cookie.domain != host) {
+           return (false);
+         }
+       } else if (this.domainMatch(host, cookie.domain) == false) {
+         return (false);
+       }
+       if (this.pathMatch(url.pathname, cookie.path) == false) {
+         return (false);
+       }
+       if ((cookie.secure == true) && (secure == false)) {
+         return (false);
+       }
+       if ((includeAuth == false) && (this.isAuthCookie(cookie) == true)) {
+         return (false);
+       }
+       return (true);
+     });
+     matches.sort((a, b) => {
+       if (a.path.length != b.path.length) {
+         return (b.path.length - a.path.length);
+       }
+       return (a.created - b.created);
+     });
+     return (matches.map(cookie => Object.assign(new Object(), cookie)));
+   }
+
+   /**
+   * Returns a "Cookie" header value for a request.
+   *
+   * @param {String|URL} url The request URL.
+   * @param {Boolean} [includeAuth=true] If false, WordPress authentication
+   * cookies are excluded.
+   *
+   * @return {String} The header value, or <code>null</code> if no cookies match.
+   */
+   getCookieHeader(url, includeAuth=true) {
+     var cookies = this.getCookies(url, includeAuth);
+     if (cookies.length == 0) {
+       return (null);
+     }
+     return (cookies.map(cookie => cookie.name + "=" + cookie.value).join("; "));
+   }
+
+   /**
+   * Removes cookies from the jar.
+   *
+   * @param {String} [name=null] The name of the cookies to remove. If
+   * <code>null</code>, cookies with any name are removed.
+   * @param {String} [domain=null] The domain of the cookies to remove. If
+   * <code>null</code>, cookies for any domain are removed.
+   *
+   * @return {Number} The number of cookies removed.
+   */
+   remove(name=null, domain=null) {
+     var count = this._cookies.length;
+     this._cookies = this._cookies.filter(cookie => {
+       if ((name != null) && (cookie.name != name)) {
+         return (true);
+       }
+       if ((domain != null) && (cookie.domain != domain.toLowerCase())) {
+         return (true);
+       }
+       return (false);
+     });
+     return (count - this._cookies.length);
+   }
+
+   /**
+   * Removes all cookies from the jar.
+   */
+   clear() {
+     this._cookies = new Array();
+   }
+
+   /**
+   * Removes expired cookies from the jar.
+   */
+   removeExpired() {
+     var now = Date.now();
+     this._cookies = this._cookies.filter(cookie => ((cookie.expires == null) || (cookie.expires > now)));
+   }
+
+   /**
+   * Serializes the unexpired cookies in the jar. This function is invoked by
+   * <code>JSON.stringify</code>.
+   *
+   * @return {Array} The cookie objects.
+   */
+   toJSON() {
+     return (this.cookies);
+   }
+
+   /**
+   * Loads serialized cookies into the jar, replacing any cookies with the same
+   * name, domain and path.
+   *
+   * @param {Array|String} cookies Serialized cookies, as returned by
+   * [toJSON]{@link WPCookieJar#toJSON}, or their JSON string.
+   */
+   load(cookies) {
+     if (typeof(cookies) == "string") {
+       cookies = JSON.parse(cookies);
+     }
+     for (var count = 0; count < cookies.length; count++) {
+       var cookie = Object.assign(new Object(), cookies[count]);
+       if ((typeof(cookie.name) != "string") || (typeof(cookie.domain) != "string")) {
+         continue;
+       }
+       cookie.path = cookie.path || "/";
+       cookie.hostOnly = (cookie.hostOnly != false);
+       cookie.expires = (cookie.expires == undefined) ? null : cookie.expires;
+       cookie.created = cookie.created || Date.now();
+       var existingIndex = this.findIndex(cookie.name, cookie.domain, cookie.path);
+       if (existingIndex > -1) {
+         this._cookies[existingIndex] = cookie;
+       } else {
+         this._cookies.push(cookie);
+       }
+     }
+     this.removeExpired();
+   }
+
+   /**
+   * Finds the index of a stored cookie.
+   *
+   * @param {String} name The cookie name.
+   * @param {String} domain The cookie domain.
+   * @param {String} path The cookie path.
+   *
+   * @return {Number} The index of the cookie, or -1 if it's not stored.
+   */
+   findIndex(name, domain, path) {
+     for (var count = 0; count < this._cookies.length; count++) {
+       var cookie = this._cookies[count];
+       if ((cookie.name == name) && (cookie.domain == domain) && (cookie.path == path)) {
+         return (count);
+       }
+     }
+     return (-1);
+   }
+
+   /**
+   * Checks if a host domain-matches a cookie domain (RFC 6265, section 5.1.3).
+   *
+   * @param {String} host The lowercase request host name.
+   * @param {String} domain The lowercase cookie domain.
+   *
+   * @return {Boolean} <code>true</code> if the host domain-matches.
+   */
+   domainMatch(host, domain) {
+     if (host == domain) {
+       return (true);
+     }
+     if (/^[\d.]+$/.test(host) || host.includes(":")) {
+       //IP addresses must match exactly
+       return (false);
+     }
+     return (host.endsWith("." + domain));
+   }
+
+   /**
+   * Checks if a cookie domain is a public suffix (RFC 6265, section 5.3),
+   * under which unrelated sites are registered. Single-label domains, the
+   * [publicSuffixes]{@link WPCookieJar.publicSuffixes}, and generic
+   * second-level domains of two-letter country codes (such as "co.uk",
+   * "com.au" and "ne.jp") are public suffixes.
+   *
+   * @param {String} domain The lowercase cookie domain.
+   *
+   * @return {Boolean} <code>true</code> if the domain is a public suffix.
+   */
+   isPublicSuffix(domain) {
+     var labels = domain.split(".");
+     if (labels.length == 1) {
+       return (true);
+     }
+     if (WPCookieJar.publicSuffixes.includes(domain) == true) {
+       return (true);
+     }
+     var genericLabels = ["ac", "co", "com", "edu", "go", "gob", "gov", "govt", "ltd", "me", "mil", "ne", "net", "nic", "or", "org", "plc", "sch"];
+     return ((labels.length == 2) && (/^[a-z]{2}$/.test(labels[1]) == true) && (genericLabels.includes(labels[0]) == true));
+   }
+
+   /**
+   * Checks if a request path path-matches a cookie path (RFC 6265, section 5.1.4).
+   *
+   * @param {String} requestPath The request URL path.
+   * @param {String} cookiePath The cookie path.
+   *
+   * @return {Boolean} <code>true</code> if the request path path-matches.
+   */
+   pathMatch(requestPath, cookiePath) {
+     if (requestPath == cookiePath) {
+       return (true);
+     }
+     if (requestPath.startsWith(cookiePath) == false) {
+       return (false);
+     }
+     return ((cookiePath.endsWith("/") == true) || (requestPath[cookiePath.length] == "/"));
+   }
+
+   /**
+   * Returns the default cookie path for a request URL (RFC 6265, section 5.1.4).
+   *
+   * @param {URL} url The request URL.
+   *
+   * @return {String} The default path.
+   */
+   getDefaultPath(url) {
+     var path = url.pathname;
+     if ((path.startsWith("/") == false) || (path.lastIndexOf("/") == 0)) {
+       return ("/");
+     }
+     return (path.substring(0, path.lastIndexOf("/")));
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPCookieJar (${this._cookies.length} cookies)`);
+   }
+}
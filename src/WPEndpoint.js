@@ -0,0 +1,326 @@
+/**
+* @file A dynamic proxy for a route advertised in the WordPress REST index.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPAPIError = require('./WPAPIError.js');
+const WPSchemaValidator = require('./WPSchemaValidator.js');
+
+/**
+* @class Represents a single route from the WordPress REST index (for example
+* "/wp/v2/posts/(?P&lt;id&gt;[\d]+)"). A function is created for each HTTP method
+* the route supports (<code>get</code>, <code>post</code>, <code>put</code>,
+* <code>patch</code> and <code>delete</code>) which validates the parameters
+* against the advertised argument schema, substitutes any path parameters
+* (e.g. <code>id</code>) and calls the route.
+*/
+module.exports = class WPEndpoint {
+
+  /**
+  * Creates a new instance of WPEndpoint
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  * @param {String} route The route pattern as listed in the REST index.
+  * @param {Object} routeInfo The route's entry in the REST index
+  * (<code>namespace</code>, <code>methods</code> and <code>endpoints</code>).
+  */
+   constructor(client, route, routeInfo) {
+     this._client = client;
+     this._route = route;
+     this._info = routeInfo;
+     this._validator = new WPSchemaValidator();
+     this._segments = this.parseRoute(route);
+     var methods = this.methods;
+     for (var count = 0; count < methods.length; count++) {
+       this.addMethod(methods[count]);
+     }
+   }
+
+   /**
+   * @property {String} route The route pattern as listed in the REST index.
+   * @readonly
+   */
+   get route() {
+     return (this._route);
+   }
+
+   /**
+   * @property {String} namespace The namespace the route belongs to (e.g. "wp/v2").
+   * @readonly
+   */
+   get namespace() {
+     return (this._info.namespace || "");
+   }
+
+   /**
+   * @property {String} name The route relative to its namespace, with path
+   * parameters written as <code>:name</code> (e.g. "posts/:id"). This is
+   * the property name used for the endpoint in [WPAPILib.endpoints]{@link WPAPILib#endpoints}.
+   * @readonly
+   */
+   get name() {
+     var path = "";
+     for (var count = 0; count < this._segments.length; count++) {
+       var segment = this._segments[count];
+       path += (segment.param == null) ? segment.text : ":" + segment.param;
+     }
+     var prefix = "/" + this.namespace;
+     if ((this.namespace != "") && (path.startsWith(prefix) == true)) {
+       path = path.substring(prefix.length);
+     }
+     return (path.replace(/^\/+/, ""));
+   }
+
+   /**
+   * @property {Array} methods The HTTP methods supported by the route.
+   * @readonly
+   */
+   get methods() {
+     if (Array.isArray(this._info.methods) == false) {
+       return (new Array());
+     }
+     return (this._info.methods);
+   }
+
+   /**
+   * @property {Array} pathParams The names of the parameters embedded in the route.
+   * @readonly
+   */
+   get pathParams() {
+     var params = new Array();
+     for (var count = 0; count < this._segments.length; count++) {
+       if (this._segments[count].param != null) {
+         params.push(this._segments[count].param);
+       }
+     }
+     return (params);
+   }
+
+   /**
+   * @property {RegExp} pattern A regular expression matching concrete paths for
+   * this route (e.g. "/wp/v2/posts/123"), or <code>null</code> if the route
+   * pattern isn't supported by JavaScript.
+   * @readonly
+   */
+   get pattern() {
+     if (this._pattern === undefined) {
+       var source = "";
+       for (var count = 0; count < this._segments.length; count++) {
+         var segment = this._segments[count];
+         if (segment.param == null) {
+           source += segment.text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+         } else {
+           source += "(" + segment.pattern + ")";
+         }
+       }
+       try {
+         this._pattern = new RegExp("^" + source + "$");
+       } catch (error) {
+         this._pattern = null;
+       }
+     }
+     return (this._pattern);
+   }
+
+   /**
+   * Splits a route pattern into literal text and named parameter segments. Named
+   * parameters use the PCRE <code>(?P&lt;name&gt;pattern)</code> syntax.
+   *
+   * @param {String} route The route pattern.
+   *
+   * @return {Array} Segment objects containing either literal <code>text</code>,
+   * or a <code>param</code> name and its <code>pattern</code>.
+   */
+   parseRoute(route) {
+     var segments = new Array();
+     var text = "";
+     var index = 0;
+     while (index < route.length) {
+       if (route.startsWith("(?P<", index) == false) {
+         text += route[index];
+         index++;
+         continue;
+       }
+       var nameEnd = route.indexOf(">", index);
+       var depth = 1;
+       var inClass = false;
+       var end = nameEnd + 1;
+       while ((end < route.length) && (depth > 0)) {
+         var char = route[end];
+         if (char == "\\") {
+           end += 2;
+           continue;
+         }
+         if (inClass == true) {
+           if (char == "]") {
+             inClass = false;
+           }
+         } else if (char == "[") {
+           inClass = true;
+         } else if (char == "(") {
+           depth++;
+         } else if (char == ")") {
+           depth--;
+         }
+         end++;
+       }
+       if (text != "") {
+         segments.push({text:text, param:null, pattern:null});
+         text = "";
+       }
+       var pattern = route.substring(nameEnd + 1, end - 1).replace(/\(\?P</g, "(?<");
+       segments.push({text:null, param:route.substring(index + 4, nameEnd), pattern:pattern});
+       index = end;
+     }
+     if (text != "") {
+       segments.push({text:text, param:null, pattern:null});
+     }
+     return (segments);
+   }
+
+   /**
+   * Adds a function for an HTTP method to this instance (e.g. <code>get</code>
+   * for "GET").
+   *
+   * @param {String} method The HTTP method.
+   */
+   addMethod(method) {
+     var name = method.toLowerCase();
+     if (this[name] != undefined) {
+       return;
+     }
+     this[name] = params => {
+       return (this.call(method, params));
+     };
+   }
+
+   /**
+   * Returns the endpoint definition from the REST index that handles a
+   * method.
+   *
+   * @param {String} method The HTTP method.
+   *
+   * @return {Object} The endpoint definition (<code>methods</code> and
+   * <code>args</code>), or <code>null</code> if the method isn't supported.
+   */
+   getEndpointInfo(method) {
+     var endpoints = this._info.endpoints;
+     if (Array.isArray(endpoints) == false) {
+       return (null);
+     }
+     method = method.toUpperCase();
+     for (var count = 0; count < endpoints.length; count++) {
+       if ((Array.isArray(endpoints[count].methods) == true) &&
+           (endpoints[count].methods.includes(method) == true)) {
+         return (endpoints[count]);
+       }
+     }
+     return (null);
+   }
+
+   /**
+   * Validates parameters for a method against the advertised argument schema.
+   *
+   * @param {String} method The HTTP method.
+   * @param {Object} [params=null] The parameters to validate, including any
+   * path parameters.
+   *
+   * @return {Object} Invalid or missing parameter names mapped to messages,
+   * or <code>null</code> if the parameters are valid.
+   */
+   validate(method, params=null) {
+     var info = this.getEndpointInfo(method);
+     if (info == null) {
+       var errors = new Object();
+       errors.method = `${method.toUpperCase()} is not supported by ${this.route}.`;
+       return (errors);
+     }
+     errors = this._validator.validate(info.args, params);
+     var pathParams = this.pathParams;
+     for (var count = 0; count < pathParams.length; count++) {
+       var name = pathParams[count];
+       if ((params == null) || (params[name] == undefined) || (params[name] == null)) {
+         if (errors == null) {
+           errors = new Object();
+         }
+         errors[name] = `${name} is a required path parameter.`;
+       }
+     }
+     return (errors);
+   }
+
+   /**
+   * Builds a concrete route by substituting path parameters.
+   *
+   * @param {Object} [params=null] The parameters containing the path parameter
+   * values.
+   *
+   * @return {String} The concrete route (e.g. "/wp/v2/posts/123").
+   */
+   buildPath(params=null) {
+     var path = "";
+     for (var count = 0; count < this._segments.length; count++) {
+       var segment = this._segments[count];
+       if (segment.param == null) {
+         path += segment.text;
+       } else {
+         //some path parameters (such as plugin names) may include slashes
+         path += encodeURIComponent(String(params[segment.param])).replace(/%2F/gi, "/");
+       }
+     }
+     return (path);
+   }
+
+   /**
+   * Validates the parameters and calls the route.
+   *
+   * @param {String} method The HTTP method.
+   * @param {Object} [params=null] The call parameters, including any path
+   * parameters.
+   * @param {Object} [options=null] Additional request options (see
+   * [callRoute]{@link WPAPILib#callRoute}).
+   *
+   * @return {Promise} The promise resolves with the result object of
+   * [callRoute]{@link WPAPILib#callRoute}. The promise rejects with a
+   * [WPAPIError]{@link WPAPIError} with the code "rest_invalid_param" if the
+   * parameters are invalid; no request is made in this case.
+   *
+   * @async
+   */
+   async call(method, params=null, options=null) {
+     method = method.toUpperCase();
+     var errors = this.validate(method, params);
+     if (errors != null) {
+       var body = new Object();
+       body.code = "rest_invalid_param";
+       body.message = "Invalid parameter(s): " + Object.keys(errors).join(", ");
+       body.data = {status:400, params:errors};
+       var errorDetails = new Object();
+       errorDetails.route = this.route;
+       errorDetails.method = method;
+       errorDetails.statusCode = null;
+       errorDetails.body = body;
+       throw (new WPAPIError(errorDetails));
+     }
+     var callParams = Object.assign(new Object(), params);
+     var pathParams = this.pathParams;
+     for (var count = 0; count < pathParams.length; count++) {
+       delete callParams[pathParams[count]];
+     }
+     if (Object.keys(callParams).length == 0) {
+       callParams = null;
+     }
+     var path = this.buildPath(params);
+     var result = await this._client.callRoute(path, callParams, method, this._client.authenticated, options);
+     return (result);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPEndpoint ${this.route} (${this.methods.join(",")})`);
+   }
+}
@@ -0,0 +1,146 @@
+/**
+* @file A streaming multipart/form-data request body builder.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const crypto = require('crypto');
+const stream = require('stream');
+
+/**
+* @class Builds a <code>multipart/form-data</code> request body from text fields
+* and file parts. File parts may be <code>Buffer</code> objects or readable
+* streams, which are streamed into the body rather than held in memory.
+*/
+module.exports = class WPMultipartBody {
+
+  /**
+  * Creates a new instance of WPMultipartBody
+  */
+   constructor() {
+     this._boundary = "----WPAPILib" + crypto.randomBytes(12).toString("hex");
+     this._parts = new Array();
+   }
+
+   /**
+   * @property {String} boundary The multipart boundary string.
+   * @readonly
+   */
+   get boundary() {
+     return (this._boundary);
+   }
+
+   /**
+   * @property {String} contentType The "Content-Type" header value for the body.
+   * @readonly
+   */
+   get contentType() {
+     return ("multipart/form-data; boundary=" + this.boundary);
+   }
+
+   /**
+   * @property {Number} length The total body length in bytes, or <code>null</code>
+   * if a streamed file part has an unknown size.
+   * @readonly
+   */
+   get length() {
+     var total = 0;
+     for (var count = 0; count < this._parts.length; count++) {
+       var part = this._parts[count];
+       if (part.size == null) {
+         return (null);
+       }
+       total += part.header.length + part.size + 2;
+     }
+     total += Buffer.byteLength(`--${this.boundary}--\r\n`);
+     return (total);
+   }
+
+   /**
+   * Escapes a value for use in a quoted "Content-Disposition" parameter.
+   *
+   * @param {String} value The value to escape.
+   *
+   * @return {String} The escaped value.
+   */
+   escape(value) {
+     return (String(value).replace(/"/g, "%22").replace(/\r/g, "%0D").replace(/\n/g, "%0A"));
+   }
+
+   /**
+   * Adds a text field to the body.
+   *
+   * @param {String} name The field name.
+   * @param {String|Number|Boolean} value The field value.
+   */
+   addField(name, value) {
+     var header = `--${this.boundary}\r\n`;
+     header += `Content-Disposition: form-data; name="${this.escape(name)}"\r\n\r\n`;
+     var part = new Object();
+     part.header = Buffer.from(header, "utf8");
+     part.body = Buffer.from(String(value), "utf8");
+     part.size = part.body.length;
+     this._parts.push(part);
+   }
+
+   /**
+   * Adds a file part to the body.
+   *
+   * @param {String} name The field name (WordPress expects "file").
+   * @param {String} fileName The file name to report to the server.
+   * @param {String} mimeType The MIME type of the file.
+   * @param {Buffer|stream.Readable} source The file contents.
+   * @param {Number} [size=null] The size of a stream source in bytes, if known.
+   */
+   addFile(name, fileName, mimeType, source, size=null) {
+     var header = `--${this.boundary}\r\n`;
+     header += `Content-Disposition: form-data; name="${this.escape(name)}"; filename="${this.escape(fileName)}"\r\n`;
+     header += `Content-Type: ${mimeType}\r\n\r\n`;
+     var part = new Object();
+     part.header = Buffer.from(header, "utf8");
+     part.body = source;
+     if (Buffer.isBuffer(source) == true) {
+       part.size = source.length;
+     } else {
+       part.size = size;
+     }
+     this._parts.push(part);
+   }
+
+   /**
+   * Creates a readable stream of the encoded body. Stream file parts are
+   * consumed by the returned stream so this should only be called once.
+   *
+   * @return {stream.PassThrough} The encoded body stream.
+   */
+   toStream() {
+     var output = new stream.PassThrough();
+     var parts = this._parts;
+     var footer = Buffer.from(`--${this.boundary}--\r\n`, "utf8");
+     var writePart = index => {
+       if (index >= parts.length) {
+         output.end(footer);
+         return;
+       }
+       var part = parts[index];
+       output.write(part.header);
+       if (Buffer.isBuffer(part.body) == true) {
+         output.write(part.body);
+         output.write("\r\n");
+         writePart(index + 1);
+       } else {
+         part.body.on("error", error => {
+           output.destroy(error);
+         });
+         part.body.on("end", () => {
+           output.write("\r\n");
+           writePart(index + 1);
+         });
+         part.body.pipe(output, {end:false});
+       }
+     };
+     writePart(0);
+     return (output);
+   }
+}
@@ -0,0 +1,211 @@
+/**
+* @file A WordPress multisite network client.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPAPILib = require('./WPAPILib.js');
+
+/**
+* @class A client for the main site of a WordPress multisite network that can
+* list the sites of the network and create clients scoped to each site's API
+* root. Site clients share the network client's cookie jar (and so its login
+* cookies), connection pool, session store and request settings, but keep
+* their own API settings and nonce.
+* @extends WPAPILib
+*/
+module.exports = class WPNetwork extends WPAPILib {
+
+  /**
+  * Creates a new instance of WPNetwork
+  *
+  * @param {String} networkURL The full URL of the main site of the network
+  * (e.g. https://www.mynetwork.com).
+  * @param {Object} [options=null] Client options (see [WPAPILib]{@link WPAPILib}).
+  */
+   constructor(networkURL, options=null) {
+     super(networkURL, options);
+     this._siteOptions = Object.assign(new Object(), options);
+     this._sites = new Object();
+   }
+
+   /**
+   * @property {Array} siteClients The site clients created so far using
+   * [site]{@link WPNetwork#site}.
+   * @readonly
+   */
+   get siteClients() {
+     var clients = new Array();
+     for (var url in this._sites) {
+       clients.push(this._sites[url]);
+     }
+     return (clients);
+   }
+
+   /**
+   * Lists the sites of the network that the logged-in user belongs to, as
+   * shown on the "My Sites" screen (<code>wp-admin/my-sites.php</code>).
+   * The network client must be [logged in]{@link WPAPILib#login} or use
+   * another strategy accepted by the admin screens.
+   *
+   * @return {Promise} The promise resolves with an array of objects, each
+   * containing the site <code>name</code>, its home <code>url</code> and
+   * its <code>adminURL</code>.
+   *
+   * @async
+   */
+   async listSites() {
+     await this.negotiateProtocol();
+     var reqResObj = this.buildRequest("wp-admin/my-sites.php", null, "GET");
+     try {
+       reqResObj.request.end();
+     } catch (error) {
+     }
+     await reqResObj.promise;
+     var status = reqResObj.response.statusCode;
+     if ((status >= 300) || (reqResObj.data.includes("my-sites") == false)) {
+       throw (new Error(`Couldn't list network sites (HTTP ${status}); is the client logged in to a multisite network?`));
+     }
+     return (this.parseSiteList(reqResObj.data));
+   }
+
+   /**
+   * Parses the site list of the "My Sites" screen.
+   *
+   * @param {String} html The HTML of the "My Sites" screen.
+   *
+   * @return {Array} The sites (see [listSites]{@link WPNetwork#listSites}).
+   */
+   parseSiteList(html) {
+     var sites = new Array();
+     var listStart = html.search(/<ul[^>]+class=["'][^"']*my-sites/i);
+     if (listStart < 0) {
+       return (sites);
+     }
+     var listEnd = html.indexOf("</ul>", listStart);
+     var items = html.substring(listStart, (listEnd < 0) ? html.length : listEnd).split(/<li[\s>]/i);
+     for (var count = 1; count < items.length; count++) {
+       var item = items[count];
+       var site = new Object();
+       var nameMatch = item.match(/<h3[^>]*>([\s\S]*?)<\/h3>/i);
+       site.name = (nameMatch == null) ? "" : this.decodeHTML(nameMatch[1].replace(/<[^>]+>/g, "").trim());
+       site.url = null;
+       site.adminURL = null;
+       var linkPattern = /href=(["'])(.*?)\1/gi;
+       var linkMatch = linkPattern.exec(item);
+       while (linkMatch != null) {
+         var href = this.decodeHTML(linkMatch[2]);
+         if (/\/wp-admin\/?$/.test(href) == true) {
+           site.adminURL = href;
+         } else if (site.url == null) {
+           site.url = href;
+         }
+         linkMatch = linkPattern.exec(item);
+       }
+       if ((site.url == null) && (site.adminURL != null)) {
+         site.url = site.adminURL.replace(/wp-admin\/?$/, "");
+       }
+       if (site.url != null) {
+         sites.push(site);
+       }
+     }
+     return (sites);
+   }
+
+   /**
+   * Decodes the HTML entities commonly found in site names and escaped URLs.
+   *
+   * @param {String} text The text to decode.
+   *
+   * @return {String} The decoded text.
+   * @private
+   */
+   decodeHTML(text) {
+     return (text.replace(/&#0*38;|&amp;/g, "&").replace(/&#0*39;|&apos;/g, "'")
+       .replace(/&quot;/g, "\"").replace(/&lt;/g, "<").replace(/&gt;/g, ">"));
+   }
+
+   /**
+   * Returns the client for a site of the network, creating and preparing it
+   * if necessary. A new site client receives a copy of the network client's
+   * authentication strategy (see [AuthStrategy.clone]{@link AuthStrategy#clone}).
+   * With cookie authentication, the shared login cookies are reused and only
+   * the site's own nonce is retrieved (logging in to the site if its host
+   * doesn't receive the network cookies); otherwise the site's API root is
+   * [discovered]{@link WPAPILib#discover}.
+   *
+   * @param {String|Object} site The home URL of the site, or a site object
+   * returned by [listSites]{@link WPNetwork#listSites}.
+   *
+   * @return {Promise} The promise resolves with the site's
+   * [WPAPILib]{@link WPAPILib} client.
+   *
+   * @async
+   */
+   async site(site) {
+     if ((typeof(site) == "object") && (site != null) && (site.url != undefined)) {
+       site = site.url;
+     }
+     var url = new URL(site, this._baseURL);
+     if (url.pathname.endsWith("/") == false) {
+       url.pathname += "/";
+     }
+     if (this._sites[url.href] != undefined) {
+       return (this._sites[url.href]);
+     }
+     var client = this.createSiteClient(url.href);
+     if (client.auth.type == "cookie") {
+       if (client.authenticated == true) {
+         await client.negotiateProtocol();
+         await client.getAPISettings();
+       } else {
+         await client.authenticate();
+       }
+     } else {
+       await client.discover();
+     }
+     this._sites[url.href] = client;
+     return (client);
+   }
+
+   /**
+   * Creates an unprepared client for a site of the network that shares this
+   * client's cookie jar, connection pool, session store and request settings.
+   *
+   * @param {String} siteURL The home URL of the site.
+   *
+   * @return {WPAPILib} The new site client.
+   */
+   createSiteClient(siteURL) {
+     var options = Object.assign(new Object(), this._siteOptions);
+     options.auth = this.auth.clone();
+     options.cookieJar = this.cookieJar;
+     options.cookies = null;
+     options.connectionPool = this.connectionPool;
+     options.sessionStore = this.sessionStore;
+     options.sessionKey = siteURL;
+     options.http2 = this.HTTP2Mode;
+     options.json = this.jsonRequests;
+     options.timeout = this.timeout;
+     options.retry = this.retryPolicy;
+     options.compress = this.compress;
+     options.interceptors = this.interceptors;
+     return (new WPAPILib(siteURL, options));
+   }
+
+   /**
+   * Forgets the site clients created so far. Their connections remain in the
+   * shared pool until it's [closed]{@link WPAPILib#close}.
+   */
+   clearSites() {
+     this._sites = new Object();
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPNetwork ${this._baseURL.href} (${this.siteClients.length} site clients)`);
+   }
+}
@@ -0,0 +1,276 @@
+/**
+* @file A single page of a paginated WordPress REST API collection.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class A page of results retrieved from a WordPress REST API collection route.
+* Exposes the collection totals reported by the <code>X-WP-Total</code> and
+* <code>X-WP-TotalPages</code> headers, functions to retrieve adjacent pages,
+* and asynchronous iteration over the items of this and all following pages.
+* Pages are addressed using the <code>page</code> parameter unless an
+* <code>offset</code> parameter is included, in which case offsets are used.
+*/
+module.exports = class WPPage {
+
+  /**
+  * Creates a new instance of WPPage. Instances are usually created using
+  * [paginate]{@link WPAPILib#paginate} or [paginateRoute]{@link WPAPILib#paginateRoute}.
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  * @param {String} route The namespaced collection route (e.g. "/wp/v2/posts").
+  * @param {Object} params The query parameters used to retrieve the page.
+  * @param {Object} result The result object returned by [callRoute]{@link WPAPILib#callRoute}.
+  * @param {Boolean} [useAuth=true] If true, adjacent pages are retrieved using
+  * the current authentication.
+  */
+   constructor(client, route, params, result, useAuth=true) {
+     this._client = client;
+     this._route = route;
+     this._params = Object.assign(new Object(), params);
+     this._useAuth = useAuth;
+     this._headers = result.headers;
+     var items = result.data;
+     if (typeof(items) == "string") {
+       items = (items == "") ? new Array() : JSON.parse(items);
+     }
+     if (Array.isArray(items) == false) {
+       throw (new Error(`Route "${route}" did not return a collection.`));
+     }
+     this._items = items;
+   }
+
+   /**
+   * @property {Array} items The parsed items in this page.
+   * @readonly
+   */
+   get items() {
+     return (this._items);
+   }
+
+   /**
+   * @property {String} route The namespaced collection route.
+   * @readonly
+   */
+   get route() {
+     return (this._route);
+   }
+
+   /**
+   * @property {Object} params The query parameters used to retrieve this page.
+   * @readonly
+   */
+   get params() {
+     return (this._params);
+   }
+
+   /**
+   * @property {Boolean} offsetMode True if pages are addressed using the
+   * <code>offset</code> parameter rather than <code>page</code>.
+   * @readonly
+   */
+   get offsetMode() {
+     return (this._params.offset != undefined);
+   }
+
+   /**
+   * @property {Number} page The 1-based page number. In offset mode this is
+   * calculated from the offset.
+   * @readonly
+   */
+   get page() {
+     if (this.offsetMode == true) {
+       return (Math.floor(this.offset / this.perPage) + 1);
+     }
+     if (this._params.page == undefined) {
+       return (1);
+     }
+     return (Number(this._params.page));
+   }
+
+   /**
+   * @property {Number} perPage The maximum number of items per page (the
+   * <code>per_page</code> parameter, or the WordPress default of 10).
+   * @readonly
+   */
+   get perPage() {
+     if (this._params.per_page == undefined) {
+       return (10);
+     }
+     return (Number(this._params.per_page));
+   }
+
+   /**
+   * @property {Number} offset The number of items preceding this page.
+   * @readonly
+   */
+   get offset() {
+     if (this.offsetMode == true) {
+       return (Number(this._params.offset));
+     }
+     return ((this.page - 1) * this.perPage);
+   }
+
+   /**
+   * @property {Number} total The total number of items in the collection
+   * (<code>X-WP-Total</code>), or <code>null</code> if not reported.
+   * @readonly
+   */
+   get total() {
+     return (this.getHeaderNumber("x-wp-total"));
+   }
+
+   /**
+   * @property {Number} totalPages The total number of pages in the collection
+   * (<code>X-WP-TotalPages</code>), or <code>null</code> if not reported.
+   * @readonly
+   */
+   get totalPages() {
+     return (this.getHeaderNumber("x-wp-totalpages"));
+   }
+
+   /**
+   * @property {Boolean} hasNext True if there are items after this page.
+   * @readonly
+   */
+   get hasNext() {
+     if (this._items.length == 0) {
+       return (false);
+     }
+     if (this.offsetMode == true) {
+       if (this.total != null) {
+         return ((this.offset + this._items.length) < this.total);
+       }
+     } else if (this.totalPages != null) {
+       return (this.page < this.totalPages);
+     }
+     return (this._items.length >= this.perPage);
+   }
+
+   /**
+   * @property {Boolean} hasPrev True if there are items before this page.
+   * @readonly
+   */
+   get hasPrev() {
+     return (this.offset > 0);
+   }
+
+   /**
+   * Returns a numeric response header value.
+   *
+   * @param {String} name The lowercase header name.
+   *
+   * @return {Number} The header value, or <code>null</code> if it's missing
+   * or not numeric.
+   */
+   getHeaderNumber(name) {
+     if ((this._headers == null) || (this._headers == undefined)) {
+       return (null);
+     }
+     var value = parseInt(this._headers[name], 10);
+     if (isNaN(value)) {
+       return (null);
+     }
+     return (value);
+   }
+
+   /**
+   * Retrieves the page following this one.
+   *
+   * @return {Promise} The promise resolves with the next <code>WPPage</code>,
+   * or <code>null</code> if this is the last page.
+   *
+   * @async
+   */
+   async next() {
+     if (this.hasNext == false) {
+       return (null);
+     }
+     var params = Object.assign(new Object(), this._params);
+     if (this.offsetMode == true) {
+       params.offset = this.offset + this._items.length;
+     } else {
+       params.page = this.page + 1;
+     }
+     var page = await this._client.paginateRoute(this._route, params, this._useAuth);
+     return (page);
+   }
+
+   /**
+   * Retrieves the page preceding this one.
+   *
+   * @return {Promise} The promise resolves with the previous <code>WPPage</code>,
+   * or <code>null</code> if this is the first page.
+   *
+   * @async
+   */
+   async prev() {
+     if (this.hasPrev == false) {
+       return (null);
+     }
+     var params = Object.assign(new Object(), this._params);
+     if (this.offsetMode == true) {
+       params.offset = Math.max(0, this.offset - this.perPage);
+     } else {
+       params.page = this.page - 1;
+     }
+     var page = await this._client.paginateRoute(this._route, params, this._useAuth);
+     return (page);
+   }
+
+   /**
+   * Asynchronously iterates over the items of this page and all following
+   * pages, retrieving each page as needed. Iteration may be stopped early
+   * with <code>break</code>.
+   *
+   * @param {Object} [options=null] Iteration options.
+   * @param {Number} [options.maxPages=null] The maximum number of pages to iterate.
+   * @param {Number} [options.maxItems=null] The maximum number of items to yield.
+   *
+   * @return {AsyncGenerator} Yields each item.
+   */
+   async *iterate(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     var maxPages = options.maxPages || Infinity;
+     var maxItems = options.maxItems || Infinity;
+     var pageCount = 0;
+     var itemCount = 0;
+     var page = this;
+     while (page != null) {
+       pageCount++;
+       for (var count = 0; count < page.items.length; count++) {
+         if (itemCount >= maxItems) {
+           return;
+         }
+         itemCount++;
+         yield (page.items[count]);
+       }
+       if ((pageCount >= maxPages) || (itemCount >= maxItems)) {
+         return;
+       }
+       page = await page.next();
+     }
+   }
+
+   /**
+   * Asynchronously iterates over the items of this page and all following
+   * pages (see [iterate]{@link WPPage#iterate}).
+   *
+   * @return {AsyncGenerator} Yields each item.
+   */
+   [Symbol.asyncIterator]() {
+     return (this.iterate());
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPPage ${this.route} (page ${this.page} of ${this.totalPages}, ${this.items.length} items)`);
+   }
+}
@@ -0,0 +1,185 @@
+/**
+* @file A connection tunnelled through a proxy server.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const stream = require('stream');
+
+/**
+* @class A duplex stream carrying a connection through a proxy server. The
+* tunnel is returned as soon as the connection to the proxy starts so that it
+* can be used wherever a socket must be created synchronously (for example by
+* an HTTP agent or <code>http2.connect</code>); data written before the proxy
+* has opened the tunnel is held until it's open. Socket functions such as
+* <code>setTimeout</code> and <code>setKeepAlive</code> apply to the
+* connection to the proxy.
+*/
+module.exports = class WPProxyTunnel extends stream.Duplex {
+
+  /**
+  * Creates a new instance of WPProxyTunnel
+  *
+  * @param {net.Socket|tls.TLSSocket} socket The connection to the proxy server.
+  */
+   constructor(socket) {
+     super();
+     this._socket = socket;
+     this._open = false;
+     this._pendingWrites = new Array();
+     socket.on("error", error => {
+       this.destroy(error);
+     });
+     socket.on("timeout", () => {
+       this.emit("timeout");
+     });
+     socket.on("close", () => {
+       if (this._open == false) {
+         var error = new Error("The proxy closed the connection before the tunnel was opened.");
+         error.code = "ECONNRESET";
+         this.destroy(error);
+       } else {
+         this.destroy();
+       }
+     });
+   }
+
+   /**
+   * @property {net.Socket|tls.TLSSocket} socket The connection to the proxy server.
+   * @readonly
+   */
+   get socket() {
+     return (this._socket);
+   }
+
+   /**
+   * @property {Boolean} open <code>true</code> once the proxy has opened the tunnel.
+   * @readonly
+   */
+   get open() {
+     return (this._open);
+   }
+
+   /**
+   * Starts passing data through the tunnel once the proxy has opened it.
+   *
+   * @param {Buffer} [head=null] Data received from the destination along with
+   * the proxy's response.
+   */
+   start(head=null) {
+     if ((this._open == true) || (this.destroyed == true)) {
+       return;
+     }
+     this._open = true;
+     this._socket.on("data", data => {
+       if (this.push(data) == false) {
+         this._socket.pause();
+       }
+     });
+     this._socket.on("end", () => {
+       this.push(null);
+     });
+     if ((head != null) && (head.length > 0)) {
+       this.push(head);
+     }
+     var pendingWrites = this._pendingWrites;
+     this._pendingWrites = new Array();
+     for (var count = 0; count < pendingWrites.length; count++) {
+       var write = pendingWrites[count];
+       if (write.chunk == null) {
+         this._socket.end(write.callback);
+       } else {
+         this._socket.write(write.chunk, write.encoding, write.callback);
+       }
+     }
+     this._socket.resume();
+   }
+
+   /**
+   * Sets the inactivity timeout of the connection to the proxy.
+   *
+   * @param {Number} timeout The number of milliseconds, or 0 to disable the timeout.
+   * @param {Function} [callback=null] A function to add as a "timeout" listener.
+   *
+   * @return {WPProxyTunnel} The tunnel.
+   */
+   setTimeout(timeout, callback=null) {
+     if (typeof(callback) == "function") {
+       this.once("timeout", callback);
+     }
+     this._socket.setTimeout(timeout);
+     return (this);
+   }
+
+   /**
+   * @private
+   */
+   setKeepAlive(enable, delay) {
+     this._socket.setKeepAlive(enable, delay);
+     return (this);
+   }
+
+   /**
+   * @private
+   */
+   setNoDelay(noDelay) {
+     this._socket.setNoDelay(noDelay);
+     return (this);
+   }
+
+   /**
+   * @private
+   */
+   ref() {
+     this._socket.ref();
+     return (this);
+   }
+
+   /**
+   * @private
+   */
+   unref() {
+     this._socket.unref();
+     return (this);
+   }
+
+   /**
+   * @private
+   */
+   _write(chunk, encoding, callback) {
+     if (this._open == false) {
+       this._pendingWrites.push({chunk:chunk, encoding:encoding, callback:callback});
+       return;
+     }
+     this._socket.write(chunk, encoding, callback);
+   }
+
+   /**
+   * @private
+   */
+   _final(callback) {
+     if (this._open == false) {
+       this._pendingWrites.push({chunk:null, encoding:null, callback:callback});
+       return;
+     }
+     this._socket.end(callback);
+   }
+
+   /**
+   * @private
+   */
+   _read(size) {
+     if (this._open == true) {
+       this._socket.resume();
+     }
+   }
+
+   /**
+   * @private
+   */
+   _destroy(error, callback) {
+     this._socket.destroy();
+     callback(error);
+   }
+}
@@ -0,0 +1,210 @@
+/**
+* @file Retry policy for WPAPILib requests.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Decides whether a failed request is retried and how long to wait
+* before retrying. Delays grow exponentially with jitter, and a
+* <code>Retry-After</code> header sent by the server is respected. By
+* default only idempotent methods are retried. Subclasses may override
+* [shouldRetry]{@link WPRetryPolicy#shouldRetry} and
+* [getDelay]{@link WPRetryPolicy#getDelay}.
+*/
+module.exports = class WPRetryPolicy {
+
+  /**
+  * Creates a new instance of WPRetryPolicy
+  *
+  * @param {Object} [options=null] Policy options.
+  * @param {Number} [options.retries=2] The maximum number of retries after
+  * the first attempt. Use 0 to disable retries.
+  * @param {Number} [options.minDelay=500] The base delay, in milliseconds,
+  * before the first retry.
+  * @param {Number} [options.maxDelay=30000] The maximum delay, in milliseconds.
+  * If the server's <code>Retry-After</code> asks for a longer wait, the request
+  * isn't retried.
+  * @param {Number} [options.factor=2] The multiplier applied to the delay
+  * after every retry.
+  * @param {Array} [options.methods] The HTTP methods that may be retried.
+  * Defaults to the idempotent methods GET, HEAD, OPTIONS, PUT and DELETE.
+  * @param {Array} [options.statusCodes] The response status codes that are
+  * retried. Defaults to 408, 429, 500, 502, 503 and 504.
+  * @param {Array} [options.errorCodes] The network error codes that are
+  * retried. Defaults to common transient socket, DNS, timeout and HTTP/2
+  * stream errors.
+  */
+   constructor(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._retries = 2;
+     if (typeof(options.retries) == "number") {
+       this._retries = options.retries;
+     }
+     this._minDelay = 500;
+     if (typeof(options.minDelay) == "number") {
+       this._minDelay = options.minDelay;
+     }
+     this._maxDelay = 30000;
+     if (typeof(options.maxDelay) == "number") {
+       this._maxDelay = options.maxDelay;
+     }
+     this._factor = 2;
+     if (typeof(options.factor) == "number") {
+       this._factor = options.factor;
+     }
+     this._methods = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+     if (Array.isArray(options.methods) == true) {
+       this._methods = options.methods.map(method => method.toUpperCase());
+     }
+     this._statusCodes = [408, 429, 500, 502, 503, 504];
+     if (Array.isArray(options.statusCodes) == true) {
+       this._statusCodes = options.statusCodes;
+     }
+     this._errorCodes = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "EPIPE", "ETIMEDOUT",
+       "ENOTFOUND", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH", "ERR_HTTP2_STREAM_ERROR",
+       "ERR_HTTP2_GOAWAY_SESSION", "ERR_HTTP2_SESSION_ERROR", "ERR_HTTP2_STREAM_CANCEL"];
+     if (Array.isArray(options.errorCodes) == true) {
+       this._errorCodes = options.errorCodes;
+     }
+   }
+
+   /**
+   * @property {Number} retries The maximum number of retries after the first attempt.
+   * @readonly
+   */
+   get retries() {
+     return (this._retries);
+   }
+
+   /**
+   * @property {Number} minDelay The base delay, in milliseconds, before the first retry.
+   * @readonly
+   */
+   get minDelay() {
+     return (this._minDelay);
+   }
+
+   /**
+   * @property {Number} maxDelay The maximum delay, in milliseconds, between attempts.
+   * @readonly
+   */
+   get maxDelay() {
+     return (this._maxDelay);
+   }
+
+   /**
+   * @property {Number} factor The multiplier applied to the delay after every retry.
+   * @readonly
+   */
+   get factor() {
+     return (this._factor);
+   }
+
+   /**
+   * @property {Array} methods The HTTP methods that may be retried.
+   * @readonly
+   */
+   get methods() {
+     return (this._methods);
+   }
+
+   /**
+   * @property {Array} statusCodes The response status codes that are retried.
+   * @readonly
+   */
+   get statusCodes() {
+     return (this._statusCodes);
+   }
+
+   /**
+   * @property {Array} errorCodes The network error codes that are retried.
+   * @readonly
+   */
+   get errorCodes() {
+     return (this._errorCodes);
+   }
+
+   /**
+   * Checks whether a failed request should be retried.
+   *
+   * @param {Error} error The error the attempt failed with. This is a
+   * [WPAPIError]{@link WPAPIError} for error responses.
+   * @param {String} method The HTTP method of the request.
+   * @param {Number} attempt The number of the failed attempt (1 for the
+   * first attempt).
+   *
+   * @return {Boolean} <code>true</code> if the request should be retried.
+   */
+   shouldRetry(error, method, attempt) {
+     if (attempt > this.retries) {
+       return (false);
+     }
+     if (this.methods.includes(method.toUpperCase()) == false) {
+       return (false);
+     }
+     if ((error == null) || (error.name == "AbortError")) {
+       return (false);
+     }
+     if (typeof(error.statusCode) == "number") {
+       return (this.statusCodes.includes(error.statusCode));
+     }
+     return (this.errorCodes.includes(error.code));
+   }
+
+   /**
+   * Returns the delay before the next attempt. The server's
+   * <code>Retry-After</code> header is used if present, otherwise the delay
+   * grows exponentially from [minDelay]{@link WPRetryPolicy#minDelay}, with
+   * the upper half of each delay randomized.
+   *
+   * @param {Error} error The error the attempt failed with.
+   * @param {Number} attempt The number of the failed attempt (1 for the
+   * first attempt).
+   *
+   * @return {Number} The delay in milliseconds, or -1 if the server asked for a
+   * longer wait than [maxDelay]{@link WPRetryPolicy#maxDelay}.
+   */
+   getDelay(error, attempt) {
+     var retryAfter = this.getRetryAfter(error);
+     if (retryAfter != null) {
+       if (retryAfter > this.maxDelay) {
+         return (-1);
+       }
+       return (retryAfter);
+     }
+     var delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1));
+     return (Math.round((delay / 2) + (Math.random() * delay / 2)));
+   }
+
+   /**
+   * Parses the <code>Retry-After</code> header of an error response.
+   *
+   * @param {Error} error The error the attempt failed with.
+   *
+   * @return {Number} The requested delay in milliseconds, or <code>null</code>
+   * if the header is missing or invalid.
+   */
+   getRetryAfter(error) {
+     if ((error == null) || (error.response == null) || (error.response == undefined)) {
+       return (null);
+     }
+     var headers = error.response.headers;
+     if ((headers == null) || (headers == undefined) || (headers["retry-after"] == undefined)) {
+       return (null);
+     }
+     var value = String(headers["retry-after"]).trim();
+     if (/^\d+$/.test(value) == true) {
+       return (Number(value) * 1000);
+     }
+     var date = Date.parse(value);
+     if (isNaN(date) == true) {
+       return (null);
+     }
+     return (Math.max(0, date - Date.now()));
+   }
+}
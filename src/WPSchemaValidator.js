@@ -0,0 +1,220 @@
+/**
+* @file Validates API call parameters against WordPress REST argument schemas.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Validates parameters against the <code>args</code> schema advertised
+* for a WordPress REST API endpoint in the REST index. Checks include required
+* arguments, JSON schema types (allowing the string forms WordPress accepts in
+* query strings), enumerations, numeric ranges, string lengths and patterns,
+* and array item schemas.
+*/
+module.exports = class WPSchemaValidator {
+
+  /**
+  * Creates a new instance of WPSchemaValidator
+  */
+   constructor() {
+   }
+
+   /**
+   * Validates a set of parameters against an endpoint's argument schema.
+   *
+   * @param {Object} args The endpoint's <code>args</code> object from the
+   * REST index (argument names mapped to their schemas).
+   * @param {Object} params The parameters to validate.
+   *
+   * @return {Object} Invalid or missing parameter names mapped to messages
+   * describing the problem, or <code>null</code> if the parameters are valid.
+   */
+   validate(args, params) {
+     if ((args == null) || (args == undefined)) {
+       return (null);
+     }
+     if ((params == null) || (params == undefined)) {
+       params = new Object();
+     }
+     var errors = new Object();
+     var errorCount = 0;
+     for (var name in args) {
+       var schema = args[name];
+       var value = params[name];
+       if ((value == undefined) || (value == null)) {
+         if (schema.required == true) {
+           errors[name] = `${name} is a required parameter.`;
+           errorCount++;
+         }
+         continue;
+       }
+       var message = this.validateValue(value, schema, name);
+       if (message != null) {
+         errors[name] = message;
+         errorCount++;
+       }
+     }
+     if (errorCount == 0) {
+       return (null);
+     }
+     return (errors);
+   }
+
+   /**
+   * Validates a single value against a schema.
+   *
+   * @param {*} value The value to validate.
+   * @param {Object} schema The JSON schema (subset) to validate against.
+   * @param {String} name The parameter name, used in messages.
+   *
+   * @return {String} A message describing why the value is invalid, or
+   * <code>null</code> if it's valid.
+   */
+   validateValue(value, schema, name) {
+     if ((schema == null) || (schema == undefined)) {
+       return (null);
+     }
+     var types = schema.type;
+     if ((types != undefined) && (types != null)) {
+       types = [].concat(types);
+       var matchedType = null;
+       for (var count = 0; count < types.length; count++) {
+         if (this.isType(value, types[count]) == true) {
+           matchedType = types[count];
+           break;
+         }
+       }
+       if (matchedType == null) {
+         return (`${name} is not of type ${types.join(",")}.`);
+       }
+     }
+     if (Array.isArray(schema.enum) == true) {
+       if ((matchedType != "array") && (this.inEnum(value, schema.enum) == false)) {
+         return (`${name} is not one of ${schema.enum.join(", ")}.`);
+       }
+     }
+     if ((matchedType == "integer") || (matchedType == "number")) {
+       var numValue = Number(value);
+       if ((typeof(schema.minimum) == "number") && ((numValue < schema.minimum) ||
+           ((schema.exclusiveMinimum == true) && (numValue == schema.minimum)))) {
+         return (`${name} must be greater than ${(schema.exclusiveMinimum == true) ? "" : "or equal to "}${schema.minimum}.`);
+       }
+       if ((typeof(schema.maximum) == "number") && ((numValue > schema.maximum) ||
+           ((schema.exclusiveMaximum == true) && (numValue == schema.maximum)))) {
+         return (`${name} must be less than ${(schema.exclusiveMaximum == true) ? "" : "or equal to "}${schema.maximum}.`);
+       }
+     }
+     if (matchedType == "string") {
+       if ((typeof(schema.minLength) == "number") && (value.length < schema.minLength)) {
+         return (`${name} must be at least ${schema.minLength} characters long.`);
+       }
+       if ((typeof(schema.maxLength) == "number") && (value.length > schema.maxLength)) {
+         return (`${name} must be at most ${schema.maxLength} characters long.`);
+       }
+       if (typeof(schema.pattern) == "string") {
+         try {
+           var pattern = new RegExp(schema.pattern);
+         } catch (error) {
+           //pattern not supported by JavaScript; let the server validate it
+           pattern = null;
+         }
+         if ((pattern != null) && (pattern.test(value) == false)) {
+           return (`${name} does not match pattern ${schema.pattern}.`);
+         }
+       }
+     }
+     if (matchedType == "array") {
+       var items = this.toArray(value);
+       if ((typeof(schema.minItems) == "number") && (items.length < schema.minItems)) {
+         return (`${name} must contain at least ${schema.minItems} items.`);
+       }
+       if ((typeof(schema.maxItems) == "number") && (items.length > schema.maxItems)) {
+         return (`${name} must contain at most ${schema.maxItems} items.`);
+       }
+       if ((schema.items != undefined) && (schema.items != null)) {
+         for (count = 0; count < items.length; count++) {
+           var message = this.validateValue(items[count], schema.items, `${name}[${count}]`);
+           if (message != null) {
+             return (message);
+           }
+         }
+       }
+     }
+     return (null);
+   }
+
+   /**
+   * Checks if a value matches a JSON schema type, allowing the string
+   * representations WordPress accepts for query string parameters.
+   *
+   * @param {*} value The value to check.
+   * @param {String} type The JSON schema type.
+   *
+   * @return {Boolean} <code>true</code> if the value matches the type.
+   */
+   isType(value, type) {
+     switch (type) {
+       case "integer":
+         if ((typeof(value) == "string") && (value.trim() == "")) {
+           return (false);
+         }
+         return (Number.isInteger(Number(value)));
+       case "number":
+         if ((typeof(value) == "string") && (value.trim() == "")) {
+           return (false);
+         }
+         return (isNaN(Number(value)) == false);
+       case "boolean":
+         return ([true, false, 1, 0, "true", "false", "1", "0", ""].includes(value));
+       case "string":
+         return (typeof(value) == "string");
+       case "array":
+         return ((Array.isArray(value) == true) || (typeof(value) == "string"));
+       case "object":
+         return ((typeof(value) == "object") && (Array.isArray(value) == false));
+       case "null":
+         return ((value == null) || (value == ""));
+       default:
+         //unknown types aren't validated
+         return (true);
+     }
+   }
+
+   /**
+   * Checks if a value is included in an enumeration, comparing string forms
+   * so that query string values match numeric enumerations.
+   *
+   * @param {*} value The value to check.
+   * @param {Array} enumeration The allowed values.
+   *
+   * @return {Boolean} <code>true</code> if the value is allowed.
+   */
+   inEnum(value, enumeration) {
+     for (var count = 0; count < enumeration.length; count++) {
+       if (String(enumeration[count]) == String(value)) {
+         return (true);
+       }
+     }
+     return (false);
+   }
+
+   /**
+   * Converts an array parameter value to an array. WordPress accepts
+   * comma-separated strings for array parameters.
+   *
+   * @param {Array|String} value The value to convert.
+   *
+   * @return {Array} The array of items.
+   */
+   toArray(value) {
+     if (Array.isArray(value) == true) {
+       return (value);
+     }
+     if (value == "") {
+       return (new Array());
+     }
+     return (String(value).split(",").map(item => item.trim()));
+   }
+}
@@ -0,0 +1,555 @@
+/**
+* @file Polls WordPress collections for changes and emits change events.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const EventEmitter = require('events');
+const WPAPIError = require('./WPAPIError.js');
+
+/**
+* @class Watches collections of a site for changes by periodically requesting
+* the items modified since the last poll (using the <code>modified_after</code>
+* and <code>orderby=modified</code> parameters of WordPress 5.7+), and emits
+* events for them. A checkpoint containing the last modification time and the
+* known status of each item is kept in memory and, if a store is configured,
+* saved after each poll so that a restarted watcher continues where it stopped.
+* <p>
+* The watcher emits these events, each with a change object containing the
+* <code>collection</code>, the item <code>id</code> and the <code>item</code>:
+* </p>
+* <ul>
+* <li><code>created</code> - an item was added.</li>
+* <li><code>updated</code> - an item was modified (including status changes,
+* other than moving it to the trash). The change includes the
+* <code>previous</code> status and modification time.</li>
+* <li><code>statusChanged</code> - an item's status changed (e.g. from "draft"
+* to "publish"). The change includes the <code>status</code> and
+* <code>previousStatus</code>.</li>
+* <li><code>deleted</code> - an item was moved to the trash or permanently
+* deleted (or, for anonymous watchers, is no longer published). The change
+* includes <code>trashed</code>; the <code>item</code> is <code>null</code>
+* if the item is gone.</li>
+* <li><code>poll</code> - a poll completed, with a summary object.</li>
+* <li><code>error</code> - a scheduled poll failed. Polling continues.</li>
+* </ul>
+* <p>
+* Permanent deletions don't change modification times, so they're detected by
+* periodically reconciling the IDs of the known items with the IDs listed by
+* the site. Items missing from the list are requested individually to tell
+* trashed items from deleted ones.
+* </p>
+* @extends EventEmitter
+*/
+module.exports = class WPWatcher extends EventEmitter {
+
+  /**
+  * Creates a new instance of WPWatcher
+  *
+  * @param {WPAPILib} client The client of the site to watch.
+  * @param {Object} [options=null] Watcher options.
+  * @param {Array} [options.collections=["posts"]] The collections to watch,
+  * either endpoints relative to the [APIVersionString]{@link WPAPILib#APIVersionString}
+  * (e.g. "pages") or namespaced routes. The collections must support the
+  * <code>modified_after</code> parameter (post types, including media).
+  * @param {Number} [options.interval=60000] The number of milliseconds between
+  * polls when the watcher is [started]{@link WPWatcher#start}.
+  * @param {Number} [options.reconcileEvery=10] The number of polls between
+  * deletion checks. If 0, deletions are only detected by calling
+  * [reconcile]{@link WPWatcher#reconcile}.
+  * @param {String|Array} [options.status] The statuses of the items to watch.
+  * Defaults to "any" for authenticated clients if the collection supports it
+  * (every status except "trash"), otherwise to the collection's default
+  * (usually "publish"). Including "trash" reports trashed items as soon as
+  * they're modified instead of at the next deletion check.
+  * @param {Object} [options.params=null] Additional query parameters sent with
+  * each poll (e.g. <code>{context:"edit"}</code>).
+  * @param {Number} [options.perPage=100] The number of items requested per page.
+  * @param {Boolean} [options.emitExisting=false] If true, the first poll of a
+  * collection without a checkpoint emits a <code>created</code> event for
+  * every existing item. Otherwise the existing items are recorded silently.
+  * @param {WPSessionStore} [options.store=null] A store to keep the checkpoint
+  * in (for example a [WPFileSessionStore]{@link WPFileSessionStore}).
+  * @param {String} [options.key] The key the checkpoint is stored under.
+  * Defaults to the client's [sessionKey]{@link WPAPILib#sessionKey} followed by "#watch".
+  */
+   constructor(client, options=null) {
+     super();
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._client = client;
+     this._collections = options.collections || ["posts"];
+     this._interval = 60000;
+     if (typeof(options.interval) == "number") {
+       this._interval = options.interval;
+     }
+     this._reconcileEvery = 10;
+     if (typeof(options.reconcileEvery) == "number") {
+       this._reconcileEvery = options.reconcileEvery;
+     }
+     this._status = options.status || null;
+     this._params = options.params || null;
+     this._perPage = options.perPage || 100;
+     this._emitExisting = (options.emitExisting == true);
+     this._store = options.store || null;
+     this._key = options.key || (client.sessionKey + "#watch");
+     this._checkpoint = null;
+     this._polls = 0;
+     this._polling = null;
+     this._timer = null;
+     this._running = false;
+   }
+
+   /**
+   * @property {WPAPILib} client The client of the site being watched.
+   * @readonly
+   */
+   get client() {
+     return (this._client);
+   }
+
+   /**
+   * @property {Array} collections The watched collections.
+   * @readonly
+   */
+   get collections() {
+     return (this._collections);
+   }
+
+   /**
+   * @property {Number} interval The number of milliseconds between polls.
+   */
+   get interval() {
+     return (this._interval);
+   }
+
+   set interval(interval) {
+     this._interval = interval;
+   }
+
+   /**
+   * @property {Object} checkpoint The current checkpoint, or <code>null</code>
+   * if it hasn't been loaded. For each collection, it contains the
+   * <code>modified</code> time of the latest change seen (<code>null</code>
+   * if none has been seen yet) and the <code>items</code> known, mapping IDs
+   * to their <code>status</code> and <code>modified</code> time.
+   * @readonly
+   */
+   get checkpoint() {
+     return (this._checkpoint);
+   }
+
+   /**
+   * @property {Boolean} running True if the watcher has been started.
+   * @readonly
+   */
+   get running() {
+     return (this._running);
+   }
+
+   /**
+   * Starts polling: a poll runs immediately and then every
+   * [interval]{@link WPWatcher#interval} milliseconds after the previous one
+   * completes. Failed polls emit an <code>error</code> event (if there are
+   * listeners) and polling continues.
+   */
+   start() {
+     if (this._running == true) {
+       return;
+     }
+     this._running = true;
+     this.schedule(0);
+   }
+
+   /**
+   * Stops polling. A poll in progress completes.
+   *
+   * @return {Promise} The promise resolves once any poll in progress has completed.
+   *
+   * @async
+   */
+   async stop() {
+     this._running = false;
+     if (this._timer != null) {
+       clearTimeout(this._timer);
+       this._timer = null;
+     }
+     if (this._polling != null) {
+       try {
+         await this._polling;
+       } catch (error) {
+       }
+     }
+   }
+
+   /**
+   * Schedules the next poll.
+   *
+   * @private
+   */
+   schedule(delay) {
+     this._timer = setTimeout(() => {
+       this._timer = null;
+       this.poll().catch(error => {
+         if (this.listenerCount("error") > 0) {
+           this.emit("error", error);
+         }
+       }).then(() => {
+         if (this._running == true) {
+           this.schedule(this.interval);
+         }
+       });
+     }, delay);
+   }
+
+   /**
+   * Loads the checkpoint from the store, or creates an empty one.
+   *
+   * @return {Promise} The promise resolves with the [checkpoint]{@link WPWatcher#checkpoint}.
+   *
+   * @async
+   */
+   async loadCheckpoint() {
+     var checkpoint = null;
+     if (this._store != null) {
+       checkpoint = await this._store.load(this._key);
+     }
+     if ((checkpoint == null) || (checkpoint.version != 1)) {
+       checkpoint = new Object();
+       checkpoint.version = 1;
+       checkpoint.collections = new Object();
+     }
+     this._checkpoint = checkpoint;
+     return (checkpoint);
+   }
+
+   /**
+   * Saves the checkpoint to the store, if one is configured.
+   *
+   * @async
+   */
+   async saveCheckpoint() {
+     if ((this._store == null) || (this._checkpoint == null)) {
+       return;
+     }
+     this._checkpoint.saved = new Date().toISOString();
+     await this._store.save(this._key, this._checkpoint);
+   }
+
+   /**
+   * Forgets the checkpoint (and removes it from the store), so that the next
+   * poll records the existing items again.
+   *
+   * @async
+   */
+   async reset() {
+     this._checkpoint = null;
+     this._polls = 0;
+     if (this._store != null) {
+       await this._store.remove(this._key);
+     }
+   }
+
+   /**
+   * Polls every watched collection once, emitting events for the changes
+   * found, and saves the checkpoint. Every <code>reconcileEvery</code> polls,
+   * deletions are also checked. Concurrent calls share the poll in progress.
+   *
+   * @return {Promise} The promise resolves with a summary object containing
+   * the number of items <code>created</code>, <code>updated</code>,
+   * <code>statusChanged</code> and <code>deleted</code>.
+   *
+   * @async
+   */
+   poll() {
+     if (this._polling == null) {
+       this._polling = this.runPoll().finally(() => {
+         this._polling = null;
+       });
+     }
+     return (this._polling);
+   }
+
+   /**
+   * Runs a poll.
+   *
+   * @private
+   *
+   * @async
+   */
+   async runPoll() {
+     if (this._checkpoint == null) {
+       await this.loadCheckpoint();
+     }
+     if (this.client.APISettings == null) {
+       await this.client.discover();
+     }
+     var summary = {created:0, updated:0, statusChanged:0, deleted:0};
+     this._polls++;
+     var reconcile = (this._reconcileEvery > 0) && ((this._polls % this._reconcileEvery) == 0);
+     for (var count = 0; count < this.collections.length; count++) {
+       var collection = this.collections[count];
+       await this.pollCollection(collection, summary);
+       if (reconcile == true) {
+         await this.reconcileCollection(collection, summary);
+       }
+       await this.saveCheckpoint();
+     }
+     this.emit("poll", summary);
+     return (summary);
+   }
+
+   /**
+   * Checks every watched collection for deleted items, emitting
+   * <code>deleted</code> events for them, and saves the checkpoint.
+   *
+   * @return {Promise} The promise resolves with a summary object (see
+   * [poll]{@link WPWatcher#poll}).
+   *
+   * @async
+   */
+   async reconcile() {
+     if (this._polling != null) {
+       await this._polling;
+     }
+     if (this._checkpoint == null) {
+       await this.loadCheckpoint();
+     }
+     var summary = {created:0, updated:0, statusChanged:0, deleted:0};
+     for (var count = 0; count < this.collections.length; count++) {
+       await this.reconcileCollection(this.collections[count], summary);
+     }
+     await this.saveCheckpoint();
+     return (summary);
+   }
+
+   /**
+   * Returns the checkpoint state of a collection, creating it if necessary.
+   *
+   * @private
+   */
+   getState(collection) {
+     var state = this._checkpoint.collections[collection];
+     if (state == undefined) {
+       state = new Object();
+       state.initialized = false;
+       state.modified = null;
+       state.items = new Object();
+       this._checkpoint.collections[collection] = state;
+     }
+     return (state);
+   }
+
+   /**
+   * Returns the namespaced route of a collection.
+   *
+   * @private
+   */
+   getRoute(collection) {
+     if (collection.startsWith("/") == true) {
+       return (collection);
+     }
+     return (("/" + this.client.APIVersionString + collection).replace(/\/{2,}/g, "/"));
+   }
+
+   /**
+   * Builds the query parameters that select the watched items of a collection.
+   *
+   * @param {String} collection The collection.
+   *
+   * @return {Promise} The promise resolves with the parameters.
+   * @private
+   *
+   * @async
+   */
+   async getParams(collection) {
+     var params = Object.assign(new Object(), this._params);
+     params.per_page = this._perPage;
+     if (this._status != null) {
+       params.status = [].concat(this._status).join(",");
+     } else if ((this.client.authenticated == true) && ((await this.supportsStatus(collection, "any")) == true)) {
+       params.status = "any";
+     }
+     return (params);
+   }
+
+   /**
+   * Checks whether the REST index lists a status as valid for a collection.
+   *
+   * @private
+   *
+   * @async
+   */
+   async supportsStatus(collection, status) {
+     await this.client.loadIndex();
+     var endpoint = this.client.getEndpoint(this.getRoute(collection));
+     var info = (endpoint == null) ? null : endpoint.getEndpointInfo("GET");
+     if ((info == null) || (info.args == undefined) || (info.args.status == undefined)) {
+       return (false);
+     }
+     var schema = info.args.status;
+     var values = (schema.items != undefined) ? schema.items.enum : schema.enum;
+     return ((Array.isArray(values) == true) && (values.includes(status) == true));
+   }
+
+   /**
+   * Requests the items of a collection modified since its checkpoint and
+   * emits their changes.
+   *
+   * @param {String} collection The collection.
+   * @param {Object} summary The poll summary to update.
+   * @private
+   *
+   * @async
+   */
+   async pollCollection(collection, summary) {
+     var state = this.getState(collection);
+     var silent = (state.initialized == false) && (this._emitExisting == false);
+     var params = await this.getParams(collection);
+     params.orderby = "modified";
+     params.order = "asc";
+     if (state.modified != null) {
+       //items modified in the same second as the checkpoint may not have been seen
+       params.modified_after = this.shiftTime(state.modified, -1000);
+     }
+     var page = await this.client.paginateRoute(this.getRoute(collection), params, this.client.authenticated);
+     for await (const item of page.iterate()) {
+       this.processItem(collection, state, item, silent, summary);
+     }
+     state.initialized = true;
+   }
+
+   /**
+   * Compares a polled item with its checkpoint record and emits its changes.
+   *
+   * @private
+   */
+   processItem(collection, state, item, silent, summary) {
+     var previous = state.items[item.id];
+     var record = new Object();
+     record.status = item.status;
+     record.modified = item.modified;
+     if ((item.modified != undefined) && ((state.modified == null) || (item.modified > state.modified))) {
+       state.modified = item.modified;
+     }
+     if (item.status == "trash") {
+       delete state.items[item.id];
+     } else {
+       state.items[item.id] = record;
+     }
+     if (silent == true) {
+       return;
+     }
+     if (previous == undefined) {
+       if (item.status != "trash") {
+         summary.created++;
+         this.emit("created", this.createChange(collection, item.id, item));
+       }
+       return;
+     }
+     if ((previous.status == record.status) && (previous.modified == record.modified)) {
+       return;
+     }
+     if (previous.status != record.status) {
+       var change = this.createChange(collection, item.id, item);
+       change.status = record.status;
+       change.previousStatus = previous.status;
+       summary.statusChanged++;
+       this.emit("statusChanged", change);
+     }
+     if (item.status == "trash") {
+       change = this.createChange(collection, item.id, item);
+       change.trashed = true;
+       summary.deleted++;
+       this.emit("deleted", change);
+       return;
+     }
+     change = this.createChange(collection, item.id, item);
+     change.previous = previous;
+     summary.updated++;
+     this.emit("updated", change);
+   }
+
+   /**
+   * Lists the IDs of a collection's watched items and emits <code>deleted</code>
+   * events for the known items that are missing.
+   *
+   * @param {String} collection The collection.
+   * @param {Object} summary The summary to update.
+   * @private
+   *
+   * @async
+   */
+   async reconcileCollection(collection, summary) {
+     var state = this.getState(collection);
+     var params = await this.getParams(collection);
+     params._fields = "id";
+     var route = this.getRoute(collection);
+     var useAuth = this.client.authenticated;
+     var page = await this.client.paginateRoute(route, params, useAuth);
+     var listed = new Set();
+     for await (const item of page.iterate()) {
+       listed.add(String(item.id));
+     }
+     for (var id in state.items) {
+       if (listed.has(id) == true) {
+         continue;
+       }
+       var item = null;
+       try {
+         var result = await this.client.callRoute(`${route}/${id}`, {context:"view"}, "GET", useAuth);
+         item = result.data;
+       } catch (error) {
+         if (((error instanceof WPAPIError) == false) || (error.statusCode == null) || (error.statusCode >= 500)) {
+           throw (error);
+         }
+       }
+       var previous = state.items[id];
+       delete state.items[id];
+       var change = this.createChange(collection, Number(id), item);
+       change.trashed = ((item != null) && (item.status == "trash"));
+       if ((item != null) && (item.status != previous.status)) {
+         var statusChange = this.createChange(collection, Number(id), item);
+         statusChange.status = item.status;
+         statusChange.previousStatus = previous.status;
+         summary.statusChanged++;
+         this.emit("statusChanged", statusChange);
+       }
+       summary.deleted++;
+       this.emit("deleted", change);
+     }
+   }
+
+   /**
+   * Creates a change event object.
+   *
+   * @private
+   */
+   createChange(collection, id, item) {
+     var change = new Object();
+     change.collection = collection;
+     change.id = id;
+     change.item = item;
+     return (change);
+   }
+
+   /**
+   * Shifts a WordPress date-time (ISO 8601 without a time zone) by a number
+   * of milliseconds, keeping the format.
+   *
+   * @private
+   */
+   shiftTime(dateTime, offset) {
+     var time = Date.parse(String(dateTime).replace(/(Z|[+-]\d\d:?\d\d)$/, "") + "Z") + offset;
+     return (new Date(time).toISOString().substring(0, 19));
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPWatcher ${this.collections.join(", ")} (${this.running ? "running" : "stopped"})`);
+   }
+}
@@ -0,0 +1,119 @@
+/**
+* @file WordPress Application Password authentication strategy.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const AuthStrategy = require('./AuthStrategy.js');
+
+/**
+* @class Authenticates using a WordPress Application Password (WordPress 5.6+)
+* sent as HTTP Basic authentication. No login page or nonce is required.
+* @extends AuthStrategy
+*
+* @see https://make.wordpress.org/core/2020/11/05/application-passwords-integration-guide/
+*/
+module.exports = class ApplicationPasswordAuth extends AuthStrategy {
+
+  /**
+  * Creates a new instance of ApplicationPasswordAuth
+  *
+  * @param {String} userName The WordPress user name the application password
+  * belongs to.
+  * @param {String} applicationPassword The application password generated in
+  * the user's profile (spaces may be included).
+  */
+   constructor(userName, applicationPassword) {
+     super();
+     this._userName = userName;
+     this._applicationPassword = applicationPassword;
+   }
+
+   /**
+   * @property {String} type The authentication strategy type identifier.
+   * @readonly
+   */
+   get type() {
+     return ("application-password");
+   }
+
+   /**
+   * @property {Boolean} authenticated True if a user name and application
+   * password are set.
+   * @readonly
+   */
+   get authenticated() {
+     if ((this._userName == null) || (this._userName == undefined) || (this._userName == "")) {
+       return (false);
+     }
+     if ((this._applicationPassword == null) || (this._applicationPassword == undefined) ||
+         (this._applicationPassword == "")) {
+       return (false);
+     }
+     return (true);
+   }
+
+   /**
+   * @property {String} header The "Authorization" header value, or
+   * <code>null</code> if no credentials are set.
+   * @readonly
+   */
+   get header() {
+     if (this.authenticated == false) {
+       return (null);
+     }
+     var credentials = Buffer.from(`${this._userName}:${this._applicationPassword}`, "utf8");
+     return ("Basic " + credentials.toString("base64"));
+   }
+
+   /**
+   * Verifies the credentials by retrieving the current user.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   *
+   * @return {Promise} The promise resolves with an object containing the
+   * <code>authenticated</code> state and the raw <code>user</code> data
+   * returned by the server.
+   *
+   * @async
+   */
+   async authenticate(client) {
+     if (this.authenticated == false) {
+       throw (new Error("A user name and application password are required."));
+     }
+     var authObj = new Object();
+     authObj.authenticated = true;
+     var result = await client.callAPI("users/me", null, "GET");
+     authObj.user = result.data;
+     return (authObj);
+   }
+
+   /**
+   * Adds the "Authorization" header to an outgoing request.
+   *
+   * @param {WPAPILib} client The client instance building the request.
+   * @param {Object} request Describes the outgoing request.
+   */
+   authorize(client, request) {
+     client.addHeader("Authorization", this.header, request.headers);
+   }
+
+   /**
+   * Clears the stored credentials.
+   */
+   reset() {
+     this._userName = null;
+     this._applicationPassword = null;
+   }
+
+   /**
+   * Creates a new strategy with the same credentials. Application Passwords
+   * are valid on every site of a multisite network the user belongs to.
+   *
+   * @return {ApplicationPasswordAuth} The new strategy.
+   */
+   clone() {
+     return (new ApplicationPasswordAuth(this._userName, this._applicationPassword));
+   }
+}
@@ -0,0 +1,151 @@
+/**
+* @file Base authentication strategy for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Base (anonymous) authentication strategy. Strategies are used by
+* [buildRequest]{@link WPAPILib#buildRequest} to add authentication
+* information to outgoing requests. Extending classes should override
+* [authenticated]{@link AuthStrategy#authenticated},
+* [authenticate]{@link AuthStrategy#authenticate} and
+* [authorize]{@link AuthStrategy#authorize}.
+*/
+module.exports = class AuthStrategy {
+
+  /**
+  * Creates a new instance of AuthStrategy
+  */
+   constructor() {
+   }
+
+   /**
+   * @property {String} type The authentication strategy type identifier.
+   * @readonly
+   */
+   get type() {
+     return ("none");
+   }
+
+   /**
+   * @property {Boolean} authenticated True if the strategy holds credentials
+   * that can be applied to requests.
+   * @readonly
+   */
+   get authenticated() {
+     return (false);
+   }
+
+   /**
+   * @property {String} header The value of the main authentication header
+   * applied to requests by this strategy, or <code>null</code> if none is
+   * available.
+   * @readonly
+   */
+   get header() {
+     return (null);
+   }
+
+   /**
+   * Associates the strategy with the client that uses it. This is invoked by
+   * [setAuthStrategy]{@link WPAPILib#setAuthStrategy}.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   */
+   bind(client) {
+   }
+
+   /**
+   * Performs any network exchange required by the strategy before requests can
+   * be authorized (for example, a login or token request).
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   *
+   * @return {Promise} The promise resolves with an object containing any
+   * information gathered during authentication.
+   *
+   * @async
+   */
+   async authenticate(client) {
+     var authObj = new Object();
+     authObj.authenticated = this.authenticated;
+     return (authObj);
+   }
+
+   /**
+   * Adds authentication information to an outgoing request.
+   *
+   * @param {WPAPILib} client The client instance building the request.
+   * @param {Object} request Describes the outgoing request. Includes the
+   * request <code>method</code>, full <code>url</code> (a <code>URL</code>
+   * instance), the <code>headers</code> object, the encoded <code>body</code>
+   * (or <code>null</code>), and its <code>contentType</code>.
+   */
+   authorize(client, request) {
+   }
+
+   /**
+   * Attempts to refresh expired authentication so that a failed request can
+   * be retried.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   * @param {WPAPIError} [error=null] The error returned by the server, or
+   * <code>null</code> if the strategy reported that it's no longer
+   * [authenticated]{@link AuthStrategy#authenticated}.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if the authentication
+   * was refreshed, <code>false</code> if it couldn't be (or didn't need to be).
+   *
+   * @async
+   */
+   async refresh(client, error=null) {
+     return (false);
+   }
+
+   /**
+   * Exports the authentication state (such as cookies or tokens) for inclusion
+   * in an exported session. Passwords and other long-lived secrets are not
+   * included.
+   *
+   * @return {Object} A JSON-serializable state object, or <code>null</code>.
+   */
+   exportState() {
+     return (null);
+   }
+
+   /**
+   * Imports authentication state created by [exportState]{@link AuthStrategy#exportState}.
+   *
+   * @param {Object} state The state object to import.
+   */
+   importState(state) {
+   }
+
+   /**
+   * Clears any credentials held by the strategy.
+   */
+   reset() {
+   }
+
+   /**
+   * Creates a new strategy of the same type holding the same credentials,
+   * for use by another client (such as a site client of a
+   * [WPNetwork]{@link WPNetwork}). Current tokens are copied; session state
+   * held in a shared cookie jar is not.
+   *
+   * @return {AuthStrategy} The new strategy.
+   */
+   clone() {
+     return (new AuthStrategy());
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`AuthStrategy (${this.type})`);
+   }
+}
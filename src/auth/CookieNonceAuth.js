@@ -0,0 +1,276 @@
+/**
+* @file WordPress login cookie and REST nonce authentication strategy.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const AuthStrategy = require('./AuthStrategy.js');
+
+/**
+* @class Authenticates by logging in through the WordPress login script and
+* sending the authentication cookies stored in the client's
+* [cookieJar]{@link WPAPILib#cookieJar} along with the REST API nonce
+* (<code>X-WP-Nonce</code>) scraped by [getAPISettings]{@link WPAPILib#getAPISettings}.
+* @extends AuthStrategy
+*/
+module.exports = class CookieNonceAuth extends AuthStrategy {
+
+  /**
+  * Creates a new instance of CookieNonceAuth
+  *
+  * @param {String} [loginName=null] A blog administrator login name.
+  * @param {String} [loginPassword=null] The password for the administrator login name.
+  * @param {String} [loginPath="wp-login.php"] The WordPress login server script
+  * to use to log in.
+  */
+   constructor(loginName=null, loginPassword=null, loginPath="wp-login.php") {
+     super();
+     this._loginName = loginName;
+     this._loginPassword = loginPassword;
+     this._loginPath = loginPath;
+     this._client = null;
+   }
+
+   /**
+   * @property {String} type The authentication strategy type identifier.
+   * @readonly
+   */
+   get type() {
+     return ("cookie");
+   }
+
+   /**
+   * @property {Array} cookies The <code>name=value</code> strings of the
+   * authentication cookies currently stored for the blog URL.
+   * @readonly
+   */
+   get cookies() {
+     if (this._client == null) {
+       return (new Array());
+     }
+     var jar = this._client.cookieJar;
+     var cookies = jar.getCookies(this._client._baseURL).filter(cookie => jar.isAuthCookie(cookie));
+     return (cookies.map(cookie => cookie.name + "=" + cookie.value));
+   }
+
+   /**
+   * @property {Boolean} authenticated True if unexpired authentication cookies
+   * are stored for the blog URL.
+   * @readonly
+   */
+   get authenticated() {
+     return (this.cookies.length > 0);
+   }
+
+   /**
+   * @property {String} header A single string that can be used as a "Cookie"
+   * HTTP header for the blog URL, or <code>null</code> if no authentication
+   * cookies are stored.
+   * @readonly
+   */
+   get header() {
+     if (this.authenticated == false) {
+       return (null);
+     }
+     return (this._client.cookieJar.getCookieHeader(this._client._baseURL));
+   }
+
+   /**
+   * Associates the strategy with the client whose cookie jar holds the
+   * authentication cookies.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   */
+   bind(client) {
+     this._client = client;
+   }
+
+   /**
+   * Logs into the blog and, if successful, retrieves the API settings (including
+   * the nonce) for subsequent API calls. The authentication cookies are stored
+   * in the client's cookie jar.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   *
+   * @return {Promise} The promise resolves with an object containing the login
+   * <code>request</code>, the server <code>response</code> and <code>status</code>
+   * code, the <code>authCookies</code> (authentication cookies), and an
+   * <code>APISettings</code> object containing post-login information about
+   * the API.
+   *
+   * @async
+   */
+   async authenticate(client) {
+     if ((this._loginName == null) || (this._loginPassword == null)) {
+       throw (new Error("A login name and password are required for cookie authentication."));
+     }
+     this.bind(client);
+     var jar = client.cookieJar;
+     var loginURL = new URL(this._loginPath, client._baseURL);
+     if (jar.getCookies(loginURL).some(cookie => cookie.name == "wordpress_test_cookie") == false) {
+       //wp-login.php rejects logins if this cookie (normally set by the login form) is missing
+       jar.setCookie("wordpress_test_cookie=WP%20Cookie%20check; Path=/", loginURL);
+     }
+     var loginParams = new Object();
+     loginParams.log = this._loginName;
+     loginParams.pwd = this._loginPassword;
+     var reqResObj = client.buildRequest(this._loginPath, loginParams, "POST", false);
+     try {
+       reqResObj.request.end();
+     } catch (error) {
+     }
+     await reqResObj.promise;
+     var request = reqResObj.request;
+     var response = reqResObj.response;
+     var status = response.statusCode;
+     var headers = response.headers;
+     if ((client.HTTP2Mode == "auto") && (client.useHTTP2 == false) && (client.isHTTP2Upgrade(response.headers) == true)) {
+       client._useHTTP2 = true;
+       reqResObj = client.buildRequest(this._loginPath, loginParams, "POST", false);
+       try {
+         reqResObj.request.end();
+       } catch (error) {
+       }
+       await reqResObj.promise;
+       request = reqResObj.request;
+       response = reqResObj.response;
+       status = response.statusCode;
+       headers = response.headers;
+     }
+     var cookiesDesc = Object.getOwnPropertyDescriptor(headers, 'set-cookie');
+     if (cookiesDesc == undefined) {
+       throw (new Error("No cookies received in server response."));
+     }
+     if ((cookiesDesc.value == "") || (cookiesDesc.value == null)) {
+       throw (new Error("Empty cookies received in server response."));
+     }
+     if (this.authenticated == false) {
+       throw (new Error("Authentication cookies not received in server response."));
+     }
+     await client.getAPISettings();
+     var loginObj = new Object();
+     loginObj.authenticated = true;
+     loginObj.request = request;
+     loginObj.response = response;
+     loginObj.status = status;
+     loginObj.authCookies = this.cookies;
+     loginObj.APISettings = client.APISettings;
+     return (loginObj);
+   }
+
+   /**
+   * Adds the API nonce, if available, to an outgoing request. The
+   * authentication cookies are added from the client's cookie jar by
+   * [buildRequest]{@link WPAPILib#buildRequest}.
+   *
+   * @param {WPAPILib} client The client instance building the request.
+   * @param {Object} request Describes the outgoing request.
+   */
+   authorize(client, request) {
+     if (client.APINonce != null) {
+       client.addHeader("X-WP-Nonce", client.APINonce, request.headers);
+     }
+   }
+   /**
+   * Refreshes an expired API nonce or, if the login session has expired,
+   * logs in again using the stored login name and password.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   * @param {WPAPIError} [error=null] The error returned by the server.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if the nonce or
+   * session was refreshed, <code>false</code> otherwise.
+   *
+   * @async
+   */
+   async refresh(client, error=null) {
+     if (error != null) {
+       if (error.code == "rest_cookie_invalid_nonce") {
+         if ((this.authenticated == true) && ((await this.refreshNonce(client)) == true)) {
+           return (true);
+         }
+       } else if ((error.statusCode != 401) && (error.code != "rest_not_logged_in")) {
+         return (false);
+       }
+     }
+     if ((this._loginName == null) || (this._loginPassword == null)) {
+       return (false);
+     }
+     await this.authenticate(client);
+     return (true);
+   }
+
+   /**
+   * Requests a new API nonce for the current login session using the
+   * WordPress "rest-nonce" AJAX action.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if a new nonce
+   * was retrieved and stored in the client's API settings, <code>false</code>
+   * if the login session is no longer valid.
+   *
+   * @async
+   */
+   async refreshNonce(client) {
+     if (client.APISettings == null) {
+       return (false);
+     }
+     var reqResObj = client.buildRequest("wp-admin/admin-ajax.php?action=rest-nonce", null, "GET");
+     try {
+       reqResObj.request.end();
+     } catch (error) {
+     }
+     await reqResObj.promise;
+     var nonce = String(reqResObj.data).trim();
+     if ((reqResObj.response.statusCode != 200) || (/^[0-9a-f]{6,}$/i.test(nonce) == false)) {
+       return (false);
+     }
+     client.APISettings.nonce = nonce;
+     return (true);
+   }
+
+   /**
+   * Imports authentication cookies from a version 1 session, where cookies
+   * were stored as <code>name=value</code> strings in the strategy state.
+   * Current sessions store cookies with the client's cookie jar so no strategy
+   * state is exported.
+   *
+   * @param {Object} state The state object to import.
+   */
+   importState(state) {
+     if ((state == null) || (Array.isArray(state.cookies) == false) || (this._client == null)) {
+       return;
+     }
+     for (var count = 0; count < state.cookies.length; count++) {
+       this._client.cookieJar.setCookie(state.cookies[count] + "; Path=/", this._client._baseURL);
+     }
+   }
+
+   /**
+   * Removes the authentication cookies from the client's cookie jar.
+   */
+   reset() {
+     if (this._client == null) {
+       return;
+     }
+     var jar = this._client.cookieJar;
+     var cookies = jar.cookies;
+     for (var count = 0; count < cookies.length; count++) {
+       if (jar.isAuthCookie(cookies[count]) == true) {
+         jar.remove(cookies[count].name, cookies[count].domain);
+       }
+     }
+   }
+
+   /**
+   * Creates a new strategy with the same login credentials. The login cookies
+   * are shared by clients that share a cookie jar.
+   *
+   * @return {CookieNonceAuth} The new strategy.
+   */
+   clone() {
+     return (new CookieNonceAuth(this._loginName, this._loginPassword, this._loginPath));
+   }
+}
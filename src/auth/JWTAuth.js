@@ -0,0 +1,228 @@
+/**
+* @file JSON Web Token (JWT) bearer authentication strategy.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const AuthStrategy = require('./AuthStrategy.js');
+
+/**
+* @class Authenticates using a JWT bearer token, either supplied directly or
+* requested from a JWT token endpoint such as the one provided by the
+* "JWT Authentication for WP REST API" plugin.
+* @extends AuthStrategy
+*/
+module.exports = class JWTAuth extends AuthStrategy {
+
+  /**
+  * Creates a new instance of JWTAuth
+  *
+  * @param {Object} options Strategy options.
+  * @param {String} [options.token=null] An existing bearer token to use.
+  * @param {String} [options.userName=null] The user name to request a token with.
+  * @param {String} [options.password=null] The password to request a token with.
+  * @param {String} [options.tokenRoute="/jwt-auth/v1/token"] The API route
+  * (including namespace) from which tokens are requested.
+  */
+   constructor(options) {
+     super();
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._token = options.token || null;
+     this._userName = options.userName || null;
+     this._password = options.password || null;
+     this._tokenRoute = options.tokenRoute || "/jwt-auth/v1/token";
+   }
+
+   /**
+   * @property {String} type The authentication strategy type identifier.
+   * @readonly
+   */
+   get type() {
+     return ("jwt");
+   }
+
+   /**
+   * @property {String} token The current bearer token, or <code>null</code>.
+   * @readonly
+   */
+   get token() {
+     return (this._token);
+   }
+
+   /**
+   * @property {Number} expires The token expiry time in milliseconds since the
+   * epoch, as read from the token's <code>exp</code> claim, or <code>null</code>
+   * if the token has no readable expiry.
+   * @readonly
+   */
+   get expires() {
+     if (this._token == null) {
+       return (null);
+     }
+     var segments = this._token.split(".");
+     if (segments.length < 2) {
+       return (null);
+     }
+     try {
+       var payloadStr = Buffer.from(segments[1], "base64").toString("utf8");
+       var payload = JSON.parse(payloadStr);
+     } catch (error) {
+       return (null);
+     }
+     if (typeof(payload.exp) != "number") {
+       return (null);
+     }
+     return (payload.exp * 1000);
+   }
+
+   /**
+   * @property {Boolean} authenticated True if a token is set and has not expired.
+   * @readonly
+   */
+   get authenticated() {
+     if ((this._token == null) || (this._token == "")) {
+       return (false);
+     }
+     var expires = this.expires;
+     if ((expires != null) && (expires <= Date.now())) {
+       return (false);
+     }
+     return (true);
+   }
+
+   /**
+   * @property {String} header The "Authorization" header value, or
+   * <code>null</code> if no valid token is set.
+   * @readonly
+   */
+   get header() {
+     if (this.authenticated == false) {
+       return (null);
+     }
+     return ("Bearer " + this._token);
+   }
+
+   /**
+   * Requests a new token from the token route if credentials are available,
+   * otherwise uses the token supplied at instantiation.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   *
+   * @return {Promise} The promise resolves with an object containing the
+   * <code>authenticated</code> state, the <code>token</code>, and the raw
+   * token route response <code>data</code> (if a token was requested).
+   *
+   * @async
+   */
+   async authenticate(client) {
+     var authObj = new Object();
+     authObj.data = null;
+     if ((this._userName != null) && (this._password != null)) {
+       var params = new Object();
+       params.username = this._userName;
+       params.password = this._password;
+       var result = await client.callRoute(this._tokenRoute, params, "POST", false);
+       var tokenObj = result.data;
+       if (typeof(tokenObj) == "string") {
+         tokenObj = JSON.parse(tokenObj);
+       }
+       if ((tokenObj.token == undefined) || (tokenObj.token == null)) {
+         throw (new Error(`No token received from "${this._tokenRoute}".`));
+       }
+       this._token = tokenObj.token;
+       authObj.data = tokenObj;
+     }
+     if (this.authenticated == false) {
+       throw (new Error("No valid JWT token available."));
+     }
+     authObj.authenticated = true;
+     authObj.token = this._token;
+     return (authObj);
+   }
+
+   /**
+   * Adds the "Authorization" bearer header to an outgoing request.
+   *
+   * @param {WPAPILib} client The client instance building the request.
+   * @param {Object} request Describes the outgoing request.
+   */
+   authorize(client, request) {
+     client.addHeader("Authorization", this.header, request.headers);
+   }
+
+   /**
+   * Requests a new token using the stored user name and password if the
+   * current token has expired or was rejected by the server.
+   *
+   * @param {WPAPILib} client The client instance using this strategy.
+   * @param {WPAPIError} [error=null] The error returned by the server.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if a new token
+   * was retrieved, <code>false</code> otherwise.
+   *
+   * @async
+   */
+   async refresh(client, error=null) {
+     if ((this._userName == null) || (this._password == null)) {
+       return (false);
+     }
+     if (error != null) {
+       var code = String(error.code);
+       if ((error.statusCode != 401) && (code.startsWith("jwt_auth") == false)) {
+         return (false);
+       }
+     }
+     await this.authenticate(client);
+     return (true);
+   }
+
+   /**
+   * Exports the current token.
+   *
+   * @return {Object} An object containing the <code>token</code>.
+   */
+   exportState() {
+     var state = new Object();
+     state.token = this._token;
+     return (state);
+   }
+
+   /**
+   * Imports a token created by [exportState]{@link JWTAuth#exportState}.
+   *
+   * @param {Object} state The state object to import.
+   */
+   importState(state) {
+     if ((state == null) || (state.token == undefined)) {
+       this._token = null;
+       return;
+     }
+     this._token = state.token;
+   }
+
+   /**
+   * Clears the current token. Stored credentials are kept so that a new
+   * token can be requested.
+   */
+   reset() {
+     this._token = null;
+   }
+
+   /**
+   * Creates a new strategy with the same credentials, token route and
+   * current token.
+   *
+   * @return {JWTAuth} The new strategy.
+   */
+   clone() {
+     var options = new Object();
+     options.token = this._token;
+     options.userName = this._userName;
+     options.password = this._password;
+     options.tokenRoute = this._tokenRoute;
+     return (new JWTAuth(options));
+   }
+}
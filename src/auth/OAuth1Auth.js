@@ -0,0 +1,168 @@
+/**
+* @file OAuth 1.0a request signing authentication strategy.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const crypto = require('crypto');
+const querystring = require('querystring');
+const AuthStrategy = require('./AuthStrategy.js');
+
+/**
+* @class Authenticates by signing each request with OAuth 1.0a (HMAC-SHA1), as
+* used by the "WP REST API - OAuth 1.0a Server" plugin. The token and token
+* secret must already have been obtained through the plugin's authorization flow.
+* @extends AuthStrategy
+*
+* @see https://tools.ietf.org/html/rfc5849
+*/
+module.exports = class OAuth1Auth extends AuthStrategy {
+
+  /**
+  * Creates a new instance of OAuth1Auth
+  *
+  * @param {Object} options Strategy options.
+  * @param {String} options.consumerKey The client (consumer) key.
+  * @param {String} options.consumerSecret The client (consumer) secret.
+  * @param {String} options.token The access token.
+  * @param {String} options.tokenSecret The access token secret.
+  */
+   constructor(options) {
+     super();
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._consumerKey = options.consumerKey || null;
+     this._consumerSecret = options.consumerSecret || null;
+     this._token = options.token || null;
+     this._tokenSecret = options.tokenSecret || null;
+   }
+
+   /**
+   * @property {String} type The authentication strategy type identifier.
+   * @readonly
+   */
+   get type() {
+     return ("oauth1");
+   }
+
+   /**
+   * @property {Boolean} authenticated True if the consumer and token
+   * credentials are set.
+   * @readonly
+   */
+   get authenticated() {
+     if ((this._consumerKey == null) || (this._consumerSecret == null)) {
+       return (false);
+     }
+     if ((this._token == null) || (this._tokenSecret == null)) {
+       return (false);
+     }
+     return (true);
+   }
+
+   /**
+   * Percent-encodes a string as required by RFC 5849 (section 3.6).
+   *
+   * @param {String} value The value to encode.
+   *
+   * @return {String} The encoded value.
+   */
+   encode(value) {
+     var encoded = encodeURIComponent(String(value));
+     encoded = encoded.replace(/[!'()*]/g, char => {
+       return ("%" + char.charCodeAt(0).toString(16).toUpperCase());
+     });
+     return (encoded);
+   }
+
+   /**
+   * Generates the OAuth 1.0a signature for a request.
+   *
+   * @param {String} method The HTTP request method.
+   * @param {URL} url The full request URL.
+   * @param {Array} params Name-value pair arrays of all parameters to sign
+   * (query, form body and <code>oauth_*</code> parameters).
+   *
+   * @return {String} The base64-encoded HMAC-SHA1 signature.
+   */
+   sign(method, url, params) {
+     var baseURL = url.protocol + "//" + url.host + url.pathname;
+     var encodedParams = new Array();
+     for (var count = 0; count < params.length; count++) {
+       encodedParams.push([this.encode(params[count][0]), this.encode(params[count][1])]);
+     }
+     encodedParams.sort((a, b) => {
+       if (a[0] == b[0]) {
+         return (a[1] < b[1] ? -1 : (a[1] > b[1] ? 1 : 0));
+       }
+       return (a[0] < b[0] ? -1 : 1);
+     });
+     var paramString = encodedParams.map(pair => pair[0] + "=" + pair[1]).join("&");
+     var baseString = method.toUpperCase() + "&" + this.encode(baseURL) + "&" + this.encode(paramString);
+     var key = this.encode(this._consumerSecret) + "&" + this.encode(this._tokenSecret);
+     return (crypto.createHmac("sha1", key).update(baseString).digest("base64"));
+   }
+
+   /**
+   * Signs an outgoing request and adds the resulting OAuth "Authorization" header.
+   *
+   * @param {WPAPILib} client The client instance building the request.
+   * @param {Object} request Describes the outgoing request.
+   */
+   authorize(client, request) {
+     var oauthParams = new Object();
+     oauthParams.oauth_consumer_key = this._consumerKey;
+     oauthParams.oauth_nonce = crypto.randomBytes(16).toString("hex");
+     oauthParams.oauth_signature_method = "HMAC-SHA1";
+     oauthParams.oauth_timestamp = String(Math.floor(Date.now() / 1000));
+     oauthParams.oauth_token = this._token;
+     oauthParams.oauth_version = "1.0";
+     var params = new Array();
+     request.url.searchParams.forEach((value, name) => {
+       params.push([name, value]);
+     });
+     if ((typeof(request.body) == "string") &&
+         (request.contentType == "application/x-www-form-urlencoded")) {
+       var bodyParams = querystring.parse(request.body);
+       for (var name in bodyParams) {
+         var values = [].concat(bodyParams[name]);
+         for (var count = 0; count < values.length; count++) {
+           params.push([name, values[count]]);
+         }
+       }
+     }
+     for (name in oauthParams) {
+       params.push([name, oauthParams[name]]);
+     }
+     oauthParams.oauth_signature = this.sign(request.method, request.url, params);
+     var headerParts = new Array();
+     for (name in oauthParams) {
+       headerParts.push(`${this.encode(name)}="${this.encode(oauthParams[name])}"`);
+     }
+     client.addHeader("Authorization", "OAuth " + headerParts.join(", "), request.headers);
+   }
+
+   /**
+   * Clears the stored token credentials. Consumer credentials are kept.
+   */
+   reset() {
+     this._token = null;
+     this._tokenSecret = null;
+   }
+
+   /**
+   * Creates a new strategy with the same consumer and token credentials.
+   *
+   * @return {OAuth1Auth} The new strategy.
+   */
+   clone() {
+     var options = new Object();
+     options.consumerKey = this._consumerKey;
+     options.consumerSecret = this._consumerSecret;
+     options.token = this._token;
+     options.tokenSecret = this._tokenSecret;
+     return (new OAuth1Auth(options));
+   }
+}
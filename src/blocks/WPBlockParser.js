@@ -0,0 +1,298 @@
+/**
+* @file Parses serialized block markup (Gutenberg post content) into blocks.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+//matches block comment delimiters: <!-- wp:name {"attrs"} -->, <!-- /wp:name --> and <!-- wp:name /-->
+//(the lookahead and back-reference emulate an atomic group so that long attributes don't backtrack)
+const tokenizerPattern = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+({(?:(?=([^}]+|}+(?=})|(?!}\s+\/?-->)[^])*)\5|[^]*?)}\s+)?(\/)?-->/g;
+
+/**
+* @class Parses the serialized block markup of post content (the
+* <code>content.raw</code> property of posts retrieved with
+* <code>context=edit</code>) into a tree of blocks, following the WordPress
+* block serialization default parser. Each block is an object containing the
+* <code>blockName</code> (e.g. "core/paragraph", or <code>null</code> for
+* HTML outside of blocks), the <code>attrs</code> object, the
+* <code>innerBlocks</code> array, the block's own <code>innerHTML</code>, and
+* the <code>innerContent</code> array of HTML strings with <code>null</code>
+* placeholders where inner blocks appear. Blocks whose attributes aren't
+* valid JSON have <code>null</code> <code>attrs</code> and keep the original
+* text in <code>rawAttrs</code>. The tree can be turned back into markup by
+* [WPBlockSerializer]{@link WPBlockSerializer}.
+*/
+module.exports = class WPBlockParser {
+
+  /**
+  * Creates a new instance of WPBlockParser
+  */
+   constructor() {
+     this._document = "";
+     this._offset = 0;
+     this._output = new Array();
+     this._stack = new Array();
+     this._tokenizer = null;
+   }
+
+   /**
+   * Parses serialized block markup.
+   *
+   * @param {String} document The markup (e.g. a post's <code>content.raw</code>).
+   *
+   * @return {Array} The top-level blocks. Text between top-level blocks,
+   * including the blank lines that usually separate them, is returned as
+   * blocks whose <code>blockName</code> is <code>null</code>.
+   */
+   parse(document) {
+     this._document = String(document || "");
+     this._offset = 0;
+     this._output = new Array();
+     this._stack = new Array();
+     this._tokenizer = new RegExp(tokenizerPattern.source, "g");
+     while (this.proceed() == true) {
+     }
+     var output = this._output;
+     this._output = new Array();
+     return (output);
+   }
+
+   /**
+   * Finds the blocks with a given name anywhere in a block tree.
+   *
+   * @param {Array} blocks The blocks to search.
+   * @param {String} blockName The block name (e.g. "core/image"). Names
+   * without a namespace are in the "core" namespace.
+   *
+   * @return {Array} The matching blocks, in document order.
+   */
+   findBlocks(blocks, blockName) {
+     if (blockName.includes("/") == false) {
+       blockName = "core/" + blockName;
+     }
+     var found = new Array();
+     for (var count = 0; count < blocks.length; count++) {
+       var block = blocks[count];
+       if (block.blockName == blockName) {
+         found.push(block);
+       }
+       if (Array.isArray(block.innerBlocks) == true) {
+         found = found.concat(this.findBlocks(block.innerBlocks, blockName));
+       }
+     }
+     return (found);
+   }
+
+   /**
+   * Processes the next block delimiter.
+   *
+   * @return {Boolean} True if parsing should continue.
+   * @private
+   */
+   proceed() {
+     var stackDepth = this._stack.length;
+     var token = this.nextToken();
+     var startOffset = token.start;
+     var tokenLength = token.length;
+     var leadingHTMLStart = (startOffset > this._offset) ? this._offset : null;
+     switch (token.type) {
+       case "no-more-tokens":
+         if (stackDepth == 0) {
+           this.addFreeform();
+           return (false);
+         }
+         //unclosed blocks end with the document
+         while (this._stack.length > 0) {
+           this.addBlockFromStack();
+         }
+         return (false);
+       case "void-block":
+         if (stackDepth == 0) {
+           if (leadingHTMLStart != null) {
+             this._output.push(this.createFreeform(this._document.substring(leadingHTMLStart, startOffset)));
+           }
+           this._output.push(this.createBlock(token.name, token.attrs, token.rawAttrs));
+         } else {
+           this.addInnerBlock(this.createBlock(token.name, token.attrs, token.rawAttrs), startOffset, tokenLength);
+         }
+         this._offset = startOffset + tokenLength;
+         return (true);
+       case "block-opener":
+         var frame = new Object();
+         frame.block = this.createBlock(token.name, token.attrs, token.rawAttrs);
+         frame.tokenStart = startOffset;
+         frame.tokenLength = tokenLength;
+         frame.prevOffset = startOffset + tokenLength;
+         frame.leadingHTMLStart = leadingHTMLStart;
+         this._stack.push(frame);
+         this._offset = startOffset + tokenLength;
+         return (true);
+       case "block-closer":
+         if (stackDepth == 0) {
+           //a closer without an opener; treat the rest as HTML
+           this.addFreeform();
+           return (false);
+         }
+         if (stackDepth == 1) {
+           this.addBlockFromStack(startOffset);
+           this._offset = startOffset + tokenLength;
+           return (true);
+         }
+         var stackTop = this._stack.pop();
+         var html = this._document.substring(stackTop.prevOffset, startOffset);
+         stackTop.block.innerHTML += html;
+         stackTop.block.innerContent.push(html);
+         stackTop.prevOffset = startOffset + tokenLength;
+         this.addInnerBlock(stackTop.block, stackTop.tokenStart, stackTop.tokenLength, startOffset + tokenLength);
+         this._offset = startOffset + tokenLength;
+         return (true);
+       default:
+         this.addFreeform();
+         return (false);
+     }
+   }
+
+   /**
+   * Finds the next block delimiter.
+   *
+   * @return {Object} The token <code>type</code> ("block-opener",
+   * "block-closer", "void-block" or "no-more-tokens"), block <code>name</code>,
+   * <code>attrs</code>, the <code>rawAttrs</code> if they aren't valid JSON,
+   * <code>start</code> offset and <code>length</code>.
+   * @private
+   */
+   nextToken() {
+     var token = new Object();
+     var matches = this._tokenizer.exec(this._document);
+     if (matches == null) {
+       token.type = "no-more-tokens";
+       token.start = 0;
+       token.length = 0;
+       return (token);
+     }
+     token.start = matches.index;
+     token.length = matches[0].length;
+     token.name = (matches[2] || "core/") + matches[3];
+     token.attrs = new Object();
+     token.rawAttrs = null;
+     if (matches[4] != undefined) {
+       token.attrs = this.parseAttributes(matches[4]);
+       if (token.attrs == null) {
+         token.rawAttrs = matches[4].trimEnd();
+       }
+     }
+     if (matches[6] != undefined) {
+       token.type = "void-block";
+     } else if (matches[1] != undefined) {
+       token.type = "block-closer";
+       token.attrs = null;
+     } else {
+       token.type = "block-opener";
+     }
+     return (token);
+   }
+
+   /**
+   * Parses the JSON attributes of a block delimiter.
+   *
+   * @param {String} json The attributes JSON.
+   *
+   * @return {Object} The attributes, or <code>null</code> if they're invalid.
+   * @private
+   */
+   parseAttributes(json) {
+     try {
+       return (JSON.parse(json));
+     } catch (error) {
+       return (null);
+     }
+   }
+
+   /**
+   * Adds the HTML after the last delimiter as a freeform block.
+   *
+   * @private
+   */
+   addFreeform() {
+     if (this._offset >= this._document.length) {
+       return;
+     }
+     this._output.push(this.createFreeform(this._document.substring(this._offset)));
+   }
+
+   /**
+   * Adds a block to the inner blocks of the block at the top of the stack,
+   * along with the HTML preceding it.
+   *
+   * @private
+   */
+   addInnerBlock(block, tokenStart, tokenLength, lastOffset=null) {
+     var parent = this._stack[this._stack.length - 1];
+     parent.block.innerBlocks.push(block);
+     var html = this._document.substring(parent.prevOffset, tokenStart);
+     if (html != "") {
+       parent.block.innerHTML += html;
+       parent.block.innerContent.push(html);
+     }
+     parent.block.innerContent.push(null);
+     parent.prevOffset = (lastOffset != null) ? lastOffset : tokenStart + tokenLength;
+   }
+
+   /**
+   * Completes the block at the top of the stack and adds it to the output,
+   * along with any HTML preceding it.
+   *
+   * @param {Number} [endOffset=null] The offset of the block's closer, or
+   * <code>null</code> if the block ends with the document.
+   * @private
+   */
+   addBlockFromStack(endOffset=null) {
+     var frame = this._stack.pop();
+     var block = frame.block;
+     if (endOffset == null) {
+       var html = this._document.substring(frame.prevOffset);
+     } else {
+       html = this._document.substring(frame.prevOffset, endOffset);
+     }
+     if (html != "") {
+       block.innerHTML += html;
+       block.innerContent.push(html);
+     }
+     if (frame.leadingHTMLStart != null) {
+       this._output.push(this.createFreeform(this._document.substring(frame.leadingHTMLStart, frame.tokenStart)));
+     }
+     this._output.push(block);
+   }
+
+   /**
+   * Creates an empty block.
+   *
+   * @private
+   */
+   createBlock(blockName, attrs, rawAttrs=null) {
+     var block = new Object();
+     block.blockName = blockName;
+     block.attrs = attrs;
+     if (rawAttrs != null) {
+       block.rawAttrs = rawAttrs;
+     }
+     block.innerBlocks = new Array();
+     block.innerHTML = "";
+     block.innerContent = new Array();
+     return (block);
+   }
+
+   /**
+   * Creates a block for HTML outside of block delimiters.
+   *
+   * @private
+   */
+   createFreeform(html) {
+     var block = this.createBlock(null, new Object());
+     block.innerHTML = html;
+     block.innerContent.push(html);
+     return (block);
+   }
+}
@@ -0,0 +1,128 @@
+/**
+* @file Serializes blocks into block markup (Gutenberg post content).
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Serializes a tree of blocks, as produced by
+* [WPBlockParser]{@link WPBlockParser} or
+* [WPMarkdownConverter]{@link WPMarkdownConverter}, into the block markup
+* stored as post content, following WordPress' <code>serialize_blocks</code>.
+* Parsing markup and serializing the result returns the original markup,
+* apart from block attributes that are re-encoded in WordPress' form.
+* Attributes that aren't valid JSON are written back unchanged.
+*/
+module.exports = class WPBlockSerializer {
+
+  /**
+  * Creates a new instance of WPBlockSerializer
+  */
+   constructor() {
+   }
+
+   /**
+   * Serializes blocks.
+   *
+   * @param {Array} blocks The blocks.
+   * @param {String} [separator=""] The text placed between the blocks. Parsed
+   * markup keeps the text between blocks as blocks without a name, but new
+   * blocks are usually separated by a blank line ("\n\n") like the block
+   * editor does.
+   *
+   * @return {String} The block markup.
+   */
+   serialize(blocks, separator="") {
+     return (blocks.map(block => this.serializeBlock(block)).join(separator));
+   }
+
+   /**
+   * Serializes a block and its inner blocks. The block's content is taken
+   * from its <code>innerContent</code>, in which <code>null</code> entries are
+   * replaced by the inner blocks in order. Blocks without
+   * <code>innerContent</code> use their <code>innerHTML</code> followed by
+   * their inner blocks.
+   *
+   * @param {Object} block The block, containing a <code>blockName</code>
+   * (<code>null</code> for HTML outside of blocks) and optionally
+   * <code>attrs</code>, <code>rawAttrs</code> (used if <code>attrs</code> is
+   * <code>null</code>), <code>innerBlocks</code>, <code>innerHTML</code> and
+   * <code>innerContent</code>.
+   *
+   * @return {String} The block markup.
+   */
+   serializeBlock(block) {
+     var innerBlocks = block.innerBlocks || new Array();
+     var innerContent = block.innerContent;
+     if (Array.isArray(innerContent) == false) {
+       innerContent = new Array();
+       if ((block.innerHTML != undefined) && (block.innerHTML != null)) {
+         innerContent.push(block.innerHTML);
+       }
+       innerBlocks.forEach(innerBlock => innerContent.push(null));
+     }
+     var content = "";
+     var index = 0;
+     for (var count = 0; count < innerContent.length; count++) {
+       if (typeof(innerContent[count]) == "string") {
+         content += innerContent[count];
+       } else {
+         content += this.serializeBlock(innerBlocks[index]);
+         index++;
+       }
+     }
+     if ((block.blockName == null) || (block.blockName == undefined)) {
+       return (content);
+     }
+     var name = this.getSerializedName(block.blockName);
+     var attrs = "";
+     if ((block.attrs != null) && (typeof(block.attrs) == "object") && (Object.keys(block.attrs).length > 0)) {
+       attrs = this.serializeAttributes(block.attrs) + " ";
+     } else if ((block.attrs == null) && (typeof(block.rawAttrs) == "string")) {
+       //attributes the parser couldn't decode are kept as they were
+       attrs = block.rawAttrs + " ";
+     }
+     if (content == "") {
+       return (`<!-- wp:${name} ${attrs}/-->`);
+     }
+     return (`<!-- wp:${name} ${attrs}-->${content}<!-- /wp:${name} -->`);
+   }
+
+   /**
+   * Encodes block attributes as JSON that can't end the HTML comment it's
+   * placed in or be mistaken for markup, as WordPress does.
+   *
+   * @param {Object} attrs The block attributes.
+   *
+   * @return {String} The encoded attributes.
+   */
+   serializeAttributes(attrs) {
+     var json = JSON.stringify(attrs);
+     json = json.replace(/--/g, "\\u002d\\u002d");
+     json = json.replace(/</g, "\\u003c");
+     json = json.replace(/>/g, "\\u003e");
+     json = json.replace(/&/g, "\\u0026");
+     //escaped quotes, which would otherwise confuse some parsers (pairs of
+     //characters are matched so that escaped backslashes are skipped)
+     json = json.replace(/\\(.)/g, (match, character) => (character == '"') ? "\\u0022" : match);
+     return (json);
+   }
+
+   /**
+   * Returns the name of a block as written in its delimiters; core blocks are
+   * written without their namespace.
+   *
+   * @param {String} blockName The block name.
+   *
+   * @return {String} The serialized name.
+   * @private
+   */
+   getSerializedName(blockName) {
+     if (blockName.startsWith("core/") == true) {
+       return (blockName.substring(5));
+     }
+     return (blockName);
+   }
+}
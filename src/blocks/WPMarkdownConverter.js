@@ -0,0 +1,644 @@
+/**
+* @file Converts Markdown into WordPress core blocks.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPBlockSerializer = require('./WPBlockSerializer.js');
+
+//HTML elements that start a raw HTML block when they begin a line
+const HTMLBlockTags = ["address", "article", "aside", "audio", "blockquote", "center", "details", "div",
+  "dl", "embed", "fieldset", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header",
+  "hr", "iframe", "nav", "object", "ol", "p", "pre", "script", "section", "style", "table", "ul", "video"];
+
+/**
+* @class Converts Markdown into WordPress core blocks, producing the same
+* markup as the block editor so that the content can be edited there. The
+* supported syntax includes ATX and setext headings ("core/heading"),
+* paragraphs ("core/paragraph"), nested bulleted and numbered lists
+* ("core/list" containing "core/list-item" blocks), fenced and indented code
+* ("core/code"), images on their own line ("core/image", with the title as
+* the caption), block quotes ("core/quote"), horizontal rules
+* ("core/separator") and raw HTML blocks ("core/html"). Inline emphasis,
+* strong emphasis, strikethrough, code spans, links (inline, reference and
+* automatic), images and inline HTML are converted within text.
+*/
+module.exports = class WPMarkdownConverter {
+
+  /**
+  * Creates a new instance of WPMarkdownConverter
+  */
+   constructor() {
+     this._references = new Object();
+     this._serializer = new WPBlockSerializer();
+   }
+
+   /**
+   * Converts Markdown into blocks.
+   *
+   * @param {String} markdown The Markdown text.
+   *
+   * @return {Array} The blocks (see [WPBlockParser]{@link WPBlockParser}).
+   */
+   convert(markdown) {
+     var text = String(markdown || "").replace(/\r\n?/g, "\n").replace(/\u0000/g, "");
+     var lines = text.split("\n").map(line => this.expandTabs(line));
+     this._references = new Object();
+     lines = this.extractReferences(lines);
+     return (this.parseBlocks(lines));
+   }
+
+   /**
+   * Converts Markdown into block markup that can be sent as post content.
+   *
+   * @param {String} markdown The Markdown text.
+   *
+   * @return {String} The block markup, with blocks separated by blank lines.
+   */
+   toMarkup(markdown) {
+     return (this._serializer.serialize(this.convert(markdown), "\n\n"));
+   }
+
+   /**
+   * Parses lines of Markdown into blocks.
+   *
+   * @param {Array} lines The lines.
+   *
+   * @return {Array} The blocks.
+   * @private
+   */
+   parseBlocks(lines) {
+     var blocks = new Array();
+     var index = 0;
+     while (index < lines.length) {
+       var line = lines[index];
+       if (line.trim() == "") {
+         index++;
+         continue;
+       }
+       var fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/);
+       if (fence != null) {
+         var indent = line.length - line.trimStart().length;
+         var codeLines = new Array();
+         index++;
+         while ((index < lines.length) && (this.isFenceEnd(lines[index], fence[1]) == false)) {
+           codeLines.push(this.removeIndent(lines[index], indent));
+           index++;
+         }
+         index++;
+         blocks.push(this.createCode(codeLines.join("\n"), fence[2]));
+         continue;
+       }
+       var heading = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+       if (heading != null) {
+         blocks.push(this.createHeading(heading[1].length, this.convertInline(heading[2] || "")));
+         index++;
+         continue;
+       }
+       if (this.isThematicBreak(line) == true) {
+         blocks.push(this.createBlock("core/separator", null, '<hr class="wp-block-separator has-alpha-channel-opacity"/>'));
+         index++;
+         continue;
+       }
+       if (/^ {0,3}>/.test(line) == true) {
+         var quoteLines = new Array();
+         while ((index < lines.length) && (lines[index].trim() != "")) {
+           if (/^ {0,3}>/.test(lines[index]) == true) {
+             quoteLines.push(lines[index].replace(/^ {0,3}> ?/, ""));
+           } else if (this.startsBlock(lines[index]) == false) {
+             //a lazy continuation of a quoted paragraph
+             quoteLines.push(lines[index]);
+           } else {
+             break;
+           }
+           index++;
+         }
+         blocks.push(this.createQuote(this.parseBlocks(quoteLines)));
+         continue;
+       }
+       if (this.matchListItem(line) != null) {
+         index = this.parseList(lines, index, blocks);
+         continue;
+       }
+       if (/^ {4,}/.test(line) == true) {
+         codeLines = new Array();
+         while ((index < lines.length) && ((/^ {4,}/.test(lines[index]) == true) || (lines[index].trim() == ""))) {
+           codeLines.push(lines[index].substring(4));
+           index++;
+         }
+         while ((codeLines.length > 0) && (codeLines[codeLines.length - 1].trim() == "")) {
+           codeLines.pop();
+         }
+         blocks.push(this.createCode(codeLines.join("\n"), ""));
+         continue;
+       }
+       if (this.isHTMLBlock(line) == true) {
+         var htmlLines = new Array();
+         while ((index < lines.length) && (lines[index].trim() != "")) {
+           htmlLines.push(lines[index]);
+           index++;
+         }
+         blocks.push(this.createBlock("core/html", null, htmlLines.join("\n")));
+         continue;
+       }
+       var paragraphLines = new Array();
+       var level = 0;
+       while ((index < lines.length) && (lines[index].trim() != "")) {
+         if ((paragraphLines.length > 0) && (/^ {0,3}=+[ \t]*$/.test(lines[index]) == true)) {
+           level = 1;
+           index++;
+           break;
+         }
+         if ((paragraphLines.length > 0) && (/^ {0,3}-+[ \t]*$/.test(lines[index]) == true)) {
+           level = 2;
+           index++;
+           break;
+         }
+         if ((paragraphLines.length > 0) && (this.startsBlock(lines[index]) == true)) {
+           break;
+         }
+         paragraphLines.push(lines[index]);
+         index++;
+       }
+       if (level > 0) {
+         blocks.push(this.createHeading(level, this.convertInline(paragraphLines.map(line => line.trim()).join(" "))));
+       } else {
+         blocks.push(this.createParagraph(paragraphLines));
+       }
+     }
+     return (blocks);
+   }
+
+   /**
+   * Parses a list and its nested lists, starting at a list item line.
+   *
+   * @param {Array} lines The lines.
+   * @param {Number} index The index of the first list item line.
+   * @param {Array} blocks The blocks to add the list block to.
+   *
+   * @return {Number} The index of the first line after the list.
+   * @private
+   */
+   parseList(lines, index, blocks) {
+     var first = this.matchListItem(lines[index]);
+     var items = new Array();
+     while (index < lines.length) {
+       var marker = this.matchListItem(lines[index]);
+       if ((marker == null) || (marker.ordered != first.ordered) || (marker.delimiter != first.delimiter)) {
+         break;
+       }
+       var itemLines = [lines[index].substring(marker.contentIndent)];
+       index++;
+       while (index < lines.length) {
+         var line = lines[index];
+         if (line.trim() == "") {
+           var next = index + 1;
+           while ((next < lines.length) && (lines[next].trim() == "")) {
+             next++;
+           }
+           if ((next < lines.length) && (this.getIndent(lines[next]) >= marker.contentIndent)) {
+             itemLines.push("");
+             index++;
+             continue;
+           }
+           break;
+         }
+         if (this.getIndent(line) >= marker.contentIndent) {
+           itemLines.push(line.substring(marker.contentIndent));
+         } else if ((this.matchListItem(line) != null) || (this.startsBlock(line) == true)) {
+           break;
+         } else {
+           //a lazy continuation of the item's paragraph
+           itemLines.push(line.trim());
+         }
+         index++;
+       }
+       items.push(this.createListItem(this.parseBlocks(itemLines)));
+       //blank lines between items of the same list
+       var following = index;
+       while ((following < lines.length) && (lines[following].trim() == "")) {
+         following++;
+       }
+       var sibling = (following < lines.length) ? this.matchListItem(lines[following]) : null;
+       if ((sibling == null) || (sibling.ordered != first.ordered) || (sibling.delimiter != first.delimiter)) {
+         break;
+       }
+       index = following;
+     }
+     blocks.push(this.createList(first.ordered, first.start, items));
+     return (index);
+   }
+
+   /**
+   * Matches a list item marker at the start of a line.
+   *
+   * @param {String} line The line.
+   *
+   * @return {Object} The marker's <code>ordered</code> flag, <code>delimiter</code>
+   * (the bullet character, or "." or ")" for numbered items), <code>start</code>
+   * number and the <code>contentIndent</code> of the item's text, or
+   * <code>null</code> if the line isn't a list item.
+   * @private
+   */
+   matchListItem(line) {
+     var match = line.match(/^( {0,3})([-*+]|(\d{1,9})([.)]))( +|$)/);
+     if ((match == null) || (this.isThematicBreak(line) == true)) {
+       return (null);
+     }
+     var marker = new Object();
+     marker.ordered = (match[3] != undefined);
+     marker.delimiter = marker.ordered ? match[4] : match[2];
+     marker.start = marker.ordered ? parseInt(match[3], 10) : 1;
+     var spacing = match[5].length;
+     if ((spacing == 0) || (spacing > 4)) {
+       spacing = 1;
+     }
+     marker.contentIndent = match[1].length + match[2].length + spacing;
+     return (marker);
+   }
+
+   /**
+   * Checks whether a line starts a block that interrupts a paragraph.
+   *
+   * @param {String} line The line.
+   *
+   * @return {Boolean} True if the line starts a heading, fence, quote,
+   * horizontal rule, list or HTML block.
+   * @private
+   */
+   startsBlock(line) {
+     if ((/^ {0,3}(#{1,6}([ \t]|$)|`{3,}|~{3,}|>)/.test(line) == true) || (this.isThematicBreak(line) == true)) {
+       return (true);
+     }
+     var marker = this.matchListItem(line);
+     //only lists starting at 1 interrupt a paragraph, so that numbers in text aren't lists
+     if ((marker != null) && (line.trim().length > marker.contentIndent - this.getIndent(line)) &&
+         ((marker.ordered == false) || (marker.start == 1))) {
+       return (true);
+     }
+     return (this.isHTMLBlock(line));
+   }
+
+   /**
+   * @private
+   */
+   isThematicBreak(line) {
+     return (/^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/.test(line));
+   }
+
+   /**
+   * @private
+   */
+   isFenceEnd(line, fence) {
+     var match = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+     return ((match != null) && (match[1][0] == fence[0]) && (match[1].length >= fence.length));
+   }
+
+   /**
+   * @private
+   */
+   isHTMLBlock(line) {
+     var match = line.match(/^ {0,3}<(!--|\/?([a-zA-Z][a-zA-Z0-9-]*)(?=[\s\/>]|$))/);
+     if (match == null) {
+       return (false);
+     }
+     return ((match[1] == "!--") || (HTMLBlockTags.includes(match[2].toLowerCase()) == true));
+   }
+
+   /**
+   * @private
+   */
+   getIndent(line) {
+     return (line.length - line.trimStart().length);
+   }
+
+   /**
+   * @private
+   */
+   removeIndent(line, indent) {
+     var remove = Math.min(indent, this.getIndent(line));
+     return (line.substring(remove));
+   }
+
+   /**
+   * Replaces tabs with spaces, using tab stops of four characters.
+   *
+   * @private
+   */
+   expandTabs(line) {
+     if (line.includes("\t") == false) {
+       return (line);
+     }
+     var expanded = "";
+     for (var count = 0; count < line.length; count++) {
+       if (line[count] == "\t") {
+         expanded += " ".repeat(4 - (expanded.length % 4));
+       } else {
+         expanded += line[count];
+       }
+     }
+     return (expanded);
+   }
+
+   /**
+   * Removes reference link definitions (e.g. <code>[docs]: https://example.com "Title"</code>)
+   * from the lines and records them.
+   *
+   * @param {Array} lines The lines.
+   *
+   * @return {Array} The remaining lines.
+   * @private
+   */
+   extractReferences(lines) {
+     var remaining = new Array();
+     var inFence = null;
+     for (var count = 0; count < lines.length; count++) {
+       var line = lines[count];
+       var fence = line.match(/^ {0,3}(`{3,}|~{3,})/);
+       if ((inFence == null) && (fence != null)) {
+         inFence = fence[1];
+       } else if ((inFence != null) && (this.isFenceEnd(line, inFence) == true)) {
+         inFence = null;
+       }
+       var definition = line.match(/^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+["'(](.*)["')])?[ \t]*$/);
+       if ((inFence == null) && (definition != null)) {
+         var reference = new Object();
+         reference.url = definition[2];
+         reference.title = (definition[3] == undefined) ? null : definition[3];
+         this._references[definition[1].toLowerCase()] = reference;
+       } else {
+         remaining.push(line);
+       }
+     }
+     return (remaining);
+   }
+
+   /**
+   * Converts the inline Markdown of a span of text into HTML.
+   *
+   * @param {String} text The Markdown text.
+   *
+   * @return {String} The HTML.
+   */
+   convertInline(text) {
+     var protectedHTML = new Array();
+     var protect = html => {
+       protectedHTML.push(html);
+       return ("\u0000" + (protectedHTML.length - 1) + "\u0000");
+     };
+     text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+       return (protect("<code>" + this.escapeHTML(code.trim()) + "</code>"));
+     });
+     text = text.replace(/<((?:https?|mailto|ftp):[^\s<>]+)>/gi, (match, url) => {
+       return (protect(`<a href="${this.escapeAttribute(url)}">${this.escapeHTML(url)}</a>`));
+     });
+     text = text.replace(/<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/g, match => protect(match));
+     text = text.replace(/\\([\\`*_{}\[\]()#+\-.!~>|"])/g, (match, character) => protect(this.escapeHTML(character)));
+     text = text.replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, "&amp;");
+     text = text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+     var destination = '\\(\\s*<?([^\\s)>]*)>?(?:\\s+"([^"]*)")?\\s*\\)';
+     text = text.replace(new RegExp("!\\[([^\\]]*)\\]" + destination, "g"), (match, alt, url, title) => {
+       return (protect(this.createImageTag(url, alt, title)));
+     });
+     text = text.replace(new RegExp("\\[([^\\]]+)\\]" + destination, "g"), (match, label, url, title) => {
+       return (this.createLinkTag(url, label, title));
+     });
+     text = text.replace(/\[([^\]]+)\](?:\[([^\]]*)\])?/g, (match, label, name) => {
+       var reference = this._references[((name == undefined) || (name == "")) ? label.toLowerCase() : name.toLowerCase()];
+       if (reference == undefined) {
+         return (match);
+       }
+       return (this.createLinkTag(reference.url, label, reference.title));
+     });
+     text = text.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>");
+     text = text.replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>");
+     text = text.replace(/(^|[^A-Za-z0-9_])_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9_])/g, "$1<em>$2</em>");
+     text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<s>$1</s>");
+     //restore protected HTML, which may itself contain protected HTML
+     var placeholder = /\u0000(\d+)\u0000/g;
+     while (placeholder.test(text) == true) {
+       text = text.replace(placeholder, (match, index) => protectedHTML[parseInt(index, 10)]);
+     }
+     return (text);
+   }
+
+   /**
+   * @private
+   */
+   createImageTag(url, alt, title) {
+     var tag = `<img src="${this.escapeAttribute(this.decodeEntities(url))}" alt="${this.escapeAttribute(this.decodeEntities(alt))}"`;
+     if ((title != undefined) && (title != null) && (title != "")) {
+       tag += ` title="${this.escapeAttribute(this.decodeEntities(title))}"`;
+     }
+     return (tag + "/>");
+   }
+
+   /**
+   * @private
+   */
+   createLinkTag(url, label, title) {
+     var tag = `<a href="${this.escapeAttribute(this.decodeEntities(url))}"`;
+     if ((title != undefined) && (title != null) && (title != "")) {
+       tag += ` title="${this.escapeAttribute(this.decodeEntities(title))}"`;
+     }
+     return (tag + `>${label}</a>`);
+   }
+
+   /**
+   * Creates a paragraph, or an image block if the paragraph only contains an
+   * image (optionally linked).
+   *
+   * @param {Array} lines The lines of the paragraph.
+   *
+   * @return {Object} The block.
+   * @private
+   */
+   createParagraph(lines) {
+     var text = lines.map(line => line.trim()).join("\n").trim();
+     var image = text.match(/^(?:\[)?!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)(?:\]\(\s*<?([^\s)>]*)>?\s*\))?$/);
+     if ((image != null) && ((text.startsWith("[") == false) || (image[4] != undefined))) {
+       return (this.createImage(image[2], image[1], image[3], image[4]));
+     }
+     var html = "";
+     for (var count = 0; count < lines.length; count++) {
+       var line = lines[count];
+       var hardBreak = ((/ {2,}$/.test(line) == true) || (/\\$/.test(line) == true)) && (count < lines.length - 1);
+       line = line.trim();
+       if ((hardBreak == true) && (line.endsWith("\\") == true)) {
+         line = line.substring(0, line.length - 1);
+       }
+       html += line;
+       if (count < lines.length - 1) {
+         html += (hardBreak == true) ? "<br>" : " ";
+       }
+     }
+     return (this.createBlock("core/paragraph", null, "<p>" + this.convertInline(html) + "</p>"));
+   }
+
+   /**
+   * @private
+   */
+   createHeading(level, html) {
+     var attrs = null;
+     if (level != 2) {
+       attrs = new Object();
+       attrs.level = level;
+     }
+     return (this.createBlock("core/heading", attrs, `<h${level} class="wp-block-heading">${html}</h${level}>`));
+   }
+
+   /**
+   * @private
+   */
+   createCode(code, language) {
+     var attrs = null;
+     var className = "wp-block-code";
+     if ((language != undefined) && (language != "")) {
+       attrs = new Object();
+       attrs.className = "language-" + language.replace(/[^A-Za-z0-9_+-]/g, "");
+       className += " " + attrs.className;
+     }
+     return (this.createBlock("core/code", attrs, `<pre class="${className}"><code>${this.escapeHTML(code)}</code></pre>`));
+   }
+
+   /**
+   * @private
+   */
+   createImage(url, alt, title, link) {
+     var html = this.createImageTag(url, alt, null);
+     if ((link != undefined) && (link != null)) {
+       html = `<a href="${this.escapeAttribute(link)}">${html}</a>`;
+     }
+     if ((title != undefined) && (title != null) && (title != "")) {
+       html += `<figcaption class="wp-element-caption">${this.convertInline(title)}</figcaption>`;
+     }
+     return (this.createBlock("core/image", null, `<figure class="wp-block-image">${html}</figure>`));
+   }
+
+   /**
+   * Creates a quote containing blocks.
+   *
+   * @private
+   */
+   createQuote(innerBlocks) {
+     return (this.createContainer("core/quote", null, '<blockquote class="wp-block-quote">', innerBlocks, "</blockquote>"));
+   }
+
+   /**
+   * @private
+   */
+   createList(ordered, start, items) {
+     var attrs = null;
+     var tag = "ul";
+     var openTag = '<ul class="wp-block-list">';
+     if (ordered == true) {
+       attrs = new Object();
+       attrs.ordered = true;
+       tag = "ol";
+       openTag = '<ol class="wp-block-list">';
+       if (start != 1) {
+         attrs.start = start;
+         openTag = `<ol start="${start}" class="wp-block-list">`;
+       }
+     }
+     return (this.createContainer("core/list", attrs, openTag, items, `</${tag}>`));
+   }
+
+   /**
+   * Creates a list item from the blocks of its content. List items contain
+   * text and nested lists only, so other blocks are included as HTML.
+   *
+   * @param {Array} blocks The blocks of the item's content.
+   *
+   * @return {Object} The list item block.
+   * @private
+   */
+   createListItem(blocks) {
+     var html = new Array();
+     var lists = new Array();
+     for (var count = 0; count < blocks.length; count++) {
+       var block = blocks[count];
+       if (block.blockName == "core/list") {
+         lists.push(block);
+       } else if (block.blockName == "core/paragraph") {
+         html.push(block.innerHTML.trim().replace(/^<p>/, "").replace(/<\/p>$/, ""));
+       } else {
+         html.push(this._serializer.serializeBlock(block).replace(/<!--[\s\S]*?-->/g, "").trim());
+       }
+     }
+     var block = new Object();
+     block.blockName = "core/list-item";
+     block.attrs = new Object();
+     block.innerBlocks = lists;
+     block.innerHTML = "\n<li>" + html.join("<br>") + "</li>\n";
+     block.innerContent = ["\n<li>" + html.join("<br>")];
+     lists.forEach(list => block.innerContent.push(null));
+     if (lists.length == 0) {
+       block.innerContent[0] += "</li>\n";
+     } else {
+       block.innerContent.push("</li>\n");
+     }
+     return (block);
+   }
+
+   /**
+   * Creates a block whose content is wrapped around inner blocks.
+   *
+   * @private
+   */
+   createContainer(blockName, attrs, openTag, innerBlocks, closeTag) {
+     var block = new Object();
+     block.blockName = blockName;
+     block.attrs = attrs || new Object();
+     block.innerBlocks = innerBlocks;
+     block.innerHTML = "\n" + openTag + closeTag + "\n";
+     block.innerContent = ["\n" + openTag];
+     for (var count = 0; count < innerBlocks.length; count++) {
+       if (count > 0) {
+         block.innerContent.push("\n\n");
+       }
+       block.innerContent.push(null);
+     }
+     block.innerContent.push(closeTag + "\n");
+     return (block);
+   }
+
+   /**
+   * Creates a block without inner blocks.
+   *
+   * @private
+   */
+   createBlock(blockName, attrs, html) {
+     var block = new Object();
+     block.blockName = blockName;
+     block.attrs = attrs || new Object();
+     block.innerBlocks = new Array();
+     block.innerHTML = "\n" + html + "\n";
+     block.innerContent = [block.innerHTML];
+     return (block);
+   }
+
+   /**
+   * @private
+   */
+   escapeHTML(text) {
+     return (String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"));
+   }
+
+   /**
+   * @private
+   */
+   escapeAttribute(text) {
+     return (this.escapeHTML(text).replace(/"/g, "&quot;"));
+   }
+
+   /**
+   * Reverses the escaping applied to text before links and images are converted.
+   *
+   * @private
+   */
+   decodeEntities(text) {
+     return (String(text).replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&"));
+   }
+}
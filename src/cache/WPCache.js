@@ -0,0 +1,384 @@
+/**
+* @file Response cache for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const crypto = require('crypto');
+const WPCacheStore = require('./WPCacheStore.js');
+
+/**
+* @class Caches "GET" API responses for content that rarely changes, such as
+* taxonomies, settings and the REST index. Entries are fresh for a per-route
+* time to live, after which they're revalidated with the server using the
+* "If-None-Match" and "If-Modified-Since" headers (if the response included an
+* "ETag" or "Last-Modified" header). Entries are keyed by the authentication
+* in use so authenticated and public responses are never mixed, and writes to
+* a route invalidate the cached entries of its collection.<br/><br/>
+* Server cache headers are ignored since WordPress marks all authenticated
+* responses as uncacheable; the time to live set here decides instead.
+*/
+module.exports = class WPCache {
+
+  /**
+  * Creates a new instance of WPCache
+  *
+  * @param {Object} [options=null] Cache options.
+  * @param {WPCacheStore} [options.store=null] The store to keep entries in. If
+  * omitted, a new in-memory [WPCacheStore]{@link WPCacheStore} is created.
+  * @param {Number} [options.maxEntries=500] The maximum number of entries kept
+  * if a new store is created.
+  * @param {Number} [options.ttl=60000] The default number of milliseconds a
+  * response is used without revalidating it.
+  * @param {Array} [options.routes=null] Time to live rules for specific routes,
+  * as objects containing a <code>route</code> and a <code>ttl</code>. The route
+  * may be a string, which matches that route and the routes below it (for
+  * example "/wp/v2/categories" matches "/wp/v2/categories/12" but "/" only
+  * matches the REST index), or a <code>RegExp</code> tested against the route.
+  * The first matching rule is used. A <code>ttl</code> of 0 disables caching
+  * for the route.
+  */
+   constructor(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._store = options.store || null;
+     if (this._store == null) {
+       var storeOptions = new Object();
+       if (typeof(options.maxEntries) == "number") {
+         storeOptions.maxEntries = options.maxEntries;
+       }
+       this._store = new WPCacheStore(storeOptions);
+     }
+     this._ttl = 60000;
+     if (typeof(options.ttl) == "number") {
+       this._ttl = options.ttl;
+     }
+     this._routes = new Array();
+     if (Array.isArray(options.routes) == true) {
+       for (var count = 0; count < options.routes.length; count++) {
+         this.setRouteTTL(options.routes[count].route, options.routes[count].ttl);
+       }
+     }
+   }
+
+   /**
+   * @property {WPCacheStore} store The store entries are kept in.
+   * @readonly
+   */
+   get store() {
+     return (this._store);
+   }
+
+   /**
+   * @property {Number} ttl The default number of milliseconds a response is
+   * used without revalidating it.
+   */
+   get ttl() {
+     return (this._ttl);
+   }
+
+   set ttl(ttl) {
+     this._ttl = ttl;
+   }
+
+   /**
+   * @property {Array} routes The time to live rules for specific routes, as
+   * objects containing a <code>route</code> and a <code>ttl</code>.
+   * @readonly
+   */
+   get routes() {
+     return (this._routes);
+   }
+
+   /**
+   * Adds or replaces the time to live rule for a route. Rules added later are
+   * matched after existing ones.
+   *
+   * @param {String|RegExp} route The route (and the routes below it) or a
+   * pattern tested against routes.
+   * @param {Number} ttl The number of milliseconds matching responses are used
+   * without revalidating them, or 0 to disable caching for the route.
+   */
+   setRouteTTL(route, ttl) {
+     if (typeof(route) == "string") {
+       route = this.normalizeRoute(route);
+     }
+     var rule = this._routes.find(rule => String(rule.route) == String(route));
+     if (rule == undefined) {
+       rule = new Object();
+       rule.route = route;
+       this._routes.push(rule);
+     }
+     rule.ttl = ttl;
+   }
+
+   /**
+   * Determines the time to live of a route.
+   *
+   * @param {String} route The namespaced API route (e.g. "/wp/v2/categories").
+   *
+   * @return {Number} The number of milliseconds responses from the route are
+   * used without revalidating them, or 0 if they're not cached.
+   */
+   getTTL(route) {
+     route = this.normalizeRoute(route);
+     for (var count = 0; count < this._routes.length; count++) {
+       var rule = this._routes[count];
+       if (rule.route instanceof RegExp) {
+         if (rule.route.test(route) == true) {
+           return (rule.ttl);
+         }
+       } else if ((route == rule.route) || ((rule.route != "/") && (route.startsWith(rule.route + "/") == true))) {
+         return (rule.ttl);
+       }
+     }
+     return (this.ttl);
+   }
+
+   /**
+   * Creates the cache key of a request. The key includes a hash of the
+   * credentials the client would send so that different users, and anonymous
+   * and authenticated requests, get separate entries.
+   *
+   * @param {WPAPILib} client The client sending the request.
+   * @param {String} route The namespaced API route.
+   * @param {String} path The full request path, including the query string.
+   * @param {Boolean} [useAuth=true] True if the request uses the current authentication.
+   *
+   * @return {String} The cache key.
+   */
+   getKey(client, route, path, useAuth=true) {
+     var url = new URL((client._baseURL.pathname + "/" + path).replace(/\/{2,}/g, "/"), client._baseURL.origin);
+     return ([this.getIdentity(client, useAuth), this.normalizeRoute(route), url.href].join(" "));
+   }
+
+   /**
+   * Identifies the credentials a client would send with a request.
+   *
+   * @param {WPAPILib} client The client sending the request.
+   * @param {Boolean} [useAuth=true] True if the request uses the current authentication.
+   *
+   * @return {String} "anonymous" for unauthenticated requests, otherwise the
+   * authentication type followed by a hash of the credentials.
+   */
+   getIdentity(client, useAuth=true) {
+     if ((useAuth == false) || (client.authenticated == false)) {
+       return ("anonymous");
+     }
+     var credentials = client.authHeader;
+     if ((credentials == null) || (credentials == undefined)) {
+       credentials = JSON.stringify(client.auth.exportState());
+     }
+     var hash = crypto.createHash("sha256").update(String(credentials)).digest("hex");
+     return (client.auth.type + ":" + hash.substring(0, 32));
+   }
+
+   /**
+   * Loads a cached entry.
+   *
+   * @param {String} key The cache key.
+   *
+   * @return {Promise} The promise resolves with the entry, or <code>null</code>
+   * if nothing is cached under the key.
+   *
+   * @async
+   */
+   async load(key) {
+     return (await this.store.load(key));
+   }
+
+   /**
+   * Checks whether an entry can be used without revalidating it.
+   *
+   * @param {Object} entry The cached entry.
+   *
+   * @return {Boolean} True if the entry hasn't expired.
+   */
+   isFresh(entry) {
+     return (entry.expires > Date.now());
+   }
+
+   /**
+   * Creates the conditional request headers used to revalidate an entry.
+   *
+   * @param {Object} entry The cached entry.
+   *
+   * @return {Object} The "If-None-Match" and/or "If-Modified-Since" headers,
+   * or an empty object if the entry has no validators.
+   */
+   getValidators(entry) {
+     var headers = new Object();
+     if (entry.etag != null) {
+       headers["If-None-Match"] = entry.etag;
+     }
+     if (entry.lastModified != null) {
+       headers["If-Modified-Since"] = entry.lastModified;
+     }
+     return (headers);
+   }
+
+   /**
+   * Stores a successful response.
+   *
+   * @param {String} key The cache key.
+   * @param {String} route The namespaced API route.
+   * @param {Object} responseObj The result object of
+   * [sendRoute]{@link WPAPILib#sendRoute}.
+   *
+   * @return {Promise} The promise resolves with the stored entry, or
+   * <code>null</code> if the route isn't cached.
+   *
+   * @async
+   */
+   async save(key, route, responseObj) {
+     var ttl = this.getTTL(route);
+     if (ttl <= 0) {
+       return (null);
+     }
+     var entry = new Object();
+     entry.route = this.normalizeRoute(route);
+     entry.status = responseObj.status;
+     entry.headers = new Object();
+     for (var name in responseObj.headers) {
+       //cookies are applied by the original response only
+       if ((name.startsWith(":") == false) && (name != "set-cookie")) {
+         entry.headers[name] = responseObj.headers[name];
+       }
+     }
+     entry.body = Buffer.from(responseObj.body || "").toString("base64");
+     entry.etag = responseObj.headers["etag"] || null;
+     entry.lastModified = responseObj.headers["last-modified"] || null;
+     entry.stored = Date.now();
+     entry.expires = entry.stored + ttl;
+     await this.store.save(key, entry);
+     return (entry);
+   }
+
+   /**
+   * Renews an entry after the server confirmed it's unchanged with a
+   * "304 Not Modified" response.
+   *
+   * @param {String} key The cache key.
+   * @param {Object} entry The cached entry.
+   * @param {Object} headers The headers of the "304" response.
+   *
+   * @return {Promise} The promise resolves with the renewed entry.
+   *
+   * @async
+   */
+   async renew(key, entry, headers) {
+     if (headers["etag"] != undefined) {
+       entry.etag = headers["etag"];
+       entry.headers["etag"] = headers["etag"];
+     }
+     if (headers["last-modified"] != undefined) {
+       entry.lastModified = headers["last-modified"];
+       entry.headers["last-modified"] = headers["last-modified"];
+     }
+     entry.stored = Date.now();
+     entry.expires = entry.stored + this.getTTL(entry.route);
+     await this.store.save(key, entry);
+     return (entry);
+   }
+
+   /**
+   * Creates a [sendRoute]{@link WPAPILib#sendRoute} result object from a
+   * cached entry.
+   *
+   * @param {WPAPILib} client The client the result is for.
+   * @param {Object} entry The cached entry.
+   * @param {Object} [responseObj=null] The result object of the revalidation
+   * request, if one was sent.
+   *
+   * @return {Object} The result object, with a <code>cached</code> property
+   * set to <code>true</code>.
+   */
+   createResponse(client, entry, responseObj=null) {
+     var cachedObj = new Object();
+     cachedObj.request = null;
+     cachedObj.response = new Object();
+     cachedObj.response.headers = entry.headers;
+     cachedObj.response.statusCode = entry.status;
+     if (responseObj != null) {
+       cachedObj.request = responseObj.request;
+     }
+     cachedObj.headers = entry.headers;
+     cachedObj.status = entry.status;
+     cachedObj.body = Buffer.from(entry.body, "base64");
+     cachedObj.data = client.parseResponseData(cachedObj.response, cachedObj.body);
+     cachedObj.cached = true;
+     return (cachedObj);
+   }
+
+   /**
+   * Removes the cached entries of the collection a route belongs to, for all
+   * users. For example, a write to "/wp/v2/posts/12/revisions" invalidates
+   * "/wp/v2/posts" and every route below it.
+   *
+   * @param {String} route The namespaced API route that was written to.
+   *
+   * @return {Promise} The promise resolves with the number of entries removed.
+   *
+   * @async
+   */
+   async invalidate(route) {
+     var collection = this.getCollectionRoute(route);
+     var keys = await this.store.keys();
+     var removed = 0;
+     for (var count = 0; count < keys.length; count++) {
+       var keyRoute = keys[count].split(" ")[1];
+       if ((keyRoute == collection) || ((collection != "/") && (String(keyRoute).startsWith(collection + "/") == true))) {
+         await this.store.remove(keys[count]);
+         removed++;
+       }
+     }
+     return (removed);
+   }
+
+   /**
+   * Removes all cached entries.
+   *
+   * @async
+   */
+   async clear() {
+     await this.store.clear();
+   }
+
+   /**
+   * Determines the collection route of a route by removing the item ID (a
+   * number or "me") and anything after it.
+   *
+   * @param {String} route The namespaced API route.
+   *
+   * @return {String} The collection route.
+   */
+   getCollectionRoute(route) {
+     var segments = this.normalizeRoute(route).split("/").filter(segment => segment != "");
+     //the first two segments are the namespace
+     for (var count = 2; count < segments.length; count++) {
+       if (/^(\d+|me)$/.test(segments[count]) == true) {
+         segments = segments.slice(0, count);
+         break;
+       }
+     }
+     return ("/" + segments.join("/"));
+   }
+
+   /**
+   * Normalizes a route to a leading slash, no query string and no trailing slash.
+   *
+   * @param {String} route The route.
+   *
+   * @return {String} The normalized route.
+   * @private
+   */
+   normalizeRoute(route) {
+     route = ("/" + String(route).split("?")[0]).replace(/\/{2,}/g, "/");
+     if ((route.length > 1) && (route.endsWith("/") == true)) {
+       route = route.substring(0, route.length - 1);
+     }
+     return (route);
+   }
+}
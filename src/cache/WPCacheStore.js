@@ -0,0 +1,110 @@
+/**
+* @file In-memory response cache store for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Stores cached responses in memory, evicting the least recently used
+* entry when the store is full. This is also the base class for persistent
+* stores, which should override [load]{@link WPCacheStore#load},
+* [save]{@link WPCacheStore#save}, [remove]{@link WPCacheStore#remove},
+* [keys]{@link WPCacheStore#keys} and [clear]{@link WPCacheStore#clear}.
+*/
+module.exports = class WPCacheStore {
+
+  /**
+  * Creates a new instance of WPCacheStore
+  *
+  * @param {Object} [options=null] Store options.
+  * @param {Number} [options.maxEntries=500] The maximum number of entries kept.
+  */
+   constructor(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._maxEntries = 500;
+     if (typeof(options.maxEntries) == "number") {
+       this._maxEntries = options.maxEntries;
+     }
+     this._entries = new Map();
+   }
+
+   /**
+   * @property {Number} maxEntries The maximum number of entries kept.
+   * @readonly
+   */
+   get maxEntries() {
+     return (this._maxEntries);
+   }
+
+   /**
+   * Loads a cached entry and marks it as the most recently used.
+   *
+   * @param {String} key The cache key.
+   *
+   * @return {Promise} The promise resolves with the entry object, or
+   * <code>null</code> if nothing is cached under the key.
+   *
+   * @async
+   */
+   async load(key) {
+     if (this._entries.has(key) == false) {
+       return (null);
+     }
+     var entry = this._entries.get(key);
+     this._entries.delete(key);
+     this._entries.set(key, entry);
+     return (JSON.parse(entry));
+   }
+
+   /**
+   * Saves an entry, evicting the least recently used entries if the store
+   * is full.
+   *
+   * @param {String} key The cache key.
+   * @param {Object} entry The JSON-serializable cache entry.
+   *
+   * @async
+   */
+   async save(key, entry) {
+     this._entries.delete(key);
+     this._entries.set(key, JSON.stringify(entry));
+     while (this._entries.size > this.maxEntries) {
+       this._entries.delete(this._entries.keys().next().value);
+     }
+   }
+
+   /**
+   * Removes a cached entry.
+   *
+   * @param {String} key The cache key.
+   *
+   * @async
+   */
+   async remove(key) {
+     this._entries.delete(key);
+   }
+
+   /**
+   * Lists the keys of all cached entries.
+   *
+   * @return {Promise} The promise resolves with an array of cache keys.
+   *
+   * @async
+   */
+   async keys() {
+     return (Array.from(this._entries.keys()));
+   }
+
+   /**
+   * Removes all cached entries.
+   *
+   * @async
+   */
+   async clear() {
+     this._entries.clear();
+   }
+}
@@ -0,0 +1,187 @@
+/**
+* @file File-backed response cache store for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const WPCacheStore = require('./WPCacheStore.js');
+
+/**
+* @class Stores cached responses in a single JSON file so they survive restarts.
+* Cached responses may include private content so the file is created readable
+* and writable by the owner only. When the store is full, the least recently
+* saved entries are evicted (loading an entry doesn't rewrite the file).
+* @extends WPCacheStore
+*/
+module.exports = class WPFileCacheStore extends WPCacheStore {
+
+  /**
+  * Creates a new instance of WPFileCacheStore
+  *
+  * @param {String} filePath The path of the JSON file to store entries in. The
+  * file is created when the first entry is saved.
+  * @param {Object} [options=null] Store options (see [WPCacheStore]{@link WPCacheStore}).
+  */
+   constructor(filePath, options=null) {
+     super(options);
+     this._filePath = path.resolve(filePath);
+     this._updates = Promise.resolve();
+   }
+
+   /**
+   * @property {String} filePath The absolute path of the cache file.
+   * @readonly
+   */
+   get filePath() {
+     return (this._filePath);
+   }
+
+   /**
+   * Reads all cached entries from the file.
+   *
+   * @return {Promise} The promise resolves with an object of entries keyed
+   * by cache key (empty if the file doesn't exist).
+   *
+   * @async
+   */
+   async readAll() {
+     try {
+       var contents = await fs.promises.readFile(this.filePath, "utf8");
+     } catch (error) {
+       if (error.code == "ENOENT") {
+         return (new Object());
+       }
+       throw (error);
+     }
+     if (contents.trim() == "") {
+       return (new Object());
+     }
+     return (JSON.parse(contents));
+   }
+
+   /**
+   * Writes all entries to the file. The file is replaced atomically, using a
+   * temporary file unique to the write.
+   *
+   * @param {Object} entries The entries keyed by cache key.
+   *
+   * @async
+   */
+   async writeAll(entries) {
+     await fs.promises.mkdir(path.dirname(this.filePath), {recursive:true});
+     var tempPath = this.filePath + "." + process.pid + "." + crypto.randomBytes(6).toString("hex") + ".tmp";
+     await fs.promises.writeFile(tempPath, JSON.stringify(entries), {mode:0o600});
+     try {
+       await fs.promises.rename(tempPath, this.filePath);
+     } catch (error) {
+       await fs.promises.unlink(tempPath).catch(() => {});
+       throw (error);
+     }
+   }
+
+   /**
+   * Reads, modifies and writes the entries. Updates made through the same
+   * store are applied one at a time so that concurrent saves don't overwrite
+   * each other.
+   *
+   * @param {Function} modify A function invoked with the entries object. It
+   * modifies the object and returns <code>false</code> if nothing needs to be written.
+   *
+   * @return {Promise} The promise resolves when the entries have been written.
+   * @private
+   *
+   * @async
+   */
+   update(modify) {
+     var promise = this._updates.then(async () => {
+       var entries = await this.readAll();
+       if (modify(entries) != false) {
+         await this.writeAll(entries);
+       }
+     });
+     this._updates = promise.catch(() => {});
+     return (promise);
+   }
+
+   /**
+   * Loads a cached entry.
+   *
+   * @param {String} key The cache key.
+   *
+   * @return {Promise} The promise resolves with the entry object, or
+   * <code>null</code> if nothing is cached under the key.
+   *
+   * @async
+   */
+   async load(key) {
+     var entries = await this.readAll();
+     if (entries[key] == undefined) {
+       return (null);
+     }
+     return (entries[key]);
+   }
+
+   /**
+   * Saves an entry, evicting the least recently saved entries if the store
+   * is full.
+   *
+   * @param {String} key The cache key.
+   * @param {Object} entry The JSON-serializable cache entry.
+   *
+   * @async
+   */
+   async save(key, entry) {
+     await this.update(entries => {
+       delete entries[key];
+       entries[key] = entry;
+       var keys = Object.keys(entries);
+       for (var count = 0; count < (keys.length - this.maxEntries); count++) {
+         delete entries[keys[count]];
+       }
+     });
+   }
+
+   /**
+   * Removes a cached entry.
+   *
+   * @param {String} key The cache key.
+   *
+   * @async
+   */
+   async remove(key) {
+     await this.update(entries => {
+       if (entries[key] == undefined) {
+         return (false);
+       }
+       delete entries[key];
+     });
+   }
+
+   /**
+   * Lists the keys of all cached entries.
+   *
+   * @return {Promise} The promise resolves with an array of cache keys.
+   *
+   * @async
+   */
+   async keys() {
+     return (Object.keys(await this.readAll()));
+   }
+
+   /**
+   * Removes all cached entries.
+   *
+   * @async
+   */
+   async clear() {
+     await this.update(entries => {
+       for (var key in entries) {
+         delete entries[key];
+       }
+     });
+   }
+}
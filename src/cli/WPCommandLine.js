@@ -0,0 +1,848 @@
+/**
+* @file The wpapi command-line tool.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WPAPILib = require('../WPAPILib.js');
+const WPAPIError = require('../WPAPIError.js');
+const WPFileSessionStore = require('../session/WPFileSessionStore.js');
+const CookieNonceAuth = require('../auth/CookieNonceAuth.js');
+const ApplicationPasswordAuth = require('../auth/ApplicationPasswordAuth.js');
+const JWTAuth = require('../auth/JWTAuth.js');
+const WPOutputFormatter = require('./WPOutputFormatter.js');
+
+/**
+* @class Implements the <code>wpapi</code> command-line tool, which scripts
+* WordPress sites through [WPAPILib]{@link WPAPILib}.
+* <p>
+* Site URLs and credentials are read, in order of precedence, from command-line
+* options, environment variables (<code>WPAPI_URL</code>, <code>WPAPI_USER</code>,
+* <code>WPAPI_PASSWORD</code>, <code>WPAPI_APP_PASSWORD</code>,
+* <code>WPAPI_TOKEN</code>, <code>WPAPI_AUTH</code>) and the selected profile of
+* the JSON config file (<code>~/.wpapi/config.json</code> by default):
+* </p>
+* <pre>{"defaultProfile":"live", "profiles":{"live":{"url":"https://example.com",
+* "user":"admin", "applicationPassword":"abcd efgh ..."}}}</pre>
+* <p>
+* Profile properties are <code>url</code>, <code>user</code>, <code>password</code>,
+* <code>applicationPassword</code>, <code>token</code>, <code>auth</code>
+* ("cookie", "application-password", "jwt" or "none"), <code>http2</code> and
+* <code>timeout</code>. Sessions (cookies, nonces and tokens, but never passwords)
+* are stored per profile in <code>~/.wpapi/sessions.json</code> by
+* <code>login</code> and reused by later commands.
+* </p>
+*/
+module.exports = class WPCommandLine {
+
+  /**
+  * Creates a new instance of WPCommandLine
+  *
+  * @param {Object} [options=null] Environment options, mainly for embedding.
+  * @param {stream.Writable} [options.stdout=process.stdout] The stream results are written to.
+  * @param {stream.Writable} [options.stderr=process.stderr] The stream errors are written to.
+  * @param {stream.Readable} [options.stdin=process.stdin] The stream read by <code>--data -</code>.
+  * @param {Object} [options.env=process.env] The environment variables.
+  * @param {String} [options.homeDir=os.homedir()] The directory containing the
+  * default ".wpapi" configuration directory.
+  */
+   constructor(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._stdout = options.stdout || process.stdout;
+     this._stderr = options.stderr || process.stderr;
+     this._stdin = options.stdin || process.stdin;
+     this._env = options.env || process.env;
+     this._homeDir = options.homeDir || os.homedir();
+     this._formatter = null;
+     this._client = null;
+   }
+
+   /**
+   * @property {Object} commands The supported commands, mapped to the names of
+   * the functions implementing them.
+   * @static
+   * @readonly
+   */
+   static get commands() {
+     return ({
+       "login":"login",
+       "logout":"logout",
+       "discover":"discover",
+       "get":"request",
+       "post":"request",
+       "put":"request",
+       "delete":"request",
+       "list":"list",
+       "upload":"upload"
+     });
+   }
+
+   /**
+   * @property {Array} valueOptions The tool's own options that take a value.
+   * Any other <code>--name value</code> option is sent as an API parameter.
+   * @static
+   * @readonly
+   */
+   static get valueOptions() {
+     return (["profile", "url", "user", "password", "app-password", "token", "auth", "config",
+       "sessions", "output", "fields", "http2", "timeout", "data"]);
+   }
+
+   /**
+   * @property {Array} argumentCommands The commands that take a positional
+   * argument (a route, collection or file).
+   * @static
+   * @readonly
+   */
+   static get argumentCommands() {
+     return (["get", "post", "put", "delete", "list", "upload"]);
+   }
+
+   /**
+   * @property {Array} flagOptions The tool's own options that take no value.
+   * @static
+   * @readonly
+   */
+   static get flagOptions() {
+     return (["all", "help"]);
+   }
+
+   /**
+   * @property {Object} shortOptions Single-letter aliases of options.
+   * @static
+   * @readonly
+   */
+   static get shortOptions() {
+     return ({"o":"output", "d":"data", "p":"profile", "h":"help"});
+   }
+
+   /**
+   * @property {Array} authTypes The supported values of the "auth" setting.
+   * @static
+   * @readonly
+   */
+   static get authTypes() {
+     return (["cookie", "application-password", "jwt", "none"]);
+   }
+
+   /**
+   * @property {String} usage The help text.
+   * @static
+   * @readonly
+   */
+   static get usage() {
+     return ([
+       "Usage: wpapi <command> [arguments] [options]",
+       "",
+       "Commands:",
+       "  login                      Log in and store the session of the profile",
+       "  logout                     Forget the stored session of the profile",
+       "  discover                   Show the site's REST API root and namespaces",
+       "  get <route> [params]       GET a route",
+       "  post <route> [params]      POST to a route",
+       "  put <route> [params]       PUT to a route",
+       "  delete <route> [params]    DELETE a route (use --force to skip the trash)",
+       "  list <collection>          List a page of a collection (--all for every page)",
+       "  upload <file>              Upload a file to the media library",
+       "",
+       "Routes without a leading \"/\" are relative to \"/wp/v2/\" (e.g. \"posts/12\");",
+       "others include their namespace (e.g. \"/wc/v3/orders\").",
+       "Parameters are given as key=value (string) or key:=json arguments,",
+       "--data <json|@file|-> or any other --name value option (e.g. --status draft).",
+       "Such an option before the route or a key=value argument, or last, sends \"true\"",
+       "(e.g. delete --force posts/12).",
+       "",
+       "Options:",
+       "  -p, --profile <name>       The config profile to use (WPAPI_PROFILE)",
+       "  --url <url>                The site URL (WPAPI_URL)",
+       "  --user <name>              The user name (WPAPI_USER)",
+       "  --password <password>      The login password (WPAPI_PASSWORD)",
+       "  --app-password <password>  An application password (WPAPI_APP_PASSWORD)",
+       "  --token <token>            A JWT bearer token (WPAPI_TOKEN)",
+       "  --auth <type>              cookie, application-password, jwt or none (WPAPI_AUTH)",
+       "  --config <file>            The config file (WPAPI_CONFIG, default ~/.wpapi/config.json)",
+       "  --sessions <file>          The sessions file (WPAPI_SESSIONS, default ~/.wpapi/sessions.json)",
+       "  -o, --output <format>      json, table or ndjson (WPAPI_OUTPUT, default json)",
+       "  --fields <a,b,...>         The item properties to show in table and ndjson output",
+       "  --http2 <auto|true|false>  The HTTP protocol choice",
+       "  --timeout <ms>             The request timeout",
+       "  -h, --help                 Show this help",
+       ""
+     ].join("\n"));
+   }
+
+   /**
+   * Runs a command.
+   *
+   * @param {Array} argv The command-line arguments, without the Node.js
+   * executable and script paths.
+   *
+   * @return {Promise} The promise resolves with the process exit code: 0 on
+   * success, 1 if the command failed, or 2 if it was used incorrectly.
+   *
+   * @async
+   */
+   async run(argv) {
+     try {
+       var parsed = this.parseArguments(argv);
+       if ((parsed.options.help == true) || (parsed.command == null)) {
+         this._stdout.write(WPCommandLine.usage);
+         return ((parsed.command == null) && (parsed.options.help != true) ? 2 : 0);
+       }
+       var handler = WPCommandLine.commands[parsed.command];
+       if (handler == undefined) {
+         throw (this.createUsageError(`Unknown command "${parsed.command}".`));
+       }
+       var fields = null;
+       if (parsed.options.fields != undefined) {
+         fields = parsed.options.fields.split(",").map(field => field.trim()).filter(field => field != "");
+       }
+       this._formatter = new WPOutputFormatter(parsed.options.output || this._env.WPAPI_OUTPUT || "json", fields);
+       await this[handler](parsed);
+       return (0);
+     } catch (error) {
+       this._stderr.write(this.formatError(error) + "\n");
+       return ((error.code == "WPAPI_USAGE") ? 2 : 1);
+     } finally {
+       if (this._client != null) {
+         await this._client.close();
+         this._client = null;
+       }
+     }
+   }
+
+   /**
+   * Parses command-line arguments.
+   *
+   * @param {Array} argv The arguments.
+   *
+   * @return {Object} An object containing the <code>command</code> (or
+   * <code>null</code>), the positional <code>args</code> following it, the
+   * tool's <code>options</code> and any other <code>--name value</code>
+   * options as API <code>params</code> (with dashes in names replaced by
+   * underscores).
+   */
+   parseArguments(argv) {
+     var parsed = new Object();
+     parsed.command = null;
+     parsed.args = new Array();
+     parsed.options = new Object();
+     parsed.params = new Object();
+     for (var count = 0; count < argv.length; count++) {
+       var arg = argv[count];
+       if ((arg.startsWith("-") == false) || (arg == "-")) {
+         if (parsed.command == null) {
+           parsed.command = arg.toLowerCase();
+         } else {
+           parsed.args.push(arg);
+         }
+         continue;
+       }
+       if (arg == "--") {
+         parsed.args = parsed.args.concat(argv.slice(count + 1));
+         break;
+       }
+       var name = arg.replace(/^-{1,2}/, "");
+       var value = undefined;
+       var separator = name.indexOf("=");
+       if (separator > -1) {
+         value = name.substring(separator + 1);
+         name = name.substring(0, separator);
+       }
+       if ((arg.startsWith("--") == false) && (WPCommandLine.shortOptions[name] != undefined)) {
+         name = WPCommandLine.shortOptions[name];
+       }
+       if (WPCommandLine.flagOptions.includes(name) == true) {
+         parsed.options[name] = (value == undefined) ? true : (value != "false");
+         continue;
+       }
+       var isValueOption = WPCommandLine.valueOptions.includes(name);
+       if ((value == undefined) && (count < (argv.length - 1)) && (this.isOptionValue(argv[count + 1]) == true)
+         && ((isValueOption == true) || (this.isParamValue(parsed, argv, count + 1) == true))) {
+         count++;
+         value = argv[count];
+       }
+       if (isValueOption == true) {
+         if (value == undefined) {
+           throw (this.createUsageError(`Option "--${name}" requires a value.`));
+         }
+         parsed.options[name] = value;
+       } else {
+         //options without values are boolean parameters, such as --force
+         parsed.params[name.replace(/-/g, "_")] = (value == undefined) ? "true" : value;
+       }
+     }
+     return (parsed);
+   }
+
+   /**
+   * Checks if a command-line argument following a parameter option is its
+   * value. It isn't if it's the command, the command's positional argument
+   * (when no other argument can be), or a <code>key=value</code> or
+   * <code>key:=json</code> parameter, so that <code>delete --force posts/12</code>
+   * and <code>--force key=value</code> send <code>force=true</code>.
+   *
+   * @param {Object} parsed The arguments parsed so far.
+   * @param {Array} argv The arguments.
+   * @param {Number} index The index of the argument following the option.
+   *
+   * @return {Boolean} <code>true</code> if the argument is the option's value.
+   * @private
+   */
+   isParamValue(parsed, argv, index) {
+     if ((parsed.command == null) || (/^[^=:]+:?=/.test(argv[index]) == true)) {
+       return (false);
+     }
+     if ((WPCommandLine.argumentCommands.includes(parsed.command) == false) || (parsed.args.length > 0)) {
+       return (true);
+     }
+     //the positional argument is still expected, so another argument must be able to supply it
+     for (var count = index + 1; count < argv.length; count++) {
+       var arg = argv[count];
+       if (arg == "--") {
+         return (count < (argv.length - 1));
+       }
+       if (this.isOptionValue(arg) == false) {
+         if ((arg.includes("=") == false) && (count < (argv.length - 1)) && (this.isOptionValue(argv[count + 1]) == true)) {
+           //skips the value of a following option
+           count++;
+         }
+       } else if (/^[^=:]+:?=/.test(arg) == false) {
+         return (true);
+       }
+     }
+     return (false);
+   }
+
+   /**
+   * Checks if a command-line argument can be the value of the preceding option.
+   *
+   * @param {String} arg The argument.
+   *
+   * @return {Boolean} <code>true</code> unless the argument is an option
+   * (negative numbers and "-", meaning the standard input, are values).
+   * @private
+   */
+   isOptionValue(arg) {
+     return ((arg.startsWith("-") == false) || (arg == "-") || (/^-\d/.test(arg) == true));
+   }
+
+   /**
+   * Resolves the site URL, credentials and client settings of the selected
+   * profile from the command-line options, environment and config file.
+   *
+   * @param {Object} parsed The parsed arguments.
+   * @param {Boolean} [requireURL=true] If true, an error is thrown if no site
+   * URL is set.
+   *
+   * @return {Promise} The promise resolves with the settings object.
+   *
+   * @async
+   */
+   async loadSettings(parsed, requireURL=true) {
+     var options = parsed.options;
+     var env = this._env;
+     var configPath = options.config || env.WPAPI_CONFIG || path.join(this._homeDir, ".wpapi", "config.json");
+     var config = await this.readConfig(configPath, (options.config != undefined) || (env.WPAPI_CONFIG != undefined));
+     var settings = new Object();
+     settings.profile = options.profile || env.WPAPI_PROFILE || config.defaultProfile || "default";
+     var profile = new Object();
+     if ((config.profiles != undefined) && (config.profiles != null) && (config.profiles[settings.profile] != undefined)) {
+       profile = config.profiles[settings.profile];
+     } else if ((options.profile != undefined) || (env.WPAPI_PROFILE != undefined)) {
+       throw (new Error(`Profile "${settings.profile}" isn't defined in "${configPath}".`));
+     }
+     settings.url = options.url || env.WPAPI_URL || profile.url || null;
+     settings.user = options.user || env.WPAPI_USER || profile.user || null;
+     settings.password = options.password || env.WPAPI_PASSWORD || profile.password || null;
+     settings.applicationPassword = options["app-password"] || env.WPAPI_APP_PASSWORD || profile.applicationPassword || null;
+     settings.token = options.token || env.WPAPI_TOKEN || profile.token || null;
+     settings.auth = options.auth || env.WPAPI_AUTH || profile.auth || null;
+     if (settings.auth == null) {
+       if (settings.applicationPassword != null) {
+         settings.auth = "application-password";
+       } else if (settings.token != null) {
+         settings.auth = "jwt";
+       } else if (settings.password != null) {
+         settings.auth = "cookie";
+       }
+     } else if (WPCommandLine.authTypes.includes(settings.auth) == false) {
+       throw (this.createUsageError(`Unsupported authentication type "${settings.auth}". Use one of: ${WPCommandLine.authTypes.join(", ")}.`));
+     }
+     settings.http2 = "auto";
+     var http2 = (options.http2 != undefined) ? options.http2 : profile.http2;
+     if ((http2 == true) || (http2 == "true")) {
+       settings.http2 = true;
+     } else if ((http2 == false) || (http2 == "false")) {
+       settings.http2 = false;
+     }
+     settings.timeout = undefined;
+     var timeout = (options.timeout != undefined) ? options.timeout : profile.timeout;
+     if ((timeout != undefined) && (timeout != null)) {
+       settings.timeout = Number(timeout);
+       if (isNaN(settings.timeout) == true) {
+         throw (this.createUsageError(`Invalid timeout "${timeout}".`));
+       }
+     }
+     settings.sessions = options.sessions || env.WPAPI_SESSIONS || config.sessions || path.join(this._homeDir, ".wpapi", "sessions.json");
+     if ((requireURL == true) && (settings.url == null)) {
+       throw (this.createUsageError(`No site URL set for profile "${settings.profile}"; use --url, WPAPI_URL or the config file.`));
+     }
+     return (settings);
+   }
+
+   /**
+   * Reads the JSON config file.
+   *
+   * @param {String} configPath The path of the config file.
+   * @param {Boolean} [required=false] If true, a missing file is an error.
+   *
+   * @return {Promise} The promise resolves with the config object (empty if
+   * the file doesn't exist and isn't required).
+   * @private
+   *
+   * @async
+   */
+   async readConfig(configPath, required=false) {
+     try {
+       var contents = await fs.promises.readFile(configPath, "utf8");
+     } catch (error) {
+       if ((error.code == "ENOENT") && (required == false)) {
+         return (new Object());
+       }
+       throw (error);
+     }
+     try {
+       var config = JSON.parse(contents);
+     } catch (error) {
+       throw (new Error(`Invalid config file "${configPath}": ${error.message}`));
+     }
+     if ((config == null) || (typeof(config) != "object")) {
+       throw (new Error(`Invalid config file "${configPath}".`));
+     }
+     return (config);
+   }
+
+   /**
+   * Creates the authentication strategy described by the settings.
+   *
+   * @param {Object} settings The settings returned by [loadSettings]{@link WPCommandLine#loadSettings}.
+   *
+   * @return {AuthStrategy} The strategy, or <code>null</code> for anonymous access.
+   */
+   createAuthStrategy(settings) {
+     switch (settings.auth) {
+       case "application-password":
+         if ((settings.user == null) || (settings.applicationPassword == null)) {
+           throw (this.createUsageError("Application password authentication requires a user name and application password."));
+         }
+         return (new ApplicationPasswordAuth(settings.user, settings.applicationPassword));
+       case "jwt":
+         var jwtOptions = new Object();
+         jwtOptions.token = settings.token;
+         jwtOptions.userName = settings.user;
+         jwtOptions.password = settings.password;
+         return (new JWTAuth(jwtOptions));
+       case "cookie":
+         return (new CookieNonceAuth(settings.user, settings.password));
+       default:
+         return (null);
+     }
+   }
+
+   /**
+   * Creates a client for the settings (without preparing it).
+   *
+   * @param {Object} settings The settings returned by [loadSettings]{@link WPCommandLine#loadSettings}.
+   *
+   * @return {WPAPILib} The client, which is closed when the command completes.
+   */
+   createClient(settings) {
+     var options = new Object();
+     options.json = true;
+     options.sessionStore = new WPFileSessionStore(settings.sessions);
+     options.sessionKey = settings.profile;
+     options.http2 = settings.http2;
+     if (settings.timeout != undefined) {
+       options.timeout = settings.timeout;
+     }
+     this._client = new WPAPILib(settings.url, options);
+     return (this._client);
+   }
+
+   /**
+   * Creates a client ready to make API calls. The profile's stored session is
+   * restored if it belongs to the same site and authentication type; otherwise
+   * the client logs in or authenticates with the configured credentials (storing
+   * the new session), or discovers the API root for anonymous access.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @return {Promise} The promise resolves with the client.
+   *
+   * @async
+   */
+   async prepareClient(parsed) {
+     var settings = await this.loadSettings(parsed);
+     var client = this.createClient(settings);
+     var strategy = this.createAuthStrategy(settings);
+     if (strategy != null) {
+       client.setAuthStrategy(strategy);
+     }
+     if ((settings.auth != "none") && ((await this.restoreProfileSession(client, settings, strategy)) == true)) {
+       return (client);
+     }
+     if (strategy == null) {
+       await client.discover();
+     } else if (strategy.type == "cookie") {
+       if ((settings.user == null) || (settings.password == null)) {
+         throw (new Error(`Profile "${settings.profile}" isn't logged in and has no login credentials.`));
+       }
+       await client.login(settings.user, settings.password);
+     } else {
+       await client.discover();
+       await client.authenticate();
+     }
+     return (client);
+   }
+
+   /**
+   * Restores the profile's stored session into a client.
+   *
+   * @param {WPAPILib} client The client.
+   * @param {Object} settings The settings returned by [loadSettings]{@link WPCommandLine#loadSettings}.
+   * @param {AuthStrategy} strategy The configured strategy, or <code>null</code>
+   * if none was configured.
+   *
+   * @return {Promise} The promise resolves <code>true</code> if a session was
+   * restored, or <code>false</code> if none was stored or it doesn't match.
+   * @private
+   *
+   * @async
+   */
+   async restoreProfileSession(client, settings, strategy) {
+     var session = await client.sessionStore.load(settings.profile);
+     if ((session == null) || (new URL(session.baseURL).host != new URL(settings.url).host)) {
+       return (false);
+     }
+     var authType = ((session.auth != undefined) && (session.auth != null)) ? session.auth.type : "none";
+     if ((strategy != null) && (strategy.type != authType)) {
+       return (false);
+     }
+     if ((strategy == null) && (authType != "cookie") && (authType != "jwt")) {
+       return (false);
+     }
+     client.importSession(session);
+     return (true);
+   }
+
+   /**
+   * Implements the "login" command: authenticates with the profile's credentials
+   * and stores the session.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @async
+   */
+   async login(parsed) {
+     var settings = await this.loadSettings(parsed);
+     var strategy = this.createAuthStrategy(settings);
+     if (strategy == null) {
+       throw (this.createUsageError(`No credentials set for profile "${settings.profile}"; use WPAPI_USER with WPAPI_PASSWORD or WPAPI_APP_PASSWORD, or the config file.`));
+     }
+     var client = this.createClient(settings);
+     if (strategy.type == "cookie") {
+       await client.login(settings.user, settings.password);
+     } else {
+       await client.discover();
+       await client.authenticate(strategy);
+     }
+     var user = await client.callAPI("users/me", null, "GET");
+     var result = new Object();
+     result.profile = settings.profile;
+     result.url = client.APIRootURL;
+     result.auth = client.auth.type;
+     result.user = new Object();
+     result.user.id = user.data.id;
+     result.user.name = user.data.name;
+     result.user.slug = user.data.slug;
+     this.writeResult(result);
+   }
+
+   /**
+   * Implements the "logout" command: removes the profile's stored session.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @async
+   */
+   async logout(parsed) {
+     var settings = await this.loadSettings(parsed, false);
+     var store = new WPFileSessionStore(settings.sessions);
+     await store.remove(settings.profile);
+     var result = new Object();
+     result.profile = settings.profile;
+     result.loggedOut = true;
+     this.writeResult(result);
+   }
+
+   /**
+   * Implements the "discover" command: detects the API root anonymously and
+   * shows information from the REST index.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @async
+   */
+   async discover(parsed) {
+     var settings = await this.loadSettings(parsed);
+     var client = this.createClient(settings);
+     await client.discover();
+     var index = client.APIIndex;
+     var result = new Object();
+     result.name = index.name;
+     result.description = index.description;
+     result.url = index.url;
+     result.home = index.home;
+     result.root = client.APIRootURL;
+     result.namespaces = index.namespaces || new Array();
+     result.authentication = Object.keys(index.authentication || new Object());
+     result.routes = Object.keys(index.routes).length;
+     this.writeResult(result);
+   }
+
+   /**
+   * Implements the "get", "post", "put" and "delete" commands.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @async
+   */
+   async request(parsed) {
+     var route = this.getArgument(parsed, "route");
+     var params = await this.getParams(parsed);
+     var client = await this.prepareClient(parsed);
+     var result = await this.callRoute(client, route, params, parsed.command.toUpperCase());
+     this.writeResult(result.data);
+   }
+
+   /**
+   * Implements the "list" command: lists a page of a collection, or all of its
+   * items with <code>--all</code>.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @async
+   */
+   async list(parsed) {
+     var route = this.getArgument(parsed, "collection");
+     var params = await this.getParams(parsed);
+     var client = await this.prepareClient(parsed);
+     var useAuth = client.authenticated;
+     if (route.startsWith("/") == true) {
+       var page = await client.paginateRoute(route, params, useAuth);
+     } else {
+       page = await client.paginate(route, params, useAuth);
+     }
+     if (parsed.options.all != true) {
+       this.writeResult(page.items);
+       return;
+     }
+     var items = new Array();
+     for await (const item of page.iterate()) {
+       if (this._formatter.streaming == true) {
+         this._stdout.write(this._formatter.formatItem(item));
+       } else {
+         items.push(item);
+       }
+     }
+     if (this._formatter.streaming == false) {
+       this.writeResult(items);
+     }
+   }
+
+   /**
+   * Implements the "upload" command. Parameters are set as properties of the
+   * new attachment (e.g. <code>--title</code>, <code>--alt-text</code>, <code>--post</code>).
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @async
+   */
+   async upload(parsed) {
+     var file = this.getArgument(parsed, "file");
+     var uploadOptions = new Object();
+     uploadOptions.metadata = await this.getParams(parsed);
+     var client = await this.prepareClient(parsed);
+     var media = await client.media.upload(file, uploadOptions);
+     this.writeResult(media);
+   }
+
+   /**
+   * Calls a route relative to "/wp/v2/", or a namespaced route if it starts
+   * with "/". The current authentication is used if the client has any.
+   *
+   * @param {WPAPILib} client The prepared client.
+   * @param {String} route The route.
+   * @param {Object} params The parameters, or <code>null</code>.
+   * @param {String} method The HTTP method.
+   *
+   * @return {Promise} The promise resolves with the call's result object.
+   * @private
+   *
+   * @async
+   */
+   async callRoute(client, route, params, method) {
+     if (route.startsWith("/") == true) {
+       return (await client.callRoute(route, params, method, client.authenticated));
+     }
+     return (await client.callAPI(route, params, method, client.authenticated));
+   }
+
+   /**
+   * Returns the first positional argument of a command.
+   *
+   * @param {Object} parsed The parsed arguments.
+   * @param {String} name The argument name, for the error message.
+   *
+   * @return {String} The argument.
+   * @private
+   */
+   getArgument(parsed, name) {
+     if (parsed.args.length == 0) {
+       throw (this.createUsageError(`The "${parsed.command}" command requires a ${name}.`));
+     }
+     return (parsed.args[0]);
+   }
+
+   /**
+   * Collects the API parameters of a command from <code>--data</code>, the
+   * <code>key=value</code> and <code>key:=json</code> arguments following the
+   * first one, and the parameter options.
+   *
+   * @param {Object} parsed The parsed arguments.
+   *
+   * @return {Promise} The promise resolves with the parameters object, or
+   * <code>null</code> if there are none.
+   * @private
+   *
+   * @async
+   */
+   async getParams(parsed) {
+     var params = new Object();
+     if (parsed.options.data != undefined) {
+       var data = parsed.options.data;
+       if (data == "-") {
+         data = (await this.readInput()).toString("utf8");
+       } else if (data.startsWith("@") == true) {
+         data = await fs.promises.readFile(data.substring(1), "utf8");
+       }
+       try {
+         data = JSON.parse(data);
+       } catch (error) {
+         throw (this.createUsageError(`Invalid JSON data: ${error.message}`));
+       }
+       if ((data == null) || (typeof(data) != "object") || (Array.isArray(data) == true)) {
+         throw (this.createUsageError("The data must be a JSON object."));
+       }
+       Object.assign(params, data);
+     }
+     for (var count = 1; count < parsed.args.length; count++) {
+       var arg = parsed.args[count];
+       var match = arg.match(/^([^=:]+)(:?=)([\s\S]*)$/);
+       if (match == null) {
+         throw (this.createUsageError(`Unexpected argument "${arg}"; parameters are given as key=value or key:=json.`));
+       }
+       if (match[2] == ":=") {
+         try {
+           params[match[1]] = JSON.parse(match[3]);
+         } catch (error) {
+           throw (this.createUsageError(`Invalid JSON value for "${match[1]}": ${error.message}`));
+         }
+       } else {
+         params[match[1]] = match[3];
+       }
+     }
+     Object.assign(params, parsed.params);
+     if (Object.keys(params).length == 0) {
+       return (null);
+     }
+     return (params);
+   }
+
+   /**
+   * Reads the standard input to the end.
+   *
+   * @return {Promise} The promise resolves with the input <code>Buffer</code>.
+   * @private
+   *
+   * @async
+   */
+   async readInput() {
+     var chunks = new Array();
+     for await (const chunk of this._stdin) {
+       chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+     }
+     return (Buffer.concat(chunks));
+   }
+
+   /**
+   * Writes a result in the selected output format. Binary results are written
+   * unchanged.
+   *
+   * @param {*} data The result data.
+   * @private
+   */
+   writeResult(data) {
+     if (Buffer.isBuffer(data) == true) {
+       this._stdout.write(data);
+       return;
+     }
+     this._stdout.write(this._formatter.formatResult(data));
+   }
+
+   /**
+   * Creates an error for incorrect usage, which exits with code 2.
+   *
+   * @param {String} message The error message.
+   *
+   * @return {Error} The error.
+   * @private
+   */
+   createUsageError(message) {
+     var error = new Error(message);
+     error.code = "WPAPI_USAGE";
+     return (error);
+   }
+
+   /**
+   * Formats an error for the error stream.
+   *
+   * @param {Error} error The error.
+   *
+   * @return {String} The error message.
+   * @private
+   */
+   formatError(error) {
+     if (error instanceof WPAPIError) {
+       return (`Error: ${error.message} [${error.code}] (${error.method} ${error.route}, HTTP ${error.status})`);
+     }
+     if (error.code == "WPAPI_USAGE") {
+       return (`${error.message}\nRun "wpapi --help" for usage.`);
+     }
+     return (`Error: ${error.message}`);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return ("WPCommandLine");
+   }
+}
@@ -0,0 +1,225 @@
+/**
+* @file Output formatting for the wpapi command-line tool.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Formats API results as pretty-printed JSON, newline-delimited JSON
+* (one item per line) or a plain-text table.
+*/
+module.exports = class WPOutputFormatter {
+
+  /**
+  * Creates a new instance of WPOutputFormatter
+  *
+  * @param {String} [format="json"] The output format: "json", "ndjson" or "table".
+  * @param {Array} [fields=null] The item properties to include in table and
+  * NDJSON output. If omitted, tables show the
+  * [defaultColumns]{@link WPOutputFormatter.defaultColumns} found in the
+  * items (or all of their simple properties) and NDJSON includes whole items.
+  */
+   constructor(format="json", fields=null) {
+     if (WPOutputFormatter.formats.includes(format) == false) {
+       throw (new Error(`Unsupported output format "${format}". Use one of: ${WPOutputFormatter.formats.join(", ")}.`));
+     }
+     this._format = format;
+     this._fields = null;
+     if ((Array.isArray(fields) == true) && (fields.length > 0)) {
+       this._fields = fields;
+     }
+   }
+
+   /**
+   * @property {Array} formats The supported output formats.
+   * @static
+   * @readonly
+   */
+   static get formats() {
+     return (["json", "ndjson", "table"]);
+   }
+
+   /**
+   * @property {Array} defaultColumns The properties shown in tables, if the
+   * items have them and no fields were specified.
+   * @static
+   * @readonly
+   */
+   static get defaultColumns() {
+     return (["id", "date", "status", "type", "slug", "name", "title", "source_url"]);
+   }
+
+   /**
+   * @property {Number} maxCellWidth The maximum number of characters shown in
+   * a table cell.
+   * @static
+   * @readonly
+   */
+   static get maxCellWidth() {
+     return (60);
+   }
+
+   /**
+   * @property {String} format The output format.
+   * @readonly
+   */
+   get format() {
+     return (this._format);
+   }
+
+   /**
+   * @property {Array} fields The item properties to output, or <code>null</code>
+   * for the defaults.
+   * @readonly
+   */
+   get fields() {
+     return (this._fields);
+   }
+
+   /**
+   * @property {Boolean} streaming True if items can be written one at a time
+   * using [formatItem]{@link WPOutputFormatter#formatItem} as they are retrieved.
+   * @readonly
+   */
+   get streaming() {
+     return (this.format == "ndjson");
+   }
+
+   /**
+   * Formats a result.
+   *
+   * @param {*} data The result data, usually an item or an array of items.
+   *
+   * @return {String} The formatted output, ending with a newline.
+   */
+   formatResult(data) {
+     if (this.format == "table") {
+       return (this.formatTable(Array.isArray(data) ? data : [data]));
+     }
+     if (this.format == "ndjson") {
+       if (Array.isArray(data) == false) {
+         return (this.formatItem(data));
+       }
+       return (data.map(item => this.formatItem(item)).join(""));
+     }
+     return (JSON.stringify(data, null, 2) + "\n");
+   }
+
+   /**
+   * Formats a single item as a line of NDJSON.
+   *
+   * @param {*} item The item.
+   *
+   * @return {String} The JSON line, ending with a newline.
+   */
+   formatItem(item) {
+     return (JSON.stringify(this.pick(item)) + "\n");
+   }
+
+   /**
+   * Reduces an item to the selected [fields]{@link WPOutputFormatter#fields}.
+   *
+   * @param {*} item The item.
+   *
+   * @return {*} A new object containing the selected fields, or the item itself
+   * if no fields were selected or it isn't an object.
+   * @private
+   */
+   pick(item) {
+     if ((this.fields == null) || (item == null) || (typeof(item) != "object") || (Array.isArray(item) == true)) {
+       return (item);
+     }
+     var picked = new Object();
+     for (var count = 0; count < this.fields.length; count++) {
+       var field = this.fields[count];
+       picked[field] = (item[field] == undefined) ? null : item[field];
+     }
+     return (picked);
+   }
+
+   /**
+   * Formats items as a table with a header row.
+   *
+   * @param {Array} items The items.
+   *
+   * @return {String} The table text, or an empty string if there are no items.
+   */
+   formatTable(items) {
+     if (items.length == 0) {
+       return ("");
+     }
+     var columns = this.getColumns(items);
+     var rows = new Array();
+     rows.push(columns);
+     for (var count = 0; count < items.length; count++) {
+       var item = items[count];
+       if ((item == null) || (typeof(item) != "object")) {
+         rows.push([this.formatCell(item)]);
+       } else {
+         rows.push(columns.map(column => this.formatCell(item[column])));
+       }
+     }
+     var widths = columns.map((column, index) => {
+       return (Math.max.apply(null, rows.map(row => (row[index] == undefined) ? 0 : row[index].length)));
+     });
+     rows.splice(1, 0, widths.map(width => "-".repeat(width)));
+     var lines = rows.map(row => {
+       return (widths.map((width, index) => String(row[index] || "").padEnd(width)).join("  ").trimEnd());
+     });
+     return (lines.join("\n") + "\n");
+   }
+
+   /**
+   * Determines the table columns for a list of items.
+   *
+   * @param {Array} items The items.
+   *
+   * @return {Array} The column (property) names.
+   * @private
+   */
+   getColumns(items) {
+     if (this.fields != null) {
+       return (this.fields);
+     }
+     var first = items.find(item => (item != null) && (typeof(item) == "object"));
+     if (first == undefined) {
+       return (["value"]);
+     }
+     var columns = WPOutputFormatter.defaultColumns.filter(column => first[column] != undefined);
+     if (columns.length == 0) {
+       columns = Object.keys(first).filter(column => {
+         var value = first[column];
+         return ((value == null) || (typeof(value) != "object") || (value.rendered != undefined));
+       });
+     }
+     return (columns);
+   }
+
+   /**
+   * Converts a value to the text of a table cell. Rendered fields (such as
+   * post titles) show their text without markup, other objects are shown as
+   * JSON, and long values are truncated.
+   *
+   * @param {*} value The value.
+   *
+   * @return {String} The cell text.
+   * @private
+   */
+   formatCell(value) {
+     if ((value == null) || (value == undefined)) {
+       return ("");
+     }
+     if ((typeof(value) == "object") && (value.rendered != undefined)) {
+       value = String(value.rendered).replace(/<[^>]*>/g, "");
+     } else if (typeof(value) == "object") {
+       value = JSON.stringify(value);
+     }
+     var text = String(value).replace(/\s+/g, " ").trim();
+     if (text.length > WPOutputFormatter.maxCellWidth) {
+       text = text.substring(0, WPOutputFormatter.maxCellWidth - 3) + "...";
+     }
+     return (text);
+   }
+}
@@ -0,0 +1,341 @@
+/**
+* @file Redacting debug logger for WPAPILib requests.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const querystring = require('querystring');
+const WPInterceptor = require('./WPInterceptor.js');
+
+/**
+* @class Logs every request, response and failure of a client, including
+* logins, with their timing. Credentials are never logged: the values of
+* [redactedHeaders]{@link WPDebugLogger.redactedHeaders} and of
+* [redactedFields]{@link WPDebugLogger.redactedFields} in query strings,
+* form or JSON bodies, and assignments and form fields in other text bodies
+* (such as the <code>wpApiSettings</code> nonce of an HTML page) are replaced,
+* as are "rest-nonce" AJAX responses.
+* @extends WPInterceptor
+*/
+module.exports = class WPDebugLogger extends WPInterceptor {
+
+  /**
+  * Creates a new instance of WPDebugLogger
+  *
+  * @param {Object} [options=null] Logger options.
+  * @param {Function} [options.log] The function invoked with each line of
+  * output. Defaults to <code>console.error</code>.
+  * @param {Boolean} [options.headers=true] If true, request and response
+  * headers are logged.
+  * @param {Boolean} [options.bodies=false] If true, request and response
+  * bodies are logged (binary bodies are summarized).
+  * @param {Number} [options.maxBodyLength=2000] The maximum number of body
+  * characters logged.
+  * @param {Array} [options.redactHeaders=null] Additional (case-insensitive)
+  * header names whose values are redacted.
+  * @param {Array} [options.redactFields=null] Additional query, form and JSON
+  * field names whose values are redacted.
+  */
+   constructor(options=null) {
+     super();
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._log = options.log || (line => console.error(line));
+     this._logHeaders = (options.headers != false);
+     this._logBodies = (options.bodies == true);
+     this._maxBodyLength = 2000;
+     if (typeof(options.maxBodyLength) == "number") {
+       this._maxBodyLength = options.maxBodyLength;
+     }
+     this._redactHeaders = WPDebugLogger.redactedHeaders.concat(options.redactHeaders || new Array());
+     this._redactHeaders = this._redactHeaders.map(name => String(name).toLowerCase());
+     this._redactFields = WPDebugLogger.redactedFields.concat(options.redactFields || new Array());
+   }
+
+   /**
+   * @property {Array} redactedHeaders The (lowercase) names of the headers
+   * whose values are always redacted.
+   * @static
+   * @readonly
+   */
+   static get redactedHeaders() {
+     return (["authorization", "cookie", "set-cookie", "x-wp-nonce", "proxy-authorization"]);
+   }
+
+   /**
+   * @property {Array} redactedFields The names of the query, form and JSON
+   * fields whose values are always redacted.
+   * @static
+   * @readonly
+   */
+   static get redactedFields() {
+     return (["pwd", "password", "token", "_wpnonce", "nonce"]);
+   }
+
+   /**
+   * @property {String} redacted The text that replaces redacted values.
+   * @static
+   * @readonly
+   */
+   static get redacted() {
+     return ("[redacted]");
+   }
+
+   /**
+   * Logs an outgoing request.
+   *
+   * @param {WPAPILib} client The client instance sending the request.
+   * @param {Object} request The request context.
+   */
+   beforeRequest(client, request) {
+     this.write(`-> ${request.method} ${this.redactURL(request.url)}`);
+     if (this._logHeaders == true) {
+       this.writeHeaders(request.headers);
+     }
+     if (this._logBodies == true) {
+       this.writeBody(request.body, this.getHeader(request.headers, "content-type"));
+     }
+   }
+
+   /**
+   * Logs a response.
+   *
+   * @param {WPAPILib} client The client instance that sent the request.
+   * @param {Object} request The request context.
+   *
+   * @async
+   */
+   async afterResponse(client, request) {
+     this.write(`<- ${request.status} ${request.method} ${this.redactURL(request.url)} (${request.duration}ms)`);
+     if (this._logHeaders == true) {
+       this.writeHeaders(request.responseHeaders);
+     }
+     if ((this._logBodies == true) && (request.responseBody != null)) {
+       if (this.isNonceResponse(request.url) == true) {
+         this.write("   " + WPDebugLogger.redacted);
+       } else {
+         this.writeBody(request.responseBody, this.getHeader(request.responseHeaders, "content-type"));
+       }
+     }
+   }
+
+   /**
+   * Logs a failed request.
+   *
+   * @param {WPAPILib} client The client instance that sent the request.
+   * @param {Object} request The request context.
+   *
+   * @async
+   */
+   async onError(client, request) {
+     var error = request.error;
+     var description = String(error.message);
+     if ((error.code != undefined) && (error.code != null)) {
+       description = `${error.code}: ${description}`;
+     }
+     this.write(`!! ${request.method} ${this.redactURL(request.url)} (${request.duration}ms) ${description}`);
+   }
+
+   /**
+   * Redacts the values of the redacted fields in the query string of a URL.
+   *
+   * @param {String} url The URL.
+   *
+   * @return {String} The redacted URL.
+   */
+   redactURL(url) {
+     var parsed = new URL(url);
+     for (var count = 0; count < this._redactFields.length; count++) {
+       if (parsed.searchParams.has(this._redactFields[count]) == true) {
+         parsed.searchParams.set(this._redactFields[count], WPDebugLogger.redacted);
+       }
+     }
+     return (parsed.href);
+   }
+
+   /**
+   * Creates a copy of a headers object with the values of the redacted
+   * headers replaced.
+   *
+   * @param {Object} headers The headers.
+   *
+   * @return {Object} The redacted headers.
+   */
+   redactHeaders(headers) {
+     var redacted = new Object();
+     for (var name in headers) {
+       if (this._redactHeaders.includes(name.toLowerCase()) == true) {
+         redacted[name] = WPDebugLogger.redacted;
+       } else {
+         redacted[name] = headers[name];
+       }
+     }
+     return (redacted);
+   }
+
+   /**
+   * Converts a request or response body to loggable text, redacting the values
+   * of the redacted fields in form and JSON bodies, and quoted values assigned
+   * to them in other text (e.g. <code>"nonce":"..."</code> in a script or
+   * <code>name="_wpnonce" value="..."</code> in a form).
+   *
+   * @param {String|Buffer|stream.Readable} body The body.
+   * @param {String} [contentType=null] The "Content-Type" of the body.
+   *
+   * @return {String} The redacted body text, or a summary of a stream or
+   * binary body.
+   */
+   redactBody(body, contentType=null) {
+     if ((body == null) || (body == undefined)) {
+       return ("");
+     }
+     if (typeof(body.pipe) == "function") {
+       return ("[stream]");
+     }
+     contentType = String(contentType || "").toLowerCase();
+     if (Buffer.isBuffer(body) == true) {
+       var textTypes = ["text/", "json", "xml", "javascript", "x-www-form-urlencoded"];
+       if ((contentType != "") && (textTypes.some(textType => contentType.includes(textType)) == false)) {
+         return (`[${body.length} bytes]`);
+       }
+       body = body.toString("utf8");
+     }
+     body = String(body);
+     if (contentType.includes("json") == true) {
+       try {
+         return (JSON.stringify(this.redactObject(JSON.parse(body))));
+       } catch (error) {
+         return (body);
+       }
+     }
+     if (contentType.includes("x-www-form-urlencoded") == true) {
+       var fields = querystring.parse(body);
+       return (querystring.stringify(this.redactObject(fields)));
+     }
+     return (this.redactText(body));
+   }
+
+   /**
+   * Replaces quoted values assigned to the redacted fields in text such as
+   * HTML and JavaScript.
+   *
+   * @param {String} text The text to redact.
+   *
+   * @return {String} The redacted text.
+   * @private
+   */
+   redactText(text) {
+     for (var count = 0; count < this._redactFields.length; count++) {
+       var name = this._redactFields[count].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+       //script assignments and object properties, such as "nonce":"..." or nonce = '...'
+       var assignment = new RegExp(`(\\b${name}\\\\?["']?\\s*[:=]\\s*(\\\\?["']))(?:(?!\\2).)*`, "gi");
+       text = text.replace(assignment, "$1" + WPDebugLogger.redacted);
+       //form fields, such as name="_wpnonce" value="..."
+       var field = new RegExp(`(\\bname=(["'])${name}\\2[^>]*?\\bvalue=(["']))[^"']*`, "gi");
+       text = text.replace(field, "$1" + WPDebugLogger.redacted);
+     }
+     return (text);
+   }
+
+   /**
+   * Checks whether a URL is a WordPress "rest-nonce" AJAX request, whose
+   * response is a bare nonce.
+   *
+   * @param {String} url The request URL.
+   *
+   * @return {Boolean} <code>true</code> if the response is a nonce.
+   * @private
+   */
+   isNonceResponse(url) {
+     var parsed = new URL(url);
+     return ((parsed.pathname.endsWith("/admin-ajax.php") == true) && (parsed.searchParams.get("action") == "rest-nonce"));
+   }
+
+   /**
+   * Replaces the values of the redacted fields of an object and the objects
+   * it contains.
+   *
+   * @param {*} value The value to redact.
+   *
+   * @return {*} A redacted copy of the value.
+   * @private
+   */
+   redactObject(value) {
+     if ((value == null) || (typeof(value) != "object")) {
+       return (value);
+     }
+     if (Array.isArray(value) == true) {
+       return (value.map(item => this.redactObject(item)));
+     }
+     var redacted = new Object();
+     for (var name in value) {
+       if (this._redactFields.includes(name) == true) {
+         redacted[name] = WPDebugLogger.redacted;
+       } else {
+         redacted[name] = this.redactObject(value[name]);
+       }
+     }
+     return (redacted);
+   }
+
+   /**
+   * Writes redacted headers, one per line.
+   *
+   * @param {Object} headers The headers.
+   * @private
+   */
+   writeHeaders(headers) {
+     var redacted = this.redactHeaders(headers);
+     for (var name in redacted) {
+       this.write(`   ${name}: ${redacted[name]}`);
+     }
+   }
+
+   /**
+   * Writes a redacted, truncated body.
+   *
+   * @param {String|Buffer|stream.Readable} body The body.
+   * @param {String} contentType The "Content-Type" of the body.
+   * @private
+   */
+   writeBody(body, contentType) {
+     var text = this.redactBody(body, contentType);
+     if (text == "") {
+       return;
+     }
+     if (text.length > this._maxBodyLength) {
+       text = text.substring(0, this._maxBodyLength) + `... (${text.length} characters)`;
+     }
+     this.write("   " + text);
+   }
+
+   /**
+   * Finds a header value by case-insensitive name.
+   *
+   * @param {Object} headers The headers.
+   * @param {String} name The lowercase header name.
+   *
+   * @return {String} The header value, or <code>null</code>.
+   * @private
+   */
+   getHeader(headers, name) {
+     for (var headerName in headers) {
+       if (headerName.toLowerCase() == name) {
+         return (headers[headerName]);
+       }
+     }
+     return (null);
+   }
+
+   /**
+   * Writes a line of output.
+   *
+   * @param {String} line The line.
+   * @private
+   */
+   write(line) {
+     this._log("[WPAPILib] " + line);
+   }
+}
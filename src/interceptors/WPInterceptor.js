@@ -0,0 +1,79 @@
+/**
+* @file Base request interceptor for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Base request interceptor, which leaves requests unchanged. Interceptors
+* added with [addInterceptor]{@link WPAPILib#addInterceptor} are invoked in
+* the order they were added for every request built by
+* [buildRequest]{@link WPAPILib#buildRequest}, including logins and API
+* discovery. Extending classes (or plain objects) may implement any of
+* [beforeRequest]{@link WPInterceptor#beforeRequest},
+* [afterResponse]{@link WPInterceptor#afterResponse} and
+* [onError]{@link WPInterceptor#onError}.<br/><br/>
+* Each hook receives the same request context object, which describes the
+* request (<code>method</code>, <code>path</code>, full <code>url</code>
+* string, <code>headers</code> object, encoded <code>body</code> and
+* <code>useAuth</code> flag) and the <code>started</code> time in milliseconds.
+* Once the request completes it also includes the <code>response</code>,
+* response <code>status</code>, <code>responseHeaders</code>,
+* <code>responseBody</code> <code>Buffer</code> (<code>null</code> for streamed
+* responses) and the <code>duration</code> in milliseconds, or the
+* <code>error</code> it failed with. Interceptors may add their own properties.
+*/
+module.exports = class WPInterceptor {
+
+  /**
+  * Creates a new instance of WPInterceptor
+  */
+   constructor() {
+   }
+
+   /**
+   * Invoked synchronously before a request is sent, after its headers
+   * (including authentication) have been assembled. The <code>path</code>,
+   * <code>headers</code> and <code>body</code> of the context may be changed;
+   * the "Content-Length" header is updated if the body changes. A body object
+   * is encoded as JSON or form parameters according to the "Content-Type"
+   * header. The hook must not be asynchronous; returning a promise fails the
+   * request. Note that
+   * changing a request signed by the authentication strategy (such as OAuth
+   * 1.0a) invalidates its signature.
+   *
+   * @param {WPAPILib} client The client instance sending the request.
+   * @param {Object} request The request context.
+   */
+   beforeRequest(client, request) {
+   }
+
+   /**
+   * Invoked when a response has been received (including 4xx and 5xx
+   * responses). The <code>responseBody</code> of the context may be replaced
+   * before it's parsed.
+   *
+   * @param {WPAPILib} client The client instance that sent the request.
+   * @param {Object} request The request context.
+   *
+   * @async
+   */
+   async afterResponse(client, request) {
+   }
+
+   /**
+   * Invoked when a request fails because of a network error, timeout or
+   * cancellation, or when the API responds with an error status (after
+   * [afterResponse]{@link WPInterceptor#afterResponse}). The
+   * <code>error</code> of the context may be replaced by the error to throw.
+   *
+   * @param {WPAPILib} client The client instance that sent the request.
+   * @param {Object} request The request context.
+   *
+   * @async
+   */
+   async onError(client, request) {
+   }
+}
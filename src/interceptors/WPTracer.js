@@ -0,0 +1,137 @@
+/**
+* @file Request tracing for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const crypto = require('crypto');
+const WPInterceptor = require('./WPInterceptor.js');
+
+/**
+* @class Assigns a trace ID and span ID to every request, sends them in a W3C
+* "traceparent" header, and reports the start and end (with timing, status
+* and any error) of each request so it can be tied to the spans of a tracing
+* system such as OpenTelemetry. For example, <code>onStart</code> may start a
+* client span and set the request context's <code>traceId</code> and
+* <code>spanId</code> from its span context, and <code>onEnd</code> may end it.
+* @extends WPInterceptor
+*/
+module.exports = class WPTracer extends WPInterceptor {
+
+  /**
+  * Creates a new instance of WPTracer
+  *
+  * @param {Object} [options=null] Tracer options.
+  * @param {Function} [options.onStart=null] A function invoked synchronously
+  * with the request context before the request is sent. It may set the
+  * context's <code>traceId</code> (32 hexadecimal characters),
+  * <code>spanId</code> (16 hexadecimal characters) and <code>sampled</code>
+  * flag; missing IDs are generated.
+  * @param {Function} [options.onEnd=null] A function invoked once with the
+  * request context when the request completes or fails. The context then
+  * includes the <code>duration</code> in milliseconds and the response
+  * <code>status</code> or the <code>error</code>.
+  * @param {String} [options.header="traceparent"] The header the trace context
+  * is sent in, or <code>null</code> to not send it.
+  */
+   constructor(options=null) {
+     super();
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._onStart = options.onStart || null;
+     this._onEnd = options.onEnd || null;
+     this._header = "traceparent";
+     if (options.hasOwnProperty("header") == true) {
+       this._header = options.header;
+     }
+   }
+
+   /**
+   * @property {String} header The header the trace context is sent in, or
+   * <code>null</code> if it's not sent.
+   * @readonly
+   */
+   get header() {
+     return (this._header);
+   }
+
+   /**
+   * Assigns the trace and span IDs of a request and adds the trace context header.
+   *
+   * @param {WPAPILib} client The client instance sending the request.
+   * @param {Object} request The request context.
+   */
+   beforeRequest(client, request) {
+     if (this._onStart != null) {
+       this._onStart(request);
+     }
+     if (/^[0-9a-f]{32}$/.test(request.traceId) == false) {
+       request.traceId = crypto.randomBytes(16).toString("hex");
+     }
+     if (/^[0-9a-f]{16}$/.test(request.spanId) == false) {
+       request.spanId = crypto.randomBytes(8).toString("hex");
+     }
+     if (request.sampled == undefined) {
+       request.sampled = true;
+     }
+     if (this.header != null) {
+       client.addHeader(this.header, this.formatTraceParent(request), request.headers);
+     }
+   }
+
+   /**
+   * Reports the end of a request that received a response.
+   *
+   * @param {WPAPILib} client The client instance that sent the request.
+   * @param {Object} request The request context.
+   *
+   * @async
+   */
+   async afterResponse(client, request) {
+     this.end(request);
+   }
+
+   /**
+   * Reports the end of a request that failed without a response. API errors
+   * have already been reported with their status by
+   * [afterResponse]{@link WPTracer#afterResponse}.
+   *
+   * @param {WPAPILib} client The client instance that sent the request.
+   * @param {Object} request The request context.
+   *
+   * @async
+   */
+   async onError(client, request) {
+     this.end(request);
+   }
+
+   /**
+   * Formats the W3C "traceparent" header value of a request.
+   *
+   * @param {Object} request The request context.
+   *
+   * @return {String} The header value.
+   */
+   formatTraceParent(request) {
+     var flags = (request.sampled == false) ? "00" : "01";
+     return (`00-${request.traceId}-${request.spanId}-${flags}`);
+   }
+
+   /**
+   * Invokes the <code>onEnd</code> function once per request.
+   *
+   * @param {Object} request The request context.
+   * @private
+   */
+   end(request) {
+     if (request.traceEnded == true) {
+       return;
+     }
+     request.traceEnded = true;
+     if (this._onEnd != null) {
+       this._onEnd(request);
+     }
+   }
+}
@@ -0,0 +1,402 @@
+/**
+* @file Exports WordPress site content to a JSON bundle.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const fs = require('fs');
+const path = require('path');
+const WPAPIError = require('../WPAPIError.js');
+
+/**
+* @class Exports the content of a site through the REST API into a versioned
+* JSON bundle that [WPImporter]{@link WPImporter} can replay into another site.
+* The bundle contains the site's post types and taxonomies, and every user,
+* term, item of each post type (including pages and custom post types), media
+* item and comment. Original media files may also be downloaded alongside
+* the bundle.
+* <p>
+* Items are exported as returned by the API, in the "edit" context (which
+* includes raw content) if the client is authenticated, otherwise in the
+* "view" context, which only includes published content.
+* </p>
+*/
+module.exports = class WPExporter {
+
+  /**
+  * Creates a new instance of WPExporter
+  *
+  * @param {WPAPILib} client The client of the site to export. The API root
+  * must have been discovered or set by authenticating.
+  * @param {Object} [options=null] Export options.
+  * @param {Array} [options.types=null] The slugs or REST bases of the post
+  * types to export (e.g. <code>["post", "page"]</code>). Defaults to all post
+  * types except the [excludedTypes]{@link WPExporter.excludedTypes}.
+  * @param {String} [options.context] The REST context to export items in.
+  * Defaults to "edit" for authenticated clients and "view" otherwise.
+  * @param {Boolean} [options.media=false] If true, the original file of each
+  * media item is downloaded to the <code>mediaDirectory</code>.
+  * @param {String} [options.mediaDirectory=null] The directory to download
+  * media files to.
+  * @param {Number} [options.perPage=100] The number of items requested per page.
+  * @param {Function} [options.onProgress=null] A function invoked with an
+  * object containing the export <code>stage</code> ("types", "users", "terms",
+  * "content", "media", "files" or "comments"), the <code>type</code>
+  * (post type or taxonomy slug, if any) and the number of items exported so
+  * far (<code>count</code>) as each collection is completed.
+  */
+   constructor(client, options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._client = client;
+     this._types = options.types || null;
+     this._context = options.context || null;
+     this._media = (options.media == true);
+     this._mediaDirectory = options.mediaDirectory || null;
+     this._perPage = options.perPage || 100;
+     this._onProgress = options.onProgress || null;
+   }
+
+   /**
+   * @property {String} format The format identifier of export bundles.
+   * @static
+   * @readonly
+   */
+   static get format() {
+     return ("wpapilib-export");
+   }
+
+   /**
+   * @property {Number} formatVersion The version of the bundle format created
+   * by this class.
+   * @static
+   * @readonly
+   */
+   static get formatVersion() {
+     return (1);
+   }
+
+   /**
+   * @property {Array} excludedTypes The post types that aren't exported by
+   * default, since they hold site structure or theme data rather than content.
+   * Attachments are exported as media.
+   * @static
+   * @readonly
+   */
+   static get excludedTypes() {
+     return (["attachment", "nav_menu_item", "wp_template", "wp_template_part", "wp_global_styles",
+       "wp_navigation", "wp_font_family", "wp_font_face"]);
+   }
+
+   /**
+   * @property {Array} excludedTaxonomies The taxonomies that aren't exported.
+   * @static
+   * @readonly
+   */
+   static get excludedTaxonomies() {
+     return (["nav_menu", "wp_theme", "wp_template_part_area", "wp_pattern_category"]);
+   }
+
+   /**
+   * @property {WPAPILib} client The client of the site being exported.
+   * @readonly
+   */
+   get client() {
+     return (this._client);
+   }
+
+   /**
+   * @property {String} context The REST context items are exported in.
+   * @readonly
+   */
+   get context() {
+     if (this._context != null) {
+       return (this._context);
+     }
+     return ((this.client.authenticated == true) ? "edit" : "view");
+   }
+
+   /**
+   * Exports the site.
+   *
+   * @return {Promise} The promise resolves with the bundle object. Its
+   * <code>types</code> and <code>taxonomies</code> describe the exported post
+   * types and taxonomies keyed by slug, <code>terms</code> and <code>content</code>
+   * hold the exported items keyed by taxonomy and post type slug, and
+   * <code>users</code>, <code>media</code> and <code>comments</code> hold the
+   * other items. If media files were downloaded, <code>files</code> maps media
+   * IDs to file names in the <code>mediaDirectory</code>. Files that couldn't
+   * be downloaded are listed in <code>errors</code>.
+   *
+   * @async
+   */
+   async export() {
+     if (this.client.APISettings == null) {
+       await this.client.discover();
+     }
+     var index = await this.client.loadIndex();
+     var bundle = new Object();
+     bundle.format = WPExporter.format;
+     bundle.version = WPExporter.formatVersion;
+     bundle.generator = `WPAPILib ${this.client.version}`;
+     bundle.exported = new Date().toISOString();
+     bundle.context = this.context;
+     bundle.site = new Object();
+     bundle.site.name = index.name || null;
+     bundle.site.description = index.description || null;
+     bundle.site.url = index.url || null;
+     bundle.site.home = index.home || null;
+     bundle.site.root = this.client.APIRootURL;
+     bundle.types = await this.getTypes();
+     bundle.taxonomies = await this.getTaxonomies(bundle.types);
+     this.reportProgress("types", null, Object.keys(bundle.types).length);
+     bundle.users = await this.exportUsers();
+     this.reportProgress("users", null, bundle.users.length);
+     bundle.terms = new Object();
+     for (var slug in bundle.taxonomies) {
+       bundle.terms[slug] = await this.exportCollection(bundle.taxonomies[slug]);
+       this.reportProgress("terms", slug, bundle.terms[slug].length);
+     }
+     bundle.content = new Object();
+     for (slug in bundle.types) {
+       var params = null;
+       if (this.context == "edit") {
+         params = {status:"any"};
+       }
+       bundle.content[slug] = await this.exportCollection(bundle.types[slug], params);
+       this.reportProgress("content", slug, bundle.content[slug].length);
+     }
+     bundle.media = await this.exportCollection({rest_base:"media", rest_namespace:"wp/v2"});
+     this.reportProgress("media", null, bundle.media.length);
+     bundle.files = new Object();
+     bundle.errors = new Array();
+     if (this._media == true) {
+       await this.downloadFiles(bundle);
+     }
+     params = null;
+     if (this.context == "edit") {
+       params = {status:"all"};
+     }
+     bundle.comments = await this.exportCollection({rest_base:"comments", rest_namespace:"wp/v2"}, params);
+     this.reportProgress("comments", null, bundle.comments.length);
+     return (bundle);
+   }
+
+   /**
+   * Exports the site and writes the bundle to a JSON file. If media files are
+   * downloaded and no <code>mediaDirectory</code> was set, they're saved to a
+   * directory named after the file (e.g. "site-media" for "site.json"). The
+   * media directory is recorded in the bundle relative to the file.
+   *
+   * @param {String} filePath The path of the bundle file.
+   *
+   * @return {Promise} The promise resolves with the bundle object.
+   *
+   * @async
+   */
+   async exportToFile(filePath) {
+     filePath = path.resolve(filePath);
+     if ((this._media == true) && (this._mediaDirectory == null)) {
+       this._mediaDirectory = path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)) + "-media");
+     }
+     var bundle = await this.export();
+     if (this._media == true) {
+       bundle.mediaDirectory = path.relative(path.dirname(filePath), path.resolve(this._mediaDirectory)) || ".";
+     }
+     await fs.promises.writeFile(filePath, JSON.stringify(bundle, null, 2));
+     return (bundle);
+   }
+
+   /**
+   * Retrieves the post types to export.
+   *
+   * @return {Promise} The promise resolves with the post type descriptions
+   * keyed by slug.
+   * @private
+   *
+   * @async
+   */
+   async getTypes() {
+     var result = await this.client.callAPI("types", {context:this.context}, "GET", this.client.authenticated);
+     var types = new Object();
+     for (var slug in result.data) {
+       var type = result.data[slug];
+       if ((type.rest_base == undefined) || (type.rest_base == null) || (type.rest_base == false)) {
+         continue;
+       }
+       if (this._types != null) {
+         if ((this._types.includes(slug) == false) && (this._types.includes(type.rest_base) == false)) {
+           continue;
+         }
+       } else if (WPExporter.excludedTypes.includes(slug) == true) {
+         continue;
+       }
+       types[slug] = this.describe(type);
+       types[slug].taxonomies = type.taxonomies || new Array();
+     }
+     return (types);
+   }
+
+   /**
+   * Retrieves the taxonomies to export: those of the exported post types.
+   *
+   * @param {Object} types The exported post types.
+   *
+   * @return {Promise} The promise resolves with the taxonomy descriptions
+   * keyed by slug.
+   * @private
+   *
+   * @async
+   */
+   async getTaxonomies(types) {
+     var result = await this.client.callAPI("taxonomies", {context:this.context}, "GET", this.client.authenticated);
+     var taxonomies = new Object();
+     for (var slug in result.data) {
+       var taxonomy = result.data[slug];
+       if ((taxonomy.rest_base == undefined) || (taxonomy.rest_base == null) || (taxonomy.rest_base == false) ||
+           (WPExporter.excludedTaxonomies.includes(slug) == true)) {
+         continue;
+       }
+       var used = false;
+       for (var type in types) {
+         if (types[type].taxonomies.includes(slug) == true) {
+           used = true;
+         }
+       }
+       if (used == true) {
+         taxonomies[slug] = this.describe(taxonomy);
+         taxonomies[slug].types = taxonomy.types || new Array();
+       }
+     }
+     return (taxonomies);
+   }
+
+   /**
+   * Copies the properties of a post type or taxonomy that the importer uses.
+   *
+   * @private
+   */
+   describe(descriptor) {
+     var description = new Object();
+     description.slug = descriptor.slug;
+     description.name = descriptor.name;
+     description.hierarchical = (descriptor.hierarchical == true);
+     description.rest_base = descriptor.rest_base;
+     description.rest_namespace = descriptor.rest_namespace || "wp/v2";
+     return (description);
+   }
+
+   /**
+   * Exports the users. If the client may not list users in the "edit" context,
+   * the public "view" context (which omits user names, emails and roles) is used.
+   *
+   * @return {Promise} The promise resolves with the users.
+   * @private
+   *
+   * @async
+   */
+   async exportUsers() {
+     var collection = {rest_base:"users", rest_namespace:"wp/v2"};
+     try {
+       return (await this.exportCollection(collection));
+     } catch (error) {
+       if ((this.context != "edit") || ((error instanceof WPAPIError) == false) ||
+           ((error.statusCode != 401) && (error.statusCode != 403))) {
+         throw (error);
+       }
+     }
+     return (await this.exportCollection(collection, null, "view"));
+   }
+
+   /**
+   * Retrieves every item of a collection.
+   *
+   * @param {Object} collection The collection's <code>rest_base</code> and
+   * <code>rest_namespace</code>.
+   * @param {Object} [params=null] Additional query parameters.
+   * @param {String} [context] The REST context; defaults to the export
+   * [context]{@link WPExporter#context}.
+   *
+   * @return {Promise} The promise resolves with an array of the items.
+   * @private
+   *
+   * @async
+   */
+   async exportCollection(collection, params=null, context=null) {
+     var query = Object.assign(new Object(), params);
+     query.context = context || this.context;
+     query.per_page = this._perPage;
+     var route = `/${collection.rest_namespace}/${collection.rest_base}`;
+     var page = await this.client.paginateRoute(route, query, this.client.authenticated);
+     var items = new Array();
+     for await (const item of page.iterate()) {
+       items.push(item);
+     }
+     return (items);
+   }
+
+   /**
+   * Downloads the original files of the exported media items to the media
+   * directory, recording them in the bundle's <code>files</code>.
+   *
+   * @param {Object} bundle The bundle being exported.
+   * @private
+   *
+   * @async
+   */
+   async downloadFiles(bundle) {
+     if (this._mediaDirectory == null) {
+       throw (new Error("A media directory is required to export media files."));
+     }
+     await fs.promises.mkdir(this._mediaDirectory, {recursive:true});
+     var count = 0;
+     for (var index = 0; index < bundle.media.length; index++) {
+       var item = bundle.media[index];
+       if ((item.source_url == undefined) || (item.source_url == null)) {
+         continue;
+       }
+       var fileName = `${item.id}-${path.basename(new URL(item.source_url).pathname)}`;
+       var downloadOptions = new Object();
+       downloadOptions.destination = path.join(this._mediaDirectory, fileName);
+       try {
+         await this.client.download(item.source_url, downloadOptions);
+       } catch (error) {
+         var failure = new Object();
+         failure.stage = "files";
+         failure.id = item.id;
+         failure.url = item.source_url;
+         failure.message = error.message;
+         bundle.errors.push(failure);
+         continue;
+       }
+       bundle.files[item.id] = fileName;
+       count++;
+     }
+     this.reportProgress("files", null, count);
+   }
+
+   /**
+   * Reports export progress to the <code>onProgress</code> function, if set.
+   *
+   * @private
+   */
+   reportProgress(stage, type, count) {
+     if (typeof(this._onProgress) != "function") {
+       return;
+     }
+     var progress = new Object();
+     progress.stage = stage;
+     progress.type = type;
+     progress.count = count;
+     this._onProgress(progress);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPExporter ${(this.client.APIRootURL || "")}`);
+   }
+}
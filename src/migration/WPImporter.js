@@ -0,0 +1,730 @@
+/**
+* @file Imports a JSON content bundle into a WordPress site.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WPExporter = require('./WPExporter.js');
+
+/**
+* @class Replays a bundle created by [WPExporter]{@link WPExporter} into another
+* site. Since the target site assigns new IDs, every created item is recorded
+* in an ID map which is used to remap authors, parents, term relationships,
+* featured media, attachment parents and comment threads.
+* <p>
+* Users are matched to existing users of the target site (by slug, then by
+* email) and are only created if <code>createUsers</code> is set. Terms are
+* matched by slug and created if they don't exist. Media items are uploaded
+* from the files exported with the bundle, and all other items are created
+* anew, so importing a bundle twice duplicates its content. The client must
+* be authenticated as a user allowed to create the content.
+* </p>
+*/
+module.exports = class WPImporter {
+
+  /**
+  * Creates a new instance of WPImporter
+  *
+  * @param {WPAPILib} client The authenticated client of the target site.
+  * @param {Object} [options=null] Import options.
+  * @param {String} [options.mediaDirectory=null] The directory containing the
+  * exported media files. Media items without files are skipped.
+  * @param {Object} [options.authors=null] Target user IDs to use for source
+  * user IDs, overriding matching (e.g. <code>{"1":5}</code>).
+  * @param {Boolean} [options.createUsers=false] If true, source users without
+  * a match are created (with random passwords). This requires a bundle
+  * exported in the "edit" context.
+  * @param {Number} [options.defaultAuthor] The target user ID used for authors
+  * without a match. Defaults to the authenticated user.
+  * @param {Boolean} [options.rewriteURLs=true] If true, links to the source
+  * site and its media files in content and excerpts are replaced with links
+  * to the target site and uploaded files.
+  * @param {Boolean} [options.stopOnError=false] If true, the import stops at
+  * the first item that fails, otherwise failures are reported and the import
+  * continues.
+  * @param {Function} [options.onProgress=null] A function invoked with an
+  * object containing the import <code>stage</code> ("users", "terms", "media",
+  * "content", "parents" or "comments"), the <code>type</code> (post type or
+  * taxonomy slug, if any), and the number of items processed so far
+  * (<code>count</code>) and in total (<code>total</code>) as each collection
+  * is completed.
+  */
+   constructor(client, options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._client = client;
+     this._mediaDirectory = options.mediaDirectory || null;
+     this._authors = options.authors || new Object();
+     this._createUsers = (options.createUsers == true);
+     this._defaultAuthor = options.defaultAuthor || null;
+     this._rewriteURLs = (options.rewriteURLs != false);
+     this._stopOnError = (options.stopOnError == true);
+     this._onProgress = options.onProgress || null;
+     this._report = null;
+     this._urls = null;
+   }
+
+   /**
+   * @property {WPAPILib} client The client of the target site.
+   * @readonly
+   */
+   get client() {
+     return (this._client);
+   }
+
+   /**
+   * Reads and validates a bundle file.
+   *
+   * @param {String} filePath The path of the bundle file.
+   *
+   * @return {Promise} The promise resolves with the bundle object.
+   * @static
+   *
+   * @async
+   */
+   static async load(filePath) {
+     var bundle = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+     WPImporter.validate(bundle);
+     return (bundle);
+   }
+
+   /**
+   * Checks that an object is a bundle this class can import.
+   *
+   * @param {Object} bundle The bundle object.
+   * @static
+   */
+   static validate(bundle) {
+     if ((bundle == null) || (typeof(bundle) != "object") || (bundle.format != WPExporter.format)) {
+       throw (new Error("The data isn't a WPAPILib export bundle."));
+     }
+     if ((typeof(bundle.version) != "number") || (bundle.version > WPExporter.formatVersion)) {
+       throw (new Error(`Unsupported export bundle version ${bundle.version}.`));
+     }
+   }
+
+   /**
+   * Imports a bundle file. Unless a <code>mediaDirectory</code> was set, media
+   * files are read from the media directory recorded in the bundle.
+   *
+   * @param {String} filePath The path of the bundle file.
+   *
+   * @return {Promise} The promise resolves with the import report (see
+   * [import]{@link WPImporter#import}).
+   *
+   * @async
+   */
+   async importFromFile(filePath) {
+     var bundle = await WPImporter.load(filePath);
+     if ((this._mediaDirectory == null) && (typeof(bundle.mediaDirectory) == "string")) {
+       this._mediaDirectory = path.resolve(path.dirname(filePath), bundle.mediaDirectory);
+     }
+     return (await this.import(bundle));
+   }
+
+   /**
+   * Imports a bundle into the target site.
+   *
+   * @param {Object} bundle The bundle object.
+   *
+   * @return {Promise} The promise resolves with the import report. Its
+   * <code>map</code> contains the target IDs of the source <code>users</code>,
+   * <code>media</code> and <code>comments</code>, of <code>terms</code> keyed
+   * by taxonomy slug, and of <code>content</code> keyed by post type slug
+   * (each an object mapping source IDs to target IDs). <code>created</code>
+   * counts the items created at each stage, <code>skipped</code> lists the
+   * items that weren't imported (with a <code>reason</code>) and
+   * <code>errors</code> lists the items that failed (with the <code>error</code>,
+   * usually a [WPAPIError]{@link WPAPIError}).
+   *
+   * @async
+   */
+   async import(bundle) {
+     WPImporter.validate(bundle);
+     if (this.client.authenticated == false) {
+       throw (new Error("Importing requires an authenticated client."));
+     }
+     if (this.client.APISettings == null) {
+       await this.client.discover();
+     }
+     this._report = new Object();
+     this._report.map = {users:new Object(), terms:new Object(), media:new Object(), content:new Object(), comments:new Object()};
+     this._report.created = {users:0, terms:0, media:0, content:0, comments:0};
+     this._report.skipped = new Array();
+     this._report.errors = new Array();
+     this._urls = new Array();
+     var types = await this.getTargetDescriptors("types");
+     var taxonomies = await this.getTargetDescriptors("taxonomies");
+     if ((this._rewriteURLs == true) && (bundle.site != undefined) && (bundle.site != null)) {
+       var index = await this.client.loadIndex();
+       this.addURLRewrite(bundle.site.home || bundle.site.url, index.home || index.url);
+     }
+     await this.importUsers(bundle.users || new Array());
+     for (var slug in bundle.terms) {
+       await this.importTerms(slug, bundle.terms[slug], taxonomies[slug]);
+     }
+     await this.importMedia(bundle.media || new Array(), bundle.files || new Object());
+     var pending = new Array();
+     for (slug in bundle.content) {
+       var sourceType = (bundle.types || new Object())[slug] || new Object();
+       pending = pending.concat(await this.importContent(slug, bundle.content[slug], types[slug], sourceType, bundle.taxonomies || new Object()));
+     }
+     await this.linkParents(pending, bundle.media || new Array());
+     await this.importComments(bundle.comments || new Array());
+     return (this._report);
+   }
+
+   /**
+   * Retrieves the post types or taxonomies of the target site.
+   *
+   * @param {String} endpoint Either "types" or "taxonomies".
+   *
+   * @return {Promise} The promise resolves with the descriptions keyed by slug.
+   * @private
+   *
+   * @async
+   */
+   async getTargetDescriptors(endpoint) {
+     var result = await this.client.callAPI(endpoint, {context:"edit"}, "GET");
+     var descriptors = new Object();
+     for (var slug in result.data) {
+       var descriptor = result.data[slug];
+       if ((descriptor.rest_base != undefined) && (descriptor.rest_base != null) && (descriptor.rest_base != false)) {
+         descriptors[slug] = descriptor;
+       }
+     }
+     return (descriptors);
+   }
+
+   /**
+   * Returns the namespaced collection route of a post type or taxonomy.
+   *
+   * @private
+   */
+   getRoute(descriptor) {
+     return (`/${descriptor.rest_namespace || "wp/v2"}/${descriptor.rest_base}`);
+   }
+
+   /**
+   * Maps the source users to target users, creating them if enabled.
+   *
+   * @param {Array} users The source users.
+   * @private
+   *
+   * @async
+   */
+   async importUsers(users) {
+     var map = this._report.map.users;
+     for (var sourceId in this._authors) {
+       map[sourceId] = Number(this._authors[sourceId]);
+     }
+     if (this._defaultAuthor == null) {
+       var result = await this.client.callAPI("users/me", null, "GET");
+       this._defaultAuthor = result.data.id;
+     }
+     for (var count = 0; count < users.length; count++) {
+       var user = users[count];
+       if (map[user.id] != undefined) {
+         continue;
+       }
+       await this.attempt("users", null, user, async () => {
+         var target = await this.findItem("/wp/v2/users", {slug:user.slug, context:"edit"});
+         if ((target == null) && (typeof(user.email) == "string") && (user.email != "")) {
+           target = await this.findItem("/wp/v2/users", {search:user.email, context:"edit"}, "email", user.email);
+         }
+         if (target != null) {
+           map[user.id] = target.id;
+           return;
+         }
+         if ((this._createUsers == false) || (typeof(user.username) != "string") || (typeof(user.email) != "string")) {
+           this.skip("users", null, user.id, "No matching user on the target site.");
+           return;
+         }
+         var props = new Object();
+         props.username = user.username;
+         props.email = user.email;
+         props.name = user.name;
+         props.slug = user.slug;
+         props.description = user.description || "";
+         props.password = crypto.randomBytes(18).toString("base64");
+         if (Array.isArray(user.roles) == true) {
+           props.roles = user.roles;
+         }
+         var created = await this.createItem("/wp/v2/users", props);
+         map[user.id] = created.id;
+         this._report.created.users++;
+       });
+     }
+     this.reportProgress("users", null, users.length, users.length);
+   }
+
+   /**
+   * Maps the source terms of a taxonomy to target terms, creating those that
+   * don't exist. Parent terms are imported before their children.
+   *
+   * @param {String} taxonomy The taxonomy slug.
+   * @param {Array} terms The source terms.
+   * @param {Object} descriptor The target taxonomy description, or
+   * <code>undefined</code> if the target site doesn't have the taxonomy.
+   * @private
+   *
+   * @async
+   */
+   async importTerms(taxonomy, terms, descriptor) {
+     var map = new Object();
+     this._report.map.terms[taxonomy] = map;
+     if (descriptor == undefined) {
+       for (var count = 0; count < terms.length; count++) {
+         this.skip("terms", taxonomy, terms[count].id, `The target site has no "${taxonomy}" taxonomy.`);
+       }
+       return;
+     }
+     var route = this.getRoute(descriptor);
+     terms = this.sortByParent(terms, "parent");
+     for (count = 0; count < terms.length; count++) {
+       var term = terms[count];
+       await this.attempt("terms", taxonomy, term, async () => {
+         var target = await this.findItem(route, {slug:term.slug, context:"edit", hide_empty:false});
+         if (target != null) {
+           map[term.id] = target.id;
+           return;
+         }
+         var props = new Object();
+         props.name = this.getText(term.name);
+         props.slug = term.slug;
+         props.description = term.description || "";
+         if ((descriptor.hierarchical == true) && (term.parent > 0) && (map[term.parent] != undefined)) {
+           props.parent = map[term.parent];
+         }
+         var created = await this.createItem(route, props);
+         map[term.id] = created.id;
+         this._report.created.terms++;
+       });
+       this.reportProgress("terms", taxonomy, count + 1, terms.length);
+     }
+   }
+
+   /**
+   * Uploads the media items that have exported files.
+   *
+   * @param {Array} media The source media items.
+   * @param {Object} files The exported file names keyed by media ID.
+   * @private
+   *
+   * @async
+   */
+   async importMedia(media, files) {
+     var map = this._report.map.media;
+     for (var count = 0; count < media.length; count++) {
+       var item = media[count];
+       var fileName = files[item.id];
+       if ((fileName == undefined) || (this._mediaDirectory == null)) {
+         this.skip("media", null, item.id, "The media file wasn't exported.");
+         continue;
+       }
+       await this.attempt("media", null, item, async () => {
+         var metadata = new Object();
+         metadata.title = this.getText(item.title);
+         metadata.alt_text = item.alt_text || "";
+         metadata.caption = this.getText(item.caption);
+         metadata.description = this.getText(item.description);
+         metadata.author = this.getAuthor(item.author);
+         if (item.date != undefined) {
+           metadata.date = item.date;
+         }
+         var uploadOptions = new Object();
+         uploadOptions.fileName = fileName.replace(/^\d+-/, "");
+         uploadOptions.metadata = metadata;
+         var created = await this.client.media.upload(path.join(this._mediaDirectory, fileName), uploadOptions);
+         map[item.id] = created.id;
+         this._report.created.media++;
+         if (this._rewriteURLs == true) {
+           this.addURLRewrite(item.source_url, created.source_url);
+         }
+       });
+       this.reportProgress("media", null, count + 1, media.length);
+     }
+   }
+
+   /**
+   * Creates the items of a post type. Parents are created before their children;
+   * parents that can't be linked yet are returned for
+   * [linkParents]{@link WPImporter#linkParents}.
+   *
+   * @param {String} type The post type slug.
+   * @param {Array} items The source items.
+   * @param {Object} descriptor The target post type description, or
+   * <code>undefined</code> if the target site doesn't have the post type.
+   * @param {Object} sourceType The source post type description.
+   * @param {Object} taxonomies The source taxonomy descriptions.
+   *
+   * @return {Promise} The promise resolves with the parent links still to be made.
+   * @private
+   *
+   * @async
+   */
+   async importContent(type, items, descriptor, sourceType, taxonomies) {
+     var map = new Object();
+     this._report.map.content[type] = map;
+     var pending = new Array();
+     if (descriptor == undefined) {
+       for (var count = 0; count < items.length; count++) {
+         this.skip("content", type, items[count].id, `The target site has no "${type}" post type.`);
+       }
+       return (pending);
+     }
+     var route = this.getRoute(descriptor);
+     items = this.sortByParent(items, "parent");
+     for (count = 0; count < items.length; count++) {
+       var item = items[count];
+       await this.attempt("content", type, item, async () => {
+         var props = this.getContentProps(item, sourceType, taxonomies);
+         var created = await this.createItem(route, props);
+         map[item.id] = created.id;
+         this._report.created.content++;
+         if ((item.parent > 0) && (props.parent == undefined)) {
+           pending.push({route:route, type:type, id:created.id, source:item.id, parent:item.parent});
+         }
+       });
+       this.reportProgress("content", type, count + 1, items.length);
+     }
+     return (pending);
+   }
+
+   /**
+   * Builds the properties of a new item from a source item, remapping its
+   * author, parent, featured media and terms.
+   *
+   * @private
+   */
+   getContentProps(item, sourceType, taxonomies) {
+     var props = new Object();
+     for (var name of ["date", "slug", "status", "password", "comment_status", "ping_status",
+         "format", "sticky", "template", "menu_order", "meta"]) {
+       if ((item[name] != undefined) && (item[name] != null) && (item[name] !== "")) {
+         props[name] = item[name];
+       }
+     }
+     if ((props.meta != undefined) && ((Array.isArray(props.meta) == true) || (Object.keys(props.meta).length == 0))) {
+       delete props.meta;
+     }
+     for (name of ["title", "content", "excerpt"]) {
+       if (item[name] != undefined) {
+         props[name] = this.rewriteURLs(this.getText(item[name]));
+       }
+     }
+     if (item.author != undefined) {
+       props.author = this.getAuthor(item.author);
+     }
+     if (item.featured_media > 0) {
+       props.featured_media = this._report.map.media[item.featured_media] || 0;
+     }
+     if (item.parent > 0) {
+       var parent = this.findContentID(item.parent);
+       if (parent != null) {
+         props.parent = parent;
+       }
+     }
+     var taxonomySlugs = sourceType.taxonomies || new Array();
+     for (var count = 0; count < taxonomySlugs.length; count++) {
+       var taxonomy = taxonomies[taxonomySlugs[count]];
+       var terms = this._report.map.terms[taxonomySlugs[count]];
+       if ((taxonomy == undefined) || (terms == undefined) || (Array.isArray(item[taxonomy.rest_base]) == false)) {
+         continue;
+       }
+       props[taxonomy.rest_base] = item[taxonomy.rest_base].filter(id => terms[id] != undefined).map(id => terms[id]);
+     }
+     return (props);
+   }
+
+   /**
+   * Links items to parents created after them, and attachments to the items
+   * they were uploaded to.
+   *
+   * @param {Array} pending The parent links returned by
+   * [importContent]{@link WPImporter#importContent}.
+   * @param {Array} media The source media items.
+   * @private
+   *
+   * @async
+   */
+   async linkParents(pending, media) {
+     var count = 0;
+     for (var index = 0; index < pending.length; index++) {
+       var link = pending[index];
+       var parent = this.findContentID(link.parent);
+       if (parent == null) {
+         this.skip("parents", link.type, link.source, `Parent ${link.parent} wasn't imported.`);
+         continue;
+       }
+       await this.attempt("parents", link.type, {id:link.source}, async () => {
+         await this.client.callRoute(`${link.route}/${link.id}`, {parent:parent}, "POST", true, {json:true});
+         count++;
+       });
+     }
+     for (index = 0; index < media.length; index++) {
+       var item = media[index];
+       var id = this._report.map.media[item.id];
+       if ((id == undefined) || ((item.post > 0) == false)) {
+         continue;
+       }
+       parent = this.findContentID(item.post);
+       if (parent == null) {
+         continue;
+       }
+       await this.attempt("parents", "attachment", item, async () => {
+         await this.client.callAPI(`media/${id}`, {post:parent}, "POST", true, {json:true});
+         count++;
+       });
+     }
+     this.reportProgress("parents", null, count, count);
+   }
+
+   /**
+   * Creates the comments of imported items. Parent comments are created
+   * before their replies.
+   *
+   * @param {Array} comments The source comments.
+   * @private
+   *
+   * @async
+   */
+   async importComments(comments) {
+     var map = this._report.map.comments;
+     comments = this.sortByParent(comments, "parent");
+     for (var count = 0; count < comments.length; count++) {
+       var comment = comments[count];
+       var post = this.findContentID(comment.post);
+       if (post == null) {
+         this.skip("comments", null, comment.id, `Post ${comment.post} wasn't imported.`);
+         continue;
+       }
+       await this.attempt("comments", null, comment, async () => {
+         var props = new Object();
+         props.post = post;
+         props.content = this.rewriteURLs(this.getText(comment.content));
+         if ((comment.parent > 0) && (map[comment.parent] != undefined)) {
+           props.parent = map[comment.parent];
+         }
+         //WordPress rejects authors that aren't users, guests are identified by name and email
+         if ((comment.author > 0) && (this._report.map.users[comment.author] != undefined)) {
+           props.author = this._report.map.users[comment.author];
+         }
+         for (var name of ["author_name", "author_email", "author_url", "date"]) {
+           if ((comment[name] != undefined) && (comment[name] != null) && (comment[name] != "")) {
+             props[name] = comment[name];
+           }
+         }
+         if (comment.status != undefined) {
+           props.status = (comment.status == "approved") ? "approve" : comment.status;
+         }
+         var created = await this.createItem("/wp/v2/comments", props);
+         map[comment.id] = created.id;
+         this._report.created.comments++;
+       });
+       this.reportProgress("comments", null, count + 1, comments.length);
+     }
+   }
+
+   /**
+   * Runs the import of one item, recording (or, with <code>stopOnError</code>,
+   * throwing) its failure.
+   *
+   * @private
+   *
+   * @async
+   */
+   async attempt(stage, type, item, task) {
+     try {
+       await task();
+     } catch (error) {
+       if (this._stopOnError == true) {
+         throw (error);
+       }
+       var failure = new Object();
+       failure.stage = stage;
+       failure.type = type;
+       failure.id = item.id;
+       failure.error = error;
+       this._report.errors.push(failure);
+     }
+   }
+
+   /**
+   * Records an item that wasn't imported.
+   *
+   * @private
+   */
+   skip(stage, type, id, reason) {
+     var skipped = new Object();
+     skipped.stage = stage;
+     skipped.type = type;
+     skipped.id = id;
+     skipped.reason = reason;
+     this._report.skipped.push(skipped);
+   }
+
+   /**
+   * Finds an existing item of the target site.
+   *
+   * @param {String} route The namespaced collection route.
+   * @param {Object} params The query parameters identifying the item.
+   * @param {String} [field=null] The name of a property that must equal
+   * <code>value</code>, if the query may match other items.
+   * @param {*} [value=null] The required property value.
+   *
+   * @return {Promise} The promise resolves with the item, or <code>null</code>.
+   * @private
+   *
+   * @async
+   */
+   async findItem(route, params, field=null, value=null) {
+     var result = await this.client.callRoute(route, params, "GET");
+     if (Array.isArray(result.data) == false) {
+       return (null);
+     }
+     var item = result.data.find(item => (field == null) || (item[field] == value));
+     return ((item == undefined) ? null : item);
+   }
+
+   /**
+   * Creates an item on the target site.
+   *
+   * @return {Promise} The promise resolves with the created item.
+   * @private
+   *
+   * @async
+   */
+   async createItem(route, props) {
+     var result = await this.client.callRoute(route, props, "POST", true, {json:true});
+     return (result.data);
+   }
+
+   /**
+   * Returns the target ID of a source item of any post type.
+   *
+   * @private
+   */
+   findContentID(sourceId) {
+     for (var type in this._report.map.content) {
+       if (this._report.map.content[type][sourceId] != undefined) {
+         return (this._report.map.content[type][sourceId]);
+       }
+     }
+     return (null);
+   }
+
+   /**
+   * Returns the target user ID for a source author ID.
+   *
+   * @private
+   */
+   getAuthor(sourceId) {
+     var id = this._report.map.users[sourceId];
+     return ((id == undefined) ? this._defaultAuthor : id);
+   }
+
+   /**
+   * Returns the raw (or, if only the "view" context was exported, the
+   * rendered) text of a field.
+   *
+   * @private
+   */
+   getText(field) {
+     if ((field == undefined) || (field == null)) {
+       return ("");
+     }
+     if (typeof(field) == "object") {
+       return ((field.raw != undefined) ? field.raw : (field.rendered || ""));
+     }
+     return (String(field));
+   }
+
+   /**
+   * Adds a source to target URL replacement used by
+   * [rewriteURLs]{@link WPImporter#rewriteURLs}.
+   *
+   * @private
+   */
+   addURLRewrite(sourceURL, targetURL) {
+     if ((typeof(sourceURL) != "string") || (typeof(targetURL) != "string") || (sourceURL == "") || (sourceURL == targetURL)) {
+       return;
+     }
+     this._urls.push([sourceURL.replace(/\/$/, ""), targetURL.replace(/\/$/, "")]);
+     //longer (more specific) URLs, such as media files, are replaced first
+     this._urls.sort((entryA, entryB) => entryB[0].length - entryA[0].length);
+   }
+
+   /**
+   * Replaces links to the source site and media files in a text.
+   *
+   * @private
+   */
+   rewriteURLs(text) {
+     if (this._rewriteURLs == false) {
+       return (text);
+     }
+     for (var count = 0; count < this._urls.length; count++) {
+       text = text.split(this._urls[count][0]).join(this._urls[count][1]);
+     }
+     return (text);
+   }
+
+   /**
+   * Orders items so that parents come before their children.
+   *
+   * @param {Array} items The items.
+   * @param {String} field The name of the parent ID property.
+   *
+   * @return {Array} The ordered items.
+   * @private
+   */
+   sortByParent(items, field) {
+     var byId = new Map();
+     items.forEach(item => byId.set(item.id, item));
+     var sorted = new Array();
+     var visited = new Set();
+     var visit = item => {
+       if (visited.has(item.id) == true) {
+         return;
+       }
+       visited.add(item.id);
+       var parent = byId.get(item[field]);
+       if (parent != undefined) {
+         visit(parent);
+       }
+       sorted.push(item);
+     };
+     items.forEach(visit);
+     return (sorted);
+   }
+
+   /**
+   * Reports import progress to the <code>onProgress</code> function, if set.
+   *
+   * @private
+   */
+   reportProgress(stage, type, count, total) {
+     if (typeof(this._onProgress) != "function") {
+       return;
+     }
+     var progress = new Object();
+     progress.stage = stage;
+     progress.type = type;
+     progress.count = count;
+     progress.total = total;
+     this._onProgress(progress);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPImporter ${(this.client.APIRootURL || "")}`);
+   }
+}
@@ -0,0 +1,201 @@
+/**
+* @file A typed client for the WordPress REST API media library.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const fs = require('fs');
+const path = require('path');
+const WPResource = require('./WPResource.js');
+const WPMultipartBody = require('../WPMultipartBody.js');
+
+/**
+* @class Provides operations for the WordPress "media" collection, including
+* file uploads as raw binary or <code>multipart/form-data</code> bodies.
+* @extends WPResource
+*/
+module.exports = class WPMediaResource extends WPResource {
+
+  /**
+  * Creates a new instance of WPMediaResource
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  */
+   constructor(client) {
+     super(client, "media");
+   }
+
+   /**
+   * @property {Object} mimeTypes File extension to MIME type mappings used
+   * when no MIME type is supplied for an upload.
+   * @readonly
+   */
+   get mimeTypes() {
+     return ({
+       ".jpg": "image/jpeg",
+       ".jpeg": "image/jpeg",
+       ".png": "image/png",
+       ".gif": "image/gif",
+       ".webp": "image/webp",
+       ".svg": "image/svg+xml",
+       ".ico": "image/x-icon",
+       ".pdf": "application/pdf",
+       ".zip": "application/zip",
+       ".doc": "application/msword",
+       ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+       ".xls": "application/vnd.ms-excel",
+       ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+       ".ppt": "application/vnd.ms-powerpoint",
+       ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+       ".txt": "text/plain",
+       ".csv": "text/csv",
+       ".mp3": "audio/mpeg",
+       ".wav": "audio/wav",
+       ".ogg": "audio/ogg",
+       ".mp4": "video/mp4",
+       ".mov": "video/quicktime",
+       ".webm": "video/webm"
+     });
+   }
+
+   /**
+   * Returns the MIME type for a file name based on its extension.
+   *
+   * @param {String} fileName The file name.
+   *
+   * @return {String} The MIME type, or "application/octet-stream" if the
+   * extension isn't recognized.
+   */
+   getMimeType(fileName) {
+     var extension = path.extname(String(fileName)).toLowerCase();
+     var mimeType = this.mimeTypes[extension];
+     if (mimeType == undefined) {
+       return ("application/octet-stream");
+     }
+     return (mimeType);
+   }
+
+   /**
+   * Uploads a file to the media library.
+   *
+   * @param {String|Buffer|stream.Readable} file The path of the file to upload,
+   * or its contents as a <code>Buffer</code> or readable stream.
+   * @param {Object} [options=null] Upload options.
+   * @param {String} [options.fileName] The file name to report to the server.
+   * Required if <code>file</code> is not a path.
+   * @param {String} [options.mimeType] The file MIME type. If omitted, it's
+   * determined from the file name extension.
+   * @param {Number} [options.size=null] The size of a stream <code>file</code> in
+   * bytes, if known.
+   * @param {Boolean} [options.multipart=false] If true, the file is sent as
+   * <code>multipart/form-data</code> with the metadata included as fields,
+   * otherwise it's sent as a raw binary body with the metadata in the query string.
+   * @param {Object} [options.metadata=null] Attachment properties to set on the
+   * new item (e.g. <code>{title:"Logo", alt_text:"Our logo", caption:"...",
+   * description:"...", post:123}</code>).
+   * @param {Function} [options.onProgress=null] A function invoked with an
+   * object containing the number of bytes <code>loaded</code> (sent) and the
+   * <code>total</code> (or <code>null</code> if unknown) as the file is uploaded.
+   *
+   * @return {Promise} The promise resolves with the parsed, created attachment.
+   *
+   * @async
+   */
+   async upload(file, options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     var fileName = options.fileName || null;
+     var size = null;
+     var source = file;
+     if (typeof(file) == "string") {
+       var stats = await fs.promises.stat(file);
+       size = stats.size;
+       source = fs.createReadStream(file);
+       if (fileName == null) {
+         fileName = path.basename(file);
+       }
+     } else if (Buffer.isBuffer(file) == true) {
+       size = file.length;
+     } else if (this.client.isStream(file) == true) {
+       if ((options.size != undefined) && (options.size != null)) {
+         size = options.size;
+       }
+     } else {
+       throw (new Error("Upload file must be a path, Buffer or readable stream."));
+     }
+     if (fileName == null) {
+       throw (new Error("A file name is required when uploading a Buffer or stream."));
+     }
+     var mimeType = options.mimeType || this.getMimeType(fileName);
+     var metadata = options.metadata || null;
+     var requestOptions = new Object();
+     requestOptions.onProgress = options.onProgress || null;
+     if (options.multipart == true) {
+       var body = new WPMultipartBody();
+       if (metadata != null) {
+         for (var name in metadata) {
+           body.addField(name, metadata[name]);
+         }
+       }
+       body.addFile("file", fileName, mimeType, source, size);
+       requestOptions.contentType = body.contentType;
+       requestOptions.contentLength = body.length;
+       source = body.toStream();
+     } else {
+       requestOptions.contentType = mimeType;
+       requestOptions.contentLength = size;
+       requestOptions.headers = new Object();
+       requestOptions.headers["Content-Disposition"] = this.getContentDisposition(fileName);
+       requestOptions.query = metadata;
+     }
+     var result = await this.client.callAPI(this.endpoint, source, "POST", true, requestOptions);
+     return (this.parse(result));
+   }
+
+   /**
+   * Creates the "Content-Disposition" header of a raw upload. Header values
+   * may only contain Latin-1 characters, so the file name is sent as an ASCII
+   * <code>filename</code> and as a UTF-8 <code>filename*</code> (RFC 5987),
+   * which WordPress prefers.
+   *
+   * @param {String} fileName The file name.
+   *
+   * @return {String} The header value.
+   * @see https://tools.ietf.org/html/rfc6266#section-4.3
+   * @private
+   */
+   getContentDisposition(fileName) {
+     var asciiName = fileName.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^\x20-\x7e]/g, "_");
+     asciiName = asciiName.replace(/["\\]/g, "_");
+     var encodedName = encodeURIComponent(fileName).replace(/['()*]/g, character => {
+       return ("%" + character.charCodeAt(0).toString(16).toUpperCase());
+     });
+     return (`attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+   }
+
+   /**
+   * Downloads the original file of a media item without holding it in memory.
+   *
+   * @param {Number|Object} media The ID of the media item, or the media item
+   * itself (which must include its <code>source_url</code>).
+   * @param {Object} [options=null] Download options (see
+   * [WPAPILib.download]{@link WPAPILib#download}). If
+   * <code>options.destination</code> is set, the file is written to that path.
+   *
+   * @return {Promise} The promise resolves with the result of
+   * [WPAPILib.download]{@link WPAPILib#download}.
+   *
+   * @async
+   */
+   async download(media, options=null) {
+     if ((typeof(media) != "object") || (media == null)) {
+       media = await this.get(media);
+     }
+     if ((media.source_url == undefined) || (media.source_url == null)) {
+       throw (new Error("The media item has no source_url to download."));
+     }
+     return (await this.client.download(media.source_url, options));
+   }
+}
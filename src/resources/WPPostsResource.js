@@ -0,0 +1,165 @@
+/**
+* @file A typed client for WordPress REST API post collections.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPResource = require('./WPResource.js');
+const WPBlockParser = require('../blocks/WPBlockParser.js');
+const WPBlockSerializer = require('../blocks/WPBlockSerializer.js');
+const WPMarkdownConverter = require('../blocks/WPMarkdownConverter.js');
+
+/**
+* @class Provides operations for collections of posts with block content,
+* such as "posts" and "pages". Content may be created and updated as a tree of
+* blocks or as Markdown, and existing content may be retrieved as blocks.
+* @extends WPResource
+*/
+module.exports = class WPPostsResource extends WPResource {
+
+  /**
+  * Creates a new instance of WPPostsResource
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  * @param {String} [endpoint="posts"] The collection endpoint, relative to the
+  * API version string (e.g. "pages").
+  */
+   constructor(client, endpoint="posts") {
+     super(client, endpoint);
+   }
+
+   /**
+   * Creates a new post. The <code>content</code> may be an array of blocks
+   * (see [WPBlockParser]{@link WPBlockParser}), which is serialized into
+   * block markup.
+   *
+   * @param {Object} data The properties of the new post.
+   *
+   * @return {Promise} The promise resolves with the parsed, created post.
+   *
+   * @async
+   */
+   async create(data) {
+     var result = await super.create(this.prepareData(data));
+     return (result);
+   }
+
+   /**
+   * Updates an existing post. The <code>content</code> may be an array of
+   * blocks, which is serialized into block markup.
+   *
+   * @param {Number|String} id The post ID.
+   * @param {Object} data The properties to update.
+   *
+   * @return {Promise} The promise resolves with the parsed, updated post.
+   *
+   * @async
+   */
+   async update(id, data) {
+     var result = await super.update(id, this.prepareData(data));
+     return (result);
+   }
+
+   /**
+   * Retrieves the content of a post as blocks. The post is retrieved with
+   * <code>context=edit</code> so that its raw block markup is available, which
+   * requires the client to be authorized to edit the post.
+   *
+   * @param {Number|String} id The post ID.
+   *
+   * @return {Promise} The promise resolves with the array of top-level blocks.
+   *
+   * @async
+   */
+   async getBlocks(id) {
+     var post = await this.get(id, {context:"edit"});
+     var content = "";
+     if ((post != null) && (post.content != null) && (post.content != undefined)) {
+       content = (typeof(post.content) == "string") ? post.content : (post.content.raw || "");
+     }
+     var parser = new WPBlockParser();
+     return (parser.parse(content));
+   }
+
+   /**
+   * Creates a new post from Markdown content, converted into core blocks by
+   * [WPMarkdownConverter]{@link WPMarkdownConverter}.
+   *
+   * @param {String} markdown The Markdown content.
+   * @param {Object} [data=null] The other properties of the new post (e.g.
+   * <code>{title:"Hello", status:"draft"}</code>).
+   *
+   * @return {Promise} The promise resolves with the parsed, created post.
+   *
+   * @async
+   */
+   async createFromMarkdown(markdown, data=null) {
+     var postData = Object.assign(new Object(), data);
+     postData.content = this.convertMarkdown(markdown);
+     var result = await this.create(postData);
+     return (result);
+   }
+
+   /**
+   * Replaces the content of an existing post with Markdown content, converted
+   * into core blocks.
+   *
+   * @param {Number|String} id The post ID.
+   * @param {String} markdown The Markdown content.
+   * @param {Object} [data=null] Other properties to update.
+   *
+   * @return {Promise} The promise resolves with the parsed, updated post.
+   *
+   * @async
+   */
+   async updateFromMarkdown(id, markdown, data=null) {
+     var postData = Object.assign(new Object(), data);
+     postData.content = this.convertMarkdown(markdown);
+     var result = await this.update(id, postData);
+     return (result);
+   }
+
+   /**
+   * Converts Markdown into block markup.
+   *
+   * @param {String} markdown The Markdown content.
+   *
+   * @return {String} The block markup.
+   * @private
+   */
+   convertMarkdown(markdown) {
+     var converter = new WPMarkdownConverter();
+     return (converter.toMarkup(markdown));
+   }
+
+   /**
+   * Returns a copy of post data with block <code>content</code> serialized.
+   *
+   * @param {Object} data The post data.
+   *
+   * @return {Object} The data to send.
+   * @private
+   */
+   prepareData(data) {
+     if ((data == null) || (data == undefined) || (Array.isArray(data.content) == false)) {
+       return (data);
+     }
+     var prepared = Object.assign(new Object(), data);
+     var serializer = new WPBlockSerializer();
+     //parsed content keeps the text between blocks, new blocks need separating
+     var separator = "\n\n";
+     if (data.content.some(block => (block.blockName == null) || (block.blockName == undefined)) == true) {
+       separator = "";
+     }
+     prepared.content = serializer.serialize(data.content, separator);
+     return (prepared);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPPostsResource (${this.endpoint})`);
+   }
+}
@@ -0,0 +1,187 @@
+/**
+* @file A typed client for a WordPress REST API resource collection.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Provides list, get, create, update and delete operations for a
+* WordPress REST API collection (for example "posts" or "categories"), built
+* on [callAPI]{@link WPAPILib#callAPI}. Items are created and updated with
+* JSON bodies so that array and object properties are sent intact. All
+* operations resolve with parsed response objects.
+*/
+module.exports = class WPResource {
+
+  /**
+  * Creates a new instance of WPResource
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  * @param {String} endpoint The collection endpoint, relative to the
+  * API version string (e.g. "posts").
+  */
+   constructor(client, endpoint) {
+     this._client = client;
+     this._endpoint = endpoint;
+   }
+
+   /**
+   * @property {WPAPILib} client The client instance used to make API calls.
+   * @readonly
+   */
+   get client() {
+     return (this._client);
+   }
+
+   /**
+   * @property {String} endpoint The collection endpoint, relative to the
+   * API version string.
+   * @readonly
+   */
+   get endpoint() {
+     return (this._endpoint);
+   }
+
+   /**
+   * Returns the parsed data from an API call result. Responses not
+   * parsed by [callAPI]{@link WPAPILib#callAPI} (for example, JSON sent with
+   * an incorrect "Content-Type" header) are parsed here.
+   *
+   * @param {Object} result The result object returned by
+   * [callAPI]{@link WPAPILib#callAPI}.
+   *
+   * @return {*} The parsed response data, or <code>null</code> if the
+   * response was empty.
+   */
+   parse(result) {
+     if ((result.data == null) || (result.data == "")) {
+       return (null);
+     }
+     if (typeof(result.data) != "string") {
+       return (result.data);
+     }
+     return (JSON.parse(result.data));
+   }
+
+   /**
+   * Retrieves items from the collection.
+   *
+   * @param {Object} [params=null] Query parameters to include (e.g.
+   * <code>{per_page:20, status:"draft"}</code>).
+   *
+   * @return {Promise} The promise resolves with an array of parsed items.
+   *
+   * @async
+   */
+   async list(params=null) {
+     var result = await this.client.callAPI(this.endpoint, params, "GET");
+     return (this.parse(result));
+   }
+
+   /**
+   * Retrieves a page of items from the collection, including the collection
+   * totals and functions to retrieve adjacent pages.
+   *
+   * @param {Object} [params=null] Query parameters to include (e.g.
+   * <code>{page:2, per_page:50}</code>).
+   *
+   * @return {Promise} The promise resolves with a [WPPage]{@link WPPage}.
+   *
+   * @async
+   */
+   async page(params=null) {
+     var page = await this.client.paginate(this.endpoint, params);
+     return (page);
+   }
+
+   /**
+   * Asynchronously iterates over every item in the collection, retrieving
+   * pages as needed.
+   *
+   * @param {Object} [params=null] Query parameters to include.
+   * @param {Object} [options=null] Iteration options (see
+   * [WPPage.iterate]{@link WPPage#iterate}).
+   *
+   * @return {AsyncGenerator} Yields each item.
+   */
+   all(params=null, options=null) {
+     return (this.client.iterate(this.endpoint, params, options));
+   }
+
+   /**
+   * Retrieves a single item from the collection.
+   *
+   * @param {Number|String} id The item ID.
+   * @param {Object} [params=null] Query parameters to include (e.g.
+   * <code>{context:"edit"}</code>).
+   *
+   * @return {Promise} The promise resolves with the parsed item.
+   *
+   * @async
+   */
+   async get(id, params=null) {
+     var result = await this.client.callAPI(`${this.endpoint}/${id}`, params, "GET");
+     return (this.parse(result));
+   }
+
+   /**
+   * Creates a new item in the collection.
+   *
+   * @param {Object} data The properties of the new item.
+   *
+   * @return {Promise} The promise resolves with the parsed, created item.
+   *
+   * @async
+   */
+   async create(data) {
+     var result = await this.client.callAPI(this.endpoint, data, "POST", true, {json:true});
+     return (this.parse(result));
+   }
+
+   /**
+   * Updates an existing item in the collection.
+   *
+   * @param {Number|String} id The item ID.
+   * @param {Object} data The properties to update.
+   *
+   * @return {Promise} The promise resolves with the parsed, updated item.
+   *
+   * @async
+   */
+   async update(id, data) {
+     var result = await this.client.callAPI(`${this.endpoint}/${id}`, data, "PUT", true, {json:true});
+     return (this.parse(result));
+   }
+
+   /**
+   * Deletes an item from the collection.
+   *
+   * @param {Number|String} id The item ID.
+   * @param {Boolean} [force=false] If true, the item is permanently deleted
+   * instead of being moved to the trash (if the resource supports trashing).
+   * @param {Object} [params=null] Additional query parameters to include.
+   *
+   * @return {Promise} The promise resolves with the parsed response. For
+   * trashed items this is the item itself, for permanently deleted items it
+   * contains the <code>deleted</code> flag and <code>previous</code> item.
+   *
+   * @async
+   */
+   async delete(id, force=false, params=null) {
+     var deleteParams = Object.assign(new Object(), params);
+     if (force == true) {
+       deleteParams.force = true;
+     }
+     var result = await this.client.callAPI(`${this.endpoint}/${id}`, deleteParams, "DELETE");
+     return (this.parse(result));
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`WPResource (${this.endpoint})`);
+   }
+}
@@ -0,0 +1,78 @@
+/**
+* @file A typed client for the WordPress REST API site settings.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPResource = require('./WPResource.js');
+
+/**
+* @class Provides operations for the WordPress site "settings" endpoint. Unlike
+* other resources, settings are a single object rather than a collection.
+* @extends WPResource
+*/
+module.exports = class WPSettingsResource extends WPResource {
+
+  /**
+  * Creates a new instance of WPSettingsResource
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  */
+   constructor(client) {
+     super(client, "settings");
+   }
+
+   /**
+   * Retrieves the site settings.
+   *
+   * @return {Promise} The promise resolves with the parsed settings object.
+   *
+   * @async
+   */
+   async get() {
+     var result = await this.client.callAPI(this.endpoint, null, "GET");
+     return (this.parse(result));
+   }
+
+   /**
+   * Updates the site settings.
+   *
+   * @param {Object} data The settings to update.
+   *
+   * @return {Promise} The promise resolves with the parsed, updated settings object.
+   *
+   * @async
+   */
+   async update(data) {
+     var result = await this.client.callAPI(this.endpoint, data, "PUT", true, {json:true});
+     return (this.parse(result));
+   }
+
+   /**
+   * Not supported for settings.
+   *
+   * @throws {Error} Always thrown.
+   */
+   async list() {
+     throw (new Error("Settings are not a collection; use get instead."));
+   }
+
+   /**
+   * Not supported for settings.
+   *
+   * @throws {Error} Always thrown.
+   */
+   async create() {
+     throw (new Error("Settings can't be created; use update instead."));
+   }
+
+   /**
+   * Not supported for settings.
+   *
+   * @throws {Error} Always thrown.
+   */
+   async delete() {
+     throw (new Error("Settings can't be deleted."));
+   }
+}
@@ -0,0 +1,61 @@
+/**
+* @file A typed client for the WordPress REST API users collection.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const WPResource = require('./WPResource.js');
+
+/**
+* @class Provides operations for the WordPress "users" collection, including
+* retrieval of the currently authenticated user.
+* @extends WPResource
+*/
+module.exports = class WPUsersResource extends WPResource {
+
+  /**
+  * Creates a new instance of WPUsersResource
+  *
+  * @param {WPAPILib} client The client instance used to make API calls.
+  */
+   constructor(client) {
+     super(client, "users");
+   }
+
+   /**
+   * Retrieves the currently authenticated user.
+   *
+   * @param {Object} [params=null] Query parameters to include (e.g.
+   * <code>{context:"edit"}</code>).
+   *
+   * @return {Promise} The promise resolves with the parsed user.
+   *
+   * @async
+   */
+   async me(params=null) {
+     var result = await this.client.callAPI(`${this.endpoint}/me`, params, "GET");
+     return (this.parse(result));
+   }
+
+   /**
+   * Deletes a user. Users don't support trashing so they are always
+   * permanently deleted.
+   *
+   * @param {Number|String} id The user ID.
+   * @param {Number} [reassign=null] The ID of the user to reassign the
+   * deleted user's posts and links to.
+   *
+   * @return {Promise} The promise resolves with the parsed response.
+   *
+   * @async
+   */
+   async delete(id, reassign=null) {
+     var params = new Object();
+     if (reassign != null) {
+       params.reassign = reassign;
+     }
+     var result = await super.delete(id, true, params);
+     return (result);
+   }
+}
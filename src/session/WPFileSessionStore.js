@@ -0,0 +1,155 @@
+/**
+* @file File-backed session store for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const WPSessionStore = require('./WPSessionStore.js');
+
+/**
+* @class Stores exported sessions in a single JSON file, keyed by session key.
+* The file contains authentication cookies and tokens so it's created readable
+* and writable by the owner only.
+* @extends WPSessionStore
+*/
+module.exports = class WPFileSessionStore extends WPSessionStore {
+
+  /**
+  * Creates a new instance of WPFileSessionStore
+  *
+  * @param {String} filePath The path of the JSON file to store sessions in. The
+  * file is created when the first session is saved.
+  */
+   constructor(filePath) {
+     super();
+     this._filePath = path.resolve(filePath);
+     this._updates = Promise.resolve();
+   }
+
+   /**
+   * @property {String} filePath The absolute path of the sessions file.
+   * @readonly
+   */
+   get filePath() {
+     return (this._filePath);
+   }
+
+   /**
+   * Reads all stored sessions from the file.
+   *
+   * @return {Promise} The promise resolves with an object of sessions keyed
+   * by session key (empty if the file doesn't exist).
+   *
+   * @async
+   */
+   async readAll() {
+     try {
+       var contents = await fs.promises.readFile(this.filePath, "utf8");
+     } catch (error) {
+       if (error.code == "ENOENT") {
+         return (new Object());
+       }
+       throw (error);
+     }
+     if (contents.trim() == "") {
+       return (new Object());
+     }
+     return (JSON.parse(contents));
+   }
+
+   /**
+   * Writes all sessions to the file. The file is replaced atomically, using a
+   * temporary file unique to the write.
+   *
+   * @param {Object} sessions The sessions keyed by session key.
+   *
+   * @async
+   */
+   async writeAll(sessions) {
+     await fs.promises.mkdir(path.dirname(this.filePath), {recursive:true});
+     var tempPath = this.filePath + "." + process.pid + "." + crypto.randomBytes(6).toString("hex") + ".tmp";
+     await fs.promises.writeFile(tempPath, JSON.stringify(sessions, null, 2), {mode:0o600});
+     try {
+       await fs.promises.rename(tempPath, this.filePath);
+     } catch (error) {
+       await fs.promises.unlink(tempPath).catch(() => {});
+       throw (error);
+     }
+   }
+
+   /**
+   * Reads, modifies and writes the sessions. Updates made through the same
+   * store are applied one at a time so that concurrent saves don't overwrite
+   * each other.
+   *
+   * @param {Function} modify A function invoked with the sessions object. It
+   * modifies the object and returns <code>false</code> if nothing needs to be written.
+   *
+   * @return {Promise} The promise resolves when the sessions have been written.
+   * @private
+   *
+   * @async
+   */
+   update(modify) {
+     var promise = this._updates.then(async () => {
+       var sessions = await this.readAll();
+       if (modify(sessions) != false) {
+         await this.writeAll(sessions);
+       }
+     });
+     this._updates = promise.catch(() => {});
+     return (promise);
+   }
+
+   /**
+   * Loads a stored session.
+   *
+   * @param {String} key The key the session was saved under.
+   *
+   * @return {Promise} The promise resolves with the session object, or
+   * <code>null</code> if no session is stored under the key.
+   *
+   * @async
+   */
+   async load(key) {
+     var sessions = await this.readAll();
+     if (sessions[key] == undefined) {
+       return (null);
+     }
+     return (sessions[key]);
+   }
+
+   /**
+   * Saves a session.
+   *
+   * @param {String} key The key to save the session under.
+   * @param {Object} session The exported session object.
+   *
+   * @async
+   */
+   async save(key, session) {
+     await this.update(sessions => {
+       sessions[key] = session;
+     });
+   }
+
+   /**
+   * Removes a stored session.
+   *
+   * @param {String} key The key the session was saved under.
+   *
+   * @async
+   */
+   async remove(key) {
+     await this.update(sessions => {
+       if (sessions[key] == undefined) {
+         return (false);
+       }
+       delete sessions[key];
+     });
+   }
+}
@@ -0,0 +1,62 @@
+/**
+* @file In-memory session store for WPAPILib.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+
+/**
+* @class Stores exported sessions in memory. This is also the base class for
+* persistent stores, which should override [load]{@link WPSessionStore#load},
+* [save]{@link WPSessionStore#save} and [remove]{@link WPSessionStore#remove}.
+*/
+module.exports = class WPSessionStore {
+
+  /**
+  * Creates a new instance of WPSessionStore
+  */
+   constructor() {
+     this._sessions = new Object();
+   }
+
+   /**
+   * Loads a stored session.
+   *
+   * @param {String} key The key the session was saved under.
+   *
+   * @return {Promise} The promise resolves with the session object, or
+   * <code>null</code> if no session is stored under the key.
+   *
+   * @async
+   */
+   async load(key) {
+     if (this._sessions[key] == undefined) {
+       return (null);
+     }
+     return (JSON.parse(this._sessions[key]));
+   }
+
+   /**
+   * Saves a session.
+   *
+   * @param {String} key The key to save the session under.
+   * @param {Object} session The exported session object.
+   *
+   * @async
+   */
+   async save(key, session) {
+     this._sessions[key] = JSON.stringify(session);
+   }
+
+   /**
+   * Removes a stored session.
+   *
+   * @param {String} key The key the session was saved under.
+   *
+   * @async
+   */
+   async remove(key) {
+     delete this._sessions[key];
+   }
+}
@@ -0,0 +1,344 @@
+/**
+* @file A record/replay WordPress server for offline testing.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const WPTestServer = require('./WPTestServer.js');
+
+/**
+* @class A local server that records the traffic exchanged with a real
+* WordPress site to a fixture file, and plays recorded fixtures back offline.
+* Clients are pointed at the local [url]{@link WPTestServer#url} in both modes.
+* <p>
+* In "record" mode, requests are forwarded to the target site and the
+* responses are stored. Occurrences of the target origin in response bodies
+* and "Location"/"Link" headers are replaced by the local origin (so that
+* discovered API roots and redirects stay local), and the "Domain" and
+* "Secure" attributes are removed from cookies. Request bodies aren't stored;
+* they're matched by hash. Fixtures may contain session cookies and nonces of
+* the recorded site.
+* </p><p>
+* In "replay" mode, each request is answered with the next unused recorded
+* response for the same method, path and body (or the last matching one if
+* all have been used). Unmatched requests are answered with a 404
+* "wpapilib_fixture_missing" error envelope.
+* </p>
+* @extends WPTestServer
+*/
+module.exports = class WPFixtureServer extends WPTestServer {
+
+  /**
+  * Creates a new instance of WPFixtureServer
+  *
+  * @param {Object} options Server options. In addition to the options of
+  * [WPTestServer]{@link WPTestServer}, these include:
+  * @param {String} options.fixtures The path of the fixture file to write
+  * (record mode) or read (replay mode).
+  * @param {String} [options.mode="replay"] Either "record" or "replay".
+  * @param {String} [options.target=null] The URL of the WordPress site to
+  * record. Required in record mode.
+  * @param {Boolean} [options.matchBody=true] If true, replayed requests must
+  * have the same body as the recorded ones.
+  */
+   constructor(options) {
+     super(options);
+     options = this._options;
+     this._mode = options.mode || "replay";
+     if ((this._mode != "record") && (this._mode != "replay")) {
+       throw (new Error(`Unsupported fixture mode "${this._mode}".`));
+     }
+     if ((options.fixtures == undefined) || (options.fixtures == null)) {
+       throw (new Error("A fixture file path is required."));
+     }
+     this._fixturePath = options.fixtures;
+     this._target = null;
+     if ((options.target != undefined) && (options.target != null)) {
+       this._target = new URL(options.target);
+     }
+     if ((this._mode == "record") && (this._target == null)) {
+       throw (new Error("A target URL is required to record fixtures."));
+     }
+     this._matchBody = (options.matchBody != false);
+     this._entries = new Array();
+     this._used = new Set();
+   }
+
+   /**
+   * @property {String} originPlaceholder The placeholder stored in fixtures
+   * instead of the server origin.
+   * @static
+   * @readonly
+   */
+   static get originPlaceholder() {
+     return ("{{WPAPILIB_ORIGIN}}");
+   }
+
+   /**
+   * @property {String} escapedOriginPlaceholder The placeholder stored in
+   * fixtures instead of the JSON-escaped server origin (e.g. "http:\/\/example.com").
+   * @static
+   * @readonly
+   */
+   static get escapedOriginPlaceholder() {
+     return ("{{WPAPILIB_ESCAPED_ORIGIN}}");
+   }
+
+   /**
+   * @property {String} mode The server mode, either "record" or "replay".
+   * @readonly
+   */
+   get mode() {
+     return (this._mode);
+   }
+
+   /**
+   * @property {Array} entries The recorded (or loaded) exchanges.
+   * @readonly
+   */
+   get entries() {
+     return (this._entries);
+   }
+
+   /**
+   * Starts the server, first loading the fixtures in replay mode.
+   *
+   * @return {Promise} The promise resolves with the server [url]{@link WPTestServer#url}.
+   *
+   * @async
+   */
+   async start() {
+     if (this.mode == "replay") {
+       var fixtures = JSON.parse(await fs.promises.readFile(this._fixturePath, "utf8"));
+       if ((fixtures == null) || (fixtures.version != 1) || (Array.isArray(fixtures.entries) == false)) {
+         throw (new Error(`"${this._fixturePath}" is not a fixture file.`));
+       }
+       this._entries = fixtures.entries;
+       this._used = new Set();
+     }
+     return (await super.start());
+   }
+
+   /**
+   * Stops the server, saving the fixtures first in record mode.
+   *
+   * @return {Promise} The promise resolves when the server has stopped.
+   *
+   * @async
+   */
+   async stop() {
+     if (this.mode == "record") {
+       await this.save();
+     }
+     return (await super.stop());
+   }
+
+   /**
+   * Writes the recorded exchanges to the fixture file.
+   *
+   * @return {Promise} The promise resolves when the file has been written.
+   *
+   * @async
+   */
+   async save() {
+     var fixtures = new Object();
+     fixtures.version = 1;
+     fixtures.target = this._target.href;
+     fixtures.recorded = new Date().toISOString();
+     fixtures.entries = this._entries;
+     await fs.promises.writeFile(this._fixturePath, JSON.stringify(fixtures, null, 2));
+   }
+
+   /**
+   * Records or replays a request.
+   *
+   * @param {http.IncomingMessage|http2.Http2ServerRequest} request The request.
+   * @param {http.ServerResponse|http2.Http2ServerResponse} response The response.
+   * @param {Buffer} body The request body.
+   *
+   * @async
+   */
+   async handleRequest(request, response, body) {
+     var bodyHash = crypto.createHash("sha256").update(body).digest("hex");
+     if (this.mode == "record") {
+       var entry = await this.forward(request, body);
+       entry.bodyHash = bodyHash;
+       this._entries.push(entry);
+     } else {
+       entry = this.findEntry(request.method, request.url, bodyHash);
+       if (entry == null) {
+         var envelope = new Object();
+         envelope.code = "wpapilib_fixture_missing";
+         envelope.message = `No fixture was recorded for ${request.method} ${request.url}.`;
+         envelope.data = new Object();
+         envelope.data.status = 404;
+         this.sendJSON(response, 404, envelope);
+         return;
+       }
+     }
+     var headers = new Object();
+     for (var name in entry.headers) {
+       headers[name] = this.localize(entry.headers[name]);
+     }
+     var responseBody = (entry.encoding == "base64") ? Buffer.from(entry.body, "base64") : this.localize(entry.body);
+     this.send(response, entry.status, null, responseBody, headers);
+   }
+
+   /**
+   * Finds the recorded exchange to replay for a request.
+   *
+   * @param {String} method The request method.
+   * @param {String} path The request path, including the query string.
+   * @param {String} bodyHash The SHA-256 hash of the request body.
+   *
+   * @return {Object} The exchange, or <code>null</code> if none matches.
+   * @private
+   */
+   findEntry(method, path, bodyHash) {
+     var lastMatch = null;
+     for (var count = 0; count < this._entries.length; count++) {
+       var entry = this._entries[count];
+       if ((entry.method != method) || (entry.path != path)) {
+         continue;
+       }
+       if ((this._matchBody == true) && (entry.bodyHash != bodyHash)) {
+         continue;
+       }
+       if (this._used.has(count) == false) {
+         this._used.add(count);
+         return (entry);
+       }
+       lastMatch = entry;
+     }
+     return (lastMatch);
+   }
+
+   /**
+   * Forwards a request to the target site and converts the response into
+   * a fixture entry.
+   *
+   * @param {http.IncomingMessage|http2.Http2ServerRequest} request The request.
+   * @param {Buffer} body The request body.
+   *
+   * @return {Promise} The promise resolves with the entry.
+   * @private
+   *
+   * @async
+   */
+   forward(request, body) {
+     var target = this._target;
+     var headers = new Object();
+     for (var name in request.headers) {
+       if ((name.startsWith(":") == false) && (["host", "connection", "keep-alive", "accept-encoding",
+           "transfer-encoding", "upgrade", "http2-settings"].includes(name) == false)) {
+         headers[name] = request.headers[name];
+       }
+     }
+     headers["host"] = target.host;
+     headers["accept-encoding"] = "identity";
+     headers["content-length"] = String(body.length);
+     var requestOptions = new Object();
+     requestOptions.hostname = target.hostname;
+     requestOptions.port = target.port;
+     requestOptions.path = request.url;
+     requestOptions.method = request.method;
+     requestOptions.headers = headers;
+     var transport = (target.protocol == "https:") ? https : http;
+     return (new Promise((resolve, reject) => {
+       var outgoing = transport.request(requestOptions, incoming => {
+         var chunks = new Array();
+         incoming.on("data", chunk => {
+           chunks.push(chunk);
+         });
+         incoming.on("error", reject);
+         incoming.on("end", () => {
+           resolve(this.createEntry(request, incoming, Buffer.concat(chunks)));
+         });
+       });
+       outgoing.on("error", reject);
+       outgoing.end(body);
+     }));
+   }
+
+   /**
+   * Creates a fixture entry from a target site response.
+   *
+   * @private
+   */
+   createEntry(request, incoming, data) {
+     var encoding = String(incoming.headers["content-encoding"] || "").toLowerCase();
+     if ((encoding == "gzip") || (encoding == "x-gzip")) {
+       data = zlib.gunzipSync(data);
+     } else if (encoding == "deflate") {
+       data = zlib.inflateSync(data);
+     } else if (encoding == "br") {
+       data = zlib.brotliDecompressSync(data);
+     }
+     var entry = new Object();
+     entry.method = request.method;
+     entry.path = request.url;
+     entry.status = incoming.statusCode;
+     entry.headers = new Object();
+     for (var name in incoming.headers) {
+       if (["connection", "keep-alive", "transfer-encoding", "content-length", "content-encoding"].includes(name) == true) {
+         continue;
+       }
+       var value = incoming.headers[name];
+       if (name == "set-cookie") {
+         value = value.map(cookie => cookie.replace(/;\s*domain=[^;]*/ig, "").replace(/;\s*secure(?=;|$)/ig, ""));
+       }
+       entry.headers[name] = this.generalize(value);
+     }
+     var contentType = String(incoming.headers["content-type"] || "").toLowerCase();
+     if ((contentType == "") || (contentType.startsWith("text/") == true) ||
+         (/json|xml|javascript|x-www-form-urlencoded/.test(contentType) == true)) {
+       entry.encoding = "utf8";
+       entry.body = this.generalize(data.toString("utf8"));
+     } else {
+       entry.encoding = "base64";
+       entry.body = data.toString("base64");
+     }
+     return (entry);
+   }
+
+   /**
+   * Replaces the target origin (plain or JSON-escaped) in a recorded value
+   * with the [originPlaceholder]{@link WPFixtureServer.originPlaceholder}
+   * (or [escapedOriginPlaceholder]{@link WPFixtureServer.escapedOriginPlaceholder}).
+   *
+   * @param {String|Array} value The value.
+   *
+   * @return {String|Array} The generalized value.
+   * @private
+   */
+   generalize(value) {
+     if (Array.isArray(value) == true) {
+       return (value.map(entry => this.generalize(entry)));
+     }
+     var origin = this._target.origin;
+     value = String(value).split(origin).join(WPFixtureServer.originPlaceholder);
+     return (value.split(origin.replace(/\//g, "\\/")).join(WPFixtureServer.escapedOriginPlaceholder));
+   }
+
+   /**
+   * Replaces the origin placeholders in a recorded value with the local origin.
+   *
+   * @param {String|Array} value The value.
+   *
+   * @return {String|Array} The localized value.
+   * @private
+   */
+   localize(value) {
+     if (Array.isArray(value) == true) {
+       return (value.map(entry => this.localize(entry)));
+     }
+     value = String(value).split(WPFixtureServer.escapedOriginPlaceholder).join(this.origin.replace(/\//g, "\\/"));
+     return (value.split(WPFixtureServer.originPlaceholder).join(this.origin));
+   }
+}
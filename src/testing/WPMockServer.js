@@ -0,0 +1,1432 @@
+/**
+* @file An in-process fake WordPress server for testing.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const crypto = require('crypto');
+const WPTestServer = require('./WPTestServer.js');
+
+/**
+* @class A fake WordPress site for tests of code built on WPAPILib. It mimics
+* the <code>wp-login.php</code> login flow and cookies, the
+* <code>var wpApiSettings</code> nonce page, the "rest-nonce" AJAX action,
+* REST API discovery, the REST index, the core collections (posts, pages,
+* media, categories, tags, comments and users) with pagination headers,
+* post type and taxonomy descriptions, settings, batch requests, Application Password authentication, and
+* WordPress error envelopes. Data is held in memory.
+* @extends WPTestServer
+*/
+module.exports = class WPMockServer extends WPTestServer {
+
+  /**
+  * Creates a new instance of WPMockServer
+  *
+  * @param {Object} [options=null] Server options. In addition to the options
+  * of [WPTestServer]{@link WPTestServer}, these may include:
+  * @param {Array} [options.users] The users of the site. Each may include an
+  * <code>id</code>, <code>username</code>, <code>password</code>,
+  * <code>name</code>, <code>email</code>, <code>roles</code> and
+  * <code>applicationPasswords</code> (an array of passwords). Defaults to
+  * an administrator named "admin" with the password "password".
+  * @param {Boolean} [options.prettyPermalinks=true] If true, the REST API is
+  * advertised at "wp-json/", otherwise at "?rest_route=/". Both roots work.
+  * @param {String} [options.name="Mock WordPress"] The site title.
+  * @param {Boolean} [options.etags=false] If true, successful "GET" REST
+  * responses include an "ETag" header and answer a matching "If-None-Match"
+  * header with "304 Not Modified", as caching plugins and proxies do.
+  */
+   constructor(options=null) {
+     super(options);
+     options = this._options;
+     this._prettyPermalinks = (options.prettyPermalinks != false);
+     this._siteName = options.name || "Mock WordPress";
+     this._etags = (options.etags == true);
+     this._cookieHash = crypto.createHash("md5").update(this._siteName).digest("hex");
+     this._collections = new Object();
+     this._nextIds = new Object();
+     var types = ["posts", "pages", "media", "categories", "tags", "comments", "users"];
+     for (var count = 0; count < types.length; count++) {
+       this._collections[types[count]] = new Array();
+       this._nextIds[types[count]] = 1;
+     }
+     this._sessions = new Object();
+     this._failures = new Array();
+     this._uploads = new Object();
+     this._settings = new Object();
+     this._settings.title = this._siteName;
+     this._settings.description = "Just another WordPress site";
+     this._settings.timezone = "UTC";
+     this._settings.date_format = "F j, Y";
+     this._settings.posts_per_page = 10;
+     this._settings.default_category = 1;
+     var users = options.users;
+     if (Array.isArray(users) == false) {
+       var admin = new Object();
+       admin.username = "admin";
+       admin.password = "password";
+       admin.name = "Admin";
+       admin.roles = ["administrator"];
+       users = [admin];
+     }
+     for (count = 0; count < users.length; count++) {
+       this.addUser(users[count]);
+     }
+     var category = new Object();
+     category.name = "Uncategorized";
+     this.addItem("categories", category);
+   }
+
+   /**
+   * @property {Object} collections The stored items of each collection type,
+   * keyed by type (e.g. <code>collections.posts</code>).
+   * @readonly
+   */
+   get collections() {
+     return (this._collections);
+   }
+
+   /**
+   * @property {Object} settings The site settings.
+   * @readonly
+   */
+   get settings() {
+     return (this._settings);
+   }
+
+   /**
+   * @property {String} APIRoot The advertised REST API root URL.
+   * @readonly
+   */
+   get APIRoot() {
+     if (this._prettyPermalinks == true) {
+       return (this.url + "wp-json/");
+     }
+     return (this.url + "?rest_route=/");
+   }
+
+   /**
+   * Adds a user to the site.
+   *
+   * @param {Object} user The user properties (see the <code>users</code>
+   * constructor option).
+   *
+   * @return {Object} The stored user.
+   */
+   addUser(user) {
+     var props = Object.assign(new Object(), user);
+     props.username = props.username || `user${this._nextIds.users}`;
+     props.name = props.name || props.username;
+     props.email = props.email || `${props.username}@example.com`;
+     props.slug = props.slug || this.slugify(props.username);
+     props.roles = props.roles || ["administrator"];
+     props.applicationPasswords = props.applicationPasswords || new Array();
+     return (this.addItem("users", props));
+   }
+
+   /**
+   * Adds an item to a collection, filling in defaults for the collection type.
+   *
+   * @param {String} type The collection type (e.g. "posts" or "tags").
+   * @param {Object} props The item properties. Rendered fields such as
+   * <code>title</code> may be strings or objects with a <code>raw</code> value.
+   *
+   * @return {Object} The stored item.
+   */
+   addItem(type, props) {
+     var item = Object.assign(new Object(), props);
+     if (item.id == undefined) {
+       item.id = this._nextIds[type];
+     }
+     this._nextIds[type] = Math.max(this._nextIds[type], item.id + 1);
+     var now = new Date().toISOString().substring(0, 19);
+     for (var name of ["title", "content", "excerpt", "caption", "description"]) {
+       if ((item[name] != undefined) && (item[name] != null) && (typeof(item[name]) == "object")) {
+         item[name] = (item[name].raw != undefined) ? item[name].raw : item[name].rendered;
+       }
+     }
+     switch (type) {
+       case "posts":
+       case "pages":
+       case "media":
+         item.date = item.date || now;
+         item.modified = item.modified || item.date;
+         item.status = item.status || ((type == "media") ? "inherit" : "draft");
+         item.title = item.title || "";
+         item.slug = item.slug || this.slugify(item.title) || String(item.id);
+         item.author = item.author || 1;
+         if (type == "posts") {
+           item.categories = item.categories || [this._settings.default_category];
+           item.tags = item.tags || new Array();
+         }
+         if (type != "media") {
+           item.content = item.content || "";
+           item.excerpt = item.excerpt || "";
+           item.featured_media = item.featured_media || 0;
+         }
+         if (type == "pages") {
+           item.parent = item.parent || 0;
+         }
+         break;
+       case "categories":
+       case "tags":
+         item.name = item.name || `Term ${item.id}`;
+         item.slug = item.slug || this.slugify(item.name);
+         item.description = item.description || "";
+         if (type == "categories") {
+           item.parent = item.parent || 0;
+         }
+         break;
+       case "comments":
+         item.post = item.post || 0;
+         item.author = item.author || 0;
+         item.author_name = item.author_name || "";
+         item.content = item.content || "";
+         item.status = item.status || "approved";
+         item.date = item.date || now;
+         break;
+     }
+     this._collections[type].push(item);
+     return (item);
+   }
+
+   /**
+   * Finds an item in a collection.
+   *
+   * @param {String} type The collection type.
+   * @param {Number|String} id The item ID.
+   *
+   * @return {Object} The stored item, or <code>null</code>.
+   */
+   getItem(type, id) {
+     var item = this._collections[type].find(item => String(item.id) == String(id));
+     return ((item == undefined) ? null : item);
+   }
+
+   /**
+   * Ends all login sessions, as if the authentication cookies had expired.
+   */
+   expireSessions() {
+     this._sessions = new Object();
+   }
+
+   /**
+   * Changes the nonces of all login sessions, as if they had expired.
+   */
+   expireNonces() {
+     for (var token in this._sessions) {
+       this._sessions[token].nonce = crypto.randomBytes(5).toString("hex");
+     }
+   }
+
+   /**
+   * Answers the next REST API requests with an error response, as an
+   * overloaded host or a rate limiter does.
+   *
+   * @param {Number} [count=1] The number of requests to fail.
+   * @param {Number} [status=503] The HTTP status code of the responses.
+   * @param {Object} [headers=null] Additional response headers, such as
+   * "Retry-After".
+   */
+   failRequests(count=1, status=503, headers=null) {
+     for (var index = 0; index < count; index++) {
+       var failure = new Object();
+       failure.status = status;
+       failure.headers = headers;
+       this._failures.push(failure);
+     }
+   }
+
+   /**
+   * Creates a URL slug from a title.
+   *
+   * @param {String} text The title.
+   *
+   * @return {String} The slug.
+   * @private
+   */
+   slugify(text) {
+     return (String(text).toLowerCase().replace(/<[^>]+>/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, ""));
+   }
+
+   /**
+   * Routes a request to the login, admin, upload or REST handlers.
+   *
+   * @param {http.IncomingMessage|http2.Http2ServerRequest} request The request.
+   * @param {http.ServerResponse|http2.Http2ServerResponse} response The response.
+   * @param {Buffer} body The request body.
+   *
+   * @async
+   */
+   async handleRequest(request, response, body) {
+     var url = new URL(request.url, this.origin);
+     var route = null;
+     if (url.searchParams.has("rest_route") == true) {
+       route = url.searchParams.get("rest_route");
+     } else if ((url.pathname == "/wp-json") || (url.pathname.startsWith("/wp-json/") == true)) {
+       route = url.pathname.substring(8);
+     }
+     if (route != null) {
+       this.handleREST(request, response, body, url, decodeURIComponent(route) || "/");
+       return;
+     }
+     switch (url.pathname) {
+       case "/":
+       case "/index.php":
+         this.handleHome(request, response);
+         break;
+       case "/wp-login.php":
+         this.handleLogin(request, response, body, url);
+         break;
+       case "/wp-admin/post-new.php":
+         this.handleNoncePage(request, response, url);
+         break;
+       case "/wp-admin/admin-ajax.php":
+         this.handleAJAX(request, response, url);
+         break;
+       default:
+         if (url.pathname.startsWith("/wp-content/uploads/") == true) {
+           this.handleUpload(request, response, url);
+         } else {
+           this.send(response, 404, "text/html; charset=UTF-8", "<html><body><h1>Not Found</h1></body></html>");
+         }
+         break;
+     }
+   }
+
+   /**
+   * Answers the home page with REST API discovery links.
+   *
+   * @private
+   */
+   handleHome(request, response) {
+     var headers = new Object();
+     headers["Link"] = `<${this.APIRoot}>; rel="https://api.w.org/"`;
+     var html = `<!DOCTYPE html><html><head><title>${this._siteName}</title>` +
+       `<link rel="https://api.w.org/" href="${this.APIRoot}" /></head><body><h1>${this._siteName}</h1></body></html>`;
+     this.send(response, 200, "text/html; charset=UTF-8", html, headers);
+   }
+
+   /**
+   * Answers the login form. Successful logins set the authentication cookies
+   * and redirect to the dashboard.
+   *
+   * @private
+   */
+   handleLogin(request, response, body, url) {
+     if (request.method != "POST") {
+       this.send(response, 200, "text/html; charset=UTF-8", this.getLoginPage(null), this.getTestCookieHeaders());
+       return;
+     }
+     var cookies = this.parseCookies(request);
+     if (cookies["wordpress_test_cookie"] == undefined) {
+       this.send(response, 200, "text/html; charset=UTF-8",
+         this.getLoginPage("Cookies are blocked or not supported by your browser."), this.getTestCookieHeaders());
+       return;
+     }
+     var params = this.parsePHPParams(body.toString());
+     var user = this._collections.users.find(user => ((user.username == params.log) || (user.email == params.log)));
+     if ((user == undefined) || (user.password != params.pwd)) {
+       this.send(response, 200, "text/html; charset=UTF-8",
+         this.getLoginPage("The username or password you entered is incorrect."), this.getTestCookieHeaders());
+       return;
+     }
+     var token = crypto.randomBytes(16).toString("hex");
+     var session = new Object();
+     session.user = user.id;
+     session.nonce = crypto.randomBytes(5).toString("hex");
+     this._sessions[token] = session;
+     var value = encodeURIComponent(`${user.username}|${Math.floor(Date.now() / 1000) + 172800}|${token}`);
+     var headers = new Object();
+     headers["Set-Cookie"] = [
+       `wordpress_${this._cookieHash}=${value}; path=/wp-admin; HttpOnly`,
+       `wordpress_logged_in_${this._cookieHash}=${value}; path=/; HttpOnly`
+     ];
+     headers["Location"] = url.searchParams.get("redirect_to") || params.redirect_to || (this.url + "wp-admin/");
+     this.send(response, 302, "text/html; charset=UTF-8", "", headers);
+   }
+
+   /**
+   * Answers the "Add New Post" screen, which includes the API settings and
+   * nonce, or redirects to the login form if not logged in.
+   *
+   * @private
+   */
+   handleNoncePage(request, response, url) {
+     var session = this.getSession(request);
+     if (session == null) {
+       var headers = new Object();
+       headers["Location"] = this.url + "wp-login.php?redirect_to=" + encodeURIComponent(url.href) + "&reauth=1";
+       this.send(response, 302, "text/html; charset=UTF-8", "", headers);
+       return;
+     }
+     var settings = new Object();
+     settings.root = this.APIRoot;
+     settings.nonce = session.nonce;
+     settings.versionString = "wp/v2/";
+     var html = `<!DOCTYPE html><html><head><script id="wp-api-request-js-extra">\n` +
+       `var wpApiSettings = ${JSON.stringify(settings).replace(/\//g, "\\/")};\n` +
+       `</script></head><body class="wp-admin"></body></html>`;
+     this.send(response, 200, "text/html; charset=UTF-8", html);
+   }
+
+   /**
+   * Answers AJAX actions; only "rest-nonce" is supported.
+   *
+   * @private
+   */
+   handleAJAX(request, response, url) {
+     var session = this.getSession(request);
+     if ((url.searchParams.get("action") != "rest-nonce") || (session == null)) {
+       this.send(response, 400, "text/html; charset=UTF-8", "0");
+       return;
+     }
+     this.send(response, 200, "text/html; charset=UTF-8", session.nonce);
+   }
+
+   /**
+   * Answers requests for uploaded media files.
+   *
+   * @private
+   */
+   handleUpload(request, response, url) {
+     var upload = this._uploads[decodeURIComponent(url.pathname)];
+     if (upload == undefined) {
+       this.send(response, 404, "text/html; charset=UTF-8", "<html><body><h1>Not Found</h1></body></html>");
+       return;
+     }
+     this.send(response, 200, upload.mimeType, upload.data);
+   }
+
+   /**
+   * Returns the HTML of the login form.
+   *
+   * @param {String} error The error message to display, or <code>null</code>.
+   *
+   * @return {String} The HTML.
+   * @private
+   */
+   getLoginPage(error) {
+     var errorHTML = (error == null) ? "" : `<div id="login_error"><strong>Error:</strong> ${error}</div>`;
+     return (`<!DOCTYPE html><html><body class="login">${errorHTML}<form name="loginform" id="loginform" ` +
+       `action="${this.url}wp-login.php" method="post"><input type="text" name="log" />` +
+       `<input type="password" name="pwd" /></form></body></html>`);
+   }
+
+   /**
+   * Returns the headers that set the login test cookie.
+   *
+   * @return {Object} The headers.
+   * @private
+   */
+   getTestCookieHeaders() {
+     var headers = new Object();
+     headers["Set-Cookie"] = ["wordpress_test_cookie=WP%20Cookie%20check; path=/"];
+     return (headers);
+   }
+
+   /**
+   * Parses the "Cookie" header of a request.
+   *
+   * @return {Object} The cookie values keyed by name.
+   * @private
+   */
+   parseCookies(request) {
+     var cookies = new Object();
+     var header = request.headers["cookie"];
+     if (header == undefined) {
+       return (cookies);
+     }
+     var pairs = String(header).split(";");
+     for (var count = 0; count < pairs.length; count++) {
+       var separator = pairs[count].indexOf("=");
+       if (separator > 0) {
+         cookies[pairs[count].substring(0, separator).trim()] = pairs[count].substring(separator + 1).trim();
+       }
+     }
+     return (cookies);
+   }
+
+   /**
+   * Finds the login session of a request's authentication cookies.
+   *
+   * @return {Object} The session, or <code>null</code> if the request isn't
+   * logged in.
+   * @private
+   */
+   getSession(request) {
+     var cookies = this.parseCookies(request);
+     var value = cookies[`wordpress_logged_in_${this._cookieHash}`] || cookies[`wordpress_${this._cookieHash}`];
+     if (value == undefined) {
+       return (null);
+     }
+     var parts = decodeURIComponent(value).split("|");
+     var session = this._sessions[parts[2]];
+     if ((session == undefined) || (Number(parts[1]) * 1000 < Date.now())) {
+       return (null);
+     }
+     return (session);
+   }
+
+   /**
+   * Determines the user of a REST request from Application Password (Basic)
+   * credentials, or from the login cookies and REST nonce. As in WordPress,
+   * cookies without a nonce are ignored.
+   *
+   * @return {Object} Contains the authenticated <code>user</code> (or
+   * <code>null</code>) and an <code>error</code> envelope if the
+   * credentials are invalid.
+   * @private
+   */
+   authenticateREST(request, url) {
+     var result = new Object();
+     result.user = null;
+     result.error = null;
+     var authorization = request.headers["authorization"];
+     if ((authorization != undefined) && (/^basic /i.test(authorization) == true)) {
+       var credentials = Buffer.from(authorization.substring(6), "base64").toString();
+       var separator = credentials.indexOf(":");
+       var userName = credentials.substring(0, separator);
+       var password = credentials.substring(separator + 1).replace(/\s/g, "");
+       var user = this._collections.users.find(user => user.username == userName);
+       if ((user == undefined) || (user.applicationPasswords.some(appPassword => appPassword.replace(/\s/g, "") == password) == false)) {
+         result.error = this.createError("incorrect_password", "The provided password is an invalid application password.", 401);
+       } else {
+         result.user = user;
+       }
+       return (result);
+     }
+     var session = this.getSession(request);
+     var nonce = request.headers["x-wp-nonce"] || url.searchParams.get("_wpnonce");
+     if ((session == null) || (nonce == undefined) || (nonce == null)) {
+       return (result);
+     }
+     if (nonce != session.nonce) {
+       result.error = this.createError("rest_cookie_invalid_nonce", "Cookie check failed", 403);
+       return (result);
+     }
+     result.user = this.getItem("users", session.user);
+     return (result);
+   }
+
+   /**
+   * Creates a WordPress error envelope.
+   *
+   * @param {String} code The error code.
+   * @param {String} message The error message.
+   * @param {Number} status The HTTP status.
+   * @param {Object} [params=null] Invalid parameters and their messages.
+   *
+   * @return {Object} The error envelope.
+   * @private
+   */
+   createError(code, message, status, params=null) {
+     var envelope = new Object();
+     envelope.code = code;
+     envelope.message = message;
+     envelope.data = new Object();
+     envelope.data.status = status;
+     if (params != null) {
+       envelope.data.params = params;
+     }
+     return (envelope);
+   }
+
+   /**
+   * Answers a REST API request.
+   *
+   * @private
+   */
+   handleREST(request, response, body, url, route) {
+     if (this._failures.length > 0) {
+       var failure = this._failures.shift();
+       this.sendJSON(response, failure.status, this.createError("mock_failure", "The request failed as requested.", failure.status), failure.headers);
+       return;
+     }
+     var method = request.method.toUpperCase();
+     var override = request.headers["x-http-method-override"] || url.searchParams.get("_method");
+     if ((method == "POST") && (override != undefined) && (override != null)) {
+       method = override.toUpperCase();
+     }
+     var params = this.getRequestParams(request, body, url);
+     var auth = this.authenticateREST(request, url);
+     if (auth.error != null) {
+       this.sendJSON(response, auth.error.data.status, auth.error);
+       return;
+     }
+     var result = this.dispatch(method, route, params, auth.user, request, body);
+     if ((method == "HEAD") && (result.status < 400)) {
+       result.data = "";
+     }
+     var headers = Object.assign(new Object(), result.headers);
+     headers["Link"] = `<${this.APIRoot}>; rel="https://api.w.org/"`;
+     if (headers["X-WP-Total"] != undefined) {
+       this.addPageLinks(headers, route, params, url);
+     }
+     if ((this._etags == true) && (method == "GET") && (result.status == 200)) {
+       var etag = '"' + crypto.createHash("md5").update(JSON.stringify(result.data)).digest("hex") + '"';
+       headers["ETag"] = etag;
+       if (request.headers["if-none-match"] == etag) {
+         this.send(response, 304, null, "", headers);
+         return;
+       }
+     }
+     this.sendJSON(response, result.status, result.data, headers);
+   }
+
+   /**
+   * Merges the query, form or JSON parameters of a request.
+   *
+   * @return {Object} The parameters.
+   * @private
+   */
+   getRequestParams(request, body, url) {
+     var params = this.parsePHPParams(url.search.substring(1));
+     delete params.rest_route;
+     var contentType = String(request.headers["content-type"] || "").toLowerCase();
+     if (body.length == 0) {
+       return (params);
+     }
+     if (contentType.includes("application/json") == true) {
+       try {
+         Object.assign(params, JSON.parse(body.toString()));
+       } catch (error) {
+         params._invalidJSON = true;
+       }
+     } else if (contentType.includes("application/x-www-form-urlencoded") == true) {
+       Object.assign(params, this.parsePHPParams(body.toString()));
+     }
+     return (params);
+   }
+
+   /**
+   * Parses a query string or form body the way PHP does: the last of repeated
+   * parameters wins, "name[]" parameters are collected into arrays, and
+   * "name[key]" parameters into objects.
+   *
+   * @param {String} query The URL-encoded parameters.
+   *
+   * @return {Object} The parameters.
+   * @private
+   */
+   parsePHPParams(query) {
+     var params = new Object();
+     var searchParams = new URLSearchParams(query);
+     searchParams.forEach((value, name) => {
+       var bracket = name.indexOf("[");
+       if ((bracket <= 0) || (name.endsWith("]") == false)) {
+         params[name] = value;
+         return;
+       }
+       var keys = [name.substring(0, bracket)].concat(name.substring(bracket + 1, name.length - 1).split("]["));
+       var target = params;
+       for (var count = 0; count < keys.length - 1; count++) {
+         var key = keys[count];
+         if ((Array.isArray(target) == true) && (key == "")) {
+           key = target.length;
+         }
+         var container = (/^\d*$/.test(keys[count + 1]) == true) ? new Array() : new Object();
+         if ((target[key] == undefined) || (typeof(target[key]) != "object")) {
+           target[key] = container;
+         }
+         target = target[key];
+       }
+       var lastKey = keys[keys.length - 1];
+       if (Array.isArray(target) == true) {
+         if (lastKey == "") {
+           target.push(value);
+         } else {
+           target[Number(lastKey)] = value;
+         }
+       } else {
+         target[lastKey] = value;
+       }
+     });
+     return (params);
+   }
+
+   /**
+   * Runs a REST request.
+   *
+   * @param {String} method The HTTP method.
+   * @param {String} route The namespaced route (e.g. "/wp/v2/posts/1").
+   * @param {Object} params The request parameters.
+   * @param {Object} user The authenticated user, or <code>null</code>.
+   * @param {Object} [request=null] The HTTP request (used for uploads).
+   * @param {Buffer} [body=null] The raw request body (used for uploads).
+   *
+   * @return {Object} Contains the response <code>status</code>,
+   * <code>data</code> and <code>headers</code>.
+   * @private
+   */
+   dispatch(method, route, params, user, request=null, body=null) {
+     route = "/" + route.replace(/^\/+|\/+$/g, "");
+     if (params._invalidJSON == true) {
+       return (this.result(400, this.createError("rest_invalid_json", "Invalid JSON body passed.", 400)));
+     }
+     if (route == "/") {
+       return (this.result(200, this.getIndex()));
+     }
+     if (route == "/batch/v1") {
+       if (method != "POST") {
+         return (this.noRoute());
+       }
+       return (this.runBatch(params, user));
+     }
+     if (route == "/wp/v2/settings") {
+       return (this.handleSettings(method, params, user));
+     }
+     if (route == "/wp/v2/users/me") {
+       if (user == null) {
+         return (this.result(401, this.createError("rest_not_logged_in", "You are not currently logged in.", 401)));
+       }
+       return (this.result(200, this.formatItem("users", user, "edit")));
+     }
+     if ((route == "/wp/v2/types") || (route == "/wp/v2/taxonomies")) {
+       if ((method != "GET") && (method != "HEAD")) {
+         return (this.noRoute());
+       }
+       return (this.result(200, (route == "/wp/v2/types") ? this.getTypes() : this.getTaxonomies()));
+     }
+     var match = route.match(/^\/wp\/v2\/(posts|pages|media|categories|tags|comments|users)(?:\/(\d+))?$/);
+     if (match == null) {
+       return (this.noRoute());
+     }
+     var type = match[1];
+     if (match[2] == undefined) {
+       if ((method == "GET") || (method == "HEAD")) {
+         return (this.listItems(type, params, user));
+       }
+       if (method == "POST") {
+         return (this.createItem(type, params, user, request, body));
+       }
+       return (this.noRoute());
+     }
+     var item = this.getItem(type, match[2]);
+     if ((item == null) || ((user == null) && (this.isVisible(type, item) == false))) {
+       return (this.invalidID(type));
+     }
+     switch (method) {
+       case "GET":
+       case "HEAD":
+         return (this.result(200, this.formatItem(type, item, (user == null) ? "view" : params.context)));
+       case "POST":
+       case "PUT":
+       case "PATCH":
+         return (this.updateItem(type, item, params, user));
+       case "DELETE":
+         return (this.deleteItem(type, item, params, user));
+     }
+     return (this.noRoute());
+   }
+
+   /**
+   * Creates a REST result object.
+   *
+   * @private
+   */
+   result(status, data, headers=null) {
+     var result = new Object();
+     result.status = status;
+     result.data = data;
+     result.headers = headers || new Object();
+     return (result);
+   }
+
+   /**
+   * Creates the "rest_no_route" result.
+   *
+   * @private
+   */
+   noRoute() {
+     return (this.result(404, this.createError("rest_no_route", "No route was found matching the URL and request method.", 404)));
+   }
+
+   /**
+   * Creates the "invalid ID" result of a collection type.
+   *
+   * @private
+   */
+   invalidID(type) {
+     switch (type) {
+       case "categories":
+       case "tags":
+         return (this.result(404, this.createError("rest_term_invalid", "Term does not exist.", 404)));
+       case "users":
+         return (this.result(404, this.createError("rest_user_invalid_id", "Invalid user ID.", 404)));
+       case "comments":
+         return (this.result(404, this.createError("rest_comment_invalid_id", "Invalid comment ID.", 404)));
+     }
+     return (this.result(404, this.createError("rest_post_invalid_id", "Invalid post ID.", 404)));
+   }
+
+   /**
+   * Checks whether an item is visible to anonymous requests.
+   *
+   * @private
+   */
+   isVisible(type, item) {
+     if ((type == "posts") || (type == "pages")) {
+       return (item.status == "publish");
+     }
+     if (type == "comments") {
+       return (item.status == "approved");
+     }
+     return (true);
+   }
+
+   /**
+   * Lists a collection with WordPress pagination semantics.
+   *
+   * @private
+   */
+   listItems(type, params, user) {
+     var perPage = (params.per_page == undefined) ? 10 : Number(params.per_page);
+     if ((Number.isInteger(perPage) == false) || (perPage < 1) || (perPage > 100)) {
+       var invalid = new Object();
+       invalid.per_page = "per_page must be between 1 (inclusive) and 100 (inclusive)";
+       return (this.result(400, this.createError("rest_invalid_param", "Invalid parameter(s): per_page", 400, invalid)));
+     }
+     var page = (params.page == undefined) ? 1 : Number(params.page);
+     var items = this._collections[type].slice();
+     if ((type == "posts") || (type == "pages")) {
+       var statuses = String(params.status || "publish").split(",");
+       if ((user == null) && (statuses.some(status => status != "publish") == true)) {
+         invalid = new Object();
+         invalid.status = "Status is forbidden.";
+         return (this.result(400, this.createError("rest_invalid_param", "Invalid parameter(s): status", 400, invalid)));
+       }
+       if (statuses.includes("any") == false) {
+         items = items.filter(item => statuses.includes(item.status));
+       } else {
+         items = items.filter(item => item.status != "trash");
+       }
+     } else if (user == null) {
+       items = items.filter(item => this.isVisible(type, item));
+     }
+     items = this.filterItems(items, params);
+     var total = items.length;
+     var totalPages = Math.ceil(total / perPage);
+     var offset = (params.offset == undefined) ? (page - 1) * perPage : Number(params.offset);
+     if ((params.offset == undefined) && (page > 1) && (page > totalPages)) {
+       return (this.result(400, this.createError("rest_post_invalid_page_number",
+         "The page number requested is larger than the number of pages available.", 400)));
+     }
+     var context = (user == null) ? "view" : params.context;
+     var data = items.slice(offset, offset + perPage).map(item => this.formatItem(type, item, context));
+     var headers = new Object();
+     headers["X-WP-Total"] = String(total);
+     headers["X-WP-TotalPages"] = String(totalPages);
+     return (this.result(200, data, headers));
+   }
+
+   /**
+   * Applies search, inclusion, author, parent, slug, date and order
+   * parameters to a list of items.
+   *
+   * @private
+   */
+   filterItems(items, params) {
+     var toList = value => String(value).split(",").map(entry => entry.trim());
+     if (params.search != undefined) {
+       var search = String(params.search).toLowerCase();
+       items = items.filter(item => JSON.stringify([item.title, item.name, item.content]).toLowerCase().includes(search));
+     }
+     if (params.include != undefined) {
+       var include = [].concat(params.include).join(",");
+       items = items.filter(item => toList(include).includes(String(item.id)));
+     }
+     if (params.exclude != undefined) {
+       var exclude = [].concat(params.exclude).join(",");
+       items = items.filter(item => toList(exclude).includes(String(item.id)) == false);
+     }
+     for (var name of ["author", "parent", "slug", "post"]) {
+       if (params[name] != undefined) {
+         var values = toList([].concat(params[name]).join(","));
+         items = items.filter(item => values.includes(String(item[name])));
+       }
+     }
+     for (name of ["categories", "tags"]) {
+       if (params[name] != undefined) {
+         var terms = toList([].concat(params[name]).join(","));
+         items = items.filter(item => (item[name] || []).some(term => terms.includes(String(term))));
+       }
+     }
+     var dateFilters = [["after", "date", 1], ["before", "date", -1], ["modified_after", "modified", 1], ["modified_before", "modified", -1]];
+     for (var count = 0; count < dateFilters.length; count++) {
+       var filter = dateFilters[count];
+       if (params[filter[0]] != undefined) {
+         var limit = Date.parse(params[filter[0]]);
+         items = items.filter(item => ((Date.parse(item[filter[1]] + "Z") - limit) * filter[2]) > 0);
+       }
+     }
+     var orderBy = params.orderby || (((items.length > 0) && (items[0].date != undefined)) ? "date" : "id");
+     var direction = (String(params.order || ((orderBy == "date") || (orderBy == "modified") ? "desc" : "asc")).toLowerCase() == "asc") ? 1 : -1;
+     if (orderBy == "title") {
+       orderBy = (items.length > 0) && (items[0].title == undefined) ? "name" : "title";
+     }
+     items.sort((itemA, itemB) => {
+       var valueA = itemA[orderBy];
+       var valueB = itemB[orderBy];
+       if (valueA == valueB) {
+         return ((itemA.id - itemB.id) * direction);
+       }
+       return (((valueA < valueB) ? -1 : 1) * direction);
+     });
+     return (items);
+   }
+
+   /**
+   * Formats a stored item as a REST response object.
+   *
+   * @param {String} type The collection type.
+   * @param {Object} item The stored item.
+   * @param {String} [context="view"] The REST context; "edit" includes raw
+   * values and private user fields.
+   *
+   * @return {Object} The response object.
+   * @private
+   */
+   formatItem(type, item, context="view") {
+     var data = Object.assign(new Object(), item);
+     var link = this.url;
+     switch (type) {
+       case "users":
+         delete data.password;
+         delete data.applicationPasswords;
+         data.slug = data.slug || this.slugify(data.username);
+         data.link = `${link}author/${data.slug}/`;
+         data.description = data.description || "";
+         if (context != "edit") {
+           delete data.username;
+           delete data.email;
+           delete data.roles;
+         }
+         return (data);
+       case "categories":
+       case "tags":
+         data.taxonomy = (type == "categories") ? "category" : "post_tag";
+         data.link = `${link}${(type == "categories") ? "category" : "tag"}/${data.slug}/`;
+         data.count = this._collections.posts.filter(post => (post[type] || []).includes(item.id)).length;
+         return (data);
+       case "comments":
+         data.content = this.formatRendered(item.content, context);
+         data.link = `${link}?p=${item.post}#comment-${item.id}`;
+         data.date_gmt = data.date;
+         return (data);
+     }
+     data.type = (type == "posts") ? "post" : ((type == "pages") ? "page" : "attachment");
+     data.link = (type == "media") ? data.source_url : `${link}?p=${item.id}`;
+     data.guid = this.formatRendered(`${link}?p=${item.id}`, context);
+     data.date_gmt = data.date;
+     data.modified_gmt = data.modified;
+     for (var name of ["title", "content", "excerpt", "caption", "description"]) {
+       if (data[name] != undefined) {
+         data[name] = this.formatRendered(data[name], context);
+       }
+     }
+     return (data);
+   }
+
+   /**
+   * Formats a raw text field as a <code>{rendered}</code> (and, in the edit
+   * context, <code>raw</code>) object.
+   *
+   * @private
+   */
+   formatRendered(value, context) {
+     var field = new Object();
+     if (context == "edit") {
+       field.raw = value;
+     }
+     field.rendered = value;
+     return (field);
+   }
+
+   /**
+   * Creates an item, or uploads a media file.
+   *
+   * @private
+   */
+   createItem(type, params, user, request, body) {
+     if (user == null) {
+       return (this.result(401, this.createError("rest_cannot_create", "Sorry, you are not allowed to create posts as this user.", 401)));
+     }
+     var error = this.validateItem(type, params);
+     if (error != null) {
+       return (error);
+     }
+     var props = this.getItemProps(params);
+     if (type == "media") {
+       var upload = this.storeUpload(request, body, params);
+       if (upload == null) {
+         return (this.result(400, this.createError("rest_upload_no_data", "No data supplied.", 400)));
+       }
+       Object.assign(props, upload);
+     }
+     if ((type == "posts") || (type == "pages")) {
+       props.author = props.author || user.id;
+     }
+     if (type == "comments") {
+       if (props.author != undefined) {
+         if (this.getItem("users", props.author) == null) {
+           return (this.result(400, this.createError("rest_comment_author_invalid", "Invalid comment author ID.", 400)));
+         }
+       } else if ((props.author_name || props.author_email || props.author_url || "") == "") {
+         //comments without author details are attributed to the current user
+         props.author = user.id;
+       } else {
+         props.author = 0;
+       }
+     }
+     if ((type == "comments") && ((props.status == "approve") || (props.status == "1"))) {
+       props.status = "approved";
+     }
+     if ((type == "users") && (props.password == undefined)) {
+       return (this.result(400, this.createError("rest_missing_callback_param", "Missing parameter(s): password", 400)));
+     }
+     var item = (type == "users") ? this.addUser(props) : this.addItem(type, props);
+     var headers = new Object();
+     headers["Location"] = `${this.APIRoot}wp/v2/${type}/${item.id}`;
+     return (this.result(201, this.formatItem(type, item, "edit"), headers));
+   }
+
+   /**
+   * Stores an uploaded media file sent as a raw body or multipart form.
+   *
+   * @return {Object} The attachment properties, or <code>null</code> if no
+   * file was sent.
+   * @private
+   */
+   storeUpload(request, body, params) {
+     var contentType = String(request.headers["content-type"] || "");
+     var fileName = null;
+     var data = body;
+     var mimeType = contentType.split(";")[0].trim();
+     if (contentType.startsWith("multipart/form-data") == true) {
+       var fields = this.parseMultipart(body, contentType);
+       for (var count = 0; count < fields.length; count++) {
+         if (fields[count].fileName != null) {
+           fileName = fields[count].fileName;
+           data = fields[count].data;
+           mimeType = fields[count].contentType || "application/octet-stream";
+         } else {
+           params[fields[count].name] = fields[count].data.toString();
+         }
+       }
+     } else {
+       var disposition = String(request.headers["content-disposition"] || "");
+       //like WordPress, the UTF-8 "filename*" is preferred over "filename"
+       var extendedMatch = disposition.match(/filename\*=UTF-8''([^;\s]+)/i);
+       var nameMatch = disposition.match(/filename="?([^";]+)"?/i);
+       if (extendedMatch != null) {
+         fileName = decodeURIComponent(extendedMatch[1]);
+       } else if (nameMatch != null) {
+         fileName = decodeURIComponent(nameMatch[1]);
+       }
+     }
+     if ((fileName == null) || (data.length == 0)) {
+       return (null);
+     }
+     var filePath = `/wp-content/uploads/${fileName}`;
+     var upload = new Object();
+     upload.mimeType = mimeType;
+     upload.data = data;
+     this._uploads[filePath] = upload;
+     var props = this.getItemProps(params);
+     props.title = props.title || fileName.replace(/\.[^.]+$/, "");
+     props.source_url = this.url + filePath.substring(1);
+     props.mime_type = mimeType;
+     props.media_type = mimeType.startsWith("image/") ? "image" : "file";
+     props.alt_text = props.alt_text || "";
+     props.media_details = {filesize:data.length};
+     return (props);
+   }
+
+   /**
+   * Parses a <code>multipart/form-data</code> body.
+   *
+   * @return {Array} The parts, each containing a field <code>name</code>,
+   * <code>fileName</code> (or <code>null</code>), <code>contentType</code>
+   * and <code>data</code> <code>Buffer</code>.
+   * @private
+   */
+   parseMultipart(body, contentType) {
+     var boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+     var parts = new Array();
+     if (boundaryMatch == null) {
+       return (parts);
+     }
+     var delimiter = Buffer.from("--" + (boundaryMatch[1] || boundaryMatch[2]));
+     var position = body.indexOf(delimiter);
+     while (position >= 0) {
+       var start = position + delimiter.length;
+       var next = body.indexOf(delimiter, start);
+       if (next < 0) {
+         break;
+       }
+       var part = body.subarray(start + 2, next - 2);
+       var headerEnd = part.indexOf("\r\n\r\n");
+       if (headerEnd >= 0) {
+         var headers = part.subarray(0, headerEnd).toString();
+         var nameMatch = headers.match(/name="([^"]*)"/i);
+         var fileMatch = headers.match(/filename="([^"]*)"/i);
+         var typeMatch = headers.match(/content-type:\s*([^\r\n]+)/i);
+         var entry = new Object();
+         entry.name = (nameMatch == null) ? "" : nameMatch[1];
+         entry.fileName = (fileMatch == null) ? null : fileMatch[1];
+         entry.contentType = (typeMatch == null) ? null : typeMatch[1].trim();
+         entry.data = part.subarray(headerEnd + 4);
+         parts.push(entry);
+       }
+       position = next;
+     }
+     return (parts);
+   }
+
+   /**
+   * Copies the writable properties of a request into item properties.
+   *
+   * @private
+   */
+   getItemProps(params) {
+     var props = new Object();
+     for (var name in params) {
+       if (["context", "force", "reassign", "_method", "_wpnonce", "id"].includes(name) == false) {
+         props[name] = params[name];
+       }
+     }
+     for (name of ["categories", "tags"]) {
+       if (typeof(props[name]) == "string") {
+         props[name] = props[name].split(",").filter(term => term != "").map(Number);
+       } else if (Array.isArray(props[name]) == true) {
+         props[name] = props[name].map(Number);
+       }
+     }
+     for (name of ["author", "featured_media", "parent", "post"]) {
+       if ((props[name] != undefined) && (isNaN(Number(props[name])) == false)) {
+         props[name] = Number(props[name]);
+       }
+     }
+     return (props);
+   }
+
+   /**
+   * Validates the writable properties of an item.
+   *
+   * @return {Object} An error result, or <code>null</code> if the properties are valid.
+   * @private
+   */
+   validateItem(type, params) {
+     var statuses = ["publish", "future", "draft", "pending", "private"];
+     if (((type == "posts") || (type == "pages")) && (params.status != undefined) && (statuses.includes(params.status) == false)) {
+       var invalid = new Object();
+       invalid.status = `status is not one of ${statuses.join(", ")}.`;
+       return (this.result(400, this.createError("rest_invalid_param", "Invalid parameter(s): status", 400, invalid)));
+     }
+     if (((type == "categories") || (type == "tags")) && (params.name == undefined)) {
+       return (this.result(400, this.createError("rest_missing_callback_param", "Missing parameter(s): name", 400)));
+     }
+     return (null);
+   }
+
+   /**
+   * Updates an item.
+   *
+   * @private
+   */
+   updateItem(type, item, params, user) {
+     if (user == null) {
+       return (this.result(401, this.createError("rest_cannot_edit", "Sorry, you are not allowed to edit this post.", 401)));
+     }
+     if ((type == "categories") || (type == "tags")) {
+       params = Object.assign(new Object(), params);
+       params.name = params.name || item.name;
+     }
+     var error = this.validateItem(type, params);
+     if (error != null) {
+       return (error);
+     }
+     var props = this.getItemProps(params);
+     for (var name of ["title", "content", "excerpt", "caption", "description"]) {
+       if ((props[name] != undefined) && (props[name] != null) && (typeof(props[name]) == "object")) {
+         props[name] = props[name].raw;
+       }
+     }
+     Object.assign(item, props);
+     if (item.modified != undefined) {
+       item.modified = new Date().toISOString().substring(0, 19);
+     }
+     return (this.result(200, this.formatItem(type, item, "edit")));
+   }
+
+   /**
+   * Trashes or deletes an item.
+   *
+   * @private
+   */
+   deleteItem(type, item, params, user) {
+     if (user == null) {
+       return (this.result(401, this.createError("rest_cannot_delete", "Sorry, you are not allowed to delete this post.", 401)));
+     }
+     var force = ((params.force == true) || (params.force == "true") || (params.force == "1"));
+     if ((type == "users") && (params.reassign == undefined)) {
+       return (this.result(400, this.createError("rest_missing_callback_param", "Missing parameter(s): reassign", 400)));
+     }
+     if (force == false) {
+       if ((type == "posts") || (type == "pages") || (type == "comments")) {
+         if (item.status == "trash") {
+           return (this.result(410, this.createError("rest_already_trashed", "The post has already been deleted.", 410)));
+         }
+         item.status = "trash";
+         return (this.result(200, this.formatItem(type, item, "edit")));
+       }
+       return (this.result(501, this.createError("rest_trash_not_supported",
+         `Terms, users and attachments do not support trashing. Set "force=true" to delete.`, 501)));
+     }
+     var previous = this.formatItem(type, item, "edit");
+     var collection = this._collections[type];
+     collection.splice(collection.indexOf(item), 1);
+     if (type == "users") {
+       var reassign = Number(params.reassign);
+       this._collections.posts.concat(this._collections.pages).forEach(post => {
+         if (post.author == item.id) {
+           post.author = reassign;
+         }
+       });
+     }
+     var data = new Object();
+     data.deleted = true;
+     data.previous = previous;
+     return (this.result(200, data));
+   }
+
+   /**
+   * Reads or updates the site settings.
+   *
+   * @private
+   */
+   handleSettings(method, params, user) {
+     if (user == null) {
+       return (this.result(401, this.createError("rest_forbidden", "Sorry, you are not allowed to do that.", 401)));
+     }
+     if ((method == "POST") || (method == "PUT") || (method == "PATCH")) {
+       for (var name in params) {
+         if (this._settings[name] != undefined) {
+           this._settings[name] = params[name];
+         }
+       }
+     } else if ((method != "GET") && (method != "HEAD")) {
+       return (this.noRoute());
+     }
+     return (this.result(200, Object.assign(new Object(), this._settings)));
+   }
+
+   /**
+   * Runs the sub-requests of a "/batch/v1" request.
+   *
+   * @private
+   */
+   runBatch(params, user) {
+     var requests = params.requests;
+     if ((Array.isArray(requests) == false) || (requests.length > 25)) {
+       var invalid = new Object();
+       invalid.requests = "requests must contain at most 25 items.";
+       return (this.result(400, this.createError("rest_invalid_param", "Invalid parameter(s): requests", 400, invalid)));
+     }
+     var validation = params.validation || "normal";
+     var checks = requests.map(subRequest => {
+       var subParams = Object.assign(this.getPathParams(subRequest.path), subRequest.body);
+       var type = (String(subRequest.path).match(/^\/wp\/v2\/(\w+)/) || [])[1];
+       if ((subRequest.method != "DELETE") && (type != undefined)) {
+         var error = this.validateItem(type, subParams);
+         if (error != null) {
+           return (error);
+         }
+       }
+       return (null);
+     });
+     var responses = new Array();
+     if ((validation == "require-all-validate") && (checks.some(check => check != null) == true)) {
+       for (var count = 0; count < checks.length; count++) {
+         responses.push((checks[count] == null) ? null : this.envelope(checks[count]));
+       }
+       var failed = new Object();
+       failed.failed = "validation";
+       failed.responses = responses;
+       return (this.result(207, failed));
+     }
+     for (count = 0; count < requests.length; count++) {
+       var subRequest = requests[count];
+       var path = String(subRequest.path || "/");
+       var subParams = Object.assign(this.getPathParams(path), subRequest.body);
+       var route = path.split("?")[0];
+       var result = this.dispatch(String(subRequest.method || "POST").toUpperCase(), route, subParams, user);
+       responses.push(this.envelope(result));
+     }
+     var data = new Object();
+     data.responses = responses;
+     return (this.result(207, data));
+   }
+
+   /**
+   * Parses the query parameters of a batch sub-request path.
+   *
+   * @private
+   */
+   getPathParams(path) {
+     var params = new Object();
+     var queryIndex = String(path).indexOf("?");
+     if (queryIndex >= 0) {
+       Object.assign(params, this.parsePHPParams(path.substring(queryIndex + 1)));
+     }
+     return (params);
+   }
+
+   /**
+   * Wraps a result as a batch sub-response.
+   *
+   * @private
+   */
+   envelope(result) {
+     var response = new Object();
+     response.body = result.data;
+     response.status = result.status;
+     response.headers = result.headers;
+     return (response);
+   }
+
+   /**
+   * Adds "Link" pagination headers to a collection response.
+   *
+   * @private
+   */
+   addPageLinks(headers, route, params, url) {
+     var page = Number(params.page || 1);
+     var totalPages = Number(headers["X-WP-TotalPages"]);
+     var links = [headers["Link"]];
+     var pageURL = pageNumber => {
+       var query = new URLSearchParams(url.search);
+       query.delete("rest_route");
+       query.set("page", String(pageNumber));
+       if (this._prettyPermalinks == true) {
+         return (`${this.url}wp-json${route}?${query.toString()}`);
+       }
+       return (`${this.url}?rest_route=${route}&${query.toString()}`);
+     };
+     if (page > 1) {
+       links.push(`<${pageURL(page - 1)}>; rel="prev"`);
+     }
+     if (page < totalPages) {
+       links.push(`<${pageURL(page + 1)}>; rel="next"`);
+     }
+     headers["Link"] = links.join(", ");
+   }
+
+   /**
+   * Describes the post types of the site, as listed by "/wp/v2/types".
+   *
+   * @return {Object} The post types keyed by slug.
+   * @private
+   */
+   getTypes() {
+     var types = new Object();
+     types.post = {slug:"post", name:"Posts", hierarchical:false, rest_base:"posts", rest_namespace:"wp/v2", taxonomies:["category", "post_tag"]};
+     types.page = {slug:"page", name:"Pages", hierarchical:true, rest_base:"pages", rest_namespace:"wp/v2", taxonomies:[]};
+     types.attachment = {slug:"attachment", name:"Media", hierarchical:false, rest_base:"media", rest_namespace:"wp/v2", taxonomies:[]};
+     return (types);
+   }
+
+   /**
+   * Describes the taxonomies of the site, as listed by "/wp/v2/taxonomies".
+   *
+   * @return {Object} The taxonomies keyed by slug.
+   * @private
+   */
+   getTaxonomies() {
+     var taxonomies = new Object();
+     taxonomies.category = {slug:"category", name:"Categories", hierarchical:true, rest_base:"categories", rest_namespace:"wp/v2", types:["post"]};
+     taxonomies.post_tag = {slug:"post_tag", name:"Tags", hierarchical:false, rest_base:"tags", rest_namespace:"wp/v2", types:["post"]};
+     return (taxonomies);
+   }
+
+   /**
+   * Builds the REST index, including argument schemas for the core routes.
+   *
+   * @return {Object} The index.
+   * @private
+   */
+   getIndex() {
+     var index = new Object();
+     index.name = this._siteName;
+     index.description = this._settings.description;
+     index.url = this.url.replace(/\/$/, "");
+     index.home = index.url;
+     index.namespaces = ["wp/v2", "batch/v1"];
+     index.authentication = new Object();
+     index.authentication["application-passwords"] = {endpoints:{authorization:this.url + "wp-admin/authorize-application.php"}};
+     index.routes = new Object();
+     var addRoute = (route, namespace, endpoints) => {
+       var methods = new Array();
+       endpoints.forEach(endpoint => {
+         methods = methods.concat(endpoint.methods);
+       });
+       index.routes[route] = {namespace:namespace, methods:methods, endpoints:endpoints};
+     };
+     addRoute("/", "", [{methods:["GET"], args:{context:{default:"view", required:false}}}]);
+     addRoute("/batch/v1", "batch/v1", [{methods:["POST"], args:{
+       validation:{type:"string", enum:["require-all-validate", "normal"], default:"normal", required:false},
+       requests:{type:"array", maxItems:25, required:true, items:{type:"object"}}}}]);
+     var listArgs = {
+       context:{type:"string", enum:["view", "embed", "edit"], default:"view", required:false},
+       page:{type:"integer", default:1, minimum:1, required:false},
+       per_page:{type:"integer", default:10, minimum:1, maximum:100, required:false},
+       search:{type:"string", required:false},
+       offset:{type:"integer", required:false},
+       order:{type:"string", enum:["asc", "desc"], default:"desc", required:false},
+       orderby:{type:"string", enum:["date", "id", "include", "modified", "slug", "title", "name"], required:false},
+       include:{type:"array", items:{type:"integer"}, default:[], required:false},
+       exclude:{type:"array", items:{type:"integer"}, default:[], required:false}
+     };
+     var postArgs = {
+       date:{type:["string", "null"], format:"date-time", required:false},
+       slug:{type:"string", required:false},
+       status:{type:"string", enum:["publish", "future", "draft", "pending", "private"], required:false},
+       title:{type:"object", required:false},
+       content:{type:"object", required:false},
+       excerpt:{type:"object", required:false},
+       author:{type:"integer", required:false},
+       featured_media:{type:"integer", required:false},
+       parent:{type:"integer", required:false},
+       categories:{type:"array", items:{type:"integer"}, required:false},
+       tags:{type:"array", items:{type:"integer"}, required:false},
+       meta:{type:"object", required:false}
+     };
+     var idArgs = {id:{type:"integer", required:false}, context:listArgs.context};
+     var types = ["posts", "pages", "media", "categories", "tags", "comments", "users"];
+     for (var count = 0; count < types.length; count++) {
+       var type = types[count];
+       var collectionArgs = Object.assign(new Object(), listArgs);
+       if ((type == "posts") || (type == "pages")) {
+         collectionArgs.status = {type:"array", items:{type:"string", enum:["publish", "future", "draft", "pending", "private", "trash", "any"]}, default:"publish", required:false};
+         collectionArgs.modified_after = {type:"string", format:"date-time", required:false};
+         collectionArgs.modified_before = {type:"string", format:"date-time", required:false};
+         collectionArgs.after = {type:"string", format:"date-time", required:false};
+         collectionArgs.before = {type:"string", format:"date-time", required:false};
+       }
+       var writeArgs = ((type == "posts") || (type == "pages") || (type == "media")) ? postArgs : {name:{type:"string", required:false}};
+       addRoute(`/wp/v2/${type}`, "wp/v2", [{methods:["GET"], args:collectionArgs},
+         {methods:["POST"], args:writeArgs, allow_batch:{v1:true}}]);
+       addRoute(`/wp/v2/${type}/(?P<id>[\\d]+)`, "wp/v2", [{methods:["GET"], args:idArgs},
+         {methods:["POST", "PUT", "PATCH"], args:Object.assign({id:idArgs.id}, writeArgs), allow_batch:{v1:true}},
+         {methods:["DELETE"], args:{id:idArgs.id, force:{type:"boolean", default:false, required:false}}, allow_batch:{v1:true}}]);
+     }
+     addRoute("/wp/v2/users/me", "wp/v2", [{methods:["GET"], args:{context:listArgs.context}}]);
+     addRoute("/wp/v2/types", "wp/v2", [{methods:["GET"], args:{context:listArgs.context}}]);
+     addRoute("/wp/v2/taxonomies", "wp/v2", [{methods:["GET"], args:{context:listArgs.context}}]);
+     addRoute("/wp/v2/settings", "wp/v2", [{methods:["GET"], args:[]}, {methods:["POST", "PUT", "PATCH"], args:{
+       title:{type:"string", required:false}, description:{type:"string", required:false}}}]);
+     return (index);
+   }
+}
@@ -0,0 +1,255 @@
+/**
+* @file Base class of the in-process WordPress test servers.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+
+/**
+* @class An in-process HTTP server used by the WordPress test servers. The
+* server speaks HTTP/1.1, cleartext HTTP/2 (h2c), or, if a key and certificate
+* are supplied, TLS with ALPN negotiation of HTTP/2 and HTTP/1.1. Subclasses
+* implement [handleRequest]{@link WPTestServer#handleRequest}.
+*/
+module.exports = class WPTestServer {
+
+  /**
+  * Creates a new instance of WPTestServer
+  *
+  * @param {Object} [options=null] Server options.
+  * @param {Boolean} [options.http2=false] If true, the server speaks HTTP/2.
+  * Without TLS this is cleartext HTTP/2, which clients must be configured to
+  * use (for example with the WPAPILib <code>http2:true</code> option).
+  * @param {String|Buffer} [options.key=null] The TLS private key. If a key and
+  * certificate are included, the server uses HTTPS.
+  * @param {String|Buffer} [options.cert=null] The TLS certificate.
+  * @param {String} [options.host="127.0.0.1"] The interface to listen on.
+  * @param {Number} [options.port=0] The port to listen on. If 0, a free
+  * port is chosen.
+  */
+   constructor(options=null) {
+     if ((options == null) || (options == undefined)) {
+       options = new Object();
+     }
+     this._options = options;
+     this._useHTTP2 = (options.http2 == true);
+     this._secure = ((options.key != undefined) && (options.cert != undefined));
+     this._host = options.host || "127.0.0.1";
+     this._port = options.port || 0;
+     this._server = null;
+     this._connections = new Set();
+     this._requests = new Array();
+   }
+
+   /**
+   * @property {String} url The base URL of the running server (ending with
+   * "/"), or <code>null</code> if it isn't running.
+   * @readonly
+   */
+   get url() {
+     if (this._server == null) {
+       return (null);
+     }
+     var protocol = (this._secure == true) ? "https:" : "http:";
+     return (`${protocol}//${this._host}:${this._server.address().port}/`);
+   }
+
+   /**
+   * @property {String} origin The origin of the running server, or
+   * <code>null</code> if it isn't running.
+   * @readonly
+   */
+   get origin() {
+     if (this._server == null) {
+       return (null);
+     }
+     return (new URL(this.url).origin);
+   }
+
+   /**
+   * @property {Boolean} useHTTP2 <code>true</code> if the server speaks HTTP/2.
+   * @readonly
+   */
+   get useHTTP2() {
+     return (this._useHTTP2);
+   }
+
+   /**
+   * @property {Array} requests A log of the requests received, each an object
+   * containing the <code>method</code>, <code>path</code>, request
+   * <code>headers</code>, <code>body</code> <code>Buffer</code> and HTTP
+   * <code>version</code>.
+   * @readonly
+   */
+   get requests() {
+     return (this._requests);
+   }
+
+   /**
+   * Starts the server.
+   *
+   * @return {Promise} The promise resolves with the server [url]{@link WPTestServer#url}.
+   *
+   * @async
+   */
+   start() {
+     if (this._server != null) {
+       return (Promise.resolve(this.url));
+     }
+     var handler = (request, response) => {
+       this.receive(request, response);
+     };
+     var serverOptions = new Object();
+     if (this._secure == true) {
+       serverOptions.key = this._options.key;
+       serverOptions.cert = this._options.cert;
+       if (this.useHTTP2 == true) {
+         serverOptions.allowHTTP1 = true;
+         this._server = http2.createSecureServer(serverOptions, handler);
+       } else {
+         this._server = https.createServer(serverOptions, handler);
+       }
+     } else if (this.useHTTP2 == true) {
+       this._server = http2.createServer(serverOptions, handler);
+     } else {
+       this._server = http.createServer(serverOptions, handler);
+     }
+     this._server.on("session", session => {
+       this._connections.add(session);
+       session.on("close", () => {
+         this._connections.delete(session);
+       });
+     });
+     return (new Promise((resolve, reject) => {
+       this._server.once("error", reject);
+       this._server.listen(this._port, this._host, () => {
+         this._server.removeListener("error", reject);
+         resolve(this.url);
+       });
+     }));
+   }
+
+   /**
+   * Stops the server, closing any open connections.
+   *
+   * @return {Promise} The promise resolves when the server has stopped.
+   *
+   * @async
+   */
+   stop() {
+     if (this._server == null) {
+       return (Promise.resolve(true));
+     }
+     var server = this._server;
+     this._server = null;
+     return (new Promise(resolve => {
+       server.close(() => {
+         resolve(true);
+       });
+       this._connections.forEach(session => {
+         session.destroy();
+       });
+       if (typeof(server.closeAllConnections) == "function") {
+         server.closeAllConnections();
+       }
+     }));
+   }
+
+   /**
+   * Reads a request body and passes the request to
+   * [handleRequest]{@link WPTestServer#handleRequest}. Handler errors are
+   * answered with a WordPress-style 500 error envelope.
+   *
+   * @param {http.IncomingMessage|http2.Http2ServerRequest} request The request.
+   * @param {http.ServerResponse|http2.Http2ServerResponse} response The response.
+   * @private
+   */
+   receive(request, response) {
+     var chunks = new Array();
+     request.on("data", chunk => {
+       chunks.push(chunk);
+     });
+     request.on("end", () => {
+       var entry = new Object();
+       entry.method = request.method;
+       entry.path = request.url;
+       entry.headers = request.headers;
+       entry.body = Buffer.concat(chunks);
+       entry.version = request.httpVersion;
+       this._requests.push(entry);
+       Promise.resolve().then(() => {
+         return (this.handleRequest(request, response, entry.body));
+       }).catch(error => {
+         var envelope = new Object();
+         envelope.code = "internal_server_error";
+         envelope.message = error.message;
+         envelope.data = {status:500};
+         this.sendJSON(response, 500, envelope);
+       });
+     });
+   }
+
+   /**
+   * Handles a request. This must be overridden by subclasses.
+   *
+   * @param {http.IncomingMessage|http2.Http2ServerRequest} request The request.
+   * @param {http.ServerResponse|http2.Http2ServerResponse} response The response.
+   * @param {Buffer} body The request body.
+   *
+   * @return {Promise} The promise resolves when the response has been sent.
+   *
+   * @async
+   */
+   async handleRequest(request, response, body) {
+     this.send(response, 501, "text/plain", "Not implemented.");
+   }
+
+   /**
+   * Sends a response.
+   *
+   * @param {http.ServerResponse|http2.Http2ServerResponse} response The response.
+   * @param {Number} status The HTTP status code.
+   * @param {String} contentType The "Content-Type" header, or <code>null</code>.
+   * @param {String|Buffer} [body=""] The response body.
+   * @param {Object} [headers=null] Additional response headers.
+   */
+   send(response, status, contentType, body="", headers=null) {
+     if (response.headersSent == true) {
+       return;
+     }
+     if (headers != null) {
+       for (var name in headers) {
+         response.setHeader(name, headers[name]);
+       }
+     }
+     if (contentType != null) {
+       response.setHeader("Content-Type", contentType);
+     }
+     response.setHeader("Content-Length", String(Buffer.byteLength(body)));
+     response.writeHead(status);
+     response.end(body);
+   }
+
+   /**
+   * Sends a JSON response.
+   *
+   * @param {http.ServerResponse|http2.Http2ServerResponse} response The response.
+   * @param {Number} status The HTTP status code.
+   * @param {*} data The data to encode.
+   * @param {Object} [headers=null] Additional response headers.
+   */
+   sendJSON(response, status, data, headers=null) {
+     this.send(response, status, "application/json; charset=UTF-8", JSON.stringify(data), headers);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+     return (`${this.constructor.name} ${this.url}`);
+   }
+}
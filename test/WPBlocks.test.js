@@ -0,0 +1,160 @@
+/**
+* @file Tests of parsing, serializing and converting block markup.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const WPBlockParser = require('../src/blocks/WPBlockParser.js');
+const WPBlockSerializer = require('../src/blocks/WPBlockSerializer.js');
+const WPMarkdownConverter = require('../src/blocks/WPMarkdownConverter.js');
+
+test.describe("WPBlockParser and WPBlockSerializer", () => {
+  var parser = new WPBlockParser();
+  var serializer = new WPBlockSerializer();
+
+  test.it("round-trips nested blocks and the HTML between them", () => {
+    var markup = [
+      "<!-- wp:columns {\"verticalAlignment\":\"top\"} -->",
+      "<div class=\"wp-block-columns\"><!-- wp:column -->",
+      "<div class=\"wp-block-column\"><!-- wp:paragraph -->",
+      "<p>Left</p>",
+      "<!-- /wp:paragraph --></div>",
+      "<!-- /wp:column -->",
+      "",
+      "<!-- wp:column -->",
+      "<div class=\"wp-block-column\"><!-- wp:my-plugin/notice {\"type\":\"warning\"} /--></div>",
+      "<!-- /wp:column --></div>",
+      "<!-- /wp:columns -->",
+      "",
+      "<!-- wp:separator /-->"
+    ].join("\n");
+    var blocks = parser.parse(markup);
+    assert.deepStrictEqual(blocks.map(block => block.blockName), ["core/columns", null, "core/separator"]);
+    var columns = blocks[0];
+    assert.deepStrictEqual(columns.attrs, {verticalAlignment:"top"});
+    assert.strictEqual(columns.innerBlocks.length, 2);
+    assert.deepStrictEqual(columns.innerContent.map(content => (content == null) ? null : typeof(content)), ["string", null, "string", null, "string"]);
+    assert.strictEqual(columns.innerHTML, "\n<div class=\"wp-block-columns\">\n\n</div>\n");
+    var notice = parser.findBlocks(blocks, "my-plugin/notice")[0];
+    assert.deepStrictEqual(notice.attrs, {type:"warning"});
+    assert.deepStrictEqual(notice.innerContent, []);
+    assert.strictEqual(parser.findBlocks(blocks, "paragraph")[0].innerHTML, "\n<p>Left</p>\n");
+    assert.strictEqual(blocks[1].innerHTML, "\n\n");
+    assert.deepStrictEqual(blocks[2].attrs, new Object());
+    assert.strictEqual(serializer.serialize(blocks), markup);
+  });
+
+  test.it("keeps freeform HTML outside of blocks", () => {
+    var markup = "<p>Classic content</p>\n<!-- wp:paragraph -->\n<p>Block</p>\n<!-- /wp:paragraph -->\n<p>Trailing</p>";
+    var blocks = parser.parse(markup);
+    assert.deepStrictEqual(blocks.map(block => block.blockName), [null, "core/paragraph", null]);
+    assert.deepStrictEqual(blocks[0].innerContent, ["<p>Classic content</p>\n"]);
+    assert.strictEqual(blocks[2].innerHTML, "\n<p>Trailing</p>");
+    assert.strictEqual(serializer.serialize(blocks), markup);
+    var classic = parser.parse("<p>No blocks at all</p>");
+    assert.strictEqual(classic.length, 1);
+    assert.strictEqual(classic[0].blockName, null);
+    assert.strictEqual(serializer.serialize(classic), "<p>No blocks at all</p>");
+    assert.deepStrictEqual(parser.parse(""), []);
+  });
+
+  test.it("keeps attributes that aren't valid JSON unchanged", () => {
+    var markup = "<!-- wp:image {\"id\":12,} -->\n<figure></figure>\n<!-- /wp:image -->\n<!-- wp:spacer {height:20} /-->";
+    var blocks = parser.parse(markup);
+    assert.deepStrictEqual(blocks.map(block => block.blockName), ["core/image", null, "core/spacer"]);
+    assert.strictEqual(blocks[0].attrs, null);
+    assert.strictEqual(blocks[0].rawAttrs, "{\"id\":12,}");
+    assert.strictEqual(blocks[0].innerHTML, "\n<figure></figure>\n");
+    assert.strictEqual(blocks[2].attrs, null);
+    assert.strictEqual(blocks[2].rawAttrs, "{height:20}");
+    assert.strictEqual(serializer.serialize(blocks), markup);
+    blocks[0].attrs = {id:12};
+    assert.strictEqual(serializer.serializeBlock(blocks[0]), "<!-- wp:image {\"id\":12} -->\n<figure></figure>\n<!-- /wp:image -->");
+  });
+
+  test.it("escapes attributes that could end the comment or be taken for markup", () => {
+    var attrs = {text:"a --> <b>&amp; \"quoted\"", path:"C:\\dir"};
+    var encoded = serializer.serializeAttributes(attrs);
+    assert.strictEqual(encoded, "{\"text\":\"a \\u002d\\u002d\\u003e \\u003cb\\u003e\\u0026amp; \\u0022quoted\\u0022\",\"path\":\"C:\\\\dir\"}");
+    var markup = serializer.serializeBlock({blockName:"my-plugin/quote", attrs:attrs, innerHTML:"<p>Hi</p>"});
+    assert.strictEqual(markup, `<!-- wp:my-plugin/quote ${encoded} --><p>Hi</p><!-- /wp:my-plugin/quote -->`);
+    var blocks = parser.parse(markup);
+    assert.strictEqual(blocks.length, 1);
+    assert.deepStrictEqual(blocks[0].attrs, attrs);
+    assert.strictEqual(blocks[0].innerHTML, "<p>Hi</p>");
+    assert.strictEqual(serializer.serialize(blocks), markup);
+  });
+
+  test.it("serializes new blocks from their innerHTML and inner blocks", () => {
+    var quote = {blockName:"core/quote", innerHTML:"", innerBlocks:[{blockName:"core/paragraph", innerHTML:"<p>Hi</p>"}]};
+    assert.strictEqual(serializer.serializeBlock(quote), "<!-- wp:quote --><!-- wp:paragraph --><p>Hi</p><!-- /wp:paragraph --><!-- /wp:quote -->");
+    assert.strictEqual(serializer.serialize([{blockName:"core/spacer", attrs:{height:"20px"}}, {blockName:"core/more"}], "\n\n"),
+      "<!-- wp:spacer {\"height\":\"20px\"} /-->\n\n<!-- wp:more /-->");
+  });
+});
+
+test.describe("WPMarkdownConverter", () => {
+  var converter = new WPMarkdownConverter();
+  var parser = new WPBlockParser();
+  var serializer = new WPBlockSerializer();
+
+  test.it("converts headings", () => {
+    assert.strictEqual(converter.toMarkup("# Title\n\nSetext\n------\n\n### Third ###"), [
+      "<!-- wp:heading {\"level\":1} -->\n<h1 class=\"wp-block-heading\">Title</h1>\n<!-- /wp:heading -->",
+      "<!-- wp:heading -->\n<h2 class=\"wp-block-heading\">Setext</h2>\n<!-- /wp:heading -->",
+      "<!-- wp:heading {\"level\":3} -->\n<h3 class=\"wp-block-heading\">Third</h3>\n<!-- /wp:heading -->"
+    ].join("\n\n"));
+  });
+
+  test.it("converts nested bulleted and numbered lists", () => {
+    var blocks = converter.convert("- one\n- two\n  - nested\n\n3. three\n4. four");
+    assert.deepStrictEqual(blocks.map(block => [block.blockName, block.attrs]), [["core/list", new Object()], ["core/list", {ordered:true, start:3}]]);
+    var items = blocks[0].innerBlocks;
+    assert.deepStrictEqual(items.map(item => item.blockName), ["core/list-item", "core/list-item"]);
+    assert.strictEqual(items[1].innerBlocks[0].blockName, "core/list");
+    assert.strictEqual(items[1].innerBlocks[0].innerBlocks[0].innerHTML, "\n<li>nested</li>\n");
+    assert.strictEqual(serializer.serialize([blocks[1]]), [
+      "<!-- wp:list {\"ordered\":true,\"start\":3} -->",
+      "<ol start=\"3\" class=\"wp-block-list\"><!-- wp:list-item -->",
+      "<li>three</li>",
+      "<!-- /wp:list-item -->",
+      "",
+      "<!-- wp:list-item -->",
+      "<li>four</li>",
+      "<!-- /wp:list-item --></ol>",
+      "<!-- /wp:list -->"
+    ].join("\n"));
+  });
+
+  test.it("converts fenced and indented code without converting its contents", () => {
+    assert.strictEqual(converter.toMarkup("```js\nvar a = 1 < 2; // *not emphasis*\n```"),
+      "<!-- wp:code {\"className\":\"language-js\"} -->\n<pre class=\"wp-block-code language-js\"><code>var a = 1 &lt; 2; // *not emphasis*</code></pre>\n<!-- /wp:code -->");
+    assert.strictEqual(converter.toMarkup("Text\n\n    indented & code"),
+      "<!-- wp:paragraph -->\n<p>Text</p>\n<!-- /wp:paragraph -->\n\n<!-- wp:code -->\n<pre class=\"wp-block-code\"><code>indented &amp; code</code></pre>\n<!-- /wp:code -->");
+  });
+
+  test.it("converts images and inline formatting", () => {
+    assert.strictEqual(converter.toMarkup("![Alt \"text\"](https://example.com/a.png \"Caption\")"),
+      "<!-- wp:image -->\n<figure class=\"wp-block-image\"><img src=\"https://example.com/a.png\" alt=\"Alt &quot;text&quot;\"/><figcaption class=\"wp-element-caption\">Caption</figcaption></figure>\n<!-- /wp:image -->");
+    assert.strictEqual(converter.toMarkup("Some *em*, **strong** and `<code>` with [a link](https://example.com)."),
+      "<!-- wp:paragraph -->\n<p>Some <em>em</em>, <strong>strong</strong> and <code>&lt;code&gt;</code> with <a href=\"https://example.com\">a link</a>.</p>\n<!-- /wp:paragraph -->");
+  });
+
+  test.it("converts block quotes containing other blocks", () => {
+    var blocks = converter.convert("> Quoted **text**\n>\n> - item");
+    assert.strictEqual(blocks.length, 1);
+    assert.strictEqual(blocks[0].blockName, "core/quote");
+    assert.deepStrictEqual(blocks[0].innerBlocks.map(block => block.blockName), ["core/paragraph", "core/list"]);
+    assert.strictEqual(blocks[0].innerBlocks[0].innerHTML, "\n<p>Quoted <strong>text</strong></p>\n");
+  });
+
+  test.it("produces markup that round-trips through the parser", () => {
+    var markup = converter.toMarkup("# Title\n\nText with <br> & more.\n\n> - one\n> - two\n\n---\n\n1. a\n2. b\n\n```\ncode\n```");
+    assert.strictEqual(serializer.serialize(parser.parse(markup)), markup);
+    var names = parser.parse(markup).filter(block => block.blockName != null).map(block => block.blockName);
+    assert.deepStrictEqual(names, ["core/heading", "core/paragraph", "core/quote", "core/separator", "core/list", "core/code"]);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+* @file Tests of running operations over many items with WPBulkRunner.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const WPAPILib = require('../src/WPAPILib.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+
+test.describe("WPBulkRunner", () => {
+  var server = null;
+  var client = null;
+  var posts = null;
+
+  test.beforeEach(async () => {
+    server = new WPMockServer();
+    await server.start();
+    client = new WPAPILib(server.url);
+    await client.login("admin", "password");
+    posts = new Array();
+    for (var count = 0; count < 8; count++) {
+      posts.push(server.addItem("posts", {title:`Post ${count}`, status:"publish"}));
+    }
+  });
+
+  test.afterEach(async () => {
+    await client.close();
+    await server.stop();
+  });
+
+  test.it("runs no more operations at once than the concurrency limit", async () => {
+    var active = 0;
+    var maxActive = 0;
+    var runner = client.bulk({concurrency:3});
+    var report = await runner.run(posts, async (post, client) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      try {
+        await client.wait(20);
+        return (await client.posts.update(post.id, {title:post.title.rendered + " (updated)"}));
+      } finally {
+        active--;
+      }
+    });
+    assert.strictEqual(maxActive, 3);
+    assert.strictEqual(report.total, 8);
+    assert.strictEqual(report.succeeded.length, 8);
+    assert.deepStrictEqual(report.succeeded.map(entry => entry.id).sort(), posts.map(post => String(post.id)).sort());
+    assert.ok(server.collections.posts.every(post => post.title.endsWith("(updated)") == true));
+  });
+
+  test.it("spaces the starts of operations according to the rate", async () => {
+    var starts = new Array();
+    var runner = client.bulk({concurrency:4, rate:20});
+    var begun = Date.now();
+    await runner.run(posts.slice(0, 5), async (post, client) => {
+      starts.push(Date.now() - begun);
+      return (await client.posts.get(post.id));
+    });
+    assert.strictEqual(starts.length, 5);
+    //each operation is given a start time 50ms after the previous one's (timers may fire a millisecond early)
+    for (var count = 1; count < starts.length; count++) {
+      assert.ok(starts[count] >= ((count * 50) - 1), `Operation ${count} started after ${starts[count]}ms.`);
+    }
+  });
+
+  test.it("stops after the first failure with stopOnError", async () => {
+    var processed = new Array();
+    var runner = client.bulk({concurrency:1, stopOnError:true});
+    var report = await runner.run([posts[0].id, 99999, posts[1].id, posts[2].id], async (id, client) => {
+      processed.push(id);
+      return (await client.posts.update(id, {title:"Changed"}));
+    });
+    assert.deepStrictEqual(processed, [posts[0].id, 99999]);
+    assert.strictEqual(report.stopped, true);
+    assert.strictEqual(report.total, 2);
+    assert.deepStrictEqual(report.succeeded.map(entry => entry.id), [String(posts[0].id)]);
+    assert.strictEqual(report.failed.length, 1);
+    assert.strictEqual(report.failed[0].id, "99999");
+    assert.strictEqual(report.failed[0].error.status, 404);
+    assert.strictEqual(runner.checkpoint.failed["99999"].status, 404);
+  });
+
+  test.it("reports items skipped by the operation", async () => {
+    server.getItem("posts", posts[1].id).title = "Done";
+    var outcomes = new Array();
+    var runner = client.bulk({keepResults:true});
+    runner.on("progress", progress => {
+      outcomes.push(progress.outcome);
+    });
+    var report = await runner.run(posts.slice(0, 3), async (post, client) => {
+      var current = await client.posts.get(post.id);
+      if (current.title.rendered == "Done") {
+        return (WPAPILib.WPBulkRunner.skip("unchanged"));
+      }
+      return ((await client.posts.update(post.id, {title:"Done"})).id);
+    });
+    assert.deepStrictEqual(report.skipped, [{id:String(posts[1].id), index:1, reason:"unchanged"}]);
+    assert.deepStrictEqual(report.succeeded.map(entry => entry.result).sort(), [posts[0].id, posts[2].id].sort());
+    assert.deepStrictEqual(outcomes.sort(), ["skipped", "succeeded", "succeeded"]);
+  });
+
+  test.it("resumes from a checkpoint and removes it after a complete run", async () => {
+    var store = new WPAPILib.WPSessionStore();
+    var items = posts.slice(0, 4);
+    var attempts = new Object();
+    var operation = async (post, client) => {
+      attempts[post.id] = (attempts[post.id] || 0) + 1;
+      if ((post.id == items[2].id) && (attempts[post.id] == 1)) {
+        throw (new Error("Locked for editing."));
+      }
+      return (await client.posts.update(post.id, {title:"Resumed"}));
+    };
+    var saved = 0;
+    var runner = client.bulk({store:store, key:"retag", concurrency:2});
+    runner.on("checkpoint", () => {
+      saved++;
+    });
+    var first = await runner.run(items, operation);
+    assert.strictEqual(first.failed.length, 1);
+    assert.strictEqual(saved, 1);
+    var checkpoint = await store.load("retag");
+    assert.deepStrictEqual(Object.keys(checkpoint.completed).sort(), [items[0].id, items[1].id, items[3].id].map(String).sort());
+    assert.deepStrictEqual(Object.keys(checkpoint.failed), [String(items[2].id)]);
+    assert.strictEqual(checkpoint.failed[items[2].id].message, "Locked for editing.");
+    var resumedRunner = client.bulk({store:store, key:"retag"});
+    var resumed = await resumedRunner.run(items, operation);
+    assert.deepStrictEqual(resumed.succeeded.map(entry => entry.id), [String(items[2].id)]);
+    assert.strictEqual(resumed.skipped.length, 3);
+    assert.ok(resumed.skipped.every(entry => entry.reason == "checkpoint") == true);
+    assert.deepStrictEqual(items.map(post => attempts[post.id]), [1, 1, 2, 1]);
+    assert.strictEqual(await store.load("retag"), null);
+    assert.strictEqual(resumedRunner.checkpoint, null);
+    assert.throws(() => client.bulk({store:store}), /checkpoint key is required/);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+* @file Tests of the response cache.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WPAPILib = require('../src/WPAPILib.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+
+/**
+* Starts a mock server and creates a client using a response cache.
+*
+* @param {Object} context The test context, used to close the client and server.
+* @param {Object} [cache=true] The cache, or the options of a new cache.
+* @param {Object} [serverOptions=null] The mock server options.
+*
+* @return {Promise} The promise resolves with an object containing the
+* <code>server</code> and <code>client</code>.
+*/
+async function startCachedClient(context, cache=true, serverOptions=null) {
+  var setup = new Object();
+  setup.server = new WPMockServer(serverOptions);
+  await setup.server.start();
+  setup.client = new WPAPILib(setup.server.url, {cache:cache});
+  context.after(async () => {
+    await setup.client.close();
+    await setup.server.stop();
+  });
+  return (setup);
+}
+
+/**
+* Counts the "GET" requests a mock server received for a route.
+*
+* @param {WPMockServer} server The mock server.
+* @param {String} route The namespaced API route.
+*
+* @return {Number} The number of requests.
+*/
+function countRequests(server, route) {
+  return (server.requests.filter(entry => (entry.method == "GET") && (entry.path.split("?")[0].endsWith(route) == true)).length);
+}
+
+/**
+* Expires all entries of a cache, as if their time to live had passed.
+*
+* @param {WPCache} cache The cache.
+*
+* @async
+*/
+async function expireEntries(cache) {
+  var keys = await cache.store.keys();
+  for (var count = 0; count < keys.length; count++) {
+    var entry = await cache.store.load(keys[count]);
+    entry.expires = Date.now() - 1;
+    await cache.store.save(keys[count], entry);
+  }
+}
+
+test.it("keeps the responses of different users apart", async (context) => {
+  var setup = await startCachedClient(context);
+  setup.server.addUser({username:"writer", name:"Writer", email:"writer@example.com", password:"secret"});
+  var writerClient = new WPAPILib(setup.server.url, {cache:setup.client.cache});
+  context.after(async () => {
+    await writerClient.close();
+  });
+  await setup.client.login("admin", "password");
+  await writerClient.login("writer", "secret");
+  var cache = setup.client.cache;
+  assert.notStrictEqual(cache.getIdentity(setup.client), cache.getIdentity(writerClient));
+  assert.strictEqual(cache.getIdentity(setup.client, false), "anonymous");
+  assert.strictEqual(cache.getIdentity(writerClient, false), "anonymous");
+  assert.strictEqual((await setup.client.callAPI("users/me", null, "GET")).data.username, "admin");
+  assert.strictEqual((await writerClient.callAPI("users/me", null, "GET")).data.username, "writer");
+  var adminResult = await setup.client.callAPI("users/me", null, "GET");
+  var writerResult = await writerClient.callAPI("users/me", null, "GET");
+  assert.strictEqual(adminResult.cached, true);
+  assert.strictEqual(adminResult.data.username, "admin");
+  assert.strictEqual(writerResult.cached, true);
+  assert.strictEqual(writerResult.data.username, "writer");
+  assert.strictEqual(countRequests(setup.server, "/wp/v2/users/me"), 2);
+});
+
+test.it("uses fresh entries and revalidates expired ones with their ETags", async (context) => {
+  var setup = await startCachedClient(context, {routes:[{route:"/wp/v2/categories", ttl:60000}, {route:"/wp/v2/tags", ttl:0}]}, {etags:true});
+  setup.server.addItem("categories", {name:"News"});
+  await setup.client.login("admin", "password");
+  var route = "/wp/v2/categories";
+  var first = await setup.client.sendRoute(route, null, "GET");
+  assert.strictEqual(first.cached, undefined);
+  assert.ok(first.headers["etag"] != undefined);
+  var second = await setup.client.sendRoute(route, null, "GET");
+  assert.strictEqual(second.cached, true);
+  assert.deepStrictEqual(second.data, first.data);
+  assert.strictEqual(countRequests(setup.server, route), 1);
+  await expireEntries(setup.client.cache);
+  var revalidated = await setup.client.sendRoute(route, null, "GET");
+  assert.strictEqual(countRequests(setup.server, route), 2);
+  assert.strictEqual(setup.server.requests[setup.server.requests.length - 1].headers["if-none-match"], first.headers["etag"]);
+  assert.strictEqual(revalidated.cached, true);
+  assert.strictEqual(revalidated.status, 200);
+  assert.deepStrictEqual(revalidated.data, first.data);
+  //the renewed entry is fresh again
+  assert.strictEqual((await setup.client.sendRoute(route, null, "GET")).cached, true);
+  assert.strictEqual(countRequests(setup.server, route), 2);
+  setup.server.addItem("categories", {name:"Sports"});
+  await expireEntries(setup.client.cache);
+  var changed = await setup.client.sendRoute(route, null, "GET");
+  assert.strictEqual(changed.cached, undefined);
+  assert.strictEqual(changed.data.length, first.data.length + 1);
+  assert.notStrictEqual(changed.headers["etag"], first.headers["etag"]);
+  assert.strictEqual((await setup.client.sendRoute(route, null, "GET", true, {cache:false})).cached, undefined);
+  await setup.client.sendRoute("/wp/v2/tags", null, "GET");
+  assert.strictEqual((await setup.client.sendRoute("/wp/v2/tags", null, "GET")).cached, undefined);
+});
+
+test.it("invalidates the collections written to, including through batch requests", async (context) => {
+  var setup = await startCachedClient(context);
+  await setup.client.login("admin", "password");
+  setup.server.addItem("tags", {name:"Existing"});
+  await setup.client.callAPI("posts", null, "GET");
+  await setup.client.callAPI("categories", null, "GET");
+  await setup.client.callAPI("tags", null, "GET");
+  var post = await setup.client.posts.create({title:"New", status:"publish"});
+  var posts = await setup.client.callAPI("posts", null, "GET");
+  assert.strictEqual(posts.cached, undefined);
+  assert.deepStrictEqual(posts.data.map(item => item.id), [post.id]);
+  assert.strictEqual((await setup.client.callAPI("tags", null, "GET")).cached, true);
+  await setup.client.callAPI(`posts/${post.id}`, null, "GET");
+  await setup.client.callAPI(`posts/${post.id}`, {title:"Renamed"}, "POST");
+  var renamed = await setup.client.callAPI(`posts/${post.id}`, null, "GET");
+  assert.strictEqual(renamed.cached, undefined);
+  assert.strictEqual(renamed.data.title.rendered, "Renamed");
+  var batch = setup.client.batch();
+  batch.create("categories", {name:"Batched"});
+  await batch.send();
+  var categories = await setup.client.callAPI("categories", null, "GET");
+  assert.strictEqual(categories.cached, undefined);
+  assert.ok(categories.data.some(category => category.name == "Batched") == true);
+  assert.strictEqual((await setup.client.callAPI("tags", null, "GET")).cached, true);
+});
+
+test.it("applies concurrent file store updates one at a time", async (context) => {
+  var directory = fs.mkdtempSync(path.join(os.tmpdir(), "wpapi-cache-"));
+  context.after(() => {
+    fs.rmSync(directory, {recursive:true, force:true});
+  });
+  var filePath = path.join(directory, "cache.json");
+  var store = new WPAPILib.WPFileCacheStore(filePath, {maxEntries:15});
+  var saves = new Array();
+  for (var count = 0; count < 20; count++) {
+    saves.push(store.save(`key${count}`, {value:count}));
+  }
+  await Promise.all(saves);
+  var keys = await store.keys();
+  assert.deepStrictEqual(keys, saves.map((save, index) => `key${index}`).slice(5));
+  await Promise.all([store.remove("key5"), store.save("key20", {value:20}), store.remove("key6"), store.save("key7", {value:70})]);
+  keys = await store.keys();
+  assert.strictEqual(keys.length, 14);
+  assert.strictEqual(keys.includes("key5"), false);
+  assert.strictEqual(keys.includes("key6"), false);
+  assert.deepStrictEqual(keys.slice(-2), ["key20", "key7"]);
+  assert.deepStrictEqual(await store.load("key7"), {value:70});
+  assert.deepStrictEqual(fs.readdirSync(directory), ["cache.json"]);
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+  var reopened = new WPAPILib.WPFileCacheStore(filePath);
+  assert.deepStrictEqual(await reopened.keys(), keys);
+});
@@ -0,0 +1,191 @@
+/**
+* @file Tests of the wpapi command-line tool.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WPCommandLine = require('../src/cli/WPCommandLine.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+
+/**
+* Creates a stream-like object collecting what's written to it.
+*
+* @return {Object} An object with a <code>write</code> function and the
+* <code>output</code> written so far.
+*/
+function createOutput() {
+  var output = new Object();
+  output.output = "";
+  output.write = (data) => {
+    output.output += data;
+    return (true);
+  };
+  return (output);
+}
+
+/**
+* Creates a temporary home directory, optionally with a ".wpapi/config.json"
+* file.
+*
+* @param {Object} context The test context, used to remove the directory.
+* @param {Object} [config=null] The config file contents.
+*
+* @return {String} The path of the directory.
+*/
+function createHomeDir(context, config=null) {
+  var homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "wpapi-test-"));
+  context.after(() => {
+    fs.rmSync(homeDir, {recursive:true, force:true});
+  });
+  if (config != null) {
+    fs.mkdirSync(path.join(homeDir, ".wpapi"));
+    fs.writeFileSync(path.join(homeDir, ".wpapi", "config.json"), JSON.stringify(config));
+  }
+  return (homeDir);
+}
+
+test.describe("parseArguments", () => {
+  var cli = new WPCommandLine({stdout:createOutput(), stderr:createOutput(), env:new Object()});
+
+  test.it("treats a parameter option followed by the positional argument as a flag", () => {
+    var parsed = cli.parseArguments(["delete", "--force", "posts/12"]);
+    assert.strictEqual(parsed.command, "delete");
+    assert.deepStrictEqual(parsed.args, ["posts/12"]);
+    assert.deepStrictEqual(parsed.params, {force:"true"});
+    parsed = cli.parseArguments(["--force", "delete", "posts/12"]);
+    assert.strictEqual(parsed.command, "delete");
+    assert.deepStrictEqual(parsed.args, ["posts/12"]);
+    assert.deepStrictEqual(parsed.params, {force:"true"});
+  });
+
+  test.it("treats a parameter option followed by a key=value or key:=json pair as a flag", () => {
+    var parsed = cli.parseArguments(["post", "posts", "--sticky", "title=Hello", "--draft", "tags:=[1,2]"]);
+    assert.deepStrictEqual(parsed.args, ["posts", "title=Hello", "tags:=[1,2]"]);
+    assert.deepStrictEqual(parsed.params, {sticky:"true", draft:"true"});
+  });
+
+  test.it("takes the values of parameter options when the positional argument follows", () => {
+    var parsed = cli.parseArguments(["list", "--status", "draft", "--per-page=5", "posts", "--order", "asc"]);
+    assert.deepStrictEqual(parsed.args, ["posts"]);
+    assert.deepStrictEqual(parsed.params, {status:"draft", per_page:"5", order:"asc"});
+    parsed = cli.parseArguments(["get", "--search", "foo", "--", "posts"]);
+    assert.deepStrictEqual(parsed.args, ["posts"]);
+    assert.deepStrictEqual(parsed.params, {search:"foo"});
+    parsed = cli.parseArguments(["post", "--menu-order", "-5", "posts"]);
+    assert.deepStrictEqual(parsed.params, {menu_order:"-5"});
+  });
+
+  test.it("separates the tool's own options from parameters", () => {
+    var parsed = cli.parseArguments(["list", "-p", "staging", "--all", "--fields", "id,title", "posts"]);
+    assert.deepStrictEqual(parsed.options, {profile:"staging", all:true, fields:"id,title"});
+    assert.deepStrictEqual(parsed.args, ["posts"]);
+    assert.deepStrictEqual(parsed.params, new Object());
+  });
+
+  test.it("rejects tool options missing their values", () => {
+    assert.throws(() => cli.parseArguments(["list", "posts", "--profile"]), error => error.code == "WPAPI_USAGE");
+  });
+});
+
+test.describe("loadSettings", () => {
+  var config = {
+    defaultProfile:"live",
+    sessions:"/tmp/config-sessions.json",
+    profiles:{
+      live:{url:"https://live.example.com", user:"editor", password:"profile-pass", timeout:5000},
+      staging:{url:"https://staging.example.com", applicationPassword:"abcd efgh", http2:false}
+    }
+  };
+
+  test.it("uses the default profile of the config file", async (context) => {
+    var cli = new WPCommandLine({env:new Object(), homeDir:createHomeDir(context, config)});
+    var settings = await cli.loadSettings(cli.parseArguments(["me"]));
+    assert.strictEqual(settings.profile, "live");
+    assert.strictEqual(settings.url, "https://live.example.com");
+    assert.strictEqual(settings.user, "editor");
+    assert.strictEqual(settings.auth, "cookie");
+    assert.strictEqual(settings.timeout, 5000);
+    assert.strictEqual(settings.http2, "auto");
+    assert.strictEqual(settings.sessions, "/tmp/config-sessions.json");
+  });
+
+  test.it("prefers the environment over the profile and options over both", async (context) => {
+    var homeDir = createHomeDir(context, config);
+    var env = {WPAPI_PROFILE:"staging", WPAPI_URL:"https://env.example.com", WPAPI_USER:"env-user"};
+    var cli = new WPCommandLine({env:env, homeDir:homeDir});
+    var settings = await cli.loadSettings(cli.parseArguments(["me"]));
+    assert.strictEqual(settings.profile, "staging");
+    assert.strictEqual(settings.url, "https://env.example.com");
+    assert.strictEqual(settings.user, "env-user");
+    assert.strictEqual(settings.auth, "application-password");
+    assert.strictEqual(settings.http2, false);
+    settings = await cli.loadSettings(cli.parseArguments(["me", "--profile", "live", "--url", "https://option.example.com", "--auth", "jwt"]));
+    assert.strictEqual(settings.profile, "live");
+    assert.strictEqual(settings.url, "https://option.example.com");
+    assert.strictEqual(settings.user, "env-user");
+    assert.strictEqual(settings.password, "profile-pass");
+    assert.strictEqual(settings.auth, "jwt");
+  });
+
+  test.it("rejects unknown profiles and missing site URLs", async (context) => {
+    var homeDir = createHomeDir(context, config);
+    var cli = new WPCommandLine({env:new Object(), homeDir:homeDir});
+    await assert.rejects(cli.loadSettings(cli.parseArguments(["me", "--profile", "missing"])), /Profile "missing"/);
+    cli = new WPCommandLine({env:new Object(), homeDir:createHomeDir(context)});
+    var parsed = cli.parseArguments(["me"]);
+    await assert.rejects(cli.loadSettings(parsed), error => error.code == "WPAPI_USAGE");
+    var settings = await cli.loadSettings(parsed, false);
+    assert.strictEqual(settings.url, null);
+    assert.strictEqual(settings.sessions, path.join(cli._homeDir, ".wpapi", "sessions.json"));
+  });
+});
+
+test.describe("getParams", () => {
+  var cli = new WPCommandLine({env:new Object()});
+
+  test.it("reads key=value and key:=json pairs", async () => {
+    var params = await cli.getParams(cli.parseArguments(["post", "posts", "title=a=b", "tags:=[1,2]", "sticky:=true"]));
+    assert.deepStrictEqual(params, {title:"a=b", tags:[1, 2], sticky:true});
+  });
+
+  test.it("merges JSON data, pairs and parameter options in that order", async (context) => {
+    var homeDir = createHomeDir(context);
+    var dataFile = path.join(homeDir, "data.json");
+    fs.writeFileSync(dataFile, JSON.stringify({title:"From file", status:"draft"}));
+    var params = await cli.getParams(cli.parseArguments(["post", "posts", "--data", `@${dataFile}`, "title=From pair", "--status", "publish"]));
+    assert.deepStrictEqual(params, {title:"From pair", status:"publish"});
+    params = await cli.getParams(cli.parseArguments(["post", "posts", "--data", "{\"menu_order\":3}"]));
+    assert.deepStrictEqual(params, {menu_order:3});
+  });
+
+  test.it("returns null without parameters and rejects invalid ones", async () => {
+    assert.strictEqual(await cli.getParams(cli.parseArguments(["get", "posts"])), null);
+    await assert.rejects(cli.getParams(cli.parseArguments(["post", "posts", "title"])), error => error.code == "WPAPI_USAGE");
+    await assert.rejects(cli.getParams(cli.parseArguments(["post", "posts", "tags:=[1"])), error => error.code == "WPAPI_USAGE");
+    await assert.rejects(cli.getParams(cli.parseArguments(["post", "posts", "--data", "[1]"])), error => error.code == "WPAPI_USAGE");
+  });
+});
+
+test.it("deletes an item permanently with a --force flag before the route", async (context) => {
+  var server = new WPMockServer();
+  await server.start();
+  context.after(async () => {
+    await server.stop();
+  });
+  var post = server.addItem("posts", {title:"Doomed", status:"publish"});
+  var stdout = createOutput();
+  var stderr = createOutput();
+  var env = {WPAPI_URL:server.url, WPAPI_USER:"admin", WPAPI_PASSWORD:"password"};
+  var cli = new WPCommandLine({stdout:stdout, stderr:stderr, env:env, homeDir:createHomeDir(context)});
+  var code = await cli.run(["delete", "--force", `posts/${post.id}`]);
+  assert.strictEqual(stderr.output, "");
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout.output).deleted, true);
+  assert.strictEqual(server.getItem("posts", post.id), null);
+});
@@ -0,0 +1,37 @@
+/**
+* @file Tests of the connections pooled by WPConnectionPool.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WPAPILib = require('../src/WPAPILib.js');
+
+test.it("lets HTTP/1.1 requests in progress finish when closed", async (context) => {
+  var server = http.createServer((request, response) => {
+    setTimeout(() => {
+      response.writeHead(200, {"Content-Type":"application/json"});
+      response.end("[]");
+    }, 100);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  context.after(() => {
+    server.close();
+  });
+  var client = new WPAPILib(`http://127.0.0.1:${server.address().port}/`, {proxy:false, retry:false});
+  client.setDefaultAPISettings();
+  //leaves two idle keep-alive sockets, one of which is reused below
+  await Promise.all([client.callAPI("posts", null, "GET", false), client.callAPI("posts", null, "GET", false)]);
+  var pending = client.callAPI("posts", null, "GET", false);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  var closed = client.close();
+  var result = await pending;
+  assert.strictEqual(result.response.statusCode, 200);
+  assert.strictEqual(await closed, true);
+  var agent = client.connectionPool.getAgent("http:");
+  assert.strictEqual(Object.keys(agent.freeSockets).length, 0);
+  assert.strictEqual(Object.keys(agent.sockets).length, 0);
+});
@@ -0,0 +1,105 @@
+/**
+* @file Tests of the RFC 6265 cookie jar.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const WPCookieJar = require('../src/WPCookieJar.js');
+
+/**
+* Lists the names of the cookies a jar sends with a request.
+*
+* @param {WPCookieJar} jar The cookie jar.
+* @param {String} url The request URL.
+*
+* @return {Array} The cookie names, in the order they're sent.
+*/
+function cookieNames(jar, url) {
+  return (jar.getCookies(url).map(cookie => cookie.name));
+}
+
+test.it("sends host-only cookies to their host only and domain cookies to subdomains", () => {
+  var jar = new WPCookieJar();
+  var hostOnly = jar.setCookie("host=1; Path=/", "https://blog.example.com/wp-login.php");
+  var domain = jar.setCookie("domain=1; Domain=.Example.com; Path=/", "https://blog.example.com/wp-login.php");
+  assert.strictEqual(hostOnly.hostOnly, true);
+  assert.strictEqual(hostOnly.domain, "blog.example.com");
+  assert.strictEqual(domain.hostOnly, false);
+  assert.strictEqual(domain.domain, "example.com");
+  assert.deepStrictEqual(cookieNames(jar, "https://blog.example.com/"), ["host", "domain"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://cdn.blog.example.com/"), ["domain"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/"), ["domain"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://notexample.com/"), []);
+  assert.strictEqual(jar.setCookie("other=1; Domain=example.org", "https://blog.example.com/"), null);
+  assert.strictEqual(jar.setCookie("deeper=1; Domain=cdn.blog.example.com", "https://blog.example.com/"), null);
+  assert.strictEqual(jar.setCookie("ip=1; Domain=0.0.1", "http://127.0.0.1/"), null);
+  assert.strictEqual(jar.cookies.length, 2);
+});
+
+test.it("rejects cookie domains that are public suffixes", () => {
+  var jar = new WPCookieJar();
+  assert.strictEqual(jar.setCookie("a=1; Domain=com", "https://example.com/"), null);
+  assert.strictEqual(jar.setCookie("b=1; Domain=co.uk", "https://shop.example.co.uk/"), null);
+  assert.strictEqual(jar.setCookie("c=1; Domain=github.io", "https://someone.github.io/"), null);
+  assert.strictEqual(jar.setCookie("d=1; Domain=example.co.uk", "https://shop.example.co.uk/").domain, "example.co.uk");
+  //a host that is a public suffix keeps its cookies to itself
+  var local = jar.setCookie("e=1; Domain=localhost", "http://localhost/");
+  assert.strictEqual(local.hostOnly, true);
+  assert.strictEqual(local.domain, "localhost");
+  assert.deepStrictEqual(jar.cookies.map(cookie => cookie.name), ["d", "e"]);
+  assert.strictEqual(jar.isPublicSuffix("com.au"), true);
+  assert.strictEqual(jar.isPublicSuffix("example.com"), false);
+});
+
+test.it("scopes cookies to their paths and sends longer paths first", () => {
+  var jar = new WPCookieJar();
+  jar.setCookie("root=1; Path=/", "https://example.com/");
+  jar.setCookie("admin=1; Path=/wp-admin", "https://example.com/");
+  jar.setCookie("default=1", "https://example.com/wp-json/wp/v2/posts");
+  jar.setCookie("invalid=1; Path=relative", "https://example.com/blog/index.php");
+  var cookies = jar.cookies;
+  assert.strictEqual(cookies.find(cookie => cookie.name == "default").path, "/wp-json/wp/v2");
+  assert.strictEqual(cookies.find(cookie => cookie.name == "invalid").path, "/blog");
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/wp-admin/post.php"), ["admin", "root"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/wp-admin"), ["admin", "root"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/wp-administrator"), ["root"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/wp-json/wp/v2/posts/12"), ["default", "root"]);
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/wp-json/wp"), ["root"]);
+  assert.strictEqual(jar.getCookieHeader("https://example.com/blog/"), "invalid=1; root=1");
+});
+
+test.it("expires cookies according to Max-Age and Expires", (context) => {
+  var now = Date.parse("2030-01-01T00:00:00Z");
+  context.mock.method(Date, "now", () => now);
+  var jar = new WPCookieJar();
+  var url = "https://example.com/";
+  assert.strictEqual(jar.setCookie("session=1", url).expires, null);
+  assert.strictEqual(jar.setCookie("dated=1; Expires=Tue, 01 Jan 2030 01:00:00 GMT", url).expires, now + 3600000);
+  //Max-Age takes precedence over Expires
+  assert.strictEqual(jar.setCookie("aged=1; Expires=Tue, 01 Jan 2030 01:00:00 GMT; Max-Age=60", url).expires, now + 60000);
+  assert.strictEqual(jar.setCookie("bad=1; Max-Age=soon; Expires=never", url).expires, null);
+  assert.deepStrictEqual(cookieNames(jar, url), ["session", "dated", "aged", "bad"]);
+  now += 61000;
+  assert.deepStrictEqual(cookieNames(jar, url), ["session", "dated", "bad"]);
+  now += 3600000;
+  assert.deepStrictEqual(cookieNames(jar, url), ["session", "bad"]);
+  assert.strictEqual(jar.setCookie("session=; Max-Age=0", url), null);
+  assert.strictEqual(jar.setCookie("bad=; Expires=Thu, 01 Jan 1970 00:00:00 GMT", url), null);
+  assert.deepStrictEqual(jar.cookies, []);
+  jar.load([{name:"old", value:"1", domain:"example.com", expires:now - 1}, {name:"kept", value:"1", domain:"example.com", expires:now + 1}]);
+  assert.deepStrictEqual(cookieNames(jar, url), ["kept"]);
+});
+
+test.it("sends secure cookies over HTTPS only", () => {
+  var jar = new WPCookieJar();
+  jar.setCookie("wordpress_sec_abc=1; Path=/; Secure; HttpOnly", "https://example.com/");
+  jar.setCookie("wordpress_test_cookie=WP; Path=/", "https://example.com/");
+  assert.deepStrictEqual(cookieNames(jar, "https://example.com/"), ["wordpress_sec_abc", "wordpress_test_cookie"]);
+  assert.deepStrictEqual(cookieNames(jar, "http://example.com/"), ["wordpress_test_cookie"]);
+  assert.strictEqual(jar.getCookieHeader("https://example.com/", false), "wordpress_test_cookie=WP");
+  var restored = new WPCookieJar(JSON.parse(JSON.stringify(jar)));
+  assert.deepStrictEqual(restored.cookies, jar.cookies);
+});
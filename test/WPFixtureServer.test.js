@@ -0,0 +1,83 @@
+/**
+* @file Tests of recording and replaying WordPress traffic with WPFixtureServer.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WPAPILib = require('../src/WPAPILib.js');
+const WPAPIError = require('../src/WPAPIError.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+const WPFixtureServer = require('../src/testing/WPFixtureServer.js');
+
+/**
+* Logs in, creates and lists posts, and retrieves the media library.
+*
+* @param {String} url The site URL.
+* @param {Boolean} http2 If true, the client uses HTTP/2.
+*
+* @return {Promise} The promise resolves with a summary of the responses.
+*/
+async function runSession(url, http2) {
+  var client = new WPAPILib(url, {http2:http2});
+  try {
+    await client.discover();
+    await client.login("admin", "password");
+    var post = await client.posts.create({title:"Recorded", status:"draft"});
+    var drafts = await client.posts.list({status:"draft"});
+    var summary = new Object();
+    summary.root = client.APIRootURL.replace(url, "");
+    summary.id = post.id;
+    summary.titles = drafts.map(item => item.title.rendered);
+    return (summary);
+  } finally {
+    await client.close();
+  }
+}
+
+for (var useHTTP2 of [false, true]) {
+  const http2 = useHTTP2;
+
+  test.it(`records and replays a session over ${(http2 == true) ? "HTTP/2" : "HTTP/1.1"}`, async (context) => {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), "wpapilib-"));
+    context.after(() => {
+      fs.rmSync(directory, {recursive:true, force:true});
+    });
+    var fixtures = path.join(directory, "fixtures.json");
+    var mock = new WPMockServer();
+    var target = await mock.start();
+    var recorder = new WPFixtureServer({mode:"record", target:target, fixtures:fixtures, http2:http2});
+    var recorded = null;
+    try {
+      recorded = await runSession(await recorder.start(), http2);
+    } finally {
+      await recorder.stop();
+      await mock.stop();
+    }
+    var stored = JSON.parse(fs.readFileSync(fixtures, "utf8"));
+    assert.ok(stored.entries.length > 0);
+    assert.strictEqual(JSON.stringify(stored.entries).includes(target.replace(/\/$/, "")), false);
+    var player = new WPFixtureServer({fixtures:fixtures, http2:http2});
+    var url = await player.start();
+    try {
+      var replayed = await runSession(url, http2);
+      assert.deepStrictEqual(replayed, recorded);
+      var client = new WPAPILib(url, {http2:http2});
+      client.setDefaultAPISettings();
+      await assert.rejects(client.callAPI("missing", null, "GET", false), error => {
+        assert.ok(error instanceof WPAPIError);
+        assert.strictEqual(error.code, "wpapilib_fixture_missing");
+        assert.strictEqual(error.status, 404);
+        return (true);
+      });
+      await client.close();
+    } finally {
+      await player.stop();
+    }
+  });
+}
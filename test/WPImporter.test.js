@@ -0,0 +1,44 @@
+/**
+* @file Tests of exporting and importing site content.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const WPAPILib = require('../src/WPAPILib.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+
+test.it("imports guest comments and replies by unmatched authors", async (context) => {
+  var source = new WPMockServer({name:"Source"});
+  var target = new WPMockServer({name:"Target"});
+  await source.start();
+  await target.start();
+  var sourceClient = new WPAPILib(source.url);
+  var targetClient = new WPAPILib(target.url);
+  context.after(async () => {
+    await sourceClient.close();
+    await targetClient.close();
+    await source.stop();
+    await target.stop();
+  });
+  source.addUser({username:"writer", name:"Writer", email:"writer@example.com", password:"secret"});
+  var post = source.addItem("posts", {title:"Hello", content:"Hi", status:"publish"});
+  var guest = source.addItem("comments", {post:post.id, content:"First", author_name:"Guest", author_email:"guest@example.com", status:"approved"});
+  source.addItem("comments", {post:post.id, content:"Reply", parent:guest.id, author:2, author_name:"Writer", status:"approved"});
+  await sourceClient.login("admin", "password");
+  var bundle = await new WPAPILib.WPExporter(sourceClient).export();
+  await targetClient.login("admin", "password");
+  var report = await new WPAPILib.WPImporter(targetClient).import(bundle);
+  assert.deepStrictEqual(report.errors, []);
+  assert.strictEqual(report.created.comments, 2);
+  var comments = target.collections.comments;
+  var imported = comments.find(comment => comment.author_name == "Guest");
+  assert.strictEqual(imported.author, 0);
+  assert.strictEqual(imported.author_email, "guest@example.com");
+  assert.strictEqual(imported.post, report.map.content.post[post.id]);
+  var reply = comments.find(comment => comment.author_name == "Writer");
+  assert.strictEqual(reply.parent, imported.id);
+  assert.strictEqual(reply.author, 0);
+});
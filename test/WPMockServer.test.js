@@ -0,0 +1,111 @@
+/**
+* @file Tests of WPAPILib against the in-process mock WordPress server.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const WPAPILib = require('../src/WPAPILib.js');
+const WPAPIError = require('../src/WPAPIError.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+
+for (var useHTTP2 of [false, true]) {
+  const http2 = useHTTP2;
+
+  test.describe(`WPMockServer over ${(http2 == true) ? "HTTP/2" : "HTTP/1.1"}`, () => {
+    var server = null;
+    var client = null;
+
+    test.beforeEach(async () => {
+      server = new WPMockServer({http2:http2});
+      await server.start();
+      client = new WPAPILib(server.url, {http2:http2});
+    });
+
+    test.afterEach(async () => {
+      await client.close();
+      await server.stop();
+    });
+
+    test.it("logs in with cookies and a REST nonce", async () => {
+      var root = await client.discover();
+      assert.strictEqual(root.root, server.APIRoot);
+      await client.login("admin", "password");
+      assert.strictEqual(client.authenticated, true);
+      assert.ok(client.APINonce.length > 0);
+      var me = await client.users.me();
+      assert.strictEqual(me.username, "admin");
+      assert.strictEqual(server.requests[0].version, (http2 == true) ? "2.0" : "1.1");
+    });
+
+    test.it("rejects an incorrect password", async () => {
+      await assert.rejects(client.login("admin", "wrong"));
+      assert.strictEqual(client.authenticated, false);
+    });
+
+    test.it("renews an expired nonce and an expired session", async () => {
+      await client.login("admin", "password");
+      server.expireNonces();
+      assert.strictEqual((await client.users.me()).username, "admin");
+      server.expireSessions();
+      assert.strictEqual((await client.users.me()).username, "admin");
+    });
+
+    test.it("paginates collections", async () => {
+      await client.login("admin", "password");
+      for (var count = 0; count < 12; count++) {
+        server.addItem("posts", {title:`Post ${count}`, status:"publish"});
+      }
+      var page = await client.posts.page({per_page:5});
+      assert.strictEqual(page.total, 12);
+      assert.strictEqual(page.totalPages, 3);
+      assert.strictEqual(page.items.length, 5);
+      assert.strictEqual(page.hasNext, true);
+      assert.strictEqual(page.hasPrev, false);
+      var last = await (await page.next()).next();
+      assert.strictEqual(last.items.length, 2);
+      assert.strictEqual(last.hasNext, false);
+      var ids = new Array();
+      for await (var post of client.posts.all({per_page:5})) {
+        ids.push(post.id);
+      }
+      assert.strictEqual(ids.length, 12);
+      assert.strictEqual(new Set(ids).size, 12);
+    });
+
+    test.it("sends array and object parameters like PHP", async () => {
+      await client.login("admin", "password");
+      var first = await client.categories.create({name:"First"});
+      var second = await client.categories.create({name:"Second"});
+      var post = await client.posts.create({title:"Filed", categories:[first.id, second.id], meta:{color:"red"}});
+      assert.deepStrictEqual(post.categories, [first.id, second.id]);
+      var result = await client.callAPI("posts", {title:"Form", categories:[first.id, second.id]}, "POST");
+      assert.deepStrictEqual(result.data.categories, [first.id, second.id]);
+      var posts = await client.posts.list({include:[post.id], status:"any"});
+      assert.deepStrictEqual(posts.map(item => item.id), [post.id]);
+    });
+
+    test.it("rejects with WordPress error envelopes", async () => {
+      await client.login("admin", "password");
+      await assert.rejects(client.posts.get(9999), error => {
+        assert.ok(error instanceof WPAPIError);
+        assert.strictEqual(error.code, "rest_post_invalid_id");
+        assert.strictEqual(error.status, 404);
+        return (true);
+      });
+      var anonymous = new WPAPILib(server.url, {http2:http2});
+      try {
+        await anonymous.discover();
+        await assert.rejects(anonymous.callAPI("posts", {status:"draft"}, "GET", false), error => {
+          assert.ok(error instanceof WPAPIError);
+          assert.ok(error.status >= 400);
+          return (true);
+        });
+      } finally {
+        await anonymous.close();
+      }
+    });
+  });
+}
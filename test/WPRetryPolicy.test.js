@@ -0,0 +1,148 @@
+/**
+* @file Tests of retrying failed requests with WPRetryPolicy.
+* @version 0.0.1
+* @author Patrick Bay (monican_agent)
+* @copyright MIT License
+*
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const WPAPILib = require('../src/WPAPILib.js');
+const WPAPIError = require('../src/WPAPIError.js');
+const WPRetryPolicy = require('../src/WPRetryPolicy.js');
+const WPMockServer = require('../src/testing/WPMockServer.js');
+
+/**
+* Creates an error like the ones thrown for API error responses.
+*
+* @param {Number} status The response status code.
+* @param {Object} [headers=null] The response headers.
+*
+* @return {WPAPIError} The error.
+*/
+function createResponseError(status, headers=null) {
+  var details = new Object();
+  details.route = "/wp/v2/posts";
+  details.method = "GET";
+  details.statusCode = status;
+  details.body = {code:"error", message:"Failed", data:{status:status}};
+  details.response = {statusCode:status, headers:headers || new Object()};
+  return (new WPAPIError(details));
+}
+
+/**
+* Counts the REST requests a mock server received for the posts collection.
+*
+* @param {WPMockServer} server The mock server.
+*
+* @return {Number} The number of requests.
+*/
+function countPostRequests(server) {
+  return (server.requests.filter(entry => entry.path.split("?")[0].endsWith("/wp/v2/posts") == true).length);
+}
+
+test.describe("WPRetryPolicy", () => {
+
+  test.it("backs off exponentially with the upper half of each delay randomized", (context) => {
+    var policy = new WPRetryPolicy({minDelay:100, factor:2, maxDelay:1000});
+    var error = createResponseError(503);
+    var random = context.mock.method(Math, "random", () => 0);
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => policy.getDelay(error, attempt)), [50, 100, 200, 400, 500]);
+    random.mock.mockImplementation(() => 1);
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => policy.getDelay(error, attempt)), [100, 200, 400, 800, 1000]);
+  });
+
+  test.it("waits as long as the Retry-After header asks, up to the maximum delay", (context) => {
+    var now = Date.parse("2030-01-01T00:00:00Z");
+    context.mock.method(Date, "now", () => now);
+    var policy = new WPRetryPolicy({minDelay:100, maxDelay:5000});
+    assert.strictEqual(policy.getDelay(createResponseError(429, {"retry-after":"3"}), 1), 3000);
+    assert.strictEqual(policy.getDelay(createResponseError(503, {"retry-after":"Tue, 01 Jan 2030 00:00:02 GMT"}), 1), 2000);
+    assert.strictEqual(policy.getDelay(createResponseError(503, {"retry-after":"Mon, 31 Dec 2029 23:00:00 GMT"}), 1), 0);
+    assert.strictEqual(policy.getDelay(createResponseError(503, {"retry-after":"60"}), 1), -1);
+    assert.strictEqual(policy.getRetryAfter(createResponseError(503, {"retry-after":"soon"})), null);
+    var delay = policy.getDelay(createResponseError(503, {"retry-after":"soon"}), 1);
+    assert.ok((delay >= 50) && (delay <= 100));
+  });
+
+  test.it("retries idempotent methods, transient statuses and network errors only", () => {
+    var policy = new WPRetryPolicy({retries:2});
+    var unavailable = createResponseError(503);
+    assert.strictEqual(policy.shouldRetry(unavailable, "GET", 1), true);
+    assert.strictEqual(policy.shouldRetry(unavailable, "get", 2), true);
+    assert.strictEqual(policy.shouldRetry(unavailable, "GET", 3), false);
+    for (var method of ["HEAD", "OPTIONS", "PUT", "DELETE"]) {
+      assert.strictEqual(policy.shouldRetry(unavailable, method, 1), true);
+    }
+    assert.strictEqual(policy.shouldRetry(unavailable, "POST", 1), false);
+    assert.strictEqual(policy.shouldRetry(unavailable, "PATCH", 1), false);
+    assert.strictEqual(policy.shouldRetry(createResponseError(429), "GET", 1), true);
+    assert.strictEqual(policy.shouldRetry(createResponseError(404), "GET", 1), false);
+    var reset = new Error("socket hang up");
+    reset.code = "ECONNRESET";
+    assert.strictEqual(policy.shouldRetry(reset, "GET", 1), true);
+    var aborted = new Error("The operation was aborted");
+    aborted.name = "AbortError";
+    assert.strictEqual(policy.shouldRetry(aborted, "GET", 1), false);
+    assert.strictEqual(policy.shouldRetry(new Error("Unexpected"), "GET", 1), false);
+    var posting = new WPRetryPolicy({methods:["post"], statusCodes:[500]});
+    assert.strictEqual(posting.shouldRetry(createResponseError(500), "POST", 1), true);
+    assert.strictEqual(posting.shouldRetry(unavailable, "POST", 1), false);
+    assert.strictEqual(posting.shouldRetry(createResponseError(500), "GET", 1), false);
+  });
+});
+
+test.describe("Retrying requests to the mock server", () => {
+  var server = null;
+  var client = null;
+
+  test.beforeEach(async () => {
+    server = new WPMockServer();
+    await server.start();
+    client = new WPAPILib(server.url, {retry:{retries:2, minDelay:20}});
+    await client.login("admin", "password");
+    server.addItem("posts", {title:"Hello", status:"publish"});
+  });
+
+  test.afterEach(async () => {
+    await client.close();
+    await server.stop();
+  });
+
+  test.it("retries a GET request until it succeeds", async () => {
+    server.failRequests(2, 503);
+    var posts = await client.posts.list();
+    assert.strictEqual(posts.length, 1);
+    assert.strictEqual(countPostRequests(server), 3);
+  });
+
+  test.it("gives up after the last retry", async () => {
+    server.failRequests(3, 502);
+    await assert.rejects(client.posts.list(), error => error.status == 502);
+    assert.strictEqual(countPostRequests(server), 3);
+    server.failRequests(1, 503);
+    await assert.rejects(client.callAPI("posts", null, "GET", true, {retry:false}), error => error.status == 503);
+    assert.strictEqual(countPostRequests(server), 4);
+  });
+
+  test.it("doesn't retry POST requests or permanent errors", async () => {
+    server.failRequests(1, 503);
+    await assert.rejects(client.posts.create({title:"New"}), error => error.status == 503);
+    assert.strictEqual(countPostRequests(server), 1);
+    await assert.rejects(client.posts.get(99999), error => error.status == 404);
+    assert.strictEqual(server.requests.filter(entry => entry.path.includes("/wp/v2/posts/99999") == true).length, 1);
+    assert.strictEqual(server.collections.posts.length, 1);
+  });
+
+  test.it("waits for the Retry-After delay", async () => {
+    server.failRequests(1, 429, {"Retry-After":"1"});
+    var started = Date.now();
+    await client.posts.list();
+    assert.ok((Date.now() - started) >= 990);
+    assert.strictEqual(countPostRequests(server), 2);
+    client.retryPolicy = {retries:2, minDelay:20, maxDelay:500};
+    server.failRequests(1, 429, {"Retry-After":"1"});
+    await assert.rejects(client.posts.list(), error => error.status == 429);
+    assert.strictEqual(countPostRequests(server), 3);
+  });
+});